@@ -0,0 +1,76 @@
+// Load a JSON, CSV or Markdown order export into reference_examples.
+//
+//   npm run ingest-examples -- <file> [--format json|csv|markdown] [--profile <id>] [--dry-run]
+//
+// Order numbers already imported are skipped; rejected rows and anything
+// guessed while normalizing are listed in the report.
+
+import fs from 'fs';
+import { createPool } from './lib/db.js';
+import { INGEST_FORMATS, ingestExamples } from './lib/ingest.js';
+
+function parseArgs(argv) {
+  const options = { file: null, format: null, profileId: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--profile') options.profileId = Number(argv[++i]);
+    else if (!options.file) options.file = arg;
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: npm run ingest-examples -- <file> [--format json|csv|markdown] [--profile <id>] [--dry-run]');
+    process.exit(1);
+  }
+  if (options.format && !INGEST_FORMATS.includes(options.format)) {
+    console.error(`Format must be one of: ${INGEST_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  if (options.profileId !== null && !(Number.isInteger(options.profileId) && options.profileId > 0)) {
+    console.error('Profile must be a style profile id');
+    process.exit(1);
+  }
+
+  const content = fs.readFileSync(options.file, 'utf8');
+  const pool = createPool();
+
+  try {
+    const report = await ingestExamples(pool, content, {
+      format: options.format,
+      filename: options.file,
+      dryRun: options.dryRun,
+      profileId: options.profileId
+    });
+
+    console.log(`\n📥 ${options.file} (${report.format}${report.dryRun ? ', dry run - nothing saved' : ''})\n`);
+    for (const { row, order_no, warnings } of report.warnings) {
+      console.log(`⚠️  Row ${row} (${order_no}): ${warnings.join('; ')}`);
+    }
+    for (const { row, order_no, reason } of report.duplicates) {
+      console.log(`⏭️  Row ${row} (${order_no}): ${reason}`);
+    }
+    for (const { row, order_no, errors } of report.rejected) {
+      console.log(`❌ Row ${row} (${order_no || 'no order number'}): ${Object.values(errors).join('; ')}`);
+    }
+
+    console.log(`\n========================================`);
+    console.log(`Rows:        ${report.total}`);
+    console.log(`✅ Imported: ${report.imported} (${report.withoutLyrics} without lyrics, kept out of prompts)`);
+    console.log(`🔁 Lyrics attached to earlier imports: ${report.updated}`);
+    console.log(`⏭️  Duplicates merged or skipped: ${report.duplicates.length}`);
+    console.log(`❌ Rejected: ${report.rejected.length}`);
+    console.log(`========================================\n`);
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,130 @@
+// Local accounts - password hashing, session tokens and roles. Roles are
+// ranked: a reviewer can do everything a writer can, an admin everything.
+
+import { randomBytes, scrypt, timingSafeEqual, createHash } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+export const ROLES = ['writer', 'reviewer', 'admin'];
+
+export const SESSION_COOKIE = 'raaag_session';
+export const SESSION_TTL_DAYS = 14;
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Whether a user has a role (or one ranked above it)
+ */
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Hash a password for storage as "scrypt$salt$hash"
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash (a malformed hash matches nothing)
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hex) return false;
+  const expected = Buffer.from(hex, 'hex');
+  if (expected.length !== KEY_LENGTH) return false;
+  const actual = await scryptAsync(String(password || ''), salt, expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * New random session token; only its hash (sessionTokenHash) is stored
+ */
+export function newSessionToken() {
+  return randomBytes(32).toString('hex');
+}
+
+export function sessionTokenHash(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Cookies of a request's Cookie header as { name: value }
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Set-Cookie value for a session token (an empty token clears the cookie)
+ */
+export function sessionCookie(token, { secure = false } = {}) {
+  const maxAge = token ? SESSION_TTL_DAYS * 24 * 60 * 60 : 0;
+  return [
+    `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAge}`,
+    ...(secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+/**
+ * Validate and normalize a user payload. The password is required for a
+ * new user and optional on update (blank keeps the current one).
+ * Returns { user, errors } where errors maps field name to message.
+ */
+export function validateUser(input = {}, { requirePassword = true } = {}) {
+  const errors = {};
+  const user = {};
+
+  const username = String(input.username || '').trim().toLowerCase();
+  if (!username) {
+    errors.username = 'Username is required';
+  } else if (!/^[a-z0-9._-]{3,50}$/.test(username)) {
+    errors.username = 'Username must be 3-50 letters, digits, dots, dashes or underscores';
+  }
+  user.username = username;
+
+  const displayName = String(input.display_name || '').trim();
+  if (displayName.length > 100) {
+    errors.display_name = 'Display name must be at most 100 characters';
+  }
+  user.display_name = displayName || username;
+
+  const role = input.role || 'writer';
+  if (!ROLES.includes(role)) {
+    errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  user.role = role;
+
+  const password = String(input.password || '');
+  if (password || requirePassword) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    user.password = password;
+  }
+
+  user.active = input.active === undefined ? true : Boolean(input.active);
+
+  return { user, errors };
+}
@@ -0,0 +1,111 @@
+// Multi-candidate generation - the variants to draft for one order and
+// merging stanzas picked from several candidates into one lyric.
+
+import { RHYME_SCHEMES } from './meter.js';
+import { validateGenerationSettings } from './llm.js';
+
+export const MAX_CANDIDATES = 4;
+
+// What to vary between candidates when the variants are not spelled out
+export const CANDIDATE_VARIATIONS = ['temperature', 'rhyme_scheme'];
+
+// Temperatures for temperature-varied candidates, most conservative first
+const CANDIDATE_TEMPERATURES = [0.7, 1.0, 0.4, 0.85];
+
+/**
+ * Resolve the variants to generate from a request: explicit `variants`
+ * ([{ temperature, rhymeScheme }]), or `candidates` (a count) varied by
+ * `vary` ('temperature' or 'rhyme_scheme'). A single candidate has no
+ * overrides.
+ * Returns { variants, errors } where errors maps field name to message.
+ */
+export function resolveVariants({ candidates, variants, vary } = {}) {
+  const errors = {};
+
+  if (Array.isArray(variants)) {
+    if (variants.length < 1 || variants.length > MAX_CANDIDATES) {
+      errors.variants = `Between 1 and ${MAX_CANDIDATES} variants are allowed`;
+      return { variants: [], errors };
+    }
+    const resolved = variants.map((variant, i) => {
+      const { settings, errors: settingErrors } = validateGenerationSettings({ temperature: variant?.temperature });
+      if (settingErrors.temperature) errors[`variants.${i}.temperature`] = settingErrors.temperature;
+
+      const rhymeScheme = variant?.rhymeScheme || null;
+      if (rhymeScheme && !RHYME_SCHEMES.includes(rhymeScheme)) {
+        errors[`variants.${i}.rhymeScheme`] = `Rhyme scheme must be one of: ${RHYME_SCHEMES.join(', ')}`;
+      }
+      return { temperature: settings.temperature ?? null, rhymeScheme };
+    });
+    return { variants: resolved, errors };
+  }
+
+  const count = candidates === undefined || candidates === null || candidates === '' ? 1 : Number(candidates);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_CANDIDATES) {
+    errors.candidates = `Candidates must be a whole number from 1 to ${MAX_CANDIDATES}`;
+    return { variants: [], errors };
+  }
+  const variation = vary || 'temperature';
+  if (!CANDIDATE_VARIATIONS.includes(variation)) {
+    errors.vary = `Vary must be one of: ${CANDIDATE_VARIATIONS.join(', ')}`;
+    return { variants: [], errors };
+  }
+  if (count === 1) {
+    return { variants: [{ temperature: null, rhymeScheme: null }], errors };
+  }
+
+  const resolved = Array.from({ length: count }, (_, i) => (variation === 'rhyme_scheme'
+    ? { temperature: null, rhymeScheme: RHYME_SCHEMES[i % RHYME_SCHEMES.length] }
+    : { temperature: CANDIDATE_TEMPERATURES[i % CANDIDATE_TEMPERATURES.length], rhymeScheme: null }));
+  return { variants: resolved, errors };
+}
+
+/**
+ * Short label for a variant ("temp 0.7 · ABAB")
+ */
+export function variantLabel(variant) {
+  const parts = [];
+  if (variant?.temperature !== null && variant?.temperature !== undefined) parts.push(`temp ${variant.temperature}`);
+  if (variant?.rhymeScheme) parts.push(variant.rhymeScheme);
+  return parts.join(' · ') || 'default';
+}
+
+/**
+ * Stanzas of a lyric: blocks separated by blank lines, section header
+ * included
+ */
+export function splitStanzas(lyrics) {
+  return String(lyrics || '')
+    .split(/\n\s*\n/)
+    .map(stanza => stanza.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Merge stanzas picked from candidates, in the order picked.
+ * candidates is [{ id, generated_lyrics }], picks is [{ lyricsId, index }].
+ * Returns { lyrics, sources, errors } where sources are the ids of the
+ * candidates that contributed a stanza.
+ */
+export function mergeStanzas(candidates, picks) {
+  const errors = {};
+  if (!Array.isArray(picks) || picks.length === 0) {
+    errors.stanzas = 'Pick at least one stanza';
+    return { lyrics: '', sources: [], errors };
+  }
+
+  const stanzas = [];
+  const sources = new Set();
+  picks.forEach((pick, i) => {
+    const candidate = candidates.find(c => c.id === Number(pick?.lyricsId));
+    const stanza = candidate ? splitStanzas(candidate.generated_lyrics)[Number(pick.index)] : undefined;
+    if (stanza === undefined) {
+      errors[`stanzas.${i}`] = 'Stanza not found in this candidate set';
+      return;
+    }
+    stanzas.push(stanza);
+    sources.add(candidate.id);
+  });
+
+  return { lyrics: stanzas.join('\n\n'), sources: [...sources], errors };
+}
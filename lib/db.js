@@ -0,0 +1,54 @@
+// Postgres connection settings shared by the server and the command-line
+// tools (migrate.js, ingest-examples.js).
+
+import pg from 'pg';
+
+const { Pool } = pg;
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+/**
+ * Whether to connect over TLS: DATABASE_SSL=true|false when set, else an
+ * sslmode in the URL (handled by pg itself), else on for remote hosts -
+ * hosted Postgres, whose certificate is not verified - and off for a
+ * local server or a Unix socket.
+ */
+export function sslSetting(env = process.env) {
+  const url = env.DATABASE_URL;
+  if (env.DATABASE_SSL !== undefined && env.DATABASE_SSL !== '') {
+    return ['true', '1', 'require'].includes(env.DATABASE_SSL.toLowerCase()) ? { rejectUnauthorized: false } : false;
+  }
+  if (!url) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false; // Not a URL (key=value settings): leave TLS to pg
+  }
+  if (parsed.searchParams.has('sslmode') || parsed.searchParams.has('ssl')) return undefined;
+  const host = parsed.hostname || parsed.searchParams.get('host') || '';
+  return LOCAL_HOSTS.includes(host) || host === '' || host.startsWith('/') ? false : { rejectUnauthorized: false };
+}
+
+/**
+ * Pool settings from the environment (DATABASE_URL, else the standard
+ * PGHOST / PGDATABASE / ... variables pg reads itself)
+ */
+export function poolConfig(env = process.env) {
+  const config = { connectionString: env.DATABASE_URL };
+  const ssl = sslSetting(env);
+  if (ssl !== undefined) config.ssl = ssl;
+  return config;
+}
+
+/**
+ * A connection pool. An idle connection the database drops (a restart,
+ * a failover) is logged and replaced on next use instead of crashing the
+ * process with an unhandled 'error' event.
+ */
+export function createPool(env = process.env) {
+  const pool = new Pool(poolConfig(env));
+  pool.on('error', (error) => console.error('❌ Idle database connection lost:', error.message));
+  return pool;
+}
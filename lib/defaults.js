@@ -0,0 +1,88 @@
+// Built-in style guide and quality checklist - used until one is saved
+// in Settings, and seeded as the first version of each by `npm run seed`.
+
+// DEFAULT STYLE GUIDE (will be replaced from Settings)
+export const DEFAULT_STYLE_GUIDE = `# RAAAG HINDI LYRICS WRITING STYLE GUIDE
+
+## CORE PHILOSOPHY
+- Write lyrics that capture EMOTIONAL TRUTH beyond surface-level storytelling
+- Go deeper than just recounting events - explore feelings, meanings, and emotional landscapes
+- Create authentic Hindi/Urdu poetry that feels natural, not translated
+- Balance traditional poetic devices with modern accessibility
+
+## LANGUAGE & AUTHENTICITY
+
+### Hindi/Urdu Integration
+- Use authentic Urdu/Hindi words naturally (dil, mohabbat, ishq, junoon, hasrat, etc.)
+- Avoid English words unless specifically requested or contextually perfect
+- Don't force Urdu words - use them where they naturally fit
+- Choose words for emotional resonance and authenticity
+
+### Grammar Excellence
+- CRITICAL: Proper gender agreement (masculine/feminine forms)
+  - Masculine: गया (gaya), हुआ (hua), था (tha), आया (aaya)
+  - Feminine: गई (gayi), हुई (hui), थी (thi), आई (aayi)
+- Match verb/adjective gender to subject
+- Example: "वो आया" (he came) vs "वो आई" (she came)
+
+### Natural Flow
+- Write how people actually speak/sing in Hindi
+- Use conversational rhythm and natural phrasing
+- Avoid awkward word order for rhyme's sake
+- Test singability - read aloud to check flow
+
+## WHAT TO AVOID
+
+### Banned Clichés
+NEVER use these overused phrases:
+- "dil ki baat" / "दिल की बात"
+- "pyar ki kahani" / "प्यार की कहानी"
+- "aankhon mein sapne" / "आँखों में सपने"
+- "zindagi ka safar" / "ज़िंदगी का सफ़र"
+- Generic "tu hai meri zindagi" statements`;
+
+// DEFAULT QUALITY CHECKLIST (will be replaced from Settings)
+export const DEFAULT_QUALITY_CHECKLIST = `# RAAAG LYRICS QUALITY CHECKLIST - 28 CRITICAL GUIDELINES
+
+## 1. STORY & PERSONALIZATION (Guidelines 1-8)
+
+□ 1. Recipient's name included at least ONCE (preferably in chorus or meaningful moment)
+□ 2. ALL specific memories/details from customer request are incorporated
+□ 3. Relationship dynamic captured authentically
+□ 4. Occasion appropriately addressed
+□ 5. Emotional depth beyond surface storytelling
+□ 6. Specific imagery from their story (not generic)
+□ 7. Cultural context appropriate
+□ 8. Story arc has beginning, middle, emotional climax
+
+## 2. LANGUAGE EXCELLENCE (Guidelines 9-14)
+
+□ 9. PERFECT Hindi gender agreement throughout
+□ 10. Natural Hindi word order and phrasing
+□ 11. Authentic Hindi/Urdu vocabulary
+□ 12. No awkward constructions for rhyme
+□ 13. Spelling and diacritics correct
+□ 14. Language matches requested style
+
+## 3. POETIC CRAFT (Guidelines 15-20)
+
+□ 15. NO BANNED CLICHÉS anywhere in song
+□ 16. Imagery is SPECIFIC and VIVID
+□ 17. Cultural symbols used authentically
+□ 18. Appropriate rasa (emotional flavor) maintained
+□ 19. Rhythm and meter consistent
+□ 20. Rhyme scheme executed well
+
+## 4. STRUCTURE & FLOW (Guidelines 21-24)
+
+□ 21. Clear song structure present
+□ 22. Appropriate total length: 16-24 lines
+□ 23. Lines are SINGABLE (8-14 syllables typically)
+□ 24. Emotional arc builds to peak
+
+## 5. FINAL POLISH (Guidelines 25-28)
+
+□ 25. Every line serves a PURPOSE
+□ 26. Chorus is MEMORABLE and REPEATABLE
+□ 27. Overall tone matches customer request
+□ 28. FINAL TEST: Would the recipient treasure this?`;
@@ -0,0 +1,45 @@
+// Line-level diff (longest common subsequence) between two texts - used to
+// compare versions of the style guide and quality checklist.
+
+/**
+ * Diff two texts line by line.
+ * Returns [{ type: 'same' | 'added' | 'removed', text }].
+ */
+export function diffLines(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] });
+    } else {
+      result.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) result.push({ type: 'added', text: b[j++] });
+  return result;
+}
+
+/**
+ * Count of added and removed lines in a diff
+ */
+export function diffStats(diff) {
+  return {
+    added: diff.filter(line => line.type === 'added').length,
+    removed: diff.filter(line => line.type === 'removed').length
+  };
+}
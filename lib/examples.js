@@ -0,0 +1,159 @@
+// Reference example management - validation of example payloads and the
+// search filters / facets behind the Settings example browser.
+
+import { ORDER_OPTIONS, normalizeChoice } from './orders.js';
+
+// Order fields an example carries for retrieval and faceted search
+export const EXAMPLE_FACETS = ['mood', 'occasion', 'language', 'artist', 'source'];
+
+export const EXAMPLE_SOURCES = ['manual', 'extracted', 'generated', 'imported'];
+
+export const QUALITY_RATINGS = [1, 2, 3, 4, 5];
+
+export const EXAMPLES_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ORDER_NO_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{2,49}$/;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Split tags given as an array or a comma-separated string (lowercased,
+ * deduplicated)
+ */
+function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+}
+
+/**
+ * Validate and normalize a reference example payload. Lyrics are required
+ * for a new example (requireLyrics); a stored example may have none, which
+ * keeps it out of prompts.
+ * Returns { example, errors } where errors maps field name to message.
+ */
+export function validateExample(input = {}, { requireLyrics = true } = {}) {
+  const errors = {};
+  const example = {};
+
+  const title = String(input.title || '').trim();
+  if (!title) {
+    errors.title = 'Title is required';
+  } else if (title.length > 255) {
+    errors.title = 'Title must be at most 255 characters';
+  }
+  example.title = title;
+
+  const lyrics = String(input.lyrics || '').trim();
+  if (!lyrics && requireLyrics) {
+    errors.lyrics = 'Lyrics are required';
+  } else if (lyrics.length > 20000) {
+    errors.lyrics = 'Lyrics must be at most 20000 characters';
+  }
+  example.lyrics = lyrics || null;
+
+  const story = String(input.story || '').trim();
+  if (story.length > 5000) {
+    errors.story = 'Story must be at most 5000 characters';
+  }
+  example.story = story || null;
+
+  const notes = String(input.notes || '').trim();
+  if (notes.length > 2000) {
+    errors.notes = 'Notes must be at most 2000 characters';
+  }
+  example.notes = notes || null;
+
+  const orderNo = String(input.order_no || '').trim();
+  if (orderNo && !ORDER_NO_PATTERN.test(orderNo)) {
+    errors.order_no = 'Order number must be 3-50 letters, digits or dashes';
+  }
+  example.order_no = orderNo || null;
+
+  // Metadata is optional; blank leaves the example unmatched on that field
+  for (const field of ['mood', 'occasion', 'language', 'artist']) {
+    const value = input[field];
+    example[field] = normalizeChoice(field, value);
+    if (value && !example[field]) {
+      errors[field] = `${field[0].toUpperCase()}${field.slice(1)} must be one of: ${ORDER_OPTIONS[field].join(', ')}`;
+    }
+  }
+
+  example.tags = normalizeTags(input.tags);
+  if (example.tags.length > MAX_TAGS) {
+    errors.tags = `At most ${MAX_TAGS} tags`;
+  } else if (example.tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    errors.tags = `Tags must be at most ${MAX_TAG_LENGTH} characters`;
+  }
+
+  const rating = input.quality_rating;
+  example.quality_rating = rating === undefined || rating === null || rating === '' ? null : Number(rating);
+  if (example.quality_rating !== null && !QUALITY_RATINGS.includes(example.quality_rating)) {
+    errors.quality_rating = 'Quality rating must be 1 to 5 stars';
+  }
+
+  example.use_in_prompts = input.use_in_prompts === undefined ? true : Boolean(input.use_in_prompts);
+
+  return { example, errors };
+}
+
+/**
+ * SQL conditions for an example search (on reference_examples aliased re):
+ * text (q), facet values, tag, pool (profile), prompt use and minimum
+ * rating. `except` leaves one facet out, so its counts show what picking
+ * another value would give.
+ * Returns { where, params } - where is '' or starts with ' WHERE '.
+ */
+export function exampleSearchFilters(query = {}, { except = null } = {}) {
+  const clauses = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    clauses.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  const text = String(query.q || '').trim();
+  if (text) {
+    add(
+      `(re.title ILIKE ? OR re.order_no ILIKE ? OR re.client_story ILIKE ? OR re.generated_lyrics ILIKE ?
+        OR re.learning_notes ILIKE ? OR array_to_string(re.tags, ' ') ILIKE ?)`,
+      `%${text.replace(/[\\%_]/g, match => `\\${match}`)}%`
+    );
+  }
+
+  for (const field of EXAMPLE_FACETS) {
+    if (field === except || !query[field]) continue;
+    if (query[field] === 'none') {
+      clauses.push(`re.${field} IS NULL`);
+    } else {
+      add(`re.${field} = ?`, String(query[field]));
+    }
+  }
+
+  if (query.tag && except !== 'tags') add('? = ANY(re.tags)', String(query.tag).toLowerCase());
+
+  if (query.profile === 'shared') {
+    clauses.push('re.profile_id IS NULL');
+  } else if (query.profile) {
+    add('re.profile_id = ?', parseInt(query.profile, 10) || 0);
+  }
+
+  if (query.inPrompts === 'true') {
+    clauses.push(`re.use_in_prompts AND COALESCE(TRIM(re.generated_lyrics), '') <> ''`);
+  } else if (query.inPrompts === 'false') {
+    clauses.push(`NOT (re.use_in_prompts AND COALESCE(TRIM(re.generated_lyrics), '') <> '')`);
+  }
+
+  if (query.minRating) add('re.quality_rating >= ?', Number(query.minRating) || 0);
+
+  return { where: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * Page number and size of a search (?page=, ?pageSize=)
+ */
+export function examplePage(query = {}) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || EXAMPLES_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
@@ -0,0 +1,379 @@
+// Lyrics exports for singers, producers and customers: a print-ready PDF
+// lyric sheet (Devanagari font embedded), DOCX, plain text (as written,
+// romanized or in Devanagari), an LRC timing skeleton and a JSON bundle
+// for the production pipeline.
+// Hindi lyrics are shown in both scripts: Devanagari lyrics get the
+// romanized text next to them, romanized Hindi gets the Devanagari.
+
+import PDFDocument from 'pdfkit';
+import { Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, WidthType, BorderStyle, AlignmentType } from 'docx';
+import { createRequire } from 'module';
+import { parseSections, sectionLabel } from './sections.js';
+import { transliterate, hasDevanagari } from './transliterate.js';
+
+const require = createRequire(import.meta.url);
+
+export const EXPORT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf', label: 'PDF lyric sheet' },
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    label: 'Word document'
+  },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8', label: 'Plain text' },
+  romanized: { extension: 'txt', contentType: 'text/plain; charset=utf-8', label: 'Romanized text' },
+  devanagari: { extension: 'txt', contentType: 'text/plain; charset=utf-8', label: 'Devanagari text' },
+  lrc: { extension: 'lrc', contentType: 'text/plain; charset=utf-8', label: 'LRC skeleton' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8', label: 'JSON bundle' }
+};
+
+// Noto Sans Devanagari (the font package only covers Devanagari, so
+// Latin runs are set in Helvetica)
+const DEVANAGARI_FONTS = {
+  regular: require.resolve('@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari-400-normal.woff'),
+  bold: require.resolve('@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari-700-normal.woff')
+};
+
+// Word picks the complex-script font for Devanagari; Nirmala UI ships with
+// Windows, other systems fall back to their own Devanagari font
+const DOCX_FONT = { ascii: 'Calibri', hAnsi: 'Calibri', cs: 'Nirmala UI' };
+
+const ACCENT = '#6B21A8';
+const MUTED = '#6B7280';
+
+// Order languages whose romanized lyrics also get a Devanagari copy
+const HINDI_LANGUAGES = ['Hindi', 'Hindi-English'];
+
+// Which scripts an export shows (?scripts=)
+export const EXPORT_SCRIPTS = ['both', 'original'];
+
+/**
+ * Everything an export shows: title, order details line, and the lyrics as
+ * sections of lines, each with a copy in the other script (`romanized` or
+ * `devanagari`) for Hindi lyrics unless scripts is 'original'.
+ * `lyric` is a generated_lyrics row; `order` its orders row (or null).
+ */
+export function exportContent(lyric, order = null, { scripts = 'both' } = {}) {
+  const script = hasDevanagari(lyric.generated_lyrics) ? 'devanagari' : 'roman';
+  let alternateScript = null;
+  if (scripts !== 'original') {
+    if (script === 'devanagari') alternateScript = 'roman';
+    else if (HINDI_LANGUAGES.includes(order?.language)) alternateScript = 'devanagari';
+  }
+  const names = [order?.recipient_name, ...(order?.nicknames || [])].filter(Boolean);
+  const inScript = (lines, to) => (to === alternateScript ? lines.map(line => transliterate(line, { to, names })) : null);
+
+  const sections = parseSections(lyric.generated_lyrics).map(section => {
+    const lines = section.lines.map(l => l.text);
+    return {
+      label: section.header ? sectionLabel(section) : null,
+      name: section.name,
+      lines,
+      romanized: inScript(lines, 'roman'),
+      devanagari: inScript(lines, 'devanagari')
+    };
+  });
+
+  return {
+    title: order?.recipient_name ? `A song for ${order.recipient_name}` : `Order ${lyric.order_number}`,
+    details: [
+      order?.occasion,
+      order?.mood,
+      order?.language,
+      order?.artist && `${order.artist} voice`,
+      order?.length
+    ].filter(Boolean).join(' · '),
+    reference: `Order ${lyric.order_number} · Revision ${lyric.revision}`,
+    sections,
+    script,
+    alternateScript,
+    names,
+    dual: alternateScript !== null
+  };
+}
+
+/**
+ * A section's lines in a script (as written when no script is given; lines
+ * mixing both scripts are brought into one)
+ */
+function sectionLines(content, section, script = null) {
+  if (!script) return section.lines;
+  const key = script === 'roman' ? 'romanized' : 'devanagari';
+  return section[key] || section.lines.map(line => transliterate(line, { to: script, names: content.names }));
+}
+
+/**
+ * The lines of a section's other-script copy, or null
+ */
+function alternateLines(content, section) {
+  return content.dual ? sectionLines(content, section, content.alternateScript) : null;
+}
+
+/**
+ * Lyrics text with sections separated by a blank line
+ */
+function plainText(content, { script = null } = {}) {
+  return content.sections
+    .map(section => {
+      const lines = sectionLines(content, section, script);
+      return [section.label && `[${section.label}]`, ...lines].filter(Boolean).join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * LRC skeleton: every line at [00:00.00] for the producer to time, with
+ * each section's name as a cue line "(Chorus)"
+ */
+export function buildLrc(content, { artist = 'RAAAG' } = {}) {
+  const lines = [`[ti:${content.title}]`, `[ar:${artist}]`, `[re:${content.reference}]`, ''];
+  content.sections.forEach((section, i) => {
+    lines.push(`[00:00.00](${section.label || `Stanza ${i + 1}`})`);
+    section.lines.forEach(text => lines.push(`[00:00.00]${text}`));
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Delivery bundle for the production pipeline: order metadata, the lyric
+ * with its review trail, sections (with the other script for Hindi), the
+ * LRC skeleton and the quality score
+ */
+export function buildBundle(content, { lyric, order = null, score = null, styleProfile = null } = {}) {
+  return {
+    bundle: 'raaag-lyrics',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    order: order && {
+      orderNo: order.order_no,
+      recipientName: order.recipient_name,
+      relationship: order.relationship,
+      nicknames: order.nicknames || [],
+      occasion: order.occasion,
+      mood: order.mood,
+      language: order.language,
+      artist: order.artist,
+      length: order.length,
+      rhymeScheme: order.rhyme_scheme,
+      story: order.story
+    },
+    lyric: {
+      id: lyric.id,
+      orderNumber: lyric.order_number,
+      revision: lyric.revision,
+      status: lyric.status,
+      source: lyric.revision_source,
+      model: lyric.model,
+      author: lyric.author_name || null,
+      reviewer: lyric.reviewer_name || null,
+      createdAt: lyric.created_at,
+      reviewedAt: lyric.reviewed_at || null,
+      styleProfile,
+      styleGuideId: lyric.style_guide_id,
+      checklistId: lyric.checklist_id
+    },
+    script: content.script,
+    title: content.title,
+    text: plainText(content),
+    romanizedText: content.alternateScript === 'roman' ? plainText(content, { script: 'roman' }) : null,
+    devanagariText: content.alternateScript === 'devanagari' ? plainText(content, { script: 'devanagari' }) : null,
+    sections: content.sections,
+    lrc: buildLrc(content),
+    score: score && { score: score.score === null ? null : Number(score.score), flagged: score.flagged }
+  };
+}
+
+/**
+ * Text split into Devanagari and other runs, so each can be set in a font
+ * that has its glyphs (spaces and punctuation stay with the run before)
+ */
+function scriptRuns(text) {
+  const runs = [];
+  for (const part of String(text).match(/[ऀ-ॿ‌‍]+|[^ऀ-ॿ‌‍]+/g) || []) {
+    const devanagari = /[ऀ-ॿ]/.test(part);
+    const last = runs[runs.length - 1];
+    if (last && (last.devanagari === devanagari || !/\S/.test(part.replace(/[\p{P}]/gu, '')))) {
+      last.text += part;
+    } else {
+      runs.push({ text: part, devanagari });
+    }
+  }
+  return runs;
+}
+
+function pdfFont(devanagari, bold) {
+  if (devanagari) return bold ? 'Devanagari-Bold' : 'Devanagari';
+  return bold ? 'Helvetica-Bold' : 'Helvetica';
+}
+
+/**
+ * Height one line of text takes in a column
+ */
+function pdfLineHeight(doc, text, width, { size, bold = false }) {
+  doc.font(pdfFont(hasDevanagari(text), bold)).fontSize(size);
+  return doc.heightOfString(text || ' ', { width });
+}
+
+/**
+ * Write one line at (x, y), switching fonts between script runs
+ */
+function pdfLine(doc, text, x, y, { width, size, bold = false, color = 'black', align = 'left' }) {
+  const runs = scriptRuns(text);
+  doc.fontSize(size).fillColor(color);
+  if (runs.length === 0) return;
+  runs.forEach((run, i) => {
+    doc.font(pdfFont(run.devanagari, bold));
+    const options = { width, align, continued: i < runs.length - 1 };
+    if (i === 0) doc.text(run.text, x, y, options);
+    else doc.text(run.text, options);
+  });
+}
+
+/**
+ * A4 lyric sheet: title, order details, then the sections - in two
+ * columns (as written | other script) for Hindi lyrics.
+ * Resolves to the PDF as a Buffer.
+ */
+export function renderPdf(content) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: content.title, Author: 'RAAAG' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('Devanagari', DEVANAGARI_FONTS.regular);
+    doc.registerFont('Devanagari-Bold', DEVANAGARI_FONTS.bold);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const gutter = 24;
+    const column = content.dual ? (width - gutter) / 2 : width;
+    let y = doc.page.margins.top;
+
+    // Start a new page when the next block would run off this one
+    const room = (height) => {
+      if (y + height > bottom()) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+    };
+
+    const write = (text, options) => {
+      const height = pdfLineHeight(doc, text, options.width || width, options);
+      room(height);
+      pdfLine(doc, text, options.x ?? left, y, { width, ...options });
+      y += height + (options.gap || 0);
+    };
+
+    write(content.title, { size: 22, bold: true, color: ACCENT, align: 'center', gap: 6 });
+    if (content.details) write(content.details, { size: 11, color: MUTED, align: 'center', gap: 2 });
+    write(content.reference, { size: 9, color: MUTED, align: 'center', gap: 24 });
+
+    content.sections.forEach(section => {
+      if (section.label) {
+        room(40);
+        write(section.label, { size: 12, bold: true, color: ACCENT, gap: 4 });
+      }
+      const alternate = alternateLines(content, section);
+      section.lines.forEach((line, i) => {
+        const other = alternate?.[i];
+        const height = Math.max(
+          pdfLineHeight(doc, line, column, { size: 12 }),
+          other ? pdfLineHeight(doc, other, column, { size: 11 }) : 0
+        );
+        room(height);
+        pdfLine(doc, line, left, y, { width: column, size: 12 });
+        if (other) pdfLine(doc, other, left + column + gutter, y, { width: column, size: 11, color: MUTED });
+        y += height + 2;
+      });
+      y += 14;
+    });
+
+    doc.end();
+  });
+}
+
+function docxRun(text, { bold = false, size = 24, color } = {}) {
+  return new TextRun({ text, bold, boldComplexScript: bold, size, sizeComplexScript: size, color, font: DOCX_FONT });
+}
+
+function docxSection(label, lines, options = {}) {
+  return [
+    ...(label ? [new Paragraph({ spacing: { before: 240 }, children: [docxRun(label, { bold: true, color: '6B21A8' })] })] : []),
+    ...lines.map(line => new Paragraph({ children: [docxRun(line, options)] })),
+    new Paragraph({ children: [] })
+  ];
+}
+
+/**
+ * Word document with the same layout as the PDF (a borderless two-column
+ * table for Hindi lyrics in both scripts).
+ * Resolves to the DOCX as a Buffer.
+ */
+export function renderDocx(content) {
+  const noBorder = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+  const borders = { top: noBorder, bottom: noBorder, left: noBorder, right: noBorder };
+
+  const body = content.dual
+    ? [new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      borders: { ...borders, insideHorizontal: noBorder, insideVertical: noBorder },
+      rows: content.sections.map(section => new TableRow({
+        children: [
+          new TableCell({ borders, width: { size: 50, type: WidthType.PERCENTAGE }, children: docxSection(section.label, section.lines) }),
+          new TableCell({
+            borders,
+            width: { size: 50, type: WidthType.PERCENTAGE },
+            children: docxSection(section.label, alternateLines(content, section), { size: 22, color: '6B7280' })
+          })
+        ]
+      }))
+    })]
+    : content.sections.flatMap(section => docxSection(section.label, section.lines));
+
+  const document = new Document({
+    creator: 'RAAAG',
+    title: content.title,
+    sections: [{
+      children: [
+        new Paragraph({ alignment: AlignmentType.CENTER, children: [docxRun(content.title, { bold: true, size: 44, color: '6B21A8' })] }),
+        ...(content.details
+          ? [new Paragraph({ alignment: AlignmentType.CENTER, children: [docxRun(content.details, { size: 22, color: '6B7280' })] })]
+          : []),
+        new Paragraph({
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 360 },
+          children: [docxRun(content.reference, { size: 18, color: '6B7280' })]
+        }),
+        ...body
+      ]
+    }]
+  });
+  return Packer.toBuffer(document);
+}
+
+// Plain-text formats in one script
+const TEXT_SCRIPTS = { romanized: 'roman', devanagari: 'devanagari' };
+
+/**
+ * Export a lyric in one of EXPORT_FORMATS, showing EXPORT_SCRIPTS `scripts`.
+ * Returns { body, contentType, filename }.
+ */
+export async function exportLyrics(format, { lyric, order = null, score = null, styleProfile = null, scripts = 'both' }) {
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const content = exportContent(lyric, order, { scripts });
+  const base = `order-${String(lyric.order_number).replace(/[^A-Za-z0-9-]/g, '_')}-r${lyric.revision}`;
+  const filename = `${base}${TEXT_SCRIPTS[format] ? `-${format}` : ''}.${extension}`;
+
+  let body;
+  if (format === 'pdf') body = await renderPdf(content);
+  else if (format === 'docx') body = await renderDocx(content);
+  else if (format === 'lrc') body = buildLrc(content);
+  else if (format === 'json') body = JSON.stringify(buildBundle(content, { lyric, order, score, styleProfile }), null, 2);
+  else body = plainText(content, { script: TEXT_SCRIPTS[format] });
+
+  return { body, contentType, filename };
+}
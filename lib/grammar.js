@@ -0,0 +1,306 @@
+// Hindi grammar linter - gender agreement, script mixing, spelling
+// consistency and banned phrases. Heuristic and local: it flags likely
+// mistakes with line/column positions for review, it does not parse Hindi.
+
+import { isSectionHeader } from './syllables.js';
+import { findBannedPhrases, DEFAULT_BANNED_PHRASES } from './scoring.js';
+
+// Relationship words that tell us the recipient's gender
+const FEMALE_RELATIONSHIPS = [
+  'wife', 'girlfriend', 'fiancee', 'fiancée', 'mother', 'mom', 'mummy', 'mum', 'maa', 'mother-in-law',
+  'sister', 'didi', 'daughter', 'beti', 'bhabhi', 'grandmother', 'nani', 'dadi', 'aunt', 'bua', 'mausi',
+  'girl', 'patni', 'biwi'
+];
+const MALE_RELATIONSHIPS = [
+  'husband', 'boyfriend', 'fiance', 'fiancé', 'father', 'dad', 'papa', 'father-in-law', 'brother',
+  'bhai', 'bhaiya', 'son', 'beta', 'grandfather', 'nana', 'dada', 'uncle', 'chacha',
+  'boy', 'pati'
+];
+// Partners whose gender we take as the opposite of the singer's
+const PARTNER_RELATIONSHIPS = ['partner', 'spouse', 'love', 'lover', 'soulmate', 'crush'];
+
+// Subject pronouns: whose gender a clause's verbs should follow
+const FIRST_PERSON = ['मैं', 'मै'];
+const FIRST_PERSON_ROMAN = ['main', 'mai'];
+const SECOND_PERSON = ['तू', 'तुम', 'आप', 'tu', 'tum', 'aap', 'tuu'];
+
+// Auxiliaries that make the word before them a predicate (करता हूँ, मेरी है)
+const AUXILIARIES = [
+  'हूँ', 'हूं', 'हू', 'है', 'हैं', 'हो', 'था', 'थी', 'थे', 'थीं',
+  'hoon', 'hun', 'hu', 'hoo', 'hai', 'hain', 'ho', 'tha', 'thi', 'the'
+];
+
+// Gender-marked verb forms, masculine ↔ feminine
+const GENDERED_PAIRS = [
+  ['था', 'थी'], ['गया', 'गई'], ['रहा', 'रही'], ['सका', 'सकी'], ['सकता', 'सकती'],
+  ['चुका', 'चुकी'], ['हुआ', 'हुई'], ['पाता', 'पाती'],
+  ['tha', 'thi'], ['gaya', 'gayi'], ['raha', 'rahi'], ['saka', 'saki'], ['sakta', 'sakti'],
+  ['chuka', 'chuki'], ['hua', 'hui'], ['paata', 'paati']
+];
+const EXTRA_FORMS = {
+  masculine: ['थे', 'गए', 'गये', 'रहे', 'सके', 'सकते', 'चुके', 'हुए', 'the', 'gaye', 'rahe', 'sake', 'sakte', 'chuke', 'hue'],
+  feminine: ['थीं', 'गयी', 'गईं', 'रहीं', 'सकीं', 'gai', 'gayee', 'rahin', 'sakin']
+};
+
+// Predicate adjectives and possessives that agree with the subject (तू मेरी है)
+const ADJECTIVE_PAIRS = [
+  ['प्यारा', 'प्यारी'], ['अच्छा', 'अच्छी'], ['न्यारा', 'न्यारी'], ['दीवाना', 'दीवानी'], ['अकेला', 'अकेली'],
+  ['अधूरा', 'अधूरी'], ['खोया', 'खोई'], ['तेरा', 'तेरी'], ['मेरा', 'मेरी'], ['तुम्हारा', 'तुम्हारी'],
+  ['pyara', 'pyari'], ['pyaara', 'pyaari'], ['accha', 'acchi'], ['achha', 'achhi'], ['nyara', 'nyari'],
+  ['deewana', 'deewani'], ['diwana', 'diwani'], ['akela', 'akeli'], ['adhoora', 'adhoori'], ['adhura', 'adhuri'],
+  ['tera', 'teri'], ['mera', 'meri'], ['tumhara', 'tumhari']
+];
+
+// Nouns ending in -ता that are not participles (तू मेरा रास्ता है)
+const TA_NOUNS = ['रास्ता', 'पता', 'रिश्ता', 'नाता', 'वास्ता', 'देवता', 'कविता', 'rasta', 'raasta', 'pata', 'rishta', 'naata', 'nata', 'vaasta', 'devta', 'kavita'];
+
+const SWAP = new Map();
+for (const [masculine, feminine] of [...GENDERED_PAIRS, ...ADJECTIVE_PAIRS]) {
+  SWAP.set(masculine, { gender: 'masculine', other: feminine });
+  SWAP.set(feminine, { gender: 'feminine', other: masculine });
+}
+for (const [gender, forms] of Object.entries(EXTRA_FORMS)) {
+  for (const form of forms) SWAP.set(form, { gender, other: null });
+}
+// Forms that are also gender-neutral subjunctives (तू रहे, तुम सके), so
+// they only count as masculine before an auxiliary (तुम सो रहे हो)
+const SUBJUNCTIVE_FORMS = ['रहे', 'सके', 'rahe', 'sake'];
+const ADJECTIVES = new Set([...ADJECTIVE_PAIRS.flat(), ...SUBJUNCTIVE_FORMS]);
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+const LATIN = /[A-Za-z]/;
+const CLAUSE_BREAK = /[,।|!?;]/;
+
+/**
+ * Words of one line with their 1-based column, script and the index of
+ * the clause they belong to (clauses split on , । ! ? ;)
+ */
+export function tokenize(line) {
+  const tokens = [];
+  let clause = 0;
+  let last = 0;
+
+  for (const match of String(line || '').matchAll(/[\p{L}\p{M}]+/gu)) {
+    if (CLAUSE_BREAK.test(line.slice(last, match.index))) clause++;
+    last = match.index + match[0].length;
+    tokens.push({
+      text: match[0],
+      lower: match[0].toLowerCase(),
+      column: match.index + 1,
+      length: match[0].length,
+      script: DEVANAGARI.test(match[0]) ? 'devanagari' : LATIN.test(match[0]) ? 'roman' : 'other',
+      clause
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Recipient gender from the order's relationship ('female', 'male' or
+ * null). Partner-type relationships take the opposite of the singer.
+ */
+export function recipientGender(relationship, singer = null) {
+  const words = String(relationship || '').toLowerCase().split(/[^a-zà-ÿ-]+/).filter(Boolean);
+  if (words.some(w => FEMALE_RELATIONSHIPS.includes(w))) return 'female';
+  if (words.some(w => MALE_RELATIONSHIPS.includes(w))) return 'male';
+  if (singer && words.some(w => PARTNER_RELATIONSHIPS.includes(w))) {
+    return singer === 'female' ? 'male' : 'female';
+  }
+  return null;
+}
+
+/**
+ * Singer gender from the order's artist field ('Female' / 'Male')
+ */
+export function singerGender(artist) {
+  const value = String(artist || '').toLowerCase();
+  return value === 'female' ? 'female' : value === 'male' ? 'male' : null;
+}
+
+/**
+ * Gender marked by a token in its clause, or null when it is unmarked.
+ * Participles (-ता/-ती, -ta/-ti) and adjectives only count when an
+ * auxiliary follows, so nouns like ज़िंदगी or दुनिया are left alone.
+ */
+function markedGender(token, next) {
+  const beforeAux = next && AUXILIARIES.includes(next.lower);
+  const known = SWAP.get(token.lower);
+
+  if (known && !ADJECTIVES.has(token.lower)) return { gender: known.gender, suggestion: known.other };
+  if (!beforeAux) return null;
+  if (known) return { gender: known.gender, suggestion: known.other };
+  if (TA_NOUNS.includes(token.lower)) return null;
+
+  const participle = token.script === 'devanagari'
+    ? token.text.match(/^(.+)(ता|ते|ती)$/)
+    : token.lower.match(/^(.+[^aeiou])(ta|te|ti)$/);
+  if (!participle) return null;
+
+  const [, stem, ending] = participle;
+  const feminine = ending === 'ती' || ending === 'ti';
+  const suggestion = feminine
+    ? stem + (token.script === 'devanagari' ? 'ता' : 'ta')
+    : stem + (token.script === 'devanagari' ? 'ती' : 'ti');
+  return { gender: feminine ? 'feminine' : 'masculine', suggestion };
+}
+
+/**
+ * Flag verb and predicate-adjective endings that disagree with the
+ * gender of the clause's subject (मैं = singer, तू/तुम/आप = recipient)
+ */
+function checkGenderAgreement(lineNumber, tokens, genders) {
+  const annotations = [];
+  let subject = null;
+  let clause = -1;
+
+  tokens.forEach((token, i) => {
+    if (token.clause !== clause) {
+      clause = token.clause;
+      subject = null;
+    }
+
+    const firstInClause = i === 0 || tokens[i - 1].clause !== token.clause;
+    if (FIRST_PERSON.includes(token.text) || (firstInClause && FIRST_PERSON_ROMAN.includes(token.lower))) {
+      subject = { person: 'singer', gender: genders.singer, word: token.text };
+      return;
+    }
+    if (SECOND_PERSON.includes(token.lower)) {
+      subject = { person: 'recipient', gender: genders.recipient, word: token.text };
+      return;
+    }
+    if (!subject?.gender) return;
+
+    const marked = markedGender(token, tokens[i + 1]);
+    if (!marked) return;
+
+    const expected = subject.gender === 'female' ? 'feminine' : 'masculine';
+    if (marked.gender !== expected) {
+      annotations.push({
+        line: lineNumber,
+        column: token.column,
+        length: token.length,
+        rule: 'gender-agreement',
+        severity: 'error',
+        message: `"${token.text}" is ${marked.gender}, but "${subject.word}" refers to the ${subject.person} (${subject.gender})`,
+        suggestion: marked.suggestion || null
+      });
+    }
+  });
+  return annotations;
+}
+
+/**
+ * Flag the minority-script words of a line that mixes Devanagari and Roman
+ */
+function checkMixedScript(lineNumber, tokens) {
+  const devanagari = tokens.filter(t => t.script === 'devanagari');
+  const roman = tokens.filter(t => t.script === 'roman');
+  if (devanagari.length === 0 || roman.length === 0) return [];
+
+  const [minority, majorityScript] = roman.length <= devanagari.length
+    ? [roman, 'Devanagari']
+    : [devanagari, 'Roman'];
+  return minority.map(token => ({
+    line: lineNumber,
+    column: token.column,
+    length: token.length,
+    rule: 'mixed-script',
+    severity: 'warning',
+    message: `"${token.text}" breaks a ${majorityScript} line - write the whole line in one script`
+  }));
+}
+
+/**
+ * Spelling key that ignores nukta, chandrabindu and romanization variants,
+ * so ज़िंदगी/जिंदगी and pyaar/pyar share a key
+ */
+function spellingKey(token) {
+  if (token.script === 'devanagari') {
+    return token.text.normalize('NFD').replace(/़/g, '').replace(/ँ/g, 'ं');
+  }
+  return token.lower
+    .replace(/z/g, 'j')
+    .replace(/w/g, 'v')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/([a-z])\1+/g, '$1');
+}
+
+/**
+ * Flag words spelled more than one way in the same lyric; the less common
+ * spelling is flagged and the more common one suggested
+ */
+function checkSpellingConsistency(linesWithTokens) {
+  const variants = new Map();
+  for (const { tokens } of linesWithTokens) {
+    for (const token of tokens) {
+      if (token.script === 'other' || token.length < 3) continue;
+      const key = spellingKey(token);
+      if (!variants.has(key)) variants.set(key, new Map());
+      const spellings = variants.get(key);
+      spellings.set(token.text.normalize('NFC'), (spellings.get(token.text.normalize('NFC')) || 0) + 1);
+    }
+  }
+
+  const annotations = [];
+  for (const { lineNumber, tokens } of linesWithTokens) {
+    for (const token of tokens) {
+      const spellings = variants.get(spellingKey(token));
+      if (!spellings || spellings.size < 2) continue;
+
+      // Most frequent spelling wins; ties go to the one with a nukta
+      const preferred = [...spellings.entries()]
+        .sort((a, b) => b[1] - a[1] || b[0].normalize('NFD').length - a[0].normalize('NFD').length)[0][0];
+      if (token.text.normalize('NFC') === preferred) continue;
+
+      annotations.push({
+        line: lineNumber,
+        column: token.column,
+        length: token.length,
+        rule: 'spelling',
+        severity: 'warning',
+        message: `"${token.text}" is also spelled "${preferred}" in this lyric - pick one spelling`,
+        suggestion: preferred
+      });
+    }
+  }
+  return annotations;
+}
+
+/**
+ * Lint a lyric. Returns annotations sorted by position:
+ * [{ line, column, length, rule, severity, message, suggestion? }]
+ *
+ * options.artist / options.relationship come from the order and set the
+ * singer and recipient genders; options.bannedPhrases from the style guide.
+ */
+export function lintLyrics(lyrics, { artist = null, relationship = null, bannedPhrases = DEFAULT_BANNED_PHRASES } = {}) {
+  const singer = singerGender(artist);
+  const genders = { singer, recipient: recipientGender(relationship, singer) };
+
+  const linesWithTokens = String(lyrics || '')
+    .split('\n')
+    .map((text, i) => ({ lineNumber: i + 1, text, tokens: tokenize(text) }))
+    .filter(({ text }) => text.trim() && !isSectionHeader(text));
+
+  const annotations = [];
+  for (const { lineNumber, tokens } of linesWithTokens) {
+    annotations.push(...checkGenderAgreement(lineNumber, tokens, genders));
+    annotations.push(...checkMixedScript(lineNumber, tokens));
+  }
+  annotations.push(...checkSpellingConsistency(linesWithTokens));
+
+  for (const found of findBannedPhrases(lyrics, bannedPhrases)) {
+    annotations.push({
+      line: found.line,
+      column: found.column,
+      length: found.length,
+      rule: 'banned-phrase',
+      severity: 'error',
+      message: `Banned cliché "${found.phrase}"`
+    });
+  }
+
+  annotations.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { annotations, genders };
+}
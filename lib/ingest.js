@@ -0,0 +1,460 @@
+// Reference example ingestion - parse JSON, CSV or Markdown order exports,
+// normalize their fields onto the order choices and load them into
+// reference_examples, skipping order numbers already there.
+
+import { normalizeChoice } from './orders.js';
+
+export const INGEST_FORMATS = ['json', 'csv', 'markdown'];
+
+const ORDER_NO_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{2,49}$/;
+const STORY_MAX_LENGTH = 5000;
+const LYRICS_MAX_LENGTH = 20000;
+
+// Column / key spellings seen in exports, mapped to the example field
+const FIELD_ALIASES = {
+  order_no: 'order_no',
+  order: 'order_no',
+  order_number: 'order_no',
+  orderno: 'order_no',
+  title: 'title',
+  mood: 'mood',
+  occasion: 'occasion',
+  length: 'length',
+  artist: 'artist',
+  singer: 'artist',
+  gender: 'artist',
+  voice: 'artist',
+  language: 'language',
+  story: 'story',
+  client_story: 'story',
+  customer_story: 'story',
+  lyrics: 'lyrics',
+  generated_lyrics: 'lyrics',
+  final_lyrics: 'lyrics',
+  notes: 'notes',
+  learning_notes: 'notes'
+};
+
+// Free-text occasions mapped by keyword, first match wins
+const OCCASION_KEYWORDS = [
+  [/birthday|b'?day/i, 'Birthday'],
+  [/anniversar/i, 'Anniversary'],
+  [/propos/i, 'Proposal'],
+  [/engage/i, 'Engagement'],
+  [/wedding|varmala|shaadi|marriage|reception/i, 'Wedding'],
+  [/sorry|apolog|forgive/i, 'Apology'],
+  [/friend/i, 'Friendship']
+];
+
+// Values exporters use for "not filled in"
+const UNKNOWN_VALUES = ['unknown', 'n/a', 'na', '-', 'none', 'null'];
+
+// Lyrics the old populate script stored in place of the real ones
+const PLACEHOLDER_LYRICS = ['lyrics from training data'];
+
+// Fields a repeated order number can fill in on its first row
+const MERGED_FIELDS = ['story', 'lyrics', 'mood', 'occasion', 'language', 'artist', 'notes'];
+
+// Start of writer instructions pasted into a story
+const WRITER_INSTRUCTIONS = /please ensure\b|\**\binstructions\b\**\s*:|✅/i;
+
+const SECTION_MARKER = /\s*\b((?:pre-?)?chorus|verse\s*\d*|bridge|intro|outro|hook|mukhda|antara\s*\d*)\s*:\s*/gi;
+
+/**
+ * Format of an export from its name, else from its first character
+ */
+export function detectFormat(filename, content) {
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  const start = String(content || '').trimStart()[0];
+  if (start === '[' || start === '{') return 'json';
+  if (start === '#') return 'markdown';
+  return 'csv';
+}
+
+function fieldName(key) {
+  const normalized = String(key || '').trim().toLowerCase().replace(/[\s.-]+/g, '_').replace(/^_+|_+$/g, '');
+  return FIELD_ALIASES[normalized] || null;
+}
+
+/**
+ * Rows of a record list keyed by example field (unknown keys dropped)
+ */
+function mapFields(record) {
+  const row = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    const field = fieldName(key);
+    if (field && value !== null && value !== undefined && row[field] === undefined) {
+      row[field] = String(value);
+    }
+  }
+  return row;
+}
+
+/**
+ * Records of a CSV text (RFC 4180: quoted fields may hold commas, quotes
+ * doubled, and line breaks); the first record is the header
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(r => r.some(value => value.trim()));
+  return rows.map(values => Object.fromEntries(header.map((key, i) => [key, values[i] ?? ''])));
+}
+
+/**
+ * Records of a Markdown export: one "## <order_no> - <title>" block per
+ * example with "- Key: value" lines, and "### Story" / "### Lyrics" /
+ * "### Notes" subsections holding the long text
+ */
+function parseMarkdown(text) {
+  const records = [];
+  let record = null;
+  let section = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading && !line.startsWith('###')) {
+      const [orderNo, ...title] = heading[1].split(/\s+[-–—]\s+/);
+      record = { order_no: orderNo.trim() };
+      if (title.length > 0) record.title = title.join(' - ');
+      records.push(record);
+      section = null;
+      continue;
+    }
+    if (!record) continue;
+
+    const subheading = line.match(/^###\s+(.+?)\s*$/);
+    if (subheading) {
+      section = fieldName(subheading[1]);
+      if (section) record[section] = '';
+      continue;
+    }
+    if (section) {
+      record[section] += `${line}\n`;
+      continue;
+    }
+
+    const pair = line.match(/^\s*[-*]?\s*\**([^:*]+?)\**\s*:\s*(.*)$/);
+    if (pair && fieldName(pair[1])) record[pair[1]] = pair[2].replace(/^\*+|\*+$/g, '').trim();
+  }
+  return records;
+}
+
+/**
+ * Raw rows of an export, keyed by example field.
+ * Throws (status 400) when the content can't be read as the format.
+ */
+export function parseExamplesFile(content, format) {
+  const text = String(content || '').replace(/^﻿/, '');
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw Object.assign(new Error(`Not valid JSON: ${error.message}`), { status: 400 });
+    }
+    const list = Array.isArray(data) ? data : data?.examples;
+    if (!Array.isArray(list)) {
+      throw Object.assign(new Error('JSON must be a list of examples or { "examples": [...] }'), { status: 400 });
+    }
+    return list.map(mapFields);
+  }
+  if (format === 'csv') return parseCsv(text).map(mapFields);
+  if (format === 'markdown') return parseMarkdown(text).map(mapFields);
+  throw Object.assign(new Error(`Format must be one of: ${INGEST_FORMATS.join(', ')}`), { status: 400 });
+}
+
+function isUnknown(value) {
+  return UNKNOWN_VALUES.includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Language at the start of a value, with whatever follows it - exports
+ * sometimes run the customer's story on into the language column
+ * ("Hindi-English The song is for my husband...")
+ */
+function splitLanguage(value) {
+  const text = String(value || '').trim();
+  const words = [...text.matchAll(/\S+/g)];
+  for (let count = Math.min(words.length, 4); count > 0; count--) {
+    const last = words[count - 1];
+    const end = last.index + last[0].length;
+    const language = normalizeChoice('language', text.slice(0, end).replace(/[,.:;-]+$/, ''));
+    if (language) return { language, rest: text.slice(end).trim() };
+  }
+  return { language: null, rest: '' };
+}
+
+/**
+ * Story text without the writer instructions ("Please ensure ✅ Every
+ * couplet rhymes...") that exports paste into or after it
+ */
+function withoutInstructions(value, warnings) {
+  const text = String(value || '').replace(/\\([*_#])/g, '$1').trim();
+  const start = text.search(WRITER_INSTRUCTIONS);
+  if (start < 0) return text;
+  warnings.push('Writer instructions in the story dropped');
+  return text.slice(0, start).replace(/[\s*]+$/, '');
+}
+
+/**
+ * Text cut off mid-sentence, trimmed back to its last full sentence
+ * (kept whole when that would lose most of it)
+ */
+function trimToSentence(text) {
+  if (/[.!?।"')\]]$/.test(text)) return { text, trimmed: false };
+  const end = Math.max(text.lastIndexOf('. '), text.lastIndexOf('! '), text.lastIndexOf('? '), text.lastIndexOf('। '));
+  if (end < text.length / 2) return { text, trimmed: false };
+  return { text: text.slice(0, end + 1), trimmed: true };
+}
+
+/**
+ * Lyrics flattened onto one line ("Verse 1: ... Chorus: ...") with their
+ * section markers put back on lines of their own
+ */
+function reflowLyrics(text) {
+  if (text.includes('\n')) return text;
+  return text.replace(SECTION_MARKER, (match, name) => `\n\n[${name.trim().replace(/^./, c => c.toUpperCase())}]\n`).trim();
+}
+
+/**
+ * Validate and normalize one raw export row.
+ * Returns { example, errors, warnings }: errors (field name to message)
+ * reject the row, warnings list what was guessed or dropped.
+ */
+export function normalizeExample(raw = {}) {
+  const errors = {};
+  const warnings = [];
+  const example = {};
+
+  const orderNo = String(raw.order_no || '').trim();
+  if (!orderNo) {
+    errors.order_no = 'Order number is required';
+  } else if (!ORDER_NO_PATTERN.test(orderNo)) {
+    errors.order_no = 'Order number must be 3-50 letters, digits or dashes';
+  }
+  example.order_no = orderNo;
+
+  let story = withoutInstructions(raw.story, warnings);
+  let lyrics = String(raw.lyrics || '').trim();
+
+  // Language, with any story text that spilled into its column
+  const { language, rest } = splitLanguage(raw.language);
+  example.language = language;
+  if (rest && !story) {
+    story = withoutInstructions(rest, warnings);
+    warnings.push('Story was found in the language column');
+  } else if (rest) {
+    warnings.push('Text after the language dropped');
+  } else if (!language && raw.language && !isUnknown(raw.language)) {
+    warnings.push(`Unrecognised language "${String(raw.language).trim().slice(0, 40)}" dropped`);
+  }
+
+  // Lyrics exported in the story column, led by the order number
+  if (orderNo && story.toLowerCase().startsWith(orderNo.toLowerCase())) {
+    const text = story.slice(orderNo.length).trim();
+    story = '';
+    if (!lyrics && text) {
+      lyrics = text;
+      warnings.push('Lyrics were found in the story column');
+    }
+  }
+
+  if (PLACEHOLDER_LYRICS.includes(lyrics.toLowerCase())) lyrics = '';
+  if (lyrics) {
+    const reflowed = reflowLyrics(lyrics);
+    if (reflowed !== lyrics) warnings.push('Lyrics had no line breaks; section headers restored');
+    lyrics = reflowed;
+  }
+
+  if (story) {
+    const { text, trimmed } = trimToSentence(story);
+    if (trimmed) warnings.push('Story was cut off mid-sentence; trimmed to the last full sentence');
+    story = text;
+  }
+
+  if (story.length > STORY_MAX_LENGTH) {
+    errors.story = `Story must be at most ${STORY_MAX_LENGTH} characters`;
+  }
+  if (lyrics.length > LYRICS_MAX_LENGTH) {
+    errors.lyrics = `Lyrics must be at most ${LYRICS_MAX_LENGTH} characters`;
+  }
+  if (!story && !lyrics && !errors.order_no) {
+    errors.story = 'Row has neither a story nor lyrics';
+  }
+  example.story = story || null;
+  example.lyrics = lyrics || null;
+
+  for (const field of ['mood', 'artist']) {
+    const value = String(raw[field] || '').trim();
+    example[field] = normalizeChoice(field, value);
+    if (value && !isUnknown(value) && !example[field]) {
+      warnings.push(`Unrecognised ${field} "${value}" dropped`);
+    }
+  }
+
+  const occasion = String(raw.occasion || '').trim();
+  example.occasion = normalizeChoice('occasion', occasion);
+  if (occasion && !isUnknown(occasion) && !example.occasion) {
+    example.occasion = OCCASION_KEYWORDS.find(([pattern]) => pattern.test(occasion))?.[1] || 'Other';
+    warnings.push(`Occasion "${occasion}" read as ${example.occasion}`);
+  }
+
+  const title = String(raw.title || '').trim();
+  example.title = (title || `Order ${orderNo} - ${example.occasion || 'Example'}`).slice(0, 255);
+
+  example.notes = String(raw.notes || '').trim() || null;
+
+  return { example, errors, warnings };
+}
+
+/**
+ * Load an export into reference_examples (source 'imported') in one
+ * transaction. Order numbers already stored are skipped, except that a
+ * stored example without lyrics gets them from the export. With dryRun
+ * nothing is written.
+ * Returns a report: { format, total, imported, updated, withoutLyrics,
+ * duplicates: [{ row, order_no, reason }], rejected: [{ row, order_no, errors }],
+ * warnings: [{ row, order_no, warnings }] } with 1-based row numbers.
+ */
+export async function ingestExamples(pool, content, { format, filename, dryRun = false, profileId = null } = {}) {
+  const resolvedFormat = format || detectFormat(filename, content);
+  const rows = parseExamplesFile(content, resolvedFormat);
+  const report = {
+    format: resolvedFormat,
+    dryRun,
+    total: rows.length,
+    imported: 0,
+    updated: 0,
+    withoutLyrics: 0,
+    duplicates: [],
+    rejected: [],
+    warnings: []
+  };
+
+  // Exports may split an order over several rows (story in one, lyrics
+  // in another); repeats fill in what the first row is missing
+  const accepted = [];
+  const seen = new Map();
+  rows.forEach((raw, index) => {
+    const row = index + 1;
+    const { example, errors, warnings } = normalizeExample(raw);
+    if (Object.keys(errors).length > 0) {
+      report.rejected.push({ row, order_no: example.order_no || null, errors });
+      return;
+    }
+    if (warnings.length > 0) report.warnings.push({ row, order_no: example.order_no, warnings });
+
+    const first = seen.get(example.order_no.toLowerCase());
+    if (first) {
+      const filled = MERGED_FIELDS.filter(field => !first.example[field] && example[field]);
+      filled.forEach(field => { first.example[field] = example[field]; });
+      report.duplicates.push({
+        row,
+        order_no: example.order_no,
+        reason: filled.length > 0 ? `Merged into row ${first.row} (${filled.join(', ')})` : 'Repeated in this file'
+      });
+      return;
+    }
+    const entry = { row, example };
+    seen.set(example.order_no.toLowerCase(), entry);
+    accepted.push(entry);
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT DISTINCT ON (LOWER(order_no)) id, LOWER(order_no) AS key,
+              COALESCE(TRIM(generated_lyrics), '') <> '' AS has_lyrics
+       FROM reference_examples WHERE LOWER(order_no) = ANY($1::text[])
+       ORDER BY LOWER(order_no), id`,
+      [accepted.map(({ example }) => example.order_no.toLowerCase())]
+    );
+    const stored = new Map(existing.rows.map(r => [r.key, r]));
+
+    for (const { row, example } of accepted) {
+      const match = stored.get(example.order_no.toLowerCase());
+      if (match && (match.has_lyrics || !example.lyrics)) {
+        report.duplicates.push({ row, order_no: example.order_no, reason: 'Already imported' });
+        continue;
+      }
+      if (match) {
+        if (!dryRun) {
+          await client.query(
+            `UPDATE reference_examples
+             SET generated_lyrics = $2,
+                 mood = COALESCE($3, mood), occasion = COALESCE($4, occasion),
+                 language = COALESCE($5, language), artist = COALESCE($6, artist),
+                 client_story = COALESCE($7, client_story)
+             WHERE id = $1`,
+            [match.id, example.lyrics, example.mood, example.occasion, example.language, example.artist, example.story]
+          );
+        }
+        report.updated++;
+        continue;
+      }
+
+      if (!dryRun) {
+        await client.query(
+          `INSERT INTO reference_examples
+             (title, order_no, mood, occasion, language, artist, client_story, generated_lyrics, learning_notes, source,
+              profile_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'imported', $10)`,
+          [
+            example.title, example.order_no, example.mood, example.occasion, example.language, example.artist,
+            example.story, example.lyrics, example.notes, profileId
+          ]
+        );
+      }
+      report.imported++;
+      if (!example.lyrics) report.withoutLyrics++;
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return report;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,188 @@
+// Learning extraction - turns reviewer feedback on a lyric into specific
+// patterns (what worked) and failure themes (what went wrong), and the
+// bookkeeping rules for merging them into pattern_library.
+
+import { textSimilarity } from './retrieval.js';
+
+export const PATTERN_TYPES = ['rhyme', 'structure', 'emotion', 'cultural'];
+
+// Descriptions at least this similar are treated as the same pattern
+export const MERGE_THRESHOLD = 0.6;
+
+// Patterns unseen for this long, or clearly not working, are retired
+export const RETIRE_AFTER_DAYS = 60;
+const RETIRE_MIN_OBSERVATIONS = 5;
+const RETIRE_MAX_CONFIDENCE = 0.3;
+
+/**
+ * Prompt asking the model to analyse one reviewed lyric
+ */
+export function buildAnalysisPrompt(lyrics, status, feedbackNotes) {
+  const system = `You analyse Hindi song lyrics that a human reviewer has ${status === 'approved' ? 'APPROVED' : 'REJECTED'}.
+Extract SPECIFIC, reusable craft patterns - never generic praise like "good lyrics".
+
+Return ONLY JSON in this shape:
+{
+  "patterns": [
+    { "type": "rhyme" | "structure" | "emotion" | "cultural", "description": "one specific sentence", "example": "a short quote from the lyrics" }
+  ],
+  "failures": ["one specific recurring problem per entry"]
+}
+
+- "patterns": techniques present in these lyrics (max 5).
+- "failures": concrete problems the reviewer complained about (empty if approved).`;
+
+  const user = `# LYRICS\n${lyrics}\n\n# REVIEWER NOTES\n${feedbackNotes || '(none)'}`;
+  return { system, user };
+}
+
+/**
+ * Parse and sanitise the model's JSON answer
+ */
+export function parseAnalysis(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('Analysis response contained no JSON');
+  }
+  const data = JSON.parse(match[0]);
+
+  const patterns = (Array.isArray(data.patterns) ? data.patterns : [])
+    .filter(p => p && PATTERN_TYPES.includes(p.type) && typeof p.description === 'string' && p.description.trim())
+    .map(p => ({
+      type: p.type,
+      description: p.description.trim().slice(0, 500),
+      example: typeof p.example === 'string' ? p.example.trim().slice(0, 500) : null
+    }));
+  const failures = (Array.isArray(data.failures) ? data.failures : [])
+    .filter(f => typeof f === 'string' && f.trim())
+    .map(f => f.trim().slice(0, 500));
+
+  return { patterns, failures };
+}
+
+// Reviewer-note keywords mapped to a canonical failure theme
+const FAILURE_THEMES = [
+  { pattern: /gender|grammar|गया|गई|था|थी|agreement/i, theme: 'Hindi gender agreement or grammar errors' },
+  { pattern: /rhym|tuk|filler/i, theme: 'Weak or filler rhymes' },
+  { pattern: /clich|generic|dil ki baat|common phrase/i, theme: 'Generic lines or banned clichés instead of specific imagery' },
+  { pattern: /\bname\b|naam/i, theme: "Recipient's name missing or used awkwardly" },
+  { pattern: /story|detail|memor|personal/i, theme: 'Story details from the request left out' },
+  { pattern: /too long|too short|length|lines/i, theme: 'Song length outside the requested range' },
+  { pattern: /english/i, theme: 'Wrong balance of English and Hindi words' },
+  { pattern: /flow|meter|rhythm|singab|syllable/i, theme: 'Lines do not flow or are hard to sing' }
+];
+
+// Words that signal cultural imagery, in romanized and Devanagari form
+const CULTURAL_WORDS = [
+  'mehendi', 'mehndi', 'baraat', 'sindoor', 'mangalsutra', 'doli', 'shehnai', 'diwali', 'holi', 'chai',
+  'मेहंदी', 'बारात', 'सिंदूर', 'मंगलसूत्र', 'डोली', 'शहनाई', 'दिवाली', 'होली', 'चाय'
+];
+
+const lastWord = (line) => (line.trim().match(/[\p{L}\p{M}]+(?=[^\p{L}\p{M}]*$)/u) || [''])[0].toLowerCase();
+
+/**
+ * Offline stand-in for the model analysis: derives structure, rhyme and
+ * cultural patterns from the lyric text and failure themes from keywords
+ * in the reviewer notes. Used when no model is available.
+ */
+export function localAnalysis(lyrics, status, feedbackNotes) {
+  const patterns = [];
+  const lines = String(lyrics || '').split('\n');
+
+  const headers = lines
+    .map(line => line.trim().match(/^\[?\s*(verse|chorus|bridge|hook|intro|outro|antara|mukhda)\b[^\]]*\]?:?$/i))
+    .filter(Boolean)
+    .map(m => m[1][0].toUpperCase() + m[1].slice(1).toLowerCase());
+  if (headers.length > 0) {
+    patterns.push({
+      type: 'structure',
+      description: `Clearly labelled sections: ${headers.join(' → ')}`,
+      example: null
+    });
+  }
+
+  const verses = lines.filter(line => line.trim() && !/^\[.*\]$/.test(line.trim()) && !/^(verse|chorus|bridge)/i.test(line.trim()));
+  let rhymingCouplets = 0;
+  let couplets = 0;
+  for (let i = 0; i + 1 < verses.length; i += 2) {
+    const a = lastWord(verses[i]);
+    const b = lastWord(verses[i + 1]);
+    if (!a || !b) continue;
+    couplets++;
+    if (a.slice(-2) === b.slice(-2)) rhymingCouplets++;
+  }
+  if (couplets >= 2 && rhymingCouplets / couplets >= 0.6) {
+    patterns.push({
+      type: 'rhyme',
+      description: 'Consecutive lines rhyme in couplets (AABB)',
+      example: verses.slice(0, 2).join(' / ')
+    });
+  }
+
+  const text = String(lyrics || '').toLowerCase();
+  const cultural = CULTURAL_WORDS.filter(word => text.includes(word));
+  if (cultural.length > 0) {
+    patterns.push({
+      type: 'cultural',
+      description: `Uses cultural imagery (${cultural.slice(0, 3).join(', ')})`,
+      example: null
+    });
+  }
+
+  const failures = [];
+  if (status === 'needs_work' && feedbackNotes) {
+    for (const { pattern, theme } of FAILURE_THEMES) {
+      if (pattern.test(feedbackNotes)) failures.push(theme);
+    }
+    if (failures.length === 0) {
+      failures.push(feedbackNotes.trim().slice(0, 200));
+    }
+  }
+
+  return { patterns, failures };
+}
+
+/**
+ * Find the existing pattern a new description should merge into, if any
+ */
+export function findMergeTarget(existing, type, description) {
+  let best = null;
+  let bestSimilarity = MERGE_THRESHOLD;
+  for (const row of existing) {
+    if (row.pattern_type !== type) continue;
+    const similarity = textSimilarity(row.pattern_description, description);
+    if (similarity >= bestSimilarity) {
+      best = row;
+      bestSimilarity = similarity;
+    }
+  }
+  return best;
+}
+
+/**
+ * Confidence (0-1) that a pattern helps. Success patterns: smoothed share
+ * of approvals among lyrics showing it, scaled down until there is enough
+ * evidence. Failure themes: how often the theme recurs.
+ */
+export function computeConfidence({ pattern_type, success_count = 0, failure_count = 0 }) {
+  if (pattern_type === 'failure') {
+    return Math.min(1, failure_count / RETIRE_MIN_OBSERVATIONS);
+  }
+  const observations = success_count + failure_count;
+  const rate = (success_count + 1) / (observations + 2);
+  const evidence = Math.min(1, observations / RETIRE_MIN_OBSERVATIONS);
+  return Math.round(rate * evidence * 100) / 100;
+}
+
+/**
+ * Whether an active pattern should be retired
+ */
+export function shouldRetire(row, now = new Date()) {
+  const lastSeen = new Date(row.last_seen_at || row.created_at);
+  const idleDays = (now - lastSeen) / (24 * 60 * 60 * 1000);
+  if (idleDays > RETIRE_AFTER_DAYS) return true;
+
+  if (row.pattern_type === 'failure') return false;
+  const observations = (row.success_count || 0) + (row.failure_count || 0);
+  return observations >= RETIRE_MIN_OBSERVATIONS && Number(row.confidence_score) < RETIRE_MAX_CONFIDENCE;
+}
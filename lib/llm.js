@@ -0,0 +1,233 @@
+// LLM providers - one interface over the Anthropic API and a deterministic
+// offline stub, with model, temperature and token limits chosen per call.
+//
+// A provider is { name, offline, isConfigured(), complete(options) } where
+// complete({ purpose, system, messages, model, temperature, maxTokens,
+// onText, signal }) resolves to { text, model, inputTokens, outputTokens }.
+
+import Anthropic from '@anthropic-ai/sdk';
+
+export const PROVIDERS = ['anthropic', 'stub'];
+export const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+export const DEFAULT_MAX_TOKENS = 2000;
+
+const MAX_TOKENS_RANGE = [100, 8000];
+
+/**
+ * Rough token estimate - about 4 characters per token for Latin text,
+ * while Devanagari splits into far more tokens per character
+ */
+export function estimateTokens(text) {
+  const nonAscii = (String(text).match(/[^\x00-\x7F]/g) || []).length;
+  return Math.ceil((String(text).length - nonAscii) / 4 + nonAscii / 2);
+}
+
+function anthropicProvider() {
+  let client = null;
+
+  return {
+    name: 'anthropic',
+    offline: false,
+    isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+
+    async complete({ system, messages, model, temperature, maxTokens, onText, signal }) {
+      client = client || new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+      const request = { model, max_tokens: maxTokens, system, messages };
+      if (temperature !== null && temperature !== undefined) request.temperature = temperature;
+
+      let message;
+      if (onText) {
+        const stream = client.messages.stream(request, { signal });
+        stream.on('text', onText);
+        message = await stream.finalMessage();
+      } else {
+        message = await client.messages.create(request, { signal });
+      }
+
+      return {
+        text: message.content?.[0]?.text || '',
+        model: message.model || model,
+        inputTokens: message.usage?.input_tokens ?? null,
+        outputTokens: message.usage?.output_tokens ?? null
+      };
+    }
+  };
+}
+
+// Stub lyrics: romanized so the recipient's name fits in, AABB rhymes and
+// 8-14 syllable lines so the output passes the singability checks.
+// Lines with alternatives are picked by a hash of the request.
+const STUB_TEMPLATE = [
+  '[Verse 1]',
+  ['{name} teri hansi se roshan jahaan', '{name} tere naam se roshan jahaan'],
+  'tere saath har pal lagta hai aasmaan',
+  '{occasion} ka ye din hai kitna khaas',
+  'bas tu rahe hamesha mere paas',
+  '',
+  '[Chorus]',
+  ['tu hi meri dhadkan, tu hi meri jaan', 'tu hi mera sapna, tu hi meri jaan'],
+  'tujhse hi roshan hai mera armaan',
+  'teri aankhon mein dikhe mera kal',
+  'tere sang beete har ek pal',
+  '',
+  '[Verse 2]',
+  ['yaad hai woh pehli mulaqaat ki baat', 'yaad hai mujhe woh pehli mulaqaat'],
+  'jagmag jagmag thi woh saari raat',
+  '{nickname}, tu hai khushiyon ka sawera',
+  'tere bina soona ye basera'
+];
+
+function hashText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  return hash;
+}
+
+/**
+ * Deterministic lyrics for a request: same request and temperature give
+ * the same lyrics, different temperatures pick different alternatives
+ */
+function stubLyrics(userMessage, temperature) {
+  const field = (name) => userMessage.match(new RegExp(`^${name}: (.+)$`, 'm'))?.[1].trim();
+  const name = field('Recipient') || 'Jaan';
+  const nickname = field('Nicknames')?.split(',')[0].trim() || name;
+  const occasion = (field('Occasion') || 'Aaj').toLowerCase();
+  const seed = hashText(`${userMessage}|${temperature ?? ''}`);
+
+  const verses = STUB_TEMPLATE.map((line, i) => (Array.isArray(line) ? line[(seed >> i) & 1] : line));
+  const chorus = verses.slice(6, 11);
+  return [...verses, '', ...chorus]
+    .join('\n')
+    .replace(/\{name\}/g, name)
+    .replace(/\{nickname\}/g, nickname)
+    .replace(/\{occasion\}/g, occasion);
+}
+
+/**
+ * Stub responses per purpose: lyrics for generation, the draft (or the
+ * marked lines) back unchanged for repair and rewrite, and an all-pass
+ * grade for the rubric
+ */
+function stubResponse({ purpose, system, messages, temperature }) {
+  const userMessage = messages.map(m => m.content).join('\n');
+
+  if (purpose === 'repair') {
+    return userMessage.match(/\nLyrics:\n([\s\S]*?)\n\nReturn the complete/)?.[1] || userMessage;
+  }
+  if (purpose === 'rewrite') {
+    return userMessage.match(/\n>>>\n([\s\S]*?)\n<<</)?.[1] || '';
+  }
+  if (purpose === 'rubric') {
+    const ids = Array.from(String(system).matchAll(/^(\d+)\. /gm), m => Number(m[1]));
+    return JSON.stringify({ results: ids.map(id => ({ id, pass: true, note: 'Stub grader' })) });
+  }
+  return stubLyrics(userMessage, temperature);
+}
+
+function stubProvider() {
+  return {
+    name: 'stub',
+    offline: true,
+    isConfigured: () => true,
+
+    async complete({ purpose, system, messages, model, temperature, maxTokens, onText, signal }) {
+      const text = stubResponse({ purpose, system, messages, temperature }).slice(0, maxTokens * 4);
+
+      // Stream in small chunks, yielding between them so a cancel can land
+      if (onText) {
+        for (const chunk of text.match(/[\s\S]{1,12}/g) || []) {
+          if (signal?.aborted) throw new Error('Request was aborted.');
+          onText(chunk);
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+      if (signal?.aborted) throw new Error('Request was aborted.');
+
+      return {
+        text,
+        model: 'stub',
+        inputTokens: estimateTokens(String(system) + messages.map(m => m.content).join('')),
+        outputTokens: estimateTokens(text)
+      };
+    }
+  };
+}
+
+const instances = {};
+
+/**
+ * Provider by name. Throws (status 500) when it is unknown or, for the
+ * API provider, has no key configured.
+ */
+export function getProvider(name) {
+  if (!PROVIDERS.includes(name)) {
+    throw Object.assign(new Error(`Unknown LLM provider: ${name}`), { status: 500 });
+  }
+  instances[name] = instances[name] || (name === 'stub' ? stubProvider() : anthropicProvider());
+  if (!instances[name].isConfigured()) {
+    throw Object.assign(new Error('API key not configured'), { status: 500 });
+  }
+  return instances[name];
+}
+
+/**
+ * Settings used when no profile or override says otherwise.
+ * LLM_PROVIDER=stub runs everything offline.
+ */
+export function defaultGenerationSettings() {
+  return {
+    provider: process.env.LLM_PROVIDER || 'anthropic',
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    temperature: null,
+    maxTokens: DEFAULT_MAX_TOKENS
+  };
+}
+
+/**
+ * Validate and normalize generation settings (a profile or per-request
+ * overrides). Only fields present in the input are returned.
+ * Returns { settings, errors } where errors maps field name to message.
+ */
+export function validateGenerationSettings(input = {}) {
+  const settings = {};
+  const errors = {};
+
+  if (input.provider !== undefined && input.provider !== null && input.provider !== '') {
+    if (PROVIDERS.includes(input.provider)) {
+      settings.provider = input.provider;
+    } else {
+      errors.provider = `Provider must be one of: ${PROVIDERS.join(', ')}`;
+    }
+  }
+
+  if (input.model !== undefined && input.model !== null && input.model !== '') {
+    const model = String(input.model).trim();
+    if (model.length > 100) {
+      errors.model = 'Model must be at most 100 characters';
+    } else {
+      settings.model = model;
+    }
+  }
+
+  if (input.temperature !== undefined && input.temperature !== null && input.temperature !== '') {
+    const temperature = Number(input.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 1) {
+      errors.temperature = 'Temperature must be between 0 and 1';
+    } else {
+      settings.temperature = temperature;
+    }
+  }
+
+  if (input.maxTokens !== undefined && input.maxTokens !== null && input.maxTokens !== '') {
+    const maxTokens = Number(input.maxTokens);
+    const [min, max] = MAX_TOKENS_RANGE;
+    if (!Number.isInteger(maxTokens) || maxTokens < min || maxTokens > max) {
+      errors.maxTokens = `Max tokens must be a whole number from ${min} to ${max}`;
+    } else {
+      settings.maxTokens = maxTokens;
+    }
+  }
+
+  return { settings, errors };
+}
@@ -0,0 +1,252 @@
+// Singability analysis - syllables, matras, meter and end-rhyme scheme per
+// section. Drives the per-line gutter, the rhyme-scheme constraint on
+// generation and the automatic repair pass.
+
+import { countSyllables, countMatras, isSectionHeader, sectionName } from './syllables.js';
+import { SYLLABLE_RANGE } from './scoring.js';
+
+export const RHYME_SCHEMES = ['AABB', 'ABAB', 'ABCB', 'AAAA'];
+
+// A line whose matras stray from its section's median by more than this
+// share (and at least METER_MIN_TOLERANCE matras) breaks the meter
+const METER_TOLERANCE = 0.15;
+const METER_MIN_TOLERANCE = 3;
+
+// Share of lines that must be inside SYLLABLE_RANGE (as checklist item 23)
+const SYLLABLE_PASS_SHARE = 0.8;
+
+// Words that end lines without carrying the rhyme (radif / filler)
+const FILLER_WORDS = [
+  'है', 'हैं', 'हो', 'हूँ', 'हूं', 'था', 'थी', 'थे', 'ना', 'न', 'रे', 'ओ', 'जी', 'सा', 'सी', 'यार',
+  'hai', 'hain', 'ho', 'hoon', 'hun', 'tha', 'thi', 'the', 'na', 're', 'o', 'ji', 'sa', 'si', 'yaar', 'yar'
+];
+
+const DEVANAGARI_VOWEL_SIGN = /[ा-ौॢॣंँ]/;
+const DEVANAGARI_CONSONANT = /[क-ह]/; // nukta forms are decomposed before use
+
+/**
+ * Rhyme key of a word: its last vowel and what follows, plus the consonant
+ * before it when the word ends in a vowel (जान/शान → "ान", तेरा/मेरा → "रा")
+ */
+export function rhymeKey(word) {
+  if (!word) return '';
+
+  if (/[ऀ-ॿ]/.test(word)) {
+    const chars = Array.from(word.normalize('NFD').replace(/[़्]/g, '').replace(/ँ/g, 'ं'));
+    const lastVowel = chars.findLastIndex(c => DEVANAGARI_VOWEL_SIGN.test(c) && c !== 'ं');
+    if (lastVowel === -1) {
+      // Only inherent vowels (मन, बदन, संग): rhyme on the final consonant
+      return 'अ' + (chars[chars.length - 2] === 'ं' ? 'ं' : '') + chars[chars.length - 1];
+    }
+    const endsInVowel = chars.slice(lastVowel + 1).every(c => c === 'ं');
+    const start = endsInVowel && DEVANAGARI_CONSONANT.test(chars[lastVowel - 1] || '') ? lastVowel - 1 : lastVowel;
+    return chars.slice(start).join('');
+  }
+
+  const lower = word.toLowerCase()
+    .replace(/aa/g, 'a')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/([^aeiou])\1/g, '$1');
+  const match = lower.match(/([^aeiou]?)([aeiou]+)([^aeiou]*)$/);
+  if (!match) return lower;
+  const [, before, vowel, after] = match;
+  return after ? vowel + after : before + vowel;
+}
+
+/**
+ * The word a line rhymes on: its last word, skipping trailing fillers.
+ * Returns { word, filler } where filler is the skipped trailing word, if any.
+ */
+function rhymeWord(line) {
+  const words = String(line).match(/[\p{L}\p{M}]+/gu) || [];
+  let end = words.length - 1;
+  while (end > 0 && FILLER_WORDS.includes(words[end].toLowerCase())) end--;
+  return {
+    word: words[end] || '',
+    filler: end < words.length - 1 ? words.slice(end + 1).join(' ') : null
+  };
+}
+
+/**
+ * Split lyrics into sections of lyric lines, using headers where present
+ */
+function splitSections(lyrics) {
+  const sections = [];
+  let current = null;
+
+  String(lyrics || '').split('\n').forEach((text, i) => {
+    if (isSectionHeader(text)) {
+      current = { name: sectionName(text), header: text.trim(), startLine: i + 1, lines: [] };
+      sections.push(current);
+      return;
+    }
+    if (!text.trim()) return;
+    if (!current) {
+      current = { name: null, header: null, startLine: i + 1, lines: [] };
+      sections.push(current);
+    }
+    current.lines.push({ line: i + 1, text: text.trim() });
+  });
+
+  return sections.filter(section => section.lines.length > 0);
+}
+
+/**
+ * Letters (A, B, C...) for each line by matching rhyme keys
+ */
+function schemeLetters(keys) {
+  const letters = [];
+  const seen = new Map();
+  keys.forEach(key => {
+    if (!seen.has(key)) seen.set(key, String.fromCharCode(65 + seen.size));
+    letters.push(seen.get(key));
+  });
+  return letters;
+}
+
+const median = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+/**
+ * Lines that break a requested scheme (AABB...), applied to each group of
+ * scheme-length lines. Lines the scheme pairs must share a rhyme key.
+ */
+function schemeViolations(lines, scheme) {
+  const violations = new Set();
+  for (let start = 0; start < lines.length; start += scheme.length) {
+    const group = lines.slice(start, start + scheme.length);
+    group.forEach((a, i) => {
+      group.forEach((b, j) => {
+        if (j <= i || scheme[i] !== scheme[j]) return;
+        if (a.rhymeKey !== b.rhymeKey) {
+          violations.add(a.line);
+          violations.add(b.line);
+        }
+      });
+    });
+  }
+  return violations;
+}
+
+/**
+ * Analyze lyrics for singability. Returns per-line counts, rhyme letters
+ * and issues, per-section schemes, and whether each check passed.
+ *
+ * options.rhymeScheme (e.g. 'AABB') is checked in every section when given.
+ */
+export function analyzeLyrics(lyrics, { rhymeScheme = null } = {}) {
+  const [minSyllables, maxSyllables] = SYLLABLE_RANGE;
+  const scheme = RHYME_SCHEMES.includes(rhymeScheme) ? rhymeScheme : null;
+  const lines = [];
+  const sections = [];
+
+  for (const section of splitSections(lyrics)) {
+    const analyzed = section.lines.map(({ line, text }) => {
+      const { word, filler } = rhymeWord(text);
+      return {
+        line,
+        text,
+        section: section.name,
+        syllables: countSyllables(text),
+        matras: countMatras(text),
+        rhymeWord: word,
+        rhymeKey: rhymeKey(word),
+        filler,
+        issues: []
+      };
+    });
+
+    const letters = schemeLetters(analyzed.map(l => l.rhymeKey));
+    analyzed.forEach((l, i) => { l.rhymeLetter = letters[i]; });
+    const medianMatras = median(analyzed.map(l => l.matras));
+    const tolerance = Math.max(METER_MIN_TOLERANCE, Math.round(medianMatras * METER_TOLERANCE));
+
+    for (const l of analyzed) {
+      if (l.syllables < minSyllables || l.syllables > maxSyllables) {
+        l.issues.push({
+          rule: 'syllables',
+          message: `${l.syllables} syllables (target ${minSyllables}-${maxSyllables})`
+        });
+      }
+      if (analyzed.length > 2 && Math.abs(l.matras - medianMatras) > tolerance) {
+        l.issues.push({
+          rule: 'meter',
+          message: `${l.matras} matras, section runs at about ${medianMatras}`
+        });
+      }
+
+      const partners = analyzed.filter(o => o !== l && o.rhymeKey === l.rhymeKey);
+      if (partners.some(o => o.rhymeWord === l.rhymeWord && o.text !== l.text)) {
+        l.issues.push({ rule: 'filler-rhyme', message: `Rhymes "${l.rhymeWord}" with itself` });
+      } else if (l.filler && partners.length === 0 && analyzed.some(o => o !== l && o.filler === l.filler)) {
+        l.issues.push({ rule: 'filler-rhyme', message: `Rhymes only on the filler "${l.filler}"` });
+      }
+    }
+
+    const violations = scheme ? schemeViolations(analyzed, scheme) : new Set();
+    for (const l of analyzed) {
+      if (violations.has(l.line)) {
+        l.issues.push({ rule: 'rhyme-scheme', message: `Breaks the requested ${scheme} rhyme scheme` });
+      }
+    }
+
+    sections.push({
+      name: section.name,
+      startLine: section.startLine,
+      lineCount: analyzed.length,
+      scheme: letters.join(''),
+      medianMatras,
+      matchesRequested: scheme ? violations.size === 0 : null
+    });
+    lines.push(...analyzed);
+  }
+
+  const inRange = lines.filter(l => !l.issues.some(i => i.rule === 'syllables')).length;
+  const checks = {
+    syllables: lines.length > 0 && inRange / lines.length >= SYLLABLE_PASS_SHARE,
+    meter: !lines.some(l => l.issues.some(i => i.rule === 'meter')),
+    rhyme: !lines.some(l => l.issues.some(i => i.rule === 'rhyme-scheme' || i.rule === 'filler-rhyme'))
+  };
+
+  return {
+    rhymeScheme: scheme,
+    lines,
+    sections,
+    checks,
+    // Checks that trigger the automatic repair pass; meter is advisory
+    needsRepair: !checks.syllables || (scheme !== null && !checks.rhyme)
+  };
+}
+
+/**
+ * User message for the repair pass: the draft plus the lines to fix
+ */
+export function buildRepairMessage(lyrics, analysis) {
+  const problems = analysis.lines
+    .filter(l => l.issues.length > 0)
+    .map(l => `- Line ${l.line} "${l.text}": ${l.issues.map(i => i.message).join('; ')}`)
+    .join('\n');
+
+  const schemeRule = analysis.rhymeScheme
+    ? `Every section must follow the ${analysis.rhymeScheme} rhyme scheme, with real rhymes (not filler words or the same word repeated).`
+    : 'Keep the existing rhymes meaningful (not filler words or the same word repeated).';
+
+  return `These lyrics failed the singability check. Fix ONLY the listed lines and keep everything else, including section headers, exactly as it is.
+
+Rules:
+- ${schemeRule}
+- Every line should be ${SYLLABLE_RANGE[0]}-${SYLLABLE_RANGE[1]} syllables.
+- Keep the meaning, names and details of each line.
+
+Problems:
+${problems}
+
+Lyrics:
+${lyrics}
+
+Return the complete corrected lyrics only.`;
+}
@@ -0,0 +1,284 @@
+// Performance metrics - per-lyric generation time and tokens, per-order
+// revisions and time to approval, the daily rollup into
+// performance_metrics and approval-rate breakdowns for the Dashboard.
+//
+// Approval rate counts explicit verdicts only: approved / (approved +
+// needs_work). Candidates passed over ('not_picked', 'merged') and pending
+// lyrics are left out.
+
+// Dimensions approval can be broken down by: label and the SQL value over
+// generated_lyrics gl, orders o and style_profiles sp
+export const ANALYTICS_DIMENSIONS = {
+  occasion: { label: 'Occasion', sql: 'o.occasion' },
+  mood: { label: 'Mood', sql: 'o.mood' },
+  language: { label: 'Language', sql: 'o.language' },
+  artist: { label: 'Artist', sql: 'o.artist' },
+  style_guide: { label: 'Style guide version', sql: `COALESCE('v' || gl.style_guide_id, 'Built-in')` },
+  style_profile: { label: 'Style profile', sql: 'sp.name' },
+  model: { label: 'Model', sql: 'gl.model' }
+};
+
+// CSV columns ({ key: header }) of each analytics report
+export const CSV_COLUMNS = {
+  daily: {
+    date: 'Date', total_generated: 'Generated', approved_count: 'Approved', needs_work_count: 'Needs work',
+    pending_count: 'Pending', approval_rate: 'Approval rate (%)', avg_generation_time: 'Avg generation time (s)',
+    input_tokens: 'Input tokens', output_tokens: 'Output tokens', orders_approved: 'Orders approved',
+    avg_revisions_to_approve: 'Avg revisions to approve', avg_time_to_approve: 'Avg time to approve (s)'
+  },
+  approval: {
+    value: 'Value', lyrics: 'Lyrics', approved: 'Approved', needs_work: 'Needs work', pending: 'Pending',
+    approval_rate: 'Approval rate', avg_generation_ms: 'Avg generation time (ms)', avg_tokens: 'Avg tokens'
+  },
+  orders: {
+    order_number: 'Order', occasion: 'Occasion', mood: 'Mood', language: 'Language', artist: 'Artist',
+    revisions: 'Revisions', first_generated_at: 'First generated', approved_at: 'Approved',
+    approved_revision: 'Approved revision', time_to_approve: 'Time to approve (s)',
+    generation_time_ms: 'Generation time (ms)', input_tokens: 'Input tokens', output_tokens: 'Output tokens'
+  }
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 3 * 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Date range of an analytics request (?from=, ?to= as YYYY-MM-DD, both
+ * inclusive); the last 30 days by default.
+ * Returns { range: { from, to }, errors }.
+ */
+export function parseDateRange(query = {}, today = new Date()) {
+  const errors = {};
+  const isDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)) && isoDate(new Date(value)) === value;
+  const to = query.to ? String(query.to) : isoDate(today);
+  const from = query.from
+    ? String(query.from)
+    : isoDate(new Date((isDate(to) ? Date.parse(to) : today.getTime()) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+
+  for (const [field, value] of Object.entries({ from, to })) {
+    if (!isDate(value)) errors[field] = 'Date must be YYYY-MM-DD';
+  }
+  if (Object.keys(errors).length === 0) {
+    const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+    if (days < 1) errors.to = 'End date must be on or after the start date';
+    else if (days > MAX_RANGE_DAYS) errors.from = `A range can cover at most ${MAX_RANGE_DAYS} days`;
+  }
+  return { range: { from, to }, errors };
+}
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(...)"), unless
+// it is just a signed number
+const FORMULA_START = /^[=+\-@\t\r]/;
+const SIGNED_NUMBER = /^[+-]?\d+(?:\.\d+)?$/;
+
+/**
+ * CSV text (RFC 4180) of rows, one column per key of `columns`
+ * ({ key: header }); dates as ISO strings. Text that starts like a
+ * formula gets a leading ' so Excel and Sheets show it as text.
+ */
+export function toCsv(rows, columns) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_START.test(text) && !SIGNED_NUMBER.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    Object.values(columns).map(cell).join(','),
+    ...rows.map(row => Object.keys(columns).map(key => cell(row[key])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+// One row per order: revisions so far, when it was first generated and
+// first approved, the revision that got approved, and what generating it
+// cost. Approval time falls back to the last update for lyrics approved
+// before reviewed_at was recorded.
+const ORDER_METRICS_SQL = `
+  SELECT gl.order_number,
+         COUNT(*)::int AS revisions,
+         MIN(gl.created_at) AS first_generated_at,
+         MIN(COALESCE(gl.reviewed_at, gl.updated_at)) FILTER (WHERE gl.status = 'approved') AS approved_at,
+         MIN(gl.revision) FILTER (WHERE gl.status = 'approved') AS approved_revision,
+         SUM(gl.generation_time_ms)::bigint AS generation_time_ms,
+         SUM(gl.input_tokens)::bigint AS input_tokens,
+         SUM(gl.output_tokens)::bigint AS output_tokens
+  FROM generated_lyrics gl
+  GROUP BY gl.order_number`;
+
+// The performance_metrics values of every day between two SQL date
+// expressions (inclusive): lyrics generated that day with their current
+// review status, average generation time (seconds) and tokens, and for
+// orders first approved that day the revisions and time it took. Days
+// without activity get a row of zeros, so charts have no gaps.
+const dailyRollupSql = (from, to) => `
+  WITH lyrics AS (
+    SELECT DATE(gl.created_at) AS day,
+           COUNT(*) FILTER (WHERE gl.revision_source = 'generated')::int AS generated,
+           COUNT(*) FILTER (WHERE gl.status = 'approved')::int AS approved,
+           COUNT(*) FILTER (WHERE gl.status = 'needs_work')::int AS needs_work,
+           COUNT(*) FILTER (WHERE gl.status = 'pending')::int AS pending,
+           AVG(gl.generation_time_ms) AS generation_time_ms,
+           COALESCE(SUM(gl.input_tokens), 0)::bigint AS input_tokens,
+           COALESCE(SUM(gl.output_tokens), 0)::bigint AS output_tokens
+    FROM generated_lyrics gl
+    WHERE gl.created_at >= ${from} AND gl.created_at < ${to} + 1
+    GROUP BY DATE(gl.created_at)
+  ),
+  approvals AS (
+    SELECT DATE(om.approved_at) AS day,
+           COUNT(*)::int AS orders_approved,
+           AVG(om.approved_revision) AS revisions,
+           AVG(EXTRACT(EPOCH FROM om.approved_at - om.first_generated_at)) AS seconds
+    FROM (${ORDER_METRICS_SQL}) om
+    WHERE om.approved_at >= ${from} AND om.approved_at < ${to} + 1
+    GROUP BY DATE(om.approved_at)
+  )
+  SELECT d.day::date AS date,
+         COALESCE(l.generated, 0) AS total_generated,
+         COALESCE(l.approved, 0) AS approved_count,
+         COALESCE(l.needs_work, 0) AS needs_work_count,
+         COALESCE(l.pending, 0) AS pending_count,
+         ROUND(100.0 * l.approved / NULLIF(l.approved + l.needs_work, 0), 2)::decimal(5,2) AS approval_rate,
+         ROUND(l.generation_time_ms / 1000)::int AS avg_generation_time,
+         COALESCE(l.input_tokens, 0) AS input_tokens,
+         COALESCE(l.output_tokens, 0) AS output_tokens,
+         COALESCE(a.orders_approved, 0) AS orders_approved,
+         ROUND(a.revisions, 2)::decimal(6,2) AS avg_revisions_to_approve,
+         ROUND(a.seconds)::int AS avg_time_to_approve
+  FROM generate_series(${from}, ${to}, INTERVAL '1 day') AS d(day)
+  LEFT JOIN lyrics l ON l.day = d.day::date
+  LEFT JOIN approvals a ON a.day = d.day::date`;
+
+const DAILY_COLUMNS = [
+  'date', 'total_generated', 'approved_count', 'needs_work_count', 'pending_count', 'approval_rate',
+  'avg_generation_time', 'input_tokens', 'output_tokens', 'orders_approved', 'avg_revisions_to_approve',
+  'avg_time_to_approve'
+];
+
+/**
+ * Recompute performance_metrics for every day from..to (YYYY-MM-DD,
+ * inclusive).
+ * Returns the number of days written.
+ */
+export async function rollupPerformanceMetrics(db, { from, to }) {
+  const updates = DAILY_COLUMNS.filter(column => column !== 'date').map(column => `${column} = EXCLUDED.${column}`);
+  const result = await db.query(
+    `INSERT INTO performance_metrics (${DAILY_COLUMNS.join(', ')}, updated_at)
+     SELECT r.*, NOW() FROM (${dailyRollupSql('$1::date', '$2::date')}) r
+     ON CONFLICT (date) DO UPDATE SET ${updates.join(', ')}, updated_at = NOW()`,
+    [from, to]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Daily rows of performance_metrics in a range, oldest first. Today is
+ * computed live (nothing is written), so reviews since the last rollup
+ * count; earlier days come from the rollup as stored.
+ */
+export async function dailyMetrics(db, { from, to }) {
+  const result = await db.query(
+    `SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, total_generated, approved_count, needs_work_count, pending_count,
+            approval_rate::float AS approval_rate, avg_generation_time, input_tokens::bigint::float AS input_tokens,
+            output_tokens::bigint::float AS output_tokens, orders_approved,
+            avg_revisions_to_approve::float AS avg_revisions_to_approve, avg_time_to_approve
+     FROM (
+       SELECT ${DAILY_COLUMNS.join(', ')}
+       FROM performance_metrics
+       WHERE date BETWEEN $1::date AND $2::date AND date <> CURRENT_DATE
+       UNION ALL
+       SELECT * FROM (${dailyRollupSql('GREATEST($1::date, CURRENT_DATE)', 'LEAST($2::date, CURRENT_DATE)')}) today
+     ) daily
+     ORDER BY date`,
+    [from, to]
+  );
+  return result.rows;
+}
+
+/**
+ * Approval of the lyrics generated in a range, grouped by one of
+ * ANALYTICS_DIMENSIONS: lyrics, verdicts, approval rate (0-1), average
+ * generation time and tokens per value (null value = not set)
+ */
+export async function approvalBreakdown(db, dimension, { from, to }) {
+  const value = ANALYTICS_DIMENSIONS[dimension].sql;
+  const result = await db.query(
+    `SELECT ${value} AS value,
+            COUNT(*)::int AS lyrics,
+            COUNT(*) FILTER (WHERE gl.status = 'approved')::int AS approved,
+            COUNT(*) FILTER (WHERE gl.status = 'needs_work')::int AS needs_work,
+            COUNT(*) FILTER (WHERE gl.status = 'pending')::int AS pending,
+            (COUNT(*) FILTER (WHERE gl.status = 'approved')::float
+              / NULLIF(COUNT(*) FILTER (WHERE gl.status IN ('approved', 'needs_work')), 0)) AS approval_rate,
+            ROUND(AVG(gl.generation_time_ms))::int AS avg_generation_ms,
+            ROUND(AVG(COALESCE(gl.input_tokens, 0) + COALESCE(gl.output_tokens, 0)) FILTER (WHERE gl.input_tokens IS NOT NULL))::int AS avg_tokens
+     FROM generated_lyrics gl
+     LEFT JOIN orders o ON o.id = gl.order_id
+     LEFT JOIN style_profiles sp ON sp.id = gl.style_profile_id
+     WHERE gl.created_at >= $1::date AND gl.created_at < $2::date + 1
+     GROUP BY 1
+     ORDER BY lyrics DESC, value`,
+    [from, to]
+  );
+  return result.rows;
+}
+
+/**
+ * Orders first generated in a range with their revisions, time to
+ * approval (seconds, null while not approved) and generation cost,
+ * newest first
+ */
+export async function orderMetrics(db, { from, to }) {
+  const result = await db.query(
+    `SELECT om.order_number, o.occasion, o.mood, o.language, o.artist, om.revisions, om.first_generated_at,
+            om.approved_at, om.approved_revision,
+            ROUND(EXTRACT(EPOCH FROM om.approved_at - om.first_generated_at))::int AS time_to_approve,
+            om.generation_time_ms::float AS generation_time_ms, om.input_tokens::float AS input_tokens,
+            om.output_tokens::float AS output_tokens
+     FROM (${ORDER_METRICS_SQL}) om
+     LEFT JOIN orders o ON o.order_no = om.order_number
+     WHERE om.first_generated_at >= $1::date AND om.first_generated_at < $2::date + 1
+     ORDER BY om.first_generated_at DESC`,
+    [from, to]
+  );
+  return result.rows;
+}
+
+/**
+ * Totals over a range: lyrics and verdicts, approval rate, average
+ * generation time and tokens, and per order the average revisions and
+ * time to approval
+ */
+export async function metricsSummary(db, { from, to }) {
+  const [lyrics, orders] = await Promise.all([
+    db.query(
+      `SELECT COUNT(*)::int AS lyrics,
+              COUNT(*) FILTER (WHERE gl.revision_source = 'generated')::int AS generated,
+              COUNT(*) FILTER (WHERE gl.status = 'approved')::int AS approved,
+              COUNT(*) FILTER (WHERE gl.status = 'needs_work')::int AS needs_work,
+              COUNT(*) FILTER (WHERE gl.status = 'pending')::int AS pending,
+              (COUNT(*) FILTER (WHERE gl.status = 'approved')::float
+                / NULLIF(COUNT(*) FILTER (WHERE gl.status IN ('approved', 'needs_work')), 0)) AS approval_rate,
+              ROUND(AVG(gl.generation_time_ms))::int AS avg_generation_ms,
+              COALESCE(SUM(gl.input_tokens), 0)::float AS input_tokens,
+              COALESCE(SUM(gl.output_tokens), 0)::float AS output_tokens
+       FROM generated_lyrics gl
+       WHERE gl.created_at >= $1::date AND gl.created_at < $2::date + 1`,
+      [from, to]
+    ),
+    db.query(
+      `SELECT COUNT(*)::int AS orders,
+              COUNT(om.approved_at)::int AS orders_approved,
+              AVG(om.revisions)::float AS avg_revisions,
+              AVG(om.approved_revision)::float AS avg_revisions_to_approve,
+              ROUND(AVG(EXTRACT(EPOCH FROM om.approved_at - om.first_generated_at)))::int AS avg_time_to_approve
+       FROM (${ORDER_METRICS_SQL}) om
+       WHERE om.first_generated_at >= $1::date AND om.first_generated_at < $2::date + 1`,
+      [from, to]
+    )
+  ]);
+  return { ...lyrics.rows[0], ...orders.rows[0] };
+}
@@ -0,0 +1,213 @@
+// Versioned schema migrations - numbered SQL files in migrations/, each
+// with an up and a down part, applied in order inside a transaction and
+// recorded in schema_migrations. The server refuses to start while any
+// are pending.
+
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+
+export const MIGRATIONS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+// 0002_add_share_links.sql
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+// Advisory lock held while migrating, so two deploys can't migrate at once
+const LOCK_KEY = 7242001;
+
+const MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    checksum VARCHAR(64) NOT NULL, -- sha256 of the file when applied
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`;
+
+/**
+ * Split a migration file into its parts: SQL after "-- migrate:up" and
+ * after "-- migrate:down" (empty when it can't be reverted).
+ * Returns { version, name, filename, up, down, checksum }; throws when the
+ * name or the up part is missing.
+ */
+export function parseMigration(filename, text) {
+  const match = FILE_PATTERN.exec(filename);
+  if (!match) {
+    throw new Error(`${filename}: migration files are named like 0002_add_share_links.sql`);
+  }
+  const up = UP_MARKER.exec(text);
+  if (!up) {
+    throw new Error(`${filename}: no "-- migrate:up" line`);
+  }
+  const down = DOWN_MARKER.exec(text);
+  if (down && down.index < up.index) {
+    throw new Error(`${filename}: "-- migrate:down" must come after "-- migrate:up"`);
+  }
+  return {
+    version: Number(match[1]),
+    name: match[2],
+    filename,
+    up: text.slice(up.index + up[0].length, down ? down.index : text.length).trim(),
+    down: down ? text.slice(down.index + down[0].length).trim() : '',
+    checksum: createHash('sha256').update(text).digest('hex')
+  };
+}
+
+/**
+ * All migrations in a directory, oldest first
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.sql'))
+    .map(file => parseMigration(file, fs.readFileSync(join(dir, file), 'utf8')))
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations are numbered ${migrations[i].version}: ${migrations[i - 1].filename}, ${migrations[i].filename}`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * Where a database stands: applied migrations (with changed = the file
+ * was edited since, missing = no file for it), pending ones, and the
+ * current and latest version. Reads only; a database never migrated has
+ * none applied.
+ */
+export async function migrationStatus(db, migrations = loadMigrations()) {
+  const exists = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  const rows = exists.rows[0].exists
+    ? (await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version')).rows
+    : [];
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const applied = rows.map(row => ({
+    ...row,
+    missing: !byVersion.has(row.version),
+    changed: byVersion.has(row.version) && byVersion.get(row.version).checksum !== row.checksum
+  }));
+  const done = new Set(rows.map(row => row.version));
+  return {
+    applied,
+    pending: migrations.filter(m => !done.has(m.version)),
+    current: rows.length > 0 ? rows[rows.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0
+  };
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Apply pending migrations up to version `to` (all by default), each in
+ * its own transaction. A failing migration is rolled back and stops the
+ * run. Returns the migrations applied.
+ */
+export async function migrateUp(pool, { to = Infinity, migrations = loadMigrations(), log = console } = {}) {
+  return withLock(pool, async (client) => {
+    await client.query(MIGRATIONS_TABLE);
+    const { pending } = await migrationStatus(client, migrations);
+    const applied = [];
+    for (const migration of pending.filter(m => m.version <= to)) {
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(migration.up);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+        });
+      } catch (error) {
+        throw Object.assign(new Error(`Migration ${migration.filename} failed: ${error.message}`), { cause: error });
+      }
+      log.log(`⬆️  ${migration.filename}`);
+      applied.push(migration);
+    }
+    return applied;
+  });
+}
+
+/**
+ * Revert the last `steps` applied migrations, or all after version `to`,
+ * newest first. Returns the migrations reverted; throws before touching
+ * anything when one of them has no file or no down part.
+ */
+export async function migrateDown(pool, { steps = 1, to = null, migrations = loadMigrations(), log = console } = {}) {
+  return withLock(pool, async (client) => {
+    const { applied } = await migrationStatus(client, migrations);
+    const newestFirst = [...applied].reverse();
+    const targets = to !== null ? newestFirst.filter(row => row.version > to) : newestFirst.slice(0, steps);
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      if (!migration) throw new Error(`No file for applied migration ${row.version} (${row.name})`);
+      if (!migration.down) throw new Error(`${migration.filename} can't be reverted (no "-- migrate:down" part)`);
+    }
+
+    const reverted = [];
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(migration.down);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+      } catch (error) {
+        throw Object.assign(new Error(`Reverting ${migration.filename} failed: ${error.message}`), { cause: error });
+      }
+      log.log(`⬇️  ${migration.filename}`);
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+/**
+ * Startup check: throws (status 503) when migrations are pending, listing
+ * them. Returns the status otherwise, so the caller can warn about
+ * migrations edited after they were applied.
+ */
+export async function assertSchemaCurrent(db, migrations = loadMigrations()) {
+  const status = await migrationStatus(db, migrations);
+  if (status.pending.length > 0) {
+    const names = status.pending.map(m => m.filename).join(', ');
+    throw Object.assign(
+      new Error(`Database schema is behind (version ${status.current}, code expects ${status.latest}). Pending: ${names}. Run \`npm run migrate\`.`),
+      { status: 503 }
+    );
+  }
+  return status;
+}
+
+/**
+ * Path and contents of a new, empty migration after the latest one
+ */
+export function newMigrationFile(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) throw new Error('A migration needs a name');
+  const migrations = loadMigrations(dir);
+  const version = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+  const filename = `${String(version).padStart(4, '0')}_${slug}.sql`;
+  return { path: join(dir, filename), content: `-- ${name}\n\n-- migrate:up\n\n\n-- migrate:down\n\n` };
+}
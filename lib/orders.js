@@ -0,0 +1,163 @@
+// Structured order intake - field choices and validation.
+// Choices follow the shape of extracted_examples.json.
+
+import { RHYME_SCHEMES } from './meter.js';
+import { normalizeStory } from './transliterate.js';
+
+export const ORDER_OPTIONS = {
+  mood: ['Romantic', 'Happy', 'Celebration', 'Emotional', 'Sad', 'Devotional', 'Upbeat'],
+  occasion: ['Birthday', 'Anniversary', 'Proposal', 'Wedding', 'Engagement', 'Apology', 'Friendship', 'Other'],
+  length: ['1-2 Min', '2-3 Min', '3-4 Min'],
+  artist: ['Female', 'Male'],
+  language: ['Hindi', 'Hindi-English', 'English', 'Tamil', 'Telugu', 'Malayalam'],
+  rhyme_scheme: RHYME_SCHEMES
+};
+
+// Spellings seen in real order exports, mapped to the canonical choice
+const ALIASES = {
+  occasion: {
+    anniversar: 'Anniversary',
+    'wedding reception': 'Wedding',
+    'wedding day': 'Wedding',
+    'engagement day': 'Engagement'
+  },
+  length: {
+    '1-2': '1-2 Min',
+    '1-2min': '1-2 Min',
+    '2-3': '2-3 Min',
+    '2-3min': '2-3 Min',
+    '3-4': '3-4 Min',
+    '3-4min': '3-4 Min'
+  },
+  language: {
+    hinglish: 'Hindi-English',
+    'hindi english': 'Hindi-English',
+    'hindi english mix': 'Hindi-English',
+    'hindi - english': 'Hindi-English',
+    'hindi -english': 'Hindi-English',
+    'hindi- english': 'Hindi-English'
+  }
+};
+
+const ORDER_NO_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{2,49}$/;
+const STORY_MIN_LENGTH = 20;
+const STORY_MAX_LENGTH = 5000;
+
+/**
+ * Map a raw value onto one of the allowed choices for a field (case-insensitive)
+ */
+export function normalizeChoice(field, value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const key = value.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  const exact = ORDER_OPTIONS[field].find(choice => choice.toLowerCase() === key);
+  if (exact) return exact;
+
+  return ALIASES[field]?.[key] || null;
+}
+
+/**
+ * Split nicknames given as an array or a comma-separated string
+ */
+function normalizeNicknames(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(n => String(n).trim()).filter(Boolean);
+}
+
+/**
+ * Validate and normalize an order payload.
+ * Returns { order, errors } where errors maps field name to message.
+ */
+export function validateOrder(input = {}) {
+  const errors = {};
+  const order = {};
+
+  const orderNo = String(input.order_no || '').trim();
+  if (!orderNo) {
+    errors.order_no = 'Order number is required';
+  } else if (!ORDER_NO_PATTERN.test(orderNo)) {
+    errors.order_no = 'Order number must be 3-50 letters, digits or dashes';
+  }
+  order.order_no = orderNo;
+
+  for (const field of ['mood', 'occasion', 'language']) {
+    order[field] = normalizeChoice(field, input[field]);
+    if (!order[field]) {
+      errors[field] = `${field[0].toUpperCase()}${field.slice(1)} must be one of: ${ORDER_OPTIONS[field].join(', ')}`;
+    }
+  }
+
+  order.length = normalizeChoice('length', input.length);
+  if (input.length && !order.length) {
+    errors.length = `Length must be one of: ${ORDER_OPTIONS.length.join(', ')}`;
+  }
+
+  order.rhyme_scheme = normalizeChoice('rhyme_scheme', input.rhyme_scheme);
+  if (input.rhyme_scheme && !order.rhyme_scheme) {
+    errors.rhyme_scheme = `Rhyme scheme must be one of: ${ORDER_OPTIONS.rhyme_scheme.join(', ')}`;
+  }
+
+  order.artist = normalizeChoice('artist', input.artist);
+  if (!order.artist) {
+    errors.artist = 'Artist gender must be Female or Male';
+  }
+
+  const story = String(input.story || '').trim();
+  if (story.length < STORY_MIN_LENGTH) {
+    errors.story = `Story must be at least ${STORY_MIN_LENGTH} characters`;
+  } else if (story.length > STORY_MAX_LENGTH) {
+    errors.story = `Story must be at most ${STORY_MAX_LENGTH} characters`;
+  }
+  order.story = story;
+
+  const recipientName = String(input.recipient_name || '').trim();
+  if (!recipientName) {
+    errors.recipient_name = 'Recipient name is required';
+  } else if (recipientName.length > 100) {
+    errors.recipient_name = 'Recipient name must be at most 100 characters';
+  }
+  order.recipient_name = recipientName;
+
+  const relationship = String(input.relationship || '').trim();
+  if (relationship.length > 100) {
+    errors.relationship = 'Relationship must be at most 100 characters';
+  }
+  order.relationship = relationship || null;
+
+  order.nicknames = normalizeNicknames(input.nicknames);
+
+  // Optional style profile override; otherwise the profile rules choose
+  const styleProfileId = input.style_profile_id;
+  order.style_profile_id = null;
+  if (styleProfileId !== undefined && styleProfileId !== null && styleProfileId !== '') {
+    if (!Number.isInteger(Number(styleProfileId)) || Number(styleProfileId) < 1) {
+      errors.style_profile_id = 'Style profile must be one of the saved profiles';
+    } else {
+      order.style_profile_id = Number(styleProfileId);
+    }
+  }
+
+  return { order, errors };
+}
+
+/**
+ * Render a stored order as the customer request text the model reads. The
+ * story is normalized to one script (the stored story keeps the customer's
+ * own text).
+ */
+export function formatOrderRequest(order) {
+  const lines = [
+    `Order no: ${order.order_no}`,
+    `Occasion: ${order.occasion}`,
+    `Mood: ${order.mood}`,
+    `Language: ${order.language}`,
+    `Artist: ${order.artist}`
+  ];
+  if (order.length) lines.push(`Length: ${order.length}`);
+  if (order.rhyme_scheme) lines.push(`Rhyme scheme: ${order.rhyme_scheme}`);
+  lines.push(`Recipient: ${order.recipient_name}`);
+  if (order.relationship) lines.push(`Relationship: ${order.relationship}`);
+  if (order.nicknames?.length) lines.push(`Nicknames: ${order.nicknames.join(', ')}`);
+  lines.push('', 'Story:', normalizeStory(order.story, { names: [order.recipient_name, ...(order.nicknames || [])] }));
+  return lines.join('\n');
+}
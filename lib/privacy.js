@@ -0,0 +1,527 @@
+// Customer privacy - stories name real people and places, so: examples
+// shown to the model for another customer are pseudonymized, request
+// bodies and database errors are masked before they are logged, stories
+// past the retention period are anonymized in place, and an order's data
+// can be erased everywhere on request.
+//
+// Pseudonymizing is best effort: it replaces the order's recipient name
+// and nicknames, capitalized names that follow "my wife", "called her",
+// "named" and the like, and known or capitalized places after "in",
+// "from", "at".
+// A name mentioned with no such cue stays as written.
+
+import { parseSections } from './sections.js';
+import { romanize, toDevanagari, nameKey } from './transliterate.js';
+
+// Pseudonyms by kind of term. A name keeps its gender when the story
+// shows it, since Hindi lyrics agree with it ("vo aayi" / "vo aaya").
+const FEMALE_NAMES = ['Anaya', 'Meera', 'Diya', 'Isha', 'Tara', 'Naina', 'Kavya', 'Pari', 'Riya', 'Sanya'];
+const MALE_NAMES = ['Aarav', 'Kabir', 'Vihaan', 'Arjun', 'Rohan', 'Dev', 'Yash', 'Neel', 'Aditya', 'Vivaan'];
+const PSEUDONYMS = {
+  female: FEMALE_NAMES,
+  male: MALE_NAMES,
+  person: [...FEMALE_NAMES, ...MALE_NAMES],
+  surname: ['Verma', 'Mehta', 'Kapoor', 'Joshi', 'Malhotra', 'Bhatt', 'Saxena', 'Chawla'],
+  // Made-up towns, so a pseudonym never points at a real customer's city
+  place: ['Rangpur', 'Sonagiri', 'Chandanpur', 'Nilgaon', 'Amrapur', 'Suryanagar', 'Kesarbagh', 'Madhuban']
+};
+
+// Cities, states and countries customers mention most
+const PLACES = new Set(`
+agra ahmedabad ajmer aligarh allahabad amritsar aurangabad bangalore bareilly belgaum bengaluru bhopal
+bhubaneswar bikaner calcutta chandigarh chennai coimbatore cuttack dehradun delhi dhanbad durgapur
+faridabad gandhinagar ghaziabad goa gorakhpur gurgaon gurugram guwahati gwalior haridwar howrah hubli
+hyderabad indore jabalpur jaipur jalandhar jammu jamshedpur jodhpur kanpur kashmir kochi kolhapur kolkata
+kota kozhikode lucknow ludhiana madras madurai manali mangalore meerut mohali moradabad mumbai mussoorie
+mysore nagpur nainital nashik noida ooty panipat patna pondicherry prayagraj pune raipur rajkot ranchi
+rishikesh shillong shimla siliguri srinagar surat thane trichy trivandrum udaipur ujjain vadodara varanasi
+vellore vijayawada visakhapatnam vizag assam bihar gujarat haryana karnataka kerala maharashtra
+odisha punjab rajasthan sikkim uttarakhand bangladesh nepal dubai abudhabi doha muscat singapore
+london toronto vancouver sydney melbourne auckland canada australia america usa germany paris
+`.trim().split(/\s+/));
+
+// Words that name a person's relation to the customer ("my wife Mansi"),
+// by the gender they give the name. Endearments (jaan, baby, love) are no
+// cue: in lyrics they are followed by anything but a name.
+const RELATION_GENDERS = {
+  female: `wife girlfriend gf fiancee mother mom mum mummy mommy maa daughter sister sis didi grandma nani
+    dadi beti niece aunt aunty chachi mami mausi bua bhabhi girl`,
+  male: `husband hubby boyfriend bf fiance father dad daddy papa son brother bro bhai bhaiya grandpa nana
+    dada beta nephew uncle chacha mama jiju boy`,
+  person: 'partner friend bestie cousin colleague teacher boss'
+};
+const RELATION_KINDS = new Map(Object.entries(RELATION_GENDERS).flatMap(([kind, words]) => (
+  words.trim().split(/\s+/).map(word => [word, kind])
+)));
+const RELATIONS = [...RELATION_KINDS.keys()];
+
+// Words that follow a relation or a place cue without being a name
+// (a known name is a name all the same: Khushi, Sapna)
+const NOT_NAMES = new Set(`
+a an the and or but is was are were be been am to of in on at by for from with as that this these those
+who whom whose which what when where why how i me my mine we us our you your he him his she her they
+them their it its not no yes so very just also always never ever too then than there here now ji hai
+hain tha thi ho ka ki ke ko se ne mein me par aur bhi hi toh ye yeh wo woh jo jab tab kya kuch sab ek
+do first second best dear dearest only own one two new old happy birthday anniversary wedding day life
+lovely beautiful sweet little elder younger big small late since ago together forever name
+january february march april may june july august september october november december
+monday tuesday wednesday thursday friday saturday sunday college school office hospital university
+love god heaven india saw said says told tells asked asks met meets gave gives got gets came comes went
+goes made makes took takes knew knows thought thinks felt feels lives works loves likes wants needs
+has had have did does will would can could should must may might used always really still
+baby babe jaan jaanu love darling honey sweetheart angel princess queen king hero star girl boy story
+meri mera mere tera teri tere tum tumhe tumko tumhara tumhari tumhare hum humko humara humari humare hamara
+hamari hamare apna apni apne main mai mujhe mujhko mujhse usko uska uski uske unka unki unke iska iski
+inka inki ab phir fir saath sath duniya zindagi dil pyaar pyar mohabbat ishq khushi sapna sapne yaar yaara
+rab khuda nahi na haan bas sirf kabhi hamesha sada tak liye wala wali wale jaisa jaisi sabse bahut bohot
+aaj kal raat din subah shaam ghar pal waqt tu tujhe tujhko tujhse tumse sang bina bin jaise sabka kitna
+kitni itna itni pyara pyari pyaara pyaari pyaare dost dosti rishta sach taught
+`.trim().split(/\s+/).concat(RELATIONS));
+
+// Cues and the word after them, on the same line. Only a capitalized word
+// counts as a name (see isCapitalized), so "bhai tera saath" names no one.
+const RELATION_NAME = new RegExp(`\\b(${RELATIONS.join('|')})[ \\t]+(?:(?:named|called|is|was)[ \\t]+)?([a-z]{2,})\\b`, 'gi');
+const CALLED_NAME = /\b(?:call(?:ed|s)?[ \t]+(her|him|me|us|them)|named|name[ \t]+(?:is|was))[ \t]+([a-z]{2,})\b/gi;
+const isCapitalized = (word) => /^[A-Z]/.test(word);
+const PRONOUN_KINDS = { her: 'female', him: 'male' };
+const PLACE_CUE = /\b(?:in|from|at|near|visited|(?:trip|went|moved) to)[ \t]+([A-Z][a-z]{2,})\b/g;
+// Endings of English words that follow a cue but are no name ("brother confusion")
+const ENGLISH_ENDING = /(?:tion|sion|ing|ness|ment|ship|ity|ous|ful|less|ly|ed)$/;
+
+const WORD = /[A-Za-z]+|[ऀ-ॿ‌‍]+/g;
+const isDevanagari = (word) => /[ऀ-ॿ]/.test(word);
+const devanagariKey = (word) => nameKey(romanize(word));
+
+function hashIndex(text, size) {
+  let hash = 2166136261;
+  for (const char of text) hash = Math.imul(hash ^ char.codePointAt(0), 16777619);
+  return (hash >>> 0) % size;
+}
+
+/**
+ * Gender a relation gives a name ("Wife" -> 'female'), else 'person'
+ */
+function relationKind(relationship) {
+  const words = String(relationship || '').toLowerCase().match(/[a-z]+/g) || [];
+  return words.map(word => RELATION_KINDS.get(word)).find(kind => kind && kind !== 'person') || 'person';
+}
+
+/**
+ * Names and places in texts, as a Map of lowercase word -> kind ('female',
+ * 'male' or 'person' for a name, 'surname' or 'place'). `names` are known
+ * names (recipient, nicknames) of the order's `relationship`, `others`
+ * names of anyone else (who answered a review link); the first word of
+ * each is a given name, later words surnames.
+ */
+export function personalTerms(texts = [], { names = [], relationship = null, others = [] } = {}) {
+  const terms = new Map();
+  const add = (word, kind, { cued = false } = {}) => {
+    const term = isDevanagari(word) ? word : word.toLowerCase();
+    if (term.length < 2) return;
+    if (cued && (NOT_NAMES.has(term) || ENGLISH_ENDING.test(term))) return;
+    if (!terms.has(term) || (terms.get(term) === 'person' && (kind === 'female' || kind === 'male'))) terms.set(term, kind);
+  };
+
+  const addName = (name, kind) => {
+    (String(name || '').match(WORD) || []).forEach((word, i) => add(word, i === 0 ? kind : 'surname'));
+  };
+  names.forEach(name => addName(name, relationKind(relationship)));
+  others.forEach(name => addName(name, 'person'));
+  for (const text of texts.map(t => String(t || ''))) {
+    for (const match of text.matchAll(RELATION_NAME)) {
+      if (isCapitalized(match[2])) add(match[2], RELATION_KINDS.get(match[1].toLowerCase()), { cued: true });
+    }
+    for (const match of text.matchAll(CALLED_NAME)) {
+      if (isCapitalized(match[2])) add(match[2], PRONOUN_KINDS[match[1]?.toLowerCase()] || 'person', { cued: true });
+    }
+    for (const match of text.matchAll(PLACE_CUE)) add(match[1], 'place', { cued: true });
+    for (const word of text.match(WORD) || []) {
+      if (PLACES.has(word.toLowerCase())) add(word, 'place');
+    }
+  }
+  return terms;
+}
+
+/**
+ * A function that swaps the names and places found in texts (see
+ * personalTerms) for pseudonyms. Each real word gets one pseudonym
+ * throughout, in Roman or Devanagari as written, so a story and its
+ * lyrics still agree. Pseudonyms in `avoid` (e.g. the current order's
+ * names) are not used.
+ */
+export function createPseudonymizer(texts = [], { names = [], relationship = null, others = [], avoid = [] } = {}) {
+  const terms = personalTerms(texts, { names, relationship, others });
+  const taken = new Set([...terms.keys(), ...avoid.flatMap(name => String(name || '').toLowerCase().match(/[a-z]+/g) || [])]);
+
+  const roman = new Map(); // lowercase word -> pseudonym
+  const devanagari = new Map(); // name key -> pseudonym
+  for (const [term, kind] of terms) {
+    const pool = PSEUDONYMS[kind];
+    const start = hashIndex(isDevanagari(term) ? devanagariKey(term) : term, pool.length);
+    let pseudonym = pool[start];
+    for (let i = 0; i < pool.length; i++) {
+      const candidate = pool[(start + i) % pool.length];
+      if (!taken.has(candidate.toLowerCase())) {
+        pseudonym = candidate;
+        break;
+      }
+    }
+    taken.add(pseudonym.toLowerCase());
+    if (isDevanagari(term)) {
+      devanagari.set(devanagariKey(term), pseudonym);
+    } else {
+      roman.set(term, pseudonym);
+      if (nameKey(term).length >= 3) devanagari.set(nameKey(term), pseudonym);
+    }
+  }
+
+  return (text) => {
+    if (text === null || text === undefined) return text;
+    return String(text).replace(WORD, (word) => {
+      if (isDevanagari(word)) {
+        const pseudonym = devanagari.get(devanagariKey(word));
+        return pseudonym ? toDevanagari(pseudonym.toLowerCase()) : word;
+      }
+      const pseudonym = roman.get(word.toLowerCase());
+      if (!pseudonym) return word;
+      if (word === word.toLowerCase()) return pseudonym.toLowerCase();
+      if (word.length > 1 && word === word.toUpperCase()) return pseudonym.toUpperCase();
+      return pseudonym;
+    });
+  };
+}
+
+/**
+ * A reference example as another customer's prompt may show it: title,
+ * story, lyrics and notes pseudonymized with its order's names
+ * (recipient_name, nicknames and relationship on the row when joined).
+ */
+export function pseudonymizeExample(example, { avoid = [] } = {}) {
+  const { recipient_name: recipientName, nicknames, relationship, ...rest } = example;
+  const pseudonymize = createPseudonymizer(
+    [example.client_story, example.title, example.learning_notes],
+    { names: [recipientName, ...(nicknames || [])].filter(Boolean), relationship, avoid }
+  );
+  return {
+    ...rest,
+    title: pseudonymize(example.title),
+    client_story: pseudonymize(example.client_story),
+    generated_lyrics: pseudonymize(example.generated_lyrics),
+    learning_notes: pseudonymize(example.learning_notes)
+  };
+}
+
+// ==================== LOGGING ====================
+
+// Request fields that carry a customer's words (or a password); logged
+// as their size only
+const PERSONAL_FIELDS = new Set([
+  'story', 'client_story', 'clientRequest', 'client_request', 'recipient_name', 'recipientName', 'relationship',
+  'nicknames', 'lyrics', 'generated_lyrics', 'text', 'lines', 'content', 'feedback', 'feedbackNotes',
+  'feedback_notes', 'instruction', 'message', 'comment', 'comments', 'name', 'customer_name', 'recipient',
+  'password', 'exampleLyrics', 'lyricsHistory'
+]);
+const MAX_LOGGED_STRING = 80;
+
+/**
+ * A request body safe to log: personal fields (at any depth) and any long
+ * string replaced by their size
+ */
+export function maskBody(value, key = null) {
+  if (value === null || value === undefined) return value;
+  if (key !== null && PERSONAL_FIELDS.has(key)) {
+    if (typeof value === 'string') return `[${value.length} chars]`;
+    if (Array.isArray(value)) return `[${value.length} items]`;
+    return '[masked]';
+  }
+  if (Array.isArray(value)) return value.map(item => maskBody(item));
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, maskBody(item, field)]));
+  }
+  if (typeof value === 'string' && value.length > MAX_LOGGED_STRING) return `[${value.length} chars]`;
+  return value;
+}
+
+/**
+ * An error as one log line: its message and code, without the row values
+ * Postgres puts in `detail` ("Failing row contains (...)") or the input it
+ * quotes when a value doesn't parse
+ */
+export function describeError(error) {
+  if (!error) return 'Unknown error';
+  const message = String(error.message || error).replace(/(invalid input syntax for type [\w ]+): .*/, '$1');
+  return error.code ? `${message} [${error.code}]` : message;
+}
+
+// ==================== RETENTION AND ERASURE ====================
+
+export const DEFAULT_RETENTION_DAYS = 365;
+// Orders anonymized per retention run; the rest wait for the next run
+const RETENTION_BATCH = 200;
+
+// Audit log details that quote the customer or name them: free text
+// (pseudonymized when anonymizing) and names (always removed)
+const AUDIT_TEXT_KEYS = ['note', 'title'];
+const AUDIT_PERSONAL_KEYS = [...AUDIT_TEXT_KEYS, 'customer', 'recipient'];
+
+/**
+ * Retention settings from the environment: PII_RETENTION_DAYS (days after
+ * an order's last activity that its story is kept as written; 0 = keep
+ * forever), else the default
+ */
+export function retentionSettings(env = process.env) {
+  const parsed = parseInt(env.PII_RETENTION_DAYS, 10);
+  const days = Number.isInteger(parsed) && parsed >= 0 ? parsed : DEFAULT_RETENTION_DAYS;
+  return { days: days > 0 ? days : null };
+}
+
+/**
+ * Let this transaction rewrite audit log details (the audit_log trigger
+ * allows it when raaag.scrub_audit is on, and only for details) and take
+ * the customer's words out of the order's entries: notes and titles
+ * pseudonymized, or removed like names when there is no pseudonymizer
+ */
+async function scrubAuditLog(db, orderNumber, pseudonymize = null) {
+  await db.query(`SELECT set_config('raaag.scrub_audit', 'on', true)`);
+  const entries = await db.query(
+    `SELECT id, details FROM audit_log WHERE order_number = $1 AND details ?| $2::text[]`,
+    [orderNumber, AUDIT_PERSONAL_KEYS]
+  );
+  for (const entry of entries.rows) {
+    const details = { ...entry.details };
+    for (const key of AUDIT_PERSONAL_KEYS.filter(key => key in details)) {
+      if (AUDIT_TEXT_KEYS.includes(key) && pseudonymize) details[key] = pseudonymize(details[key]);
+      else delete details[key];
+    }
+    await db.query('UPDATE audit_log SET details = $2 WHERE id = $1', [entry.id, JSON.stringify(details)]);
+  }
+  await db.query(`SELECT set_config('raaag.scrub_audit', 'off', true)`);
+  return entries.rowCount;
+}
+
+/**
+ * Pseudonymize the shared pattern library's quoted lyric lines that
+ * mention any of an order's names or places
+ */
+async function scrubPatterns(db, terms, pseudonymize) {
+  const words = [...terms.keys()];
+  if (words.length === 0) return 0;
+  const patterns = await db.query(
+    `SELECT id, example_text FROM pattern_library WHERE example_text ILIKE ANY($1::text[])`,
+    [words.map(word => `%${word.replace(/[\\%_]/g, '\\$&')}%`)]
+  );
+  let changed = 0;
+  for (const pattern of patterns.rows) {
+    const text = pseudonymize(pattern.example_text);
+    if (text === pattern.example_text) continue;
+    await db.query('UPDATE pattern_library SET example_text = $2, updated_at = NOW() WHERE id = $1', [pattern.id, text]);
+    changed++;
+  }
+  return changed;
+}
+
+/**
+ * The order's texts and names (with whoever its review links went to and
+ * answered them), and a pseudonymizer built from them
+ */
+async function orderPseudonymizer(db, orderNumber) {
+  const order = (await db.query('SELECT * FROM orders WHERE order_no = $1', [orderNumber])).rows[0] || null;
+  const lyrics = (await db.query(
+    `SELECT id, client_request, generated_lyrics, feedback_notes, revision_feedback
+     FROM generated_lyrics WHERE order_number = $1`,
+    [orderNumber]
+  )).rows;
+  const reviews = (await db.query(
+    `SELECT sl.recipient, cf.customer_name, cf.message
+     FROM share_links sl LEFT JOIN customer_feedback cf ON cf.share_link_id = sl.id
+     WHERE sl.lyrics_id = ANY($1::int[])`,
+    [lyrics.map(row => row.id)]
+  )).rows;
+  const known = {
+    names: order ? [order.recipient_name, ...(order.nicknames || [])] : [],
+    relationship: order?.relationship,
+    others: reviews.flatMap(row => [row.recipient, row.customer_name]).filter(Boolean)
+  };
+  const texts = [
+    order?.story,
+    ...lyrics.flatMap(row => [row.client_request, row.feedback_notes, row.revision_feedback]),
+    ...reviews.map(row => row.message)
+  ];
+  return {
+    order,
+    lyrics,
+    terms: personalTerms(texts, known),
+    pseudonymize: createPseudonymizer(texts, known)
+  };
+}
+
+/**
+ * Anonymize one order in place: its story, names, requests, lyrics,
+ * feedback and customer responses pseudonymized, who a review link went to
+ * and the customer's name dropped, and the audit log scrubbed. Lyrics and
+ * learning stay usable. Run inside a transaction.
+ */
+export async function anonymizeOrder(db, orderNumber) {
+  const { order, lyrics, terms, pseudonymize } = await orderPseudonymizer(db, orderNumber);
+  const lyricIds = lyrics.map(row => row.id);
+
+  if (order) {
+    await db.query(
+      `UPDATE orders SET story = $2, recipient_name = $3, nicknames = $4, anonymized_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [order.id, pseudonymize(order.story), pseudonymize(order.recipient_name), (order.nicknames || []).map(pseudonymize)]
+    );
+  }
+  for (const row of lyrics) {
+    const text = pseudonymize(row.generated_lyrics);
+    await db.query(
+      `UPDATE generated_lyrics
+       SET client_request = $2, generated_lyrics = $3, sections = $4, feedback_notes = $5, revision_feedback = $6,
+           anonymized_at = NOW()
+       WHERE id = $1`,
+      [
+        row.id, pseudonymize(row.client_request), text, JSON.stringify(parseSections(text)),
+        pseudonymize(row.feedback_notes), pseudonymize(row.revision_feedback)
+      ]
+    );
+  }
+
+  const responses = await db.query('SELECT id, comments, message FROM customer_feedback WHERE lyrics_id = ANY($1::int[])', [lyricIds]);
+  for (const response of responses.rows) {
+    const comments = (response.comments || []).map(c => ({ ...c, text: pseudonymize(c.text), comment: pseudonymize(c.comment) }));
+    await db.query(
+      'UPDATE customer_feedback SET comments = $2, message = $3, customer_name = NULL WHERE id = $1',
+      [response.id, JSON.stringify(comments), pseudonymize(response.message)]
+    );
+  }
+  await db.query('UPDATE share_links SET recipient = NULL WHERE lyrics_id = ANY($1::int[])', [lyricIds]);
+
+  const learning = await db.query(
+    'SELECT id, what_worked, what_failed, learning_pattern FROM feedback_learning WHERE lyrics_id = ANY($1::int[])',
+    [lyricIds]
+  );
+  for (const row of learning.rows) {
+    await db.query(
+      'UPDATE feedback_learning SET what_worked = $2, what_failed = $3, learning_pattern = $4 WHERE id = $1',
+      [row.id, pseudonymize(row.what_worked), pseudonymize(row.what_failed), pseudonymize(row.learning_pattern)]
+    );
+  }
+
+  const examples = await db.query(
+    `SELECT id, title, client_story, generated_lyrics, learning_notes FROM reference_examples
+     WHERE LOWER(order_no) = LOWER($1) OR lyrics_id = ANY($2::int[])`,
+    [orderNumber, lyricIds]
+  );
+  for (const example of examples.rows) {
+    await db.query(
+      `UPDATE reference_examples SET title = $2, client_story = $3, generated_lyrics = $4, learning_notes = $5,
+              anonymized_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [
+        example.id, pseudonymize(example.title), pseudonymize(example.client_story),
+        pseudonymize(example.generated_lyrics), pseudonymize(example.learning_notes)
+      ]
+    );
+  }
+
+  await scrubPatterns(db, terms, pseudonymize);
+  await scrubAuditLog(db, orderNumber, pseudonymize);
+  return { orderNumber, lyrics: lyricIds.length, examples: examples.rowCount, responses: responses.rowCount };
+}
+
+/**
+ * Order numbers due for anonymization: no activity (order saved, lyric
+ * generated or reviewed) for `days` days, something not yet anonymized,
+ * and no generation queued or running
+ */
+export async function ordersDueForRetention(db, { days, limit = RETENTION_BATCH }) {
+  const result = await db.query(
+    `SELECT t.order_number
+     FROM (
+       SELECT order_no AS order_number, updated_at AS touched_at, anonymized_at FROM orders
+       UNION ALL
+       SELECT order_number, GREATEST(created_at, updated_at, reviewed_at), anonymized_at FROM generated_lyrics
+     ) t
+     GROUP BY t.order_number
+     HAVING MAX(t.touched_at) < NOW() - make_interval(days => $1)
+        AND BOOL_OR(t.anonymized_at IS NULL)
+        AND NOT EXISTS (
+          SELECT 1 FROM generation_jobs j WHERE j.order_number = t.order_number AND j.status IN ('queued', 'running')
+        )
+     ORDER BY MAX(t.touched_at)
+     LIMIT $2`,
+    [days, limit]
+  );
+  return result.rows.map(row => row.order_number);
+}
+
+/**
+ * Example stories past the retention period that belong to no order
+ * (imported or extracted examples): pseudonymized in place
+ */
+export async function anonymizeStaleExamples(db, { days }) {
+  const examples = await db.query(
+    `SELECT re.id, re.title, re.client_story, re.generated_lyrics, re.learning_notes
+     FROM reference_examples re
+     WHERE re.anonymized_at IS NULL
+       AND COALESCE(re.updated_at, re.created_at) < NOW() - make_interval(days => $1)
+       AND NOT EXISTS (SELECT 1 FROM orders o WHERE LOWER(o.order_no) = LOWER(re.order_no))
+       AND NOT EXISTS (SELECT 1 FROM generated_lyrics gl WHERE gl.id = re.lyrics_id)
+     LIMIT $2`,
+    [days, RETENTION_BATCH]
+  );
+  for (const example of examples.rows) {
+    const anonymized = pseudonymizeExample(example);
+    await db.query(
+      `UPDATE reference_examples SET title = $2, client_story = $3, generated_lyrics = $4, learning_notes = $5,
+              anonymized_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [example.id, anonymized.title, anonymized.client_story, anonymized.generated_lyrics, anonymized.learning_notes]
+    );
+  }
+  return examples.rowCount;
+}
+
+/**
+ * Erase everything stored for an order number: the order, every lyric
+ * revision with its scores, review links and customer responses, feedback
+ * and learning, model calls, queued jobs, candidate sets and examples made
+ * from it. The shared pattern library is pseudonymized where it quotes the
+ * order, and the audit log keeps who did what when, minus the customer's
+ * words. Throws (status 409) while a generation for the order is running.
+ * Returns { deleted, scrubbed }: rows per table. Run inside a transaction.
+ */
+export async function eraseOrder(db, orderNumber) {
+  // Locked, so the queue can't start one of the order's jobs meanwhile
+  const jobs = await db.query('SELECT status FROM generation_jobs WHERE order_number = $1 FOR UPDATE', [orderNumber]);
+  if (jobs.rows.some(job => job.status === 'running')) {
+    throw Object.assign(new Error('A generation for this order is running; cancel it or wait, then erase'), { status: 409 });
+  }
+
+  const { lyrics, terms, pseudonymize } = await orderPseudonymizer(db, orderNumber);
+  const lyricIds = lyrics.map(row => row.id);
+  const deleted = {};
+  const erase = async (table, sql, params) => {
+    deleted[table] = (await db.query(sql, params)).rowCount;
+  };
+
+  await erase('generation_jobs', 'DELETE FROM generation_jobs WHERE order_number = $1', [orderNumber]);
+  await erase('llm_calls', 'DELETE FROM llm_calls WHERE order_number = $1 OR lyrics_id = ANY($2::int[])', [orderNumber, lyricIds]);
+  await erase('feedback_learning', 'DELETE FROM feedback_learning WHERE lyrics_id = ANY($1::int[])', [lyricIds]);
+  await erase(
+    'reference_examples',
+    'DELETE FROM reference_examples WHERE LOWER(order_no) = LOWER($1) OR lyrics_id = ANY($2::int[])',
+    [orderNumber, lyricIds]
+  );
+  for (const table of ['lyric_scores', 'share_links', 'customer_feedback']) {
+    await erase(table, `SELECT 1 FROM ${table} WHERE lyrics_id = ANY($1::int[])`, [lyricIds]); // Go with their lyrics
+  }
+  await erase('generated_lyrics', 'DELETE FROM generated_lyrics WHERE order_number = $1', [orderNumber]);
+  await erase('candidate_sets', 'DELETE FROM candidate_sets WHERE order_number = $1', [orderNumber]);
+  await erase('orders', 'DELETE FROM orders WHERE order_no = $1', [orderNumber]);
+  const scrubbed = {
+    pattern_library: await scrubPatterns(db, terms, pseudonymize),
+    audit_log: await scrubAuditLog(db, orderNumber)
+  };
+  return { deleted, scrubbed };
+}
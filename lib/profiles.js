@@ -0,0 +1,118 @@
+// Style profiles - a named style guide, checklist, banned-phrase list and
+// example pool per kind of song (Tamil devotional, Hinglish upbeat...),
+// chosen for each order by matching rules on its fields.
+
+import { ORDER_OPTIONS, normalizeChoice } from './orders.js';
+
+// Order fields a profile's rules can match on
+export const PROFILE_RULE_FIELDS = ['language', 'occasion', 'mood', 'artist'];
+
+const MAX_BANNED_PHRASES = 200;
+
+/**
+ * Split banned phrases given as an array or one phrase per line
+ */
+function normalizePhrases(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split('\n');
+  return [...new Set(list.map(p => String(p).replace(/^[\s*-]+/, '').trim()).filter(Boolean))];
+}
+
+/**
+ * Validate and normalize a style profile payload. Rules map each field in
+ * PROFILE_RULE_FIELDS to the choices it matches; an empty list matches any.
+ * Returns { profile, errors } where errors maps field name to message.
+ */
+export function validateStyleProfile(input = {}) {
+  const errors = {};
+  const profile = {};
+
+  const name = String(input.name || '').trim();
+  if (!name) {
+    errors.name = 'Name is required';
+  } else if (name.length > 50) {
+    errors.name = 'Name must be at most 50 characters';
+  }
+  profile.name = name;
+
+  const description = String(input.description || '').trim();
+  if (description.length > 500) {
+    errors.description = 'Description must be at most 500 characters';
+  }
+  profile.description = description || null;
+
+  profile.rules = {};
+  for (const field of PROFILE_RULE_FIELDS) {
+    const values = Array.isArray(input.rules?.[field]) ? input.rules[field] : [];
+    const choices = values.map(value => normalizeChoice(field, value));
+    if (choices.includes(null)) {
+      errors[`rules.${field}`] = `${field[0].toUpperCase()}${field.slice(1)} must be one of: ${ORDER_OPTIONS[field].join(', ')}`;
+    }
+    profile.rules[field] = [...new Set(choices.filter(Boolean))];
+  }
+
+  const priority = input.priority === undefined || input.priority === null || input.priority === ''
+    ? 0
+    : Number(input.priority);
+  if (!Number.isInteger(priority) || priority < -100 || priority > 100) {
+    errors.priority = 'Priority must be a whole number from -100 to 100';
+  }
+  profile.priority = priority;
+
+  profile.banned_phrases = normalizePhrases(input.banned_phrases);
+  if (profile.banned_phrases.length > MAX_BANNED_PHRASES) {
+    errors.banned_phrases = `At most ${MAX_BANNED_PHRASES} banned phrases`;
+  }
+
+  profile.use_shared_examples = input.use_shared_examples === undefined ? true : Boolean(input.use_shared_examples);
+
+  return { profile, errors };
+}
+
+/**
+ * Number of fields a profile's rules constrain - more specific profiles
+ * win over broader ones
+ */
+function specificity(profile) {
+  return PROFILE_RULE_FIELDS.filter(field => profile.rules?.[field]?.length).length;
+}
+
+/**
+ * Whether an order (or fields scraped from a request) matches a profile's
+ * rules: every constrained field must hold one of the listed choices
+ */
+export function matchesProfile(profile, target) {
+  return PROFILE_RULE_FIELDS.every(field => {
+    const choices = profile.rules?.[field] || [];
+    if (choices.length === 0) return true;
+    const value = normalizeChoice(field, target?.[field] || '');
+    return value !== null && choices.includes(value);
+  });
+}
+
+/**
+ * Choose the style profile for an order: its override (style_profile_id)
+ * when set, else the most specific matching profile (then highest
+ * priority, then oldest). Returns { profile, reason } where reason is
+ * 'override', 'rules' or 'default' (profile null: the global style guide).
+ */
+export function selectStyleProfile(profiles, target) {
+  const override = target?.style_profile_id
+    ? profiles.find(profile => profile.id === Number(target.style_profile_id))
+    : null;
+  if (override) return { profile: override, reason: 'override' };
+
+  const matching = profiles
+    .filter(profile => matchesProfile(profile, target))
+    .sort((a, b) => specificity(b) - specificity(a) || b.priority - a.priority || a.id - b.id);
+  return matching.length > 0 ? { profile: matching[0], reason: 'rules' } : { profile: null, reason: 'default' };
+}
+
+/**
+ * Readable summary of a profile's rules ("Language: Tamil · Mood: Devotional")
+ */
+export function describeRules(rules) {
+  const parts = PROFILE_RULE_FIELDS
+    .filter(field => rules?.[field]?.length)
+    .map(field => `${field[0].toUpperCase()}${field.slice(1)}: ${rules[field].join(', ')}`);
+  return parts.join(' · ') || 'Any order';
+}
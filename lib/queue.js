@@ -0,0 +1,286 @@
+// Batch generation queue - generation_jobs in Postgres worked off by a
+// poller with a concurrency limit. Transient failures (rate limits,
+// overloaded or unreachable upstream) retry with exponential backoff;
+// jobs left running by a restart are picked up again once their
+// heartbeat stops.
+
+import { parseCsv } from './ingest.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+export const BATCH_FORMATS = ['json', 'csv'];
+
+export const MAX_BATCH_SIZE = 500;
+
+const QUEUE_DEFAULTS = {
+  concurrency: 2,
+  maxAttempts: 5,
+  retryBaseMs: 15000, // First retry after ~15s, then 30s, 1m, 2m...
+  retryMaxMs: 15 * 60 * 1000,
+  pollMs: 2000,
+  heartbeatMs: 15000,
+  staleMs: 2 * 60 * 1000 // A running job with no heartbeat for this long is requeued
+};
+
+// Upstream statuses worth retrying: timeout, conflict, rate limit,
+// overloaded and gateway errors
+const TRANSIENT_STATUSES = [408, 409, 429, 502, 503, 504, 529];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', '57P01', '08006', '08003'];
+
+/**
+ * Queue settings from the environment (QUEUE_CONCURRENCY,
+ * QUEUE_MAX_ATTEMPTS, QUEUE_RETRY_BASE_MS), else the defaults
+ */
+export function queueSettings(env = process.env) {
+  const number = (value, fallback, min) => {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+  };
+  return {
+    ...QUEUE_DEFAULTS,
+    concurrency: number(env.QUEUE_CONCURRENCY, QUEUE_DEFAULTS.concurrency, 1),
+    maxAttempts: number(env.QUEUE_MAX_ATTEMPTS, QUEUE_DEFAULTS.maxAttempts, 1),
+    retryBaseMs: number(env.QUEUE_RETRY_BASE_MS, QUEUE_DEFAULTS.retryBaseMs, 0)
+  };
+}
+
+/**
+ * Whether a failed attempt may succeed if tried again: upstream rate
+ * limits, overload and 5xx from the model API, dropped connections and
+ * timeouts. Bad input and configuration errors (our own errors with a
+ * status) are not.
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+  if (TRANSIENT_STATUSES.includes(error.status)) return true;
+  // The model SDK's own errors (InternalServerError, ...) - not ours, which are plain Errors
+  if (error.status >= 500 && error.name && error.name !== 'Error') return true;
+  if (TRANSIENT_CODES.includes(error.code) || TRANSIENT_CODES.includes(error.cause?.code)) return true;
+  if (/^APIConnection(Timeout)?Error$/.test(error.name || '')) return true;
+  return /timed? ?out|overloaded|rate.?limit|socket hang up|connection terminated/i.test(error.message || '');
+}
+
+/**
+ * Delay before retry number `attempt` (1 = first retry): doubling from
+ * retryBaseMs up to retryMaxMs, with +-20% jitter so a batch that hit a
+ * rate limit together does not retry together. A Retry-After from the
+ * upstream is honoured when longer.
+ */
+export function retryDelay(attempt, { retryBaseMs = QUEUE_DEFAULTS.retryBaseMs, retryMaxMs = QUEUE_DEFAULTS.retryMaxMs } = {}, error = null) {
+  const exponential = Math.min(retryBaseMs * 2 ** Math.max(attempt - 1, 0), retryMaxMs);
+  const jittered = Math.min(Math.round(exponential * (0.8 + Math.random() * 0.4)), retryMaxMs);
+
+  const headers = error?.headers;
+  const retryAfter = Number(typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']);
+  return Number.isFinite(retryAfter) && retryAfter > 0 ? Math.max(jittered, Math.min(retryAfter * 1000, retryMaxMs)) : jittered;
+}
+
+/**
+ * Orders of a batch upload: a JSON list (or { "orders": [...] }) or a CSV
+ * with a header row of order fields. Items that are just an order number
+ * (a string, or a row with no story) queue an order already saved.
+ * Throws (status 400) when the content can't be read or is too large.
+ */
+export function parseBatch({ orders, content, format }) {
+  let list = orders;
+  if (list === undefined) {
+    const text = String(content || '').replace(/^﻿/, '');
+    if (!text.trim()) throw Object.assign(new Error('Orders are required'), { status: 400 });
+    const type = format || (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+    if (!BATCH_FORMATS.includes(type)) {
+      throw Object.assign(new Error(`Format must be one of: ${BATCH_FORMATS.join(', ')}`), { status: 400 });
+    }
+    if (type === 'json') {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw Object.assign(new Error(`Not valid JSON: ${error.message}`), { status: 400 });
+      }
+      list = Array.isArray(data) ? data : data?.orders;
+    } else {
+      list = parseCsv(text).map(row => Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [key.trim().toLowerCase().replace(/[\s.-]+/g, '_'), value.trim()])
+      ));
+    }
+  }
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw Object.assign(new Error('Orders must be a non-empty list'), { status: 400 });
+  }
+  if (list.length > MAX_BATCH_SIZE) {
+    throw Object.assign(new Error(`A batch can hold at most ${MAX_BATCH_SIZE} orders`), { status: 400 });
+  }
+  return list.map(item => (typeof item === 'string' ? { order_no: item } : item || {}));
+}
+
+/**
+ * Poller that claims queued jobs (FOR UPDATE SKIP LOCKED, so several
+ * servers can share the table) and runs up to `concurrency` at a time.
+ * run(job, { signal, progress }) does the work and resolves to the lyrics
+ * id it wrote; progress(percent, stage) reports how far it got.
+ */
+export function createJobQueue({ pool, run, settings = queueSettings(), log = console }) {
+  const running = new Map(); // job id -> AbortController
+  let timer = null;
+  let polling = false;
+  let stopped = true;
+
+  const update = (id, fields) => {
+    const keys = Object.keys(fields);
+    const sets = keys.map((key, i) => `${key} = $${i + 2}`);
+    return pool.query(
+      `UPDATE generation_jobs SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 AND status = 'running'`,
+      [id, ...keys.map(key => fields[key])]
+    );
+  };
+
+  // Jobs whose server stopped mid-run go back in the queue
+  async function requeueStale() {
+    const result = await pool.query(
+      `UPDATE generation_jobs
+       SET status = 'queued', stage = NULL, progress = 0, run_after = NOW(), updated_at = NOW(),
+           last_error = COALESCE(last_error, 'Interrupted by a server restart')
+       WHERE status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - $1 * INTERVAL '1 millisecond')
+         AND NOT (id = ANY($2::int[]))
+       RETURNING id`,
+      [settings.staleMs, [...running.keys()]]
+    );
+    if (result.rows.length > 0) log.log(`🔁 Requeued ${result.rows.length} interrupted job(s)`);
+  }
+
+  async function claim() {
+    const result = await pool.query(
+      `UPDATE generation_jobs
+       SET status = 'running', attempts = attempts + 1, stage = 'starting', progress = 0,
+           started_at = NOW(), heartbeat_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM generation_jobs
+         WHERE status = 'queued' AND run_after <= NOW()
+         ORDER BY run_after, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`
+    );
+    return result.rows[0] || null;
+  }
+
+  async function finish(job, controller, outcome) {
+    const { lyricsId, error } = outcome;
+    if (!error) {
+      await update(job.id, {
+        status: 'succeeded', stage: null, progress: 100, lyrics_id: lyricsId, last_error: null, finished_at: new Date()
+      });
+      log.log(`✅ Job ${job.id} (order ${job.order_number}) done`);
+      return;
+    }
+    if (controller.signal.aborted) return; // cancel() already marked it
+
+    if (isTransientError(error) && job.attempts < job.max_attempts) {
+      const delay = retryDelay(job.attempts, settings, error);
+      await update(job.id, {
+        status: 'queued', stage: null, progress: 0, last_error: error.message, run_after: new Date(Date.now() + delay)
+      });
+      log.log(`⏳ Job ${job.id} (order ${job.order_number}) failed, retry ${job.attempts}/${job.max_attempts - 1} in ${Math.round(delay / 1000)}s: ${error.message}`);
+    } else {
+      await update(job.id, { status: 'failed', stage: null, last_error: error.message, finished_at: new Date() });
+      log.error(`❌ Job ${job.id} (order ${job.order_number}) failed: ${error.message}`);
+    }
+  }
+
+  async function execute(job) {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+    const heartbeat = setInterval(() => {
+      update(job.id, { heartbeat_at: new Date() }).catch(() => {});
+    }, settings.heartbeatMs);
+
+    let outcome;
+    try {
+      const progress = (percent, stage) => update(job.id, {
+        progress: Math.max(0, Math.min(100, Math.round(percent))), stage, heartbeat_at: new Date()
+      }).catch(() => {});
+      outcome = { lyricsId: await run(job, { signal: controller.signal, progress }) };
+    } catch (error) {
+      outcome = { error };
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    try {
+      await finish(job, controller, outcome);
+    } catch (error) {
+      log.error(`Could not record the outcome of job ${job.id}:`, error.message);
+    } finally {
+      running.delete(job.id);
+      wake();
+    }
+  }
+
+  async function poll() {
+    if (polling || stopped) return;
+    polling = true;
+    try {
+      await requeueStale();
+      while (!stopped && running.size < settings.concurrency) {
+        const job = await claim();
+        if (!job) break;
+        execute(job);
+      }
+    } catch (error) {
+      log.error('Job queue poll failed:', error.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  /**
+   * Look for work now instead of at the next poll (after enqueueing)
+   */
+  function wake() {
+    setImmediate(poll);
+  }
+
+  return {
+    settings,
+    wake,
+
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      timer = setInterval(poll, settings.pollMs);
+      wake();
+    },
+
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+      for (const controller of running.values()) controller.abort();
+    },
+
+    /**
+     * Cancel a job: a queued one is not started, a running one is aborted
+     * (it saves nothing). Returns the job row, or null when it was not
+     * queued or running.
+     */
+    async cancel(id) {
+      const result = await pool.query(
+        `UPDATE generation_jobs
+         SET status = 'cancelled', stage = NULL, finished_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status IN ('queued', 'running')
+         RETURNING *`,
+        [id]
+      );
+      running.get(Number(id))?.abort();
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Number of jobs this server is running
+     */
+    activeCount() {
+      return running.size;
+    }
+  };
+}
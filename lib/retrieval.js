@@ -0,0 +1,171 @@
+// Relevance-ranked reference example retrieval.
+// Scores examples against an order with exact field matches plus a local
+// character-trigram TF-IDF similarity on the customer story, then picks a
+// diverse top N with maximal marginal relevance (MMR). No external services.
+
+export const RETRIEVAL_WEIGHTS = {
+  occasion: 0.25,
+  mood: 0.15,
+  language: 0.15,
+  artist: 0.05,
+  story: 0.3,
+  approved: 0.1
+};
+
+// Trade-off between relevance (1) and novelty against already-picked examples (0)
+const MMR_LAMBDA = 0.7;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * 1 for an exact field match, 0.5 when the words of one value are all in
+ * the other (e.g. "Hindi" vs "Hindi-English", but not "Male" vs "Female"),
+ * else 0
+ */
+function fieldMatch(wanted, actual) {
+  const a = normalize(wanted);
+  const b = normalize(actual);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const [fewer, more] = [a, b].map(value => value.split(/[^\p{L}\p{N}]+/u).filter(Boolean))
+    .sort((x, y) => x.length - y.length);
+  if (fewer.every(word => more.includes(word))) return 0.5;
+  return 0;
+}
+
+/**
+ * Character trigram counts over the words of a text (Latin and Devanagari),
+ * so "zindagi"/"zindgi" and "ज़िंदगी"/"जिंदगी" still overlap
+ */
+function trigramCounts(text) {
+  const counts = new Map();
+  const words = normalize(text).match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+  for (const word of words) {
+    const padded = `  ${word} `;
+    const chars = Array.from(padded);
+    for (let i = 0; i + 3 <= chars.length; i++) {
+      const gram = chars.slice(i, i + 3).join('');
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Turn raw trigram counts into unit-length TF-IDF vectors
+ */
+function tfidfVectors(countsList) {
+  const df = new Map();
+  for (const counts of countsList) {
+    for (const gram of counts.keys()) df.set(gram, (df.get(gram) || 0) + 1);
+  }
+
+  const n = countsList.length;
+  return countsList.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [gram, count] of counts) {
+      const weight = (1 + Math.log(count)) * (Math.log((n + 1) / (df.get(gram) + 1)) + 1);
+      vector.set(gram, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [gram, weight] of vector) vector.set(gram, weight / norm);
+    return vector;
+  });
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [gram, weight] of small) {
+    const other = large.get(gram);
+    if (other) dot += weight * other;
+  }
+  return dot;
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Similarity (0-1) of two short texts by character trigrams, no IDF
+ */
+export function textSimilarity(a, b) {
+  const unit = (counts) => {
+    const norm = Math.sqrt([...counts.values()].reduce((sum, c) => sum + c * c, 0)) || 1;
+    return new Map([...counts].map(([gram, count]) => [gram, count / norm]));
+  };
+  return cosine(unit(trigramCounts(a)), unit(trigramCounts(b)));
+}
+
+/**
+ * Rank candidate examples for an order.
+ *
+ * `order` needs occasion, mood, language, artist and story (any may be
+ * empty). Each candidate needs those fields as columns (client_story for
+ * the story), plus generated_lyrics and an `approved` flag.
+ *
+ * Returns up to `limit` picks, best first, as
+ * { example, scores: { occasion, mood, language, artist, story, approved,
+ *   relevance, redundancy, final } } so callers can explain each choice.
+ */
+export function rankExamples(order, candidates, { limit = 5 } = {}) {
+  if (candidates.length === 0) return [];
+
+  const storyVectors = tfidfVectors([
+    trigramCounts(order.story),
+    ...candidates.map(c => trigramCounts(c.client_story))
+  ]);
+  const queryVector = storyVectors[0];
+
+  // Diversity is judged on the whole example, story and lyrics together
+  const contentVectors = tfidfVectors(
+    candidates.map(c => trigramCounts(`${c.client_story || ''} ${c.generated_lyrics || ''}`))
+  );
+
+  const scored = candidates.map((example, i) => {
+    const scores = {
+      occasion: fieldMatch(order.occasion, example.occasion),
+      mood: fieldMatch(order.mood, example.mood),
+      language: fieldMatch(order.language, example.language),
+      artist: fieldMatch(order.artist, example.artist),
+      story: order.story && example.client_story ? cosine(queryVector, storyVectors[i + 1]) : 0,
+      approved: example.approved ? 1 : 0
+    };
+    const relevance = Object.entries(RETRIEVAL_WEIGHTS)
+      .reduce((sum, [key, weight]) => sum + weight * scores[key], 0);
+    return { example, index: i, scores: { ...scores, relevance } };
+  });
+
+  // Greedy MMR: each pick maximises relevance minus similarity to earlier picks
+  const picked = [];
+  const remaining = [...scored];
+  while (picked.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    let bestRedundancy = 0;
+
+    remaining.forEach((candidate, i) => {
+      const redundancy = picked.reduce(
+        (max, p) => Math.max(max, cosine(contentVectors[candidate.index], contentVectors[p.index])),
+        0
+      );
+      const score = MMR_LAMBDA * candidate.scores.relevance - (1 - MMR_LAMBDA) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+        bestRedundancy = redundancy;
+      }
+    });
+
+    const [choice] = remaining.splice(bestIndex, 1);
+    choice.scores.redundancy = bestRedundancy;
+    choice.scores.final = bestScore;
+    picked.push(choice);
+  }
+
+  return picked.map(({ example, scores }) => ({
+    example,
+    scores: Object.fromEntries(Object.entries(scores).map(([key, value]) => [key, round(value)]))
+  }));
+}
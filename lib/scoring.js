@@ -0,0 +1,300 @@
+// Checklist scoring - grades a generated lyric against the numbered
+// quality checklist. Objective guidelines are checked here in code; the
+// rest are graded by the model with a rubric prompt.
+
+import { countSyllables, isSectionHeader, sectionName } from './syllables.js';
+
+export const LINE_COUNT_RANGE = [16, 24];
+export const SYLLABLE_RANGE = [8, 14];
+
+// Share of lines that must fall inside SYLLABLE_RANGE
+const SYLLABLE_PASS_SHARE = 0.8;
+
+// Drafts scoring below this, or failing a critical guideline, are flagged
+export const SCORE_FLAG_THRESHOLD = 0.7;
+const CRITICAL_GUIDELINES = [1, 15];
+
+// Checklist guideline numbers that are checked deterministically
+export const DETERMINISTIC_GUIDELINES = {
+  1: 'recipientName',
+  15: 'bannedPhrases',
+  21: 'sectionHeaders',
+  22: 'lineCount',
+  23: 'syllableRange'
+};
+
+// Banned clichés from the default style guide, romanized and Devanagari
+export const DEFAULT_BANNED_PHRASES = [
+  'dil ki baat', 'दिल की बात',
+  'pyar ki kahani', 'प्यार की कहानी',
+  'aankhon mein sapne', 'आँखों में सपने',
+  'zindagi ka safar', 'ज़िंदगी का सफ़र'
+];
+
+/**
+ * Numbered checklist items ("□ 12. No awkward constructions") as [{ id, text }]
+ */
+export function parseChecklist(checklistText) {
+  const items = [];
+  for (const line of String(checklistText || '').split('\n')) {
+    const match = line.match(/^\s*(?:□|\[\s?\]|-)?\s*(\d{1,2})\.\s+(.+)$/);
+    if (match) items.push({ id: Number(match[1]), text: match[2].trim() });
+  }
+  return items;
+}
+
+/**
+ * Quoted phrases listed under a "Banned" heading of a style guide, e.g.
+ * `- "dil ki baat" / "दिल की बात"`. Falls back to the defaults.
+ */
+export function parseBannedPhrases(styleGuide) {
+  const phrases = [];
+  let inBannedSection = false;
+
+  for (const line of String(styleGuide || '').split('\n')) {
+    if (/^#+\s/.test(line)) {
+      inBannedSection = /banned|avoid/i.test(line);
+      continue;
+    }
+    if (!inBannedSection || !/^\s*-/.test(line)) continue;
+    // "Generic ... statements" bullets describe a category, not a phrase
+    if (/^\s*-\s*generic/i.test(line)) continue;
+    for (const match of line.matchAll(/"([^"]+)"/g)) phrases.push(match[1]);
+  }
+
+  return phrases.length > 0 ? phrases : DEFAULT_BANNED_PHRASES;
+}
+
+/**
+ * Normalize text for phrase matching: lowercase, no punctuation, nukta and
+ * chandrabindu folded (ज़िंदगी = जिंदगी), doubled roman vowels collapsed
+ * (pyaar = pyar)
+ */
+export function normalizeForMatch(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .toLowerCase()
+    .replace(/़/g, '')
+    .replace(/ँ/g, 'ं')
+    .replace(/([aeiou])\1+/g, '$1')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Lyric lines (not blank, not section headers) with 1-based line numbers
+ */
+export function lyricLines(lyrics) {
+  return String(lyrics || '')
+    .split('\n')
+    .map((text, i) => ({ line: i + 1, text: text.trim() }))
+    .filter(({ text }) => text && !isSectionHeader(text));
+}
+
+/**
+ * Banned phrases found in the lyrics, with 1-based line, column and the
+ * length of the matched text
+ */
+export function findBannedPhrases(lyrics, phrases) {
+  const found = [];
+  const normalizedPhrases = phrases
+    .map(phrase => ({ phrase, words: normalizeForMatch(phrase).split(' ').filter(Boolean) }))
+    .filter(({ words }) => words.length > 0);
+
+  String(lyrics || '').split('\n').forEach((text, i) => {
+    const words = Array.from(text.matchAll(/[\p{L}\p{M}\p{N}]+/gu), m => ({
+      start: m.index,
+      end: m.index + m[0].length,
+      normalized: normalizeForMatch(m[0])
+    }));
+
+    for (const { phrase, words: phraseWords } of normalizedPhrases) {
+      for (let w = 0; w + phraseWords.length <= words.length; w++) {
+        if (phraseWords.every((word, k) => words[w + k].normalized === word)) {
+          const last = words[w + phraseWords.length - 1];
+          found.push({ phrase, line: i + 1, column: words[w].start + 1, length: last.end - words[w].start });
+        }
+      }
+    }
+  });
+  return found;
+}
+
+// Rough Latin consonant for each Devanagari consonant, for name matching
+const CONSONANT_SKELETON = {
+  'क': 'k', 'ख': 'k', 'ग': 'g', 'घ': 'g', 'ङ': 'n', 'च': 'c', 'छ': 'c', 'ज': 'j', 'झ': 'j', 'ञ': 'n',
+  'ट': 't', 'ठ': 't', 'ड': 'd', 'ढ': 'd', 'ण': 'n', 'त': 't', 'थ': 't', 'द': 'd', 'ध': 'd', 'न': 'n',
+  'प': 'p', 'फ': 'p', 'ब': 'b', 'भ': 'b', 'म': 'm', 'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+  'श': 's', 'ष': 's', 'स': 's', 'ह': '', 'ं': 'n'
+};
+
+const collapse = (s) => s.replace(/(.)\1+/g, '$1');
+
+/**
+ * Consonant skeleton of a romanized name: "Mansi" → "mns", "Prabh" → "prb"
+ */
+function romanSkeleton(name) {
+  return collapse(name.toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/h/g, '')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/f/g, 'p')
+    .replace(/x/g, 'ks')
+    .replace(/[aeiou]/g, ''));
+}
+
+/**
+ * Consonant skeleton of a Devanagari word: "मानसी" → "mns"
+ */
+function devanagariSkeleton(word) {
+  return collapse(Array.from(word.normalize('NFD'))
+    .map(c => CONSONANT_SKELETON[c] ?? '')
+    .join(''));
+}
+
+/**
+ * Whether a name appears in the lyrics, written in Roman or Devanagari
+ */
+export function containsName(lyrics, name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return false;
+
+  const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, 'iu').test(lyrics)) return true;
+
+  const skeleton = romanSkeleton(trimmed);
+  if (skeleton.length < 2) return false;
+  const words = String(lyrics || '').match(/[ऀ-ॿ]+/g) || [];
+  return words.some((word, i) =>
+    devanagariSkeleton(word) === skeleton ||
+    (i + 1 < words.length && devanagariSkeleton(word + words[i + 1]) === skeleton)
+  );
+}
+
+/**
+ * The deterministic checks, keyed by checklist guideline number.
+ * Each result is { passed: true | false | null, detail }.
+ */
+export function runDeterministicChecks(lyrics, { order = null, bannedPhrases = DEFAULT_BANNED_PHRASES } = {}) {
+  const lines = lyricLines(lyrics);
+  const results = {};
+
+  // 1. Recipient's name (or one of their nicknames) included
+  if (order?.recipient_name) {
+    const names = [order.recipient_name, ...(order.nicknames || [])];
+    const found = names.filter(name => containsName(lyrics, name));
+    results[1] = {
+      passed: found.length > 0,
+      detail: found.length > 0 ? `Found: ${found.join(', ')}` : `None of ${names.join(', ')} appear in the lyrics`
+    };
+  } else {
+    results[1] = { passed: null, detail: 'No structured order - recipient name unknown' };
+  }
+
+  // 15. No banned clichés
+  const banned = findBannedPhrases(lyrics, bannedPhrases);
+  results[15] = {
+    passed: banned.length === 0,
+    detail: banned.length === 0
+      ? 'No banned phrases'
+      : banned.map(b => `"${b.phrase}" on line ${b.line}`).join('; ')
+  };
+
+  // 21. Clear song structure (Verse and Chorus headers)
+  const sections = String(lyrics || '').split('\n').map(sectionName).filter(Boolean);
+  const hasVerse = sections.includes('Verse') || sections.includes('Antara');
+  const hasChorus = sections.includes('Chorus') || sections.includes('Mukhda') || sections.includes('Hook');
+  results[21] = {
+    passed: hasVerse && hasChorus,
+    detail: sections.length > 0 ? `Sections: ${sections.join(', ')}` : 'No section headers'
+  };
+
+  // 22. Total length 16-24 lines
+  const [minLines, maxLines] = LINE_COUNT_RANGE;
+  results[22] = {
+    passed: lines.length >= minLines && lines.length <= maxLines,
+    detail: `${lines.length} lines (target ${minLines}-${maxLines})`
+  };
+
+  // 23. Singable line length (8-14 syllables)
+  const [minSyllables, maxSyllables] = SYLLABLE_RANGE;
+  const outOfRange = lines
+    .map(({ line, text }) => ({ line, syllables: countSyllables(text) }))
+    .filter(({ syllables }) => syllables < minSyllables || syllables > maxSyllables);
+  const inRangeShare = lines.length > 0 ? 1 - outOfRange.length / lines.length : 0;
+  results[23] = {
+    passed: lines.length > 0 && inRangeShare >= SYLLABLE_PASS_SHARE,
+    detail: outOfRange.length === 0
+      ? `All lines ${minSyllables}-${maxSyllables} syllables`
+      : `${outOfRange.length} of ${lines.length} lines out of range: ` +
+        outOfRange.slice(0, 6).map(o => `line ${o.line} (${o.syllables})`).join(', ')
+  };
+
+  return results;
+}
+
+/**
+ * Rubric prompt asking the model to grade the subjective guidelines
+ */
+export function buildRubricPrompt(lyrics, requestText, items) {
+  const system = `You are a strict reviewer of personalized Hindi song lyrics.
+Grade the lyrics against each numbered guideline below. Be critical - pass a guideline only if it is clearly met.
+
+Return ONLY JSON: { "results": [ { "id": <guideline number>, "pass": true | false, "note": "one short reason" } ] }
+
+# GUIDELINES
+${items.map(item => `${item.id}. ${item.text}`).join('\n')}`;
+
+  const user = `# CUSTOMER REQUEST\n${requestText || '(not available)'}\n\n# LYRICS\n${lyrics}`;
+  return { system, user };
+}
+
+/**
+ * Parse the model's rubric answer into results keyed by guideline number
+ */
+export function parseRubric(text, items) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('Rubric response contained no JSON');
+
+  const wanted = new Set(items.map(item => item.id));
+  const results = {};
+  for (const entry of JSON.parse(match[0]).results || []) {
+    const id = Number(entry?.id);
+    if (!wanted.has(id) || typeof entry.pass !== 'boolean') continue;
+    results[id] = { passed: entry.pass, detail: String(entry.note || '').slice(0, 300) };
+  }
+  return results;
+}
+
+/**
+ * Combine deterministic and model results into the stored scorecard.
+ * Score is the share of graded guidelines that passed.
+ */
+export function buildReport(items, deterministic, graded) {
+  const report = items.map(item => {
+    const auto = DETERMINISTIC_GUIDELINES[item.id] ? deterministic[item.id] : null;
+    const result = auto || graded[item.id] || { passed: null, detail: 'Not graded' };
+    return {
+      id: item.id,
+      guideline: item.text,
+      method: auto ? 'auto' : 'model',
+      passed: result.passed,
+      detail: result.detail
+    };
+  });
+
+  const gradedItems = report.filter(item => item.passed !== null);
+  const passedCount = gradedItems.filter(item => item.passed).length;
+  const score = gradedItems.length > 0 ? passedCount / gradedItems.length : null;
+  const criticalFailure = report.some(item => CRITICAL_GUIDELINES.includes(item.id) && item.passed === false);
+
+  return {
+    items: report,
+    score,
+    passedCount,
+    gradedCount: gradedItems.length,
+    flagged: criticalFailure || (score !== null && score < SCORE_FLAG_THRESHOLD)
+  };
+}
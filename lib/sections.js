@@ -0,0 +1,194 @@
+// Structured sections - lyrics as Verse / Chorus / Bridge blocks, and the
+// targeted rewrite of one section or line range while the rest stays fixed.
+
+import { isSectionHeader, sectionName, countSyllables, countMatras } from './syllables.js';
+import { SYLLABLE_RANGE } from './scoring.js';
+
+// Markers around the part to rewrite in the prompt
+const REWRITE_START = '>>>';
+const REWRITE_END = '<<<';
+
+/**
+ * Parse lyrics into sections. A section starts at a header ("[Chorus]")
+ * or, without one, at the first line after a blank line.
+ * Returns [{ index, name, header, lines: [{ line, text }] }] where line is
+ * the 1-based line number in the lyrics.
+ */
+export function parseSections(lyrics) {
+  const sections = [];
+  let current = null;
+  let afterBlank = false;
+
+  String(lyrics || '').split('\n').forEach((raw, i) => {
+    const text = raw.trim();
+    if (!text) {
+      afterBlank = true;
+      return;
+    }
+    if (isSectionHeader(text)) {
+      current = { name: sectionName(text), header: text, lines: [] };
+      sections.push(current);
+    } else {
+      if (!current || (afterBlank && current.lines.length > 0)) {
+        current = { name: null, header: null, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push({ line: i + 1, text });
+    }
+    afterBlank = false;
+  });
+
+  return sections.map((section, index) => ({ index, ...section }));
+}
+
+/**
+ * Lyrics text of parsed sections
+ */
+export function renderSections(sections) {
+  return sections
+    .map(section => [section.header, ...section.lines.map(l => l.text)].filter(Boolean).join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Display label of a section ("Chorus", "Verse 2", "Stanza 3")
+ */
+export function sectionLabel(section) {
+  if (section.header) return section.header.replace(/^[\s*#_[(]+|[\s*_\])]+:?\s*$/g, '').replace(/:$/, '');
+  return `Stanza ${section.index + 1}`;
+}
+
+/**
+ * Find what to rewrite: a whole section ({ section: index }) or a range of
+ * lyric lines ({ lines: { start, end } }, 1-based as in the lyrics) that
+ * stays within one section.
+ * Returns { target: { section, from, to }, errors } where from/to index
+ * the section's lines (inclusive).
+ */
+export function locateTarget(sections, { section, lines } = {}) {
+  const errors = {};
+
+  if (lines && (lines.start !== undefined || lines.end !== undefined)) {
+    const start = Number(lines.start);
+    const end = Number(lines.end ?? lines.start);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+      errors.lines = 'Lines must be a range of line numbers (start <= end)';
+      return { target: null, errors };
+    }
+    const match = sections.find(s => s.lines.some(l => l.line === start));
+    if (!match || !match.lines.some(l => l.line === end)) {
+      errors.lines = 'Line range must cover lyric lines within one section';
+      return { target: null, errors };
+    }
+    if (section !== undefined && section !== null && section !== '' && Number(section) !== match.index) {
+      errors.lines = 'Line range is not in the chosen section';
+      return { target: null, errors };
+    }
+    return {
+      target: {
+        section: match.index,
+        from: match.lines.findIndex(l => l.line === start),
+        to: match.lines.findIndex(l => l.line === end)
+      },
+      errors
+    };
+  }
+
+  const index = Number(section);
+  if (section === undefined || section === null || section === '' || !Number.isInteger(index) || !sections[index]) {
+    errors.section = 'Choose a section or a line range';
+    return { target: null, errors };
+  }
+  return { target: { section: index, from: 0, to: sections[index].lines.length - 1 }, errors };
+}
+
+/**
+ * Label of a rewrite target ("Chorus", "Verse 1 lines 3-4")
+ */
+export function targetLabel(sections, target) {
+  const section = sections[target.section];
+  const whole = target.from === 0 && target.to === section.lines.length - 1;
+  if (whole) return sectionLabel(section);
+  const first = section.lines[target.from].line;
+  const last = section.lines[target.to].line;
+  return `${sectionLabel(section)} line${first === last ? ` ${first}` : `s ${first}-${last}`}`;
+}
+
+/**
+ * User message asking the model to rewrite only the target lines, with
+ * the rest of the song shown for rhyme and story context
+ */
+export function buildRewriteMessage(sections, target, instruction, { rhymeScheme = null } = {}) {
+  const section = sections[target.section];
+  const targetLines = section.lines.slice(target.from, target.to + 1);
+  const syllables = targetLines.map(l => countSyllables(l.text));
+  const matras = targetLines.map(l => countMatras(l.text));
+
+  const marked = sections.map(s => {
+    const lines = s.lines.map((l, i) => {
+      if (s.index !== target.section) return l.text;
+      const prefix = i === target.from ? `${REWRITE_START}\n` : '';
+      const suffix = i === target.to ? `\n${REWRITE_END}` : '';
+      return prefix + l.text + suffix;
+    });
+    return [s.header, ...lines].filter(Boolean).join('\n');
+  }).join('\n\n');
+
+  const count = targetLines.length;
+  const rhymeRule = rhymeScheme
+    ? `- Follow the ${rhymeScheme} rhyme scheme of the song, rhyming with the lines around them.`
+    : '- Keep the rhyme pattern of the lines they replace, rhyming with the lines around them.';
+
+  return `Rewrite ONLY the ${count === 1 ? 'line' : `${count} lines`} of "${targetLabel(sections, target)}" marked between ${REWRITE_START} and ${REWRITE_END}. Everything else in the song stays exactly as it is.
+
+Instruction: ${instruction}
+
+The new lines must:
+- Keep the story, names and details consistent with the rest of the song.
+${rhymeRule}
+- Be ${SYLLABLE_RANGE[0]}-${SYLLABLE_RANGE[1]} syllables each, close to the meter of the lines they replace (about ${Math.round(matras.reduce((a, b) => a + b, 0) / count)} matras, ${Math.round(syllables.reduce((a, b) => a + b, 0) / count)} syllables).
+- Be ${count} line${count === 1 ? '' : 's'}, in the same script as the song.
+
+Lyrics:
+${marked}
+
+Return ONLY the ${count === 1 ? 'new line' : `${count} new lines`} - no markers, section header or explanation.`;
+}
+
+/**
+ * New lines from the model's rewrite answer: drops markers, headers,
+ * code fences, numbering and blank lines
+ */
+export function parseRewrite(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && line !== REWRITE_START && line !== REWRITE_END && !line.startsWith('```'))
+    .filter(line => !isSectionHeader(line))
+    .map(line => line.replace(/^(\d+[.)]|[-*])\s+/, ''));
+}
+
+/**
+ * Sections with the target lines replaced by newLines
+ */
+export function applyRewrite(sections, target, newLines) {
+  return sections.map(section => {
+    if (section.index !== target.section) return section;
+    const lines = [
+      ...section.lines.slice(0, target.from),
+      ...newLines.map(text => ({ text })),
+      ...section.lines.slice(target.to + 1)
+    ];
+    return { ...section, lines };
+  });
+}
+
+/**
+ * Sections with one section replaced by hand-edited text (which may
+ * include its header)
+ */
+export function replaceSection(sections, index, text) {
+  const edited = parseSections(text);
+  return sections.flatMap(section => (section.index === index ? edited : [section]));
+}
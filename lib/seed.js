@@ -0,0 +1,31 @@
+// Seed data - rows a fresh database needs, inserted only where missing so
+// the seed can run on every deploy.
+
+import { DEFAULT_STYLE_GUIDE, DEFAULT_QUALITY_CHECKLIST } from './defaults.js';
+
+const SEED_AUTHOR = 'seed';
+
+// Shared (not per style profile) settings that start from the built-in text
+const VERSIONED_DEFAULTS = [
+  { table: 'style_guide', label: 'style guide', content: DEFAULT_STYLE_GUIDE },
+  { table: 'quality_checklist', label: 'quality checklist', content: DEFAULT_QUALITY_CHECKLIST }
+];
+
+/**
+ * Seed a migrated database: the built-in style guide and quality checklist
+ * become version 1 of the shared settings unless any version exists.
+ * Returns what was inserted, as messages.
+ */
+export async function seedDatabase(db) {
+  const inserted = [];
+  for (const { table, label, content } of VERSIONED_DEFAULTS) {
+    const result = await db.query(
+      `INSERT INTO ${table} (content, author, note)
+       SELECT $1, $2, 'Built-in default'
+       WHERE NOT EXISTS (SELECT 1 FROM ${table} WHERE profile_id IS NULL)`,
+      [content, SEED_AUTHOR]
+    );
+    if (result.rowCount > 0) inserted.push(`Built-in ${label}`);
+  }
+  return inserted;
+}
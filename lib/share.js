@@ -0,0 +1,146 @@
+// Customer review links - expiring, revocable links to one lyric revision
+// that open a read-only page where the customer approves it or comments
+// on lines. As with sessions, only a hash of the link token is stored.
+
+import { randomBytes, createHash } from 'crypto';
+import { parseSections, sectionLabel } from './sections.js';
+
+export const CUSTOMER_DECISIONS = ['approved', 'changes_requested'];
+
+// Review status each customer decision gives the lyric
+export const DECISION_STATUSES = { approved: 'approved', changes_requested: 'needs_work' };
+
+// Lyrics that can be shared: not candidates passed over or merged away
+export const SHAREABLE_STATUSES = ['pending', 'approved', 'needs_work'];
+
+export const DEFAULT_SHARE_DAYS = 7;
+const MAX_SHARE_DAYS = 90;
+const MAX_COMMENTS = 50;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_MESSAGE_LENGTH = 4000;
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * New random link token (256 bits, URL-safe); only shareTokenHash of it is
+ * stored, so a leaked database does not leak working links
+ */
+export function newShareToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash of a link token, or null for something that can't be one
+ */
+export function shareTokenHash(token) {
+  if (!TOKEN_PATTERN.test(String(token || ''))) return null;
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether a link still accepts a response: 'active', 'responded',
+ * 'expired' or 'revoked'
+ */
+export function shareLinkState(link, now = new Date()) {
+  if (link.revoked_at) return 'revoked';
+  if (new Date(link.expires_at) <= now) return 'expired';
+  if (link.responded_at) return 'responded';
+  return 'active';
+}
+
+/**
+ * Validate a new link: { expiresInDays (1-90, default 7), recipient }.
+ * Returns { share, errors } where errors maps field name to message.
+ */
+export function validateShareLink(input = {}) {
+  const errors = {};
+  const share = {};
+
+  const days = input.expiresInDays === undefined || input.expiresInDays === '' ? DEFAULT_SHARE_DAYS : Number(input.expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_DAYS) {
+    errors.expiresInDays = `Expiry must be 1-${MAX_SHARE_DAYS} days`;
+  }
+  share.expiresInDays = days;
+
+  const recipient = String(input.recipient || '').trim();
+  if (recipient.length > 100) {
+    errors.recipient = 'Recipient must be at most 100 characters';
+  }
+  share.recipient = recipient || null;
+
+  return { share, errors };
+}
+
+/**
+ * Validate a customer's response against the shared lyrics: a decision,
+ * line comments ({ line, comment } with line the 1-based lyric line) for
+ * changes, an optional message and name. Comments are stored with their
+ * section and the line text, so they still read right after the lyric is
+ * revised.
+ * Returns { response, errors } where errors maps field name to message.
+ */
+export function validateCustomerResponse(input = {}, lyrics) {
+  const errors = {};
+  const response = {};
+
+  const decision = input.decision;
+  if (!CUSTOMER_DECISIONS.includes(decision)) {
+    errors.decision = 'Approve the lyrics or ask for changes';
+  }
+  response.decision = decision;
+
+  const sections = parseSections(lyrics);
+  const lines = new Map(sections.flatMap(section => section.lines.map(l => [l.line, { section, text: l.text }])));
+  const comments = Array.isArray(input.comments) ? input.comments : [];
+  response.comments = [];
+  if (comments.length > MAX_COMMENTS) {
+    errors.comments = `At most ${MAX_COMMENTS} comments`;
+  } else {
+    for (const item of comments) {
+      const comment = String(item?.comment || '').trim();
+      const match = lines.get(Number(item?.line));
+      if (!match) {
+        errors.comments = 'Comments must be on lines of the lyrics';
+        break;
+      }
+      if (!comment) continue;
+      if (comment.length > MAX_COMMENT_LENGTH) {
+        errors.comments = `A comment can be at most ${MAX_COMMENT_LENGTH} characters`;
+        break;
+      }
+      response.comments.push({ line: Number(item.line), section: sectionLabel(match.section), text: match.text, comment });
+    }
+  }
+
+  const message = String(input.message || '').trim();
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    errors.message = `Message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  response.message = message || null;
+
+  if (decision === 'changes_requested' && !errors.comments && response.comments.length === 0 && !message) {
+    errors.comments = 'Highlight a line and say what to change, or leave a message';
+  }
+
+  const name = String(input.name || '').trim();
+  if (name.length > 100) {
+    errors.name = 'Name must be at most 100 characters';
+  }
+  response.name = name || null;
+
+  return { response, errors };
+}
+
+/**
+ * Feedback notes of a customer response, in the form reviewers write them
+ * so regeneration and learning read it the same way
+ */
+export function formatCustomerFeedback({ decision, comments, message, name }) {
+  const who = name ? `Customer (${name})` : 'Customer';
+  const parts = [decision === 'approved' ? `${who} approved the lyrics.` : `${who} asked for changes.`];
+  for (const item of comments) {
+    parts.push(`- ${item.section}, line ${item.line} "${item.text}": ${item.comment}`);
+  }
+  if (message) parts.push(message);
+  return parts.join('\n');
+}
@@ -0,0 +1,160 @@
+// Syllable counting for Hindi lyric lines in Devanagari or romanized
+// Hinglish. Approximate by design - good enough to flag lines that are
+// clearly too short or too long to sing.
+
+const DEVANAGARI_CONSONANT = /[क-हक़-य़]/;
+const DEVANAGARI_VOWEL = /[ऄ-औॠॡ]/;
+const DEVANAGARI_MATRA = /[ा-ौॢॣ]/;
+const HALANT = '्';
+const NUKTA = '़';
+
+/**
+ * Syllables in one Devanagari word. Each independent vowel and each
+ * consonant that is not joined by a halant is a syllable, except a bare
+ * word-final consonant whose inherent "a" is dropped in speech (दिल = 1).
+ */
+function devanagariSyllables(word) {
+  const chars = Array.from(word).filter(c => c !== NUKTA);
+  let count = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i];
+    if (DEVANAGARI_VOWEL.test(c)) {
+      count++;
+    } else if (DEVANAGARI_CONSONANT.test(c)) {
+      const next = chars[i + 1];
+      if (next === HALANT) continue;
+      const isLast = !chars.slice(i + 1).some(n => DEVANAGARI_CONSONANT.test(n) || DEVANAGARI_VOWEL.test(n));
+      const hasMatra = next !== undefined && DEVANAGARI_MATRA.test(next);
+      if (hasMatra || !isLast || count === 0) count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Syllables in one romanized word: vowel groups, with a final "y" after
+ * a consonant counted as a vowel (hamesha = 3, pyaar = 1, dy = 1)
+ */
+function romanSyllables(word) {
+  const lower = word.toLowerCase();
+  const groups = lower.match(/[aeiou]+/g) || [];
+  let count = groups.length;
+  if (/[^aeiou]y$/.test(lower)) count++;
+  return Math.max(count, /[a-z]/.test(lower) ? 1 : 0);
+}
+
+/**
+ * Count syllables in a word of either script
+ */
+export function countWordSyllables(word) {
+  return /[ऀ-ॿ]/.test(word) ? devanagariSyllables(word) : romanSyllables(word);
+}
+
+/**
+ * Count syllables in a lyric line
+ */
+export function countSyllables(line) {
+  const words = String(line || '').match(/[\p{L}\p{M}]+/gu) || [];
+  return words.reduce((sum, word) => sum + countWordSyllables(word), 0);
+}
+
+const LONG_VOWELS = /[आईऊएऐओऔॠॡ]/;
+const LONG_MATRAS = /[ाीूेैोौॄ]/;
+const NASAL_OR_VISARGA = /[ंः]/;
+
+/**
+ * Matras (metrical weight) of one Devanagari word, counting each akshar as
+ * laghu (1) or guru (2): long vowels, anusvara/visarga and a short vowel
+ * before a conjunct are guru.
+ */
+function devanagariMatras(word) {
+  const chars = Array.from(word).filter(c => c !== NUKTA && c !== 'ँ');
+  let total = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i];
+    let weight = 0;
+    let j = i + 1;
+
+    if (DEVANAGARI_VOWEL.test(c)) {
+      weight = LONG_VOWELS.test(c) ? 2 : 1;
+    } else if (DEVANAGARI_CONSONANT.test(c)) {
+      if (chars[j] === HALANT) continue;
+      weight = chars[j] && LONG_MATRAS.test(chars[j]) ? 2 : 1;
+      if (chars[j] && DEVANAGARI_MATRA.test(chars[j])) j++;
+    } else {
+      continue;
+    }
+
+    if (chars[j] && NASAL_OR_VISARGA.test(chars[j])) weight = 2;
+    // A short syllable followed by a conjunct (क्ष, प्न, ब्ब...) is heavy
+    if (weight === 1 && chars[j + 1] === HALANT) weight = 2;
+    total += weight;
+  }
+  return total;
+}
+
+/**
+ * Matras of one romanized word, mirroring the Devanagari count: long
+ * vowels (aa, ee, oo, e, o, ai, au, any word-final vowel) are 2, a short
+ * vowel before a consonant cluster is 2, and a word-final consonant adds 1
+ * unless it is a nasal n (dil = 2, jaan = 3, mohabbat = 6, hain = 2)
+ */
+function romanMatras(word) {
+  const lower = word.toLowerCase().replace(/(kh|gh|ch|jh|th|dh|ph|bh|sh)/g, m => m[0].toUpperCase());
+  if (/^[^aeiou]*y$/.test(lower)) return 2;
+
+  const parts = lower.split(/([aeiou]+)/).filter(p => p !== '');
+  let total = 0;
+
+  parts.forEach((part, i) => {
+    if (!/^[aeiou]+$/.test(part)) return;
+    const isLast = i === parts.length - 1;
+    let weight = part.length > 1 || part === 'e' || part === 'o' || isLast ? 2 : 1;
+    const following = parts[i + 1] || '';
+    const followingIsFinal = i + 1 === parts.length - 1;
+    if (weight === 1 && following.length >= 2 && !followingIsFinal) weight = 2;
+    total += weight;
+  });
+
+  const last = parts[parts.length - 1] || '';
+  const beforeLast = parts[parts.length - 2] || '';
+  const nasal = last === 'n' && /^(ai|ei|e|o|oo)$/.test(beforeLast);
+  if (last && !/^[aeiou]+$/.test(last) && !nasal) total += 1;
+  return total;
+}
+
+/**
+ * Count matras in a lyric line (either script)
+ */
+export function countMatras(line) {
+  const words = String(line || '').match(/[\p{L}\p{M}]+/gu) || [];
+  return words.reduce((sum, word) =>
+    sum + (/[ऀ-ॿ]/.test(word) ? devanagariMatras(word) : romanMatras(word)), 0);
+}
+
+// Section headers such as "[Verse 1]", "(Bridge)" or "Chorus:"
+const SECTION_NAMES = 'verse|chorus|pre-chorus|bridge|hook|intro|outro|antara|mukhda|refrain';
+const BRACKETED_HEADER = new RegExp(`^\\s*[\\[(]\\s*(${SECTION_NAMES})\\b[^\\])]*[\\])]\\s*:?\\s*$`, 'i');
+const PLAIN_HEADER = new RegExp(`^\\s*(${SECTION_NAMES})(\\s*\\d+)?\\s*(\\([^)]*\\))?\\s*:?\\s*$`, 'i');
+
+// Models often wrap headers in markdown ("**[Chorus]**", "## Verse 1")
+const stripMarkdown = (line) => String(line).replace(/^[\s*#_]+|[\s*_]+$/g, '');
+
+/**
+ * Whether a line is a section header such as "[Verse 1]" or "Chorus:"
+ */
+export function isSectionHeader(line) {
+  const clean = stripMarkdown(line);
+  return BRACKETED_HEADER.test(clean) || PLAIN_HEADER.test(clean);
+}
+
+/**
+ * Section name of a header line ("Verse", "Chorus"...), or null
+ */
+export function sectionName(line) {
+  const clean = stripMarkdown(line);
+  const match = clean.match(BRACKETED_HEADER) || clean.match(PLAIN_HEADER);
+  return match ? match[1][0].toUpperCase() + match[1].slice(1).toLowerCase() : null;
+}
@@ -0,0 +1,366 @@
+// Transliteration between Devanagari and the romanized Hindi singers read
+// ("tu hi meri dhadkan"): plain ASCII, long vowels doubled, the inherent
+// vowel dropped where it is not sung. Names and English words are kept as
+// written in both directions.
+//
+// Rule-based and lossy by nature: romanized Hindi does not mark dental vs
+// retroflex or the unwritten schwa, so Roman -> Devanagari gives the common
+// spelling, not always the dictionary one.
+
+const DEVANAGARI_WORD = /[ऀ-ॿ‌‍]+/g;
+const ROMAN_WORD = /[A-Za-z]+(?:'[A-Za-z]+)*/g;
+
+const VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o'
+};
+
+// Vowel signs (matras) on a consonant
+const MATRAS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o'
+};
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ng',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'ny',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+  // Precomposed nukta letters (Urdu and English sounds); the flapped ड़/ढ़
+  // are written d/dh in Hinglish ("dhadkan", "padhna")
+  'क़': 'q', 'ख़': 'kh', 'ग़': 'gh', 'ज़': 'z', 'ड़': 'd', 'ढ़': 'dh', 'फ़': 'f', 'य़': 'y'
+};
+
+// Consonant + nukta (़) written as two code points
+const NUKTA_FORMS = { 'क': 'क़', 'ख': 'ख़', 'ग': 'ग़', 'ज': 'ज़', 'ड': 'ड़', 'ढ': 'ढ़', 'फ': 'फ़', 'य': 'य़' };
+
+const SIGNS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h', 'ॐ': 'om', '।': '.', '॥': '.' };
+
+// A word-final cluster ending in these keeps its inherent vowel ("mitra",
+// "satya", "tattva"); others drop it ("dard", "dost")
+const SCHWA_CLUSTER_ENDS = ['र', 'य', 'व'];
+
+// Anusvara is sung as m before p, ph, b, bh and m ("ambar", "champa")
+const LABIALS = ['प', 'फ', 'ब', 'भ', 'म'];
+
+const DIGITS = '०१२३४५६७८९';
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const ANUSVARA = 'ं';
+
+export const SCRIPTS = ['roman', 'devanagari'];
+
+/**
+ * Sound units of one Devanagari word: consonants (with whether they carry
+ * the inherent vowel), vowels and signs, in order
+ */
+function devanagariUnits(word) {
+  const chars = Array.from(word.normalize('NFC'));
+  const units = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    let char = chars[i];
+    if (chars[i + 1] === NUKTA && NUKTA_FORMS[char]) {
+      char = NUKTA_FORMS[char];
+      i++;
+    }
+
+    if (CONSONANTS[char]) {
+      const unit = { kind: 'consonant', char, text: CONSONANTS[char], schwa: true };
+      units.push(unit);
+      const next = chars[i + 1];
+      if (next === VIRAMA) {
+        unit.schwa = false;
+        i++;
+      } else if (MATRAS[next]) {
+        unit.schwa = false;
+        units.push({ kind: 'vowel', text: MATRAS[next] });
+        i++;
+      }
+    } else if (VOWELS[char]) {
+      units.push({ kind: 'vowel', text: VOWELS[char] });
+    } else if (SIGNS[char]) {
+      units.push({ kind: 'sign', char, text: SIGNS[char] });
+    } else if (DIGITS.includes(char)) {
+      units.push({ kind: 'other', text: String(DIGITS.indexOf(char)) });
+    } else if (char !== NUKTA && char !== '‌' && char !== '‍') {
+      units.push({ kind: 'other', text: char });
+    }
+  }
+  return units;
+}
+
+/**
+ * Whether the unit is a syllable nucleus (a vowel or a consonant still
+ * carrying its inherent vowel)
+ */
+function voiced(unit) {
+  return unit?.kind === 'vowel' || (unit?.kind === 'consonant' && unit.schwa);
+}
+
+/**
+ * Drop the inherent vowels Hindi does not pronounce: at the end of a word
+ * (unless after a cluster ending in r, y or v: "mitra", "satya") and
+ * between syllables in V C_C V ("lagta", "dhadkan"), right to left so two
+ * neighbours are never both dropped. When a word ends in C a C a C, the
+ * schwa before it is dropped rather than the one inside it, as compounds
+ * split ("ham-safar", not "hamas-far").
+ */
+function deleteSchwas(units) {
+  const last = units.length - 1;
+  const final = units[last];
+  const cluster = units[last - 1]?.kind === 'consonant' && !units[last - 1].schwa;
+  if (final?.kind === 'consonant' && final.schwa && units.length > 1 && !(cluster && SCHWA_CLUSTER_ENDS.includes(final.char))) {
+    final.schwa = false;
+  }
+
+  const deletable = (i) => {
+    const unit = units[i];
+    if (i < 1 || unit.kind !== 'consonant' || !unit.schwa) return false;
+    const next = units[i + 1];
+    const nextVoiced = next?.kind === 'consonant' && (next.schwa || units[i + 2]?.kind === 'vowel');
+    return voiced(units[i - 1]) && nextVoiced;
+  };
+  for (let i = last - 1; i > 0; i--) {
+    if (!deletable(i)) continue;
+    const beforeFinalSyllable = i + 2 === last && units[i + 1].schwa && !units[last].schwa;
+    if (beforeFinalSyllable && deletable(i - 1)) continue;
+    units[i].schwa = false;
+  }
+  return units;
+}
+
+// Long vowels Hinglish writes short at the end of a word
+const SHORT_FINALS = { ee: 'i', oo: 'u', aa: 'a' };
+
+/**
+ * Romanize one Devanagari word. A final vowel is written short, as Hinglish
+ * spells it ("meri", "tu", "lagta", "nahin") - except a nasal oo ("hoon")
+ * and an aa that is the word's only vowel ("maa").
+ */
+function romanizeWord(word) {
+  const units = deleteSchwas(devanagariUnits(word));
+  let end = units.length - 1;
+  while (units[end]?.kind === 'sign') end--;
+  const last = units[end];
+  const nasal = end < units.length - 1;
+  if (last?.kind === 'vowel' && SHORT_FINALS[last.text] &&
+    !(last.text === 'oo' && nasal) && !(last.text === 'aa' && !units.slice(0, end).some(voiced))) {
+    last.text = SHORT_FINALS[last.text];
+  }
+  return units
+    .map((unit, i) => {
+      if (unit.kind === 'consonant') return unit.text + (unit.schwa ? 'a' : '');
+      if (unit.kind === 'sign' && unit.char === ANUSVARA && LABIALS.includes(units[i + 1]?.char)) return 'm';
+      return unit.text;
+    })
+    .join('');
+}
+
+/**
+ * Spelling key that ignores vowel length, doubled letters, w/v and a
+ * trailing a, so a transliterated name ("meenu") matches how the customer
+ * spelled it ("Minu")
+ */
+export function nameKey(word) {
+  return word.toLowerCase().replace(/ee/g, 'i').replace(/oo/g, 'u').replace(/w/g, 'v').replace(/(.)\1+/g, '$1').replace(/a$/, '');
+}
+
+/**
+ * The words of names (recipient, nicknames) as a Set of lowercase words
+ */
+function nameWords(names = []) {
+  return new Set(names.flatMap(name => String(name || '').match(ROMAN_WORD) || []).map(w => w.toLowerCase()));
+}
+
+/**
+ * Romanized text: Devanagari words transliterated, everything else
+ * (romanized or English words, punctuation, line breaks) kept as is.
+ * A Devanagari word that reads as one of `names` takes its given spelling.
+ */
+export function romanize(text, { names = [] } = {}) {
+  const spellings = new Map();
+  for (const word of nameWords(names)) {
+    const spelled = names.join(' ').match(new RegExp(`\\b${word}\\b`, 'i'))[0];
+    spellings.set(nameKey(word), spelled);
+  }
+  return String(text || '').replace(DEVANAGARI_WORD, word => {
+    const roman = romanizeWord(word);
+    return spellings.get(nameKey(roman)) || roman;
+  });
+}
+
+/**
+ * Whether text contains Devanagari
+ */
+export function hasDevanagari(text) {
+  return /[ऀ-ॿ]/.test(String(text || ''));
+}
+
+// ---------------------------------------------------------------------------
+// Roman -> Devanagari
+
+// Romanized vowels, longest first: [roman, independent letter, matra]
+const ROMAN_VOWELS = [
+  ['aa', 'आ', 'ा'], ['ai', 'ऐ', 'ै'], ['au', 'औ', 'ौ'], ['ee', 'ई', 'ी'], ['ei', 'ए', 'े'],
+  ['ii', 'ई', 'ी'], ['oo', 'ऊ', 'ू'], ['ou', 'औ', 'ौ'], ['uu', 'ऊ', 'ू'],
+  ['a', 'अ', ''], ['e', 'ए', 'े'], ['i', 'इ', 'ि'], ['o', 'ओ', 'ो'], ['u', 'उ', 'ु']
+];
+
+// Romanized consonants, longest first. t and d are read as the dental
+// त and द, the usual sound behind them in Hinglish.
+const ROMAN_CONSONANTS = [
+  ['chh', 'छ'], ['ksh', 'क्ष'],
+  ['kh', 'ख'], ['gh', 'घ'], ['ch', 'च'], ['jh', 'झ'], ['th', 'थ'], ['dh', 'ध'],
+  ['ph', 'फ'], ['bh', 'भ'], ['sh', 'श'],
+  ['k', 'क'], ['g', 'ग'], ['c', 'क'], ['j', 'ज'], ['t', 'त'], ['d', 'द'], ['n', 'न'],
+  ['p', 'प'], ['b', 'ब'], ['m', 'म'], ['y', 'य'], ['r', 'र'], ['l', 'ल'], ['v', 'व'],
+  ['w', 'व'], ['s', 'स'], ['h', 'ह'], ['q', 'क़'], ['z', 'ज़'], ['f', 'फ़'], ['x', 'क्स']
+];
+
+// Common words whose Hinglish spelling does not follow the rules (nasal
+// vowels, short vowels written long)
+const HINGLISH_WORDS = {
+  main: 'मैं', mai: 'मैं', hain: 'हैं', hoon: 'हूँ', hun: 'हूँ', nahi: 'नहीं', nahin: 'नहीं',
+  mein: 'में', me: 'में', kyun: 'क्यों', kyu: 'क्यों', kyon: 'क्यों', yahan: 'यहाँ', wahan: 'वहाँ',
+  kahan: 'कहाँ', jahan: 'जहाँ', haan: 'हाँ', han: 'हाँ', maa: 'माँ', tu: 'तू', tum: 'तुम', hum: 'हम',
+  pyar: 'प्यार', keh: 'कह', kehna: 'कहना', reh: 'रह', rehna: 'रहना', ye: 'ये', yeh: 'यह', woh: 'वह',
+  wo: 'वो', aur: 'और', ek: 'एक', bhi: 'भी', sang: 'संग', jaan: 'जान', aankhon: 'आँखों', aankhen: 'आँखें'
+};
+
+// English words kept in Roman when they appear in Hinglish ("just 2 min
+// baat par"); names and capitalized words are kept as well
+const ENGLISH_WORDS = new Set(`
+a about after again all always am an and any are as at baby back be beautiful because been before best
+birthday but by call can cake can't college come coffee cute dance date day days dear did do don't
+dream dreams ever every everything family first for forever friend friends from fun gift girl
+got had happy has have he her here him his home hour hours how i i'm if in is it it's just kind know
+last life like little love lovely made make man me meet memories memory message met min mine minute
+minutes miss moment month months more morning most movie music my never new next nice night no not
+now of office oh ok okay on one only or our out party phone please promise proposal really ring
+said same say see she shopping show since so some someone song sorry special still sweet sweetheart
+than thank thanks that the their them then there they thing things this time to today together
+trip true truly two up us very was way we wedding week weekend well were what when where which who
+why will wish with without wonderful work world year years yes you your
+`.trim().split(/\s+/));
+
+/**
+ * Devanagari for one romanized Hindi word. Consonant clusters at the start
+ * or end of a word, doubled consonants and clusters ending in y, r, v or h
+ * are joined with a virama; other medial pairs keep their unwritten schwa
+ * ("lagta" -> लगता). n or m before a consonant becomes anusvara.
+ */
+function devanagariWord(word) {
+  const lower = word.toLowerCase();
+  if (HINGLISH_WORDS[lower]) return HINGLISH_WORDS[lower];
+
+  // Tokenize into consonants and vowels
+  const tokens = [];
+  for (let i = 0; i < lower.length;) {
+    const vowel = ROMAN_VOWELS.find(([roman]) => lower.startsWith(roman, i));
+    if (vowel) {
+      tokens.push({ kind: 'vowel', roman: vowel[0], letter: vowel[1], matra: vowel[2] });
+      i += vowel[0].length;
+      continue;
+    }
+    const consonant = ROMAN_CONSONANTS.find(([roman]) => lower.startsWith(roman, i));
+    if (consonant) {
+      tokens.push({ kind: 'consonant', roman: consonant[0], letter: consonant[1] });
+      i += consonant[0].length;
+    } else {
+      tokens.push({ kind: 'other', letter: lower[i] });
+      i++;
+    }
+  }
+
+  // Final a and i are sung long ("tera", "meri"); on/en/ein end nasal
+  const last = tokens[tokens.length - 1];
+  const beforeLast = tokens[tokens.length - 2];
+  if (last?.kind === 'vowel' && beforeLast?.kind === 'consonant') {
+    if (last.roman === 'a') Object.assign(last, { letter: 'आ', matra: 'ा' });
+    if (last.roman === 'i') Object.assign(last, { letter: 'ई', matra: 'ी' });
+  }
+  let nasalEnding = false;
+  if (last?.roman === 'n' && beforeLast?.kind === 'vowel' && ['o', 'e', 'ei'].includes(beforeLast.roman) && tokens.length > 2) {
+    tokens.pop();
+    nasalEnding = true;
+  }
+
+  let out = '';
+  tokens.forEach((token, i) => {
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (token.kind === 'vowel') {
+      out += prev?.kind === 'consonant' ? token.matra : token.letter;
+    } else if (token.kind === 'consonant') {
+      if (next?.kind === 'consonant') {
+        const nasal = (token.roman === 'n' && next.roman !== 'y' && next.roman !== 'h') ||
+          (token.roman === 'm' && ['p', 'ph', 'b', 'bh'].includes(next.roman));
+        if (nasal && prev?.kind === 'vowel') {
+          out += 'ं';
+          return;
+        }
+        const joined = !prev || prev.kind !== 'vowel' || i + 2 >= tokens.length || token.roman === next.roman ||
+          ['y', 'r', 'v', 'w', 'h'].includes(next.roman) || (['s', 'sh'].includes(token.roman) && tokens[i + 2]?.kind !== 'vowel');
+        out += token.letter + (joined ? VIRAMA : '');
+      } else {
+        out += token.letter;
+      }
+    } else {
+      out += token.letter;
+    }
+  });
+  return out + (nasalEnding ? ANUSVARA : '');
+}
+
+/**
+ * Devanagari text: romanized Hindi words transliterated; Devanagari,
+ * English words, `names`, capitalized words after the start of a sentence
+ * and ALL-CAPS words kept as written
+ */
+export function toDevanagari(text, { names = [] } = {}) {
+  const keep = nameWords(names);
+  return String(text || '').replace(ROMAN_WORD, (word, offset, whole) => {
+    const lower = word.toLowerCase();
+    const sentenceStart = /(^|[.!?\n]\s*)$/.test(whole.slice(0, offset));
+    if (keep.has(lower) || ENGLISH_WORDS.has(lower)) return word;
+    if (word.length > 1 && word === word.toUpperCase()) return word;
+    if (/^[A-Z]/.test(word) && !sentenceStart) return word;
+    return devanagariWord(word);
+  });
+}
+
+/**
+ * Transliterate text into a script (SCRIPTS)
+ */
+export function transliterate(text, { to, names = [] } = {}) {
+  return to === 'devanagari' ? toDevanagari(text, { names }) : romanize(text, { names });
+}
+
+/**
+ * Customer story as the prompt should read it: Unicode-normalized, Devanagari
+ * digits and dandas in ASCII, words glued to numbers split ("just2 min"),
+ * and - when Devanagari and Roman words are mixed - the Devanagari words
+ * romanized so the story reads in one script (names keep their spelling).
+ * A story written only in Devanagari keeps its script.
+ */
+export function normalizeStory(story, { names = [] } = {}) {
+  let text = String(story || '').normalize('NFC')
+    .replace(/[०-९]/g, digit => String(DIGITS.indexOf(digit)))
+    .replace(/\s*॥\s*|\s*।\s*/g, '. ')
+    .replace(/([A-Za-zऀ-ॿ])(\d)/g, '$1 $2')
+    .replace(/(\d)(?!(?:st|nd|rd|th)\b)([A-Za-zऀ-ॿ]{2,})/g, '$1 $2')
+    .replace(/([A-Za-z])([ऀ-ॿ])|([ऀ-ॿ])([A-Za-z])/g, (m, a, b, c, d) => a ? `${a} ${b}` : `${c} ${d}`);
+
+  if (hasDevanagari(text) && /[A-Za-z]{2,}/.test(text)) text = romanize(text, { names });
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
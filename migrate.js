@@ -0,0 +1,94 @@
+// Database migrations and seed data.
+//
+//   npm run migrate                          apply pending migrations
+//   npm run migrate -- up [--to <version>]
+//   npm run migrate -- down [--steps <n> | --to <version>]
+//   npm run migrate -- status
+//   npm run migrate -- create <name>         new empty migration file
+//   npm run seed                             default rows (safe to re-run)
+//   npm run init-db                          migrate, then seed
+//
+// Connects with DATABASE_URL (see lib/db.js for TLS).
+
+import fs from 'fs';
+import { createPool } from './lib/db.js';
+import { loadMigrations, migrationStatus, migrateUp, migrateDown, newMigrationFile } from './lib/migrations.js';
+import { seedDatabase } from './lib/seed.js';
+
+const COMMANDS = ['up', 'down', 'status', 'create', 'seed', 'init'];
+
+function parseArgs(argv) {
+  const options = { command: 'up', to: null, steps: null, name: null };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to') options.to = Number(argv[++i]);
+    else if (arg === '--steps') options.steps = Number(argv[++i]);
+    else rest.push(arg);
+  }
+  if (rest.length > 0) options.command = rest.shift();
+  options.name = rest.join(' ') || null;
+  return options;
+}
+
+async function printStatus(pool) {
+  const status = await migrationStatus(pool, loadMigrations());
+  console.log(`\nSchema version ${status.current} of ${status.latest}\n`);
+  for (const row of status.applied) {
+    const note = row.missing ? '  ⚠️  no file' : row.changed ? '  ⚠️  file changed since applied' : '';
+    console.log(`✅ ${String(row.version).padStart(4, '0')}_${row.name}  (${new Date(row.applied_at).toISOString()})${note}`);
+  }
+  for (const migration of status.pending) {
+    console.log(`⏳ ${migration.filename}  (pending)`);
+  }
+  console.log('');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!COMMANDS.includes(options.command)) {
+    console.error(`Usage: npm run migrate -- [${COMMANDS.join('|')}] [--to <version>] [--steps <n>]`);
+    process.exit(1);
+  }
+  for (const flag of ['to', 'steps']) {
+    if (options[flag] !== null && !(Number.isInteger(options[flag]) && options[flag] >= 0)) {
+      console.error(`--${flag} must be a whole number`);
+      process.exit(1);
+    }
+  }
+
+  if (options.command === 'create') {
+    const file = newMigrationFile(options.name);
+    fs.writeFileSync(file.path, file.content, { flag: 'wx' });
+    console.log(`📝 Created ${file.path}`);
+    return;
+  }
+
+  const pool = createPool();
+  try {
+    if (options.command === 'status') {
+      await printStatus(pool);
+      return;
+    }
+    if (options.command === 'down') {
+      const reverted = await migrateDown(pool, { steps: options.steps ?? 1, to: options.to });
+      console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+      return;
+    }
+    if (options.command !== 'seed') {
+      const applied = await migrateUp(pool, { to: options.to ?? Infinity });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+    }
+    if (options.command === 'seed' || options.command === 'init') {
+      const inserted = await seedDatabase(pool);
+      console.log(inserted.length > 0 ? `🌱 Seeded: ${inserted.join(', ')}` : '🌱 Seed data already present');
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
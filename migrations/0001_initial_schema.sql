@@ -0,0 +1,442 @@
+-- Initial schema: everything up to the first versioned migration.
+--
+-- Databases set up by hand from the old schema.sql get the same tables and
+-- columns, so every statement here can run again on one (IF NOT EXISTS).
+-- Default settings rows are no longer inserted here; see `npm run seed`.
+
+-- migrate:up
+
+-- 1. Style Guide Table
+CREATE TABLE IF NOT EXISTS style_guide (
+    id SERIAL PRIMARY KEY,
+    content TEXT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 2. Quality Checklist Table  
+CREATE TABLE IF NOT EXISTS quality_checklist (
+    id SERIAL PRIMARY KEY,
+    content TEXT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 3. Reference Examples Table
+CREATE TABLE IF NOT EXISTS reference_examples (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    order_no VARCHAR(50),
+    mood VARCHAR(50),
+    occasion VARCHAR(100),
+    language VARCHAR(50),
+    client_story TEXT,
+    generated_lyrics TEXT NOT NULL,
+    learning_notes TEXT,
+    source VARCHAR(50) DEFAULT 'manual', -- 'manual', 'extracted', 'generated', 'imported'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 4. Generated Lyrics Table (All production lyrics)
+CREATE TABLE IF NOT EXISTS generated_lyrics (
+    id SERIAL PRIMARY KEY,
+    order_number VARCHAR(50) NOT NULL,
+    client_request TEXT NOT NULL,
+    generated_lyrics TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'approved', 'needs_work', 'not_picked', 'merged'
+    feedback_notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 5. Feedback & Learning Table
+CREATE TABLE IF NOT EXISTS feedback_learning (
+    id SERIAL PRIMARY KEY,
+    lyrics_id INTEGER REFERENCES generated_lyrics(id),
+    feedback_type VARCHAR(20), -- 'approved', 'needs_work', 'not_picked' (candidate passed over)
+    what_worked TEXT, -- Extracted successful patterns
+    what_failed TEXT, -- Mistakes to avoid
+    learning_pattern TEXT, -- AI-identified pattern
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 6. Pattern Library (AI-discovered patterns from approved lyrics)
+CREATE TABLE IF NOT EXISTS pattern_library (
+    id SERIAL PRIMARY KEY,
+    pattern_type VARCHAR(50), -- 'rhyme', 'structure', 'emotion', 'cultural', 'failure'
+    pattern_description TEXT,
+    example_text TEXT,
+    success_count INTEGER DEFAULT 0,
+    confidence_score DECIMAL(3,2) DEFAULT 0.0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 7. Performance Metrics
+CREATE TABLE IF NOT EXISTS performance_metrics (
+    id SERIAL PRIMARY KEY,
+    date DATE NOT NULL,
+    total_generated INTEGER DEFAULT 0,
+    approved_count INTEGER DEFAULT 0,
+    needs_work_count INTEGER DEFAULT 0,
+    approval_rate DECIMAL(5,2),
+    avg_generation_time INTEGER, -- seconds
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 8. Orders (structured customer intake)
+CREATE TABLE IF NOT EXISTS orders (
+    id SERIAL PRIMARY KEY,
+    order_no VARCHAR(50) NOT NULL UNIQUE,
+    mood VARCHAR(50) NOT NULL,
+    occasion VARCHAR(100) NOT NULL,
+    length VARCHAR(20), -- '1-2 Min', '2-3 Min', '3-4 Min'
+    rhyme_scheme VARCHAR(10), -- 'AABB', 'ABAB', 'ABCB', 'AAAA'; NULL = writer's choice
+    artist VARCHAR(20) NOT NULL, -- 'Female', 'Male'
+    language VARCHAR(50) NOT NULL,
+    story TEXT NOT NULL,
+    recipient_name VARCHAR(100) NOT NULL,
+    relationship VARCHAR(100),
+    nicknames TEXT[] DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 9. Lyric Scores (checklist scorecard per generated lyric)
+CREATE TABLE IF NOT EXISTS lyric_scores (
+    id SERIAL PRIMARY KEY,
+    lyrics_id INTEGER NOT NULL REFERENCES generated_lyrics(id) ON DELETE CASCADE,
+    score DECIMAL(4,3), -- share of graded guidelines passed, NULL if none graded
+    flagged BOOLEAN DEFAULT false, -- low score or a critical guideline failed
+    passed_count INTEGER DEFAULT 0,
+    graded_count INTEGER DEFAULT 0,
+    report JSONB NOT NULL, -- [{ id, guideline, method: 'auto'|'model', passed, detail }]
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 10. Generation Profiles (named model settings; one may be the default)
+CREATE TABLE IF NOT EXISTS generation_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    provider VARCHAR(20) NOT NULL, -- 'anthropic', 'stub'
+    model VARCHAR(100) NOT NULL,
+    temperature DECIMAL(3,2), -- NULL = provider default
+    max_tokens INTEGER NOT NULL DEFAULT 2000,
+    is_default BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 11. LLM Calls (every model call with its token usage and latency)
+CREATE TABLE IF NOT EXISTS llm_calls (
+    id SERIAL PRIMARY KEY,
+    purpose VARCHAR(20) NOT NULL, -- 'lyrics', 'repair', 'analysis', 'rubric', 'rewrite'
+    provider VARCHAR(20) NOT NULL,
+    model VARCHAR(100),
+    profile VARCHAR(50),
+    temperature DECIMAL(3,2),
+    max_tokens INTEGER,
+    input_tokens INTEGER,
+    output_tokens INTEGER,
+    latency_ms INTEGER,
+    status VARCHAR(20) NOT NULL, -- 'ok', 'error', 'cancelled'
+    error TEXT,
+    order_number VARCHAR(50),
+    lyrics_id INTEGER REFERENCES generated_lyrics(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 12. Candidate Sets (sibling candidates from one multi-candidate generation)
+CREATE TABLE IF NOT EXISTS candidate_sets (
+    id SERIAL PRIMARY KEY,
+    order_number VARCHAR(50) NOT NULL,
+    parent_id INTEGER REFERENCES generated_lyrics(id) ON DELETE SET NULL, -- Lyric the candidates were regenerated from
+    winner_id INTEGER REFERENCES generated_lyrics(id) ON DELETE SET NULL, -- Picked (or merged) lyric
+    picked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 13. Style Profiles (style guide, checklist, banned phrases and example pool per
+-- kind of song, chosen for each order by rules on its fields)
+CREATE TABLE IF NOT EXISTS style_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description TEXT,
+    rules JSONB NOT NULL DEFAULT '{}', -- { language: [...], occasion: [...], mood: [...], artist: [...] }; empty list = any
+    priority INTEGER NOT NULL DEFAULT 0, -- Breaks ties between equally specific matches
+    banned_phrases TEXT[] DEFAULT '{}',
+    use_shared_examples BOOLEAN NOT NULL DEFAULT TRUE, -- Also retrieve examples that belong to no profile
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 14. Users (local accounts; roles rank writer < reviewer < admin)
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    display_name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'writer', -- 'writer', 'reviewer', 'admin'
+    password_hash TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 15. Sessions (login sessions; only a hash of the cookie token is stored)
+CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 16. Audit Log (append-only: every status change, edit, assignment and
+-- settings change, with who made it)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    order_number VARCHAR(50), -- NULL for settings and account changes
+    lyrics_id INTEGER, -- Kept (no foreign key) when the lyric is deleted
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(50), -- Who, as of the change
+    action VARCHAR(50) NOT NULL, -- 'generated', 'rewritten', 'edited', 'merged', 'status_changed', 'assigned', 'deleted', 'settings_changed', 'user_changed', 'batch_queued', 'share_created', 'share_revoked', 'customer_responded'
+    from_status VARCHAR(20),
+    to_status VARCHAR(20),
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+-- 17. Lyric Examples (reference examples injected into each generated lyric's prompt)
+CREATE TABLE IF NOT EXISTS lyric_examples (
+    lyrics_id INTEGER NOT NULL REFERENCES generated_lyrics(id) ON DELETE CASCADE,
+    example_id INTEGER NOT NULL REFERENCES reference_examples(id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL, -- 1 = best match
+    PRIMARY KEY (lyrics_id, example_id)
+);
+
+-- 18. Generation Batches (orders queued together by upload or API)
+CREATE TABLE IF NOT EXISTS generation_batches (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255),
+    settings JSONB DEFAULT '{}', -- Model settings every job uses ({ profile, model, temperature, maxTokens, provider })
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 19. Generation Jobs (one queued generation per order; survives restarts)
+CREATE TABLE IF NOT EXISTS generation_jobs (
+    id SERIAL PRIMARY KEY,
+    batch_id INTEGER REFERENCES generation_batches(id) ON DELETE CASCADE,
+    order_number VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'succeeded', 'failed', 'cancelled'
+    stage VARCHAR(50), -- What a running job is doing
+    progress SMALLINT NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Not picked up before (retry backoff)
+    last_error TEXT,
+    lyrics_id INTEGER REFERENCES generated_lyrics(id) ON DELETE SET NULL, -- Revision the job wrote
+    heartbeat_at TIMESTAMP, -- A running job whose heartbeat stops was orphaned by a restart
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 20. Share Links (customer review links to one lyric revision; only the
+-- token's hash is stored)
+CREATE TABLE IF NOT EXISTS share_links (
+    id SERIAL PRIMARY KEY,
+    lyrics_id INTEGER NOT NULL REFERENCES generated_lyrics(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    recipient VARCHAR(100), -- Who it was sent to, for staff
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP,
+    responded_at TIMESTAMP, -- A link takes one response
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 21. Customer Feedback (responses through share links)
+CREATE TABLE IF NOT EXISTS customer_feedback (
+    id SERIAL PRIMARY KEY,
+    share_link_id INTEGER NOT NULL REFERENCES share_links(id) ON DELETE CASCADE,
+    lyrics_id INTEGER NOT NULL REFERENCES generated_lyrics(id) ON DELETE CASCADE,
+    decision VARCHAR(20) NOT NULL, -- 'approved', 'changes_requested'
+    comments JSONB DEFAULT '[]', -- [{ line, section, text, comment }]
+    message TEXT,
+    customer_name VARCHAR(100),
+    seen_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Staff member who dismissed the notification
+    seen_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Requested rhyme scheme on orders created before it was an intake field
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS rhyme_scheme VARCHAR(10);
+
+-- Link generated lyrics to their structured order
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id);
+
+-- Revision chains: numbered revisions per order, linked to the lyric they were regenerated from
+ALTER TABLE generated_lyrics DROP CONSTRAINT IF EXISTS generated_lyrics_order_number_key;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES generated_lyrics(id) ON DELETE SET NULL;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS revision_feedback TEXT; -- Feedback that triggered this revision
+
+-- Model that wrote each generated lyric
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+
+-- Candidates: the set a lyric belongs to and the variant it was drafted with
+-- ({ temperature, rhymeScheme }, or { mergedFrom } for merged stanzas)
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS candidate_set_id INTEGER REFERENCES candidate_sets(id) ON DELETE SET NULL;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS variant JSONB;
+
+-- Structured sections ([{ index, name, header, lines: [{ line, text }] }]) and how
+-- each revision was made: 'generated', 'rewrite' (one section by the model),
+-- 'human' (hand edit) or 'merge' (stanzas from several candidates)
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS sections JSONB;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS revision_source VARCHAR(20) DEFAULT 'generated';
+
+-- Style guide and checklist versions: who saved each and why; a restore
+-- appends a copy of an older version
+ALTER TABLE style_guide ADD COLUMN IF NOT EXISTS author VARCHAR(100);
+ALTER TABLE style_guide ADD COLUMN IF NOT EXISTS note TEXT;
+ALTER TABLE style_guide ADD COLUMN IF NOT EXISTS restored_from INTEGER REFERENCES style_guide(id) ON DELETE SET NULL;
+ALTER TABLE quality_checklist ADD COLUMN IF NOT EXISTS author VARCHAR(100);
+ALTER TABLE quality_checklist ADD COLUMN IF NOT EXISTS note TEXT;
+ALTER TABLE quality_checklist ADD COLUMN IF NOT EXISTS restored_from INTEGER REFERENCES quality_checklist(id) ON DELETE SET NULL;
+
+-- Style guide and checklist version each lyric was written under (NULL = built-in default)
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS style_guide_id INTEGER REFERENCES style_guide(id) ON DELETE SET NULL;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS checklist_id INTEGER REFERENCES quality_checklist(id) ON DELETE SET NULL;
+
+-- Style profiles: per-profile style guide and checklist versions (NULL = global),
+-- example pools, an order's profile override and the profile each lyric was written under
+ALTER TABLE style_guide ADD COLUMN IF NOT EXISTS profile_id INTEGER REFERENCES style_profiles(id) ON DELETE CASCADE;
+ALTER TABLE quality_checklist ADD COLUMN IF NOT EXISTS profile_id INTEGER REFERENCES style_profiles(id) ON DELETE CASCADE;
+ALTER TABLE reference_examples ADD COLUMN IF NOT EXISTS profile_id INTEGER REFERENCES style_profiles(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS style_profile_id INTEGER REFERENCES style_profiles(id) ON DELETE SET NULL;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS style_profile_id INTEGER REFERENCES style_profiles(id) ON DELETE SET NULL;
+
+-- Review workflow: who wrote each revision and the reviewer it is assigned to
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+-- Reference example metadata used for relevance-ranked retrieval
+ALTER TABLE reference_examples ADD COLUMN IF NOT EXISTS artist VARCHAR(20);
+ALTER TABLE reference_examples ADD COLUMN IF NOT EXISTS lyrics_id INTEGER REFERENCES generated_lyrics(id) ON DELETE SET NULL; -- Lyric this example was promoted from
+
+-- Imported examples may arrive without lyrics (kept out of prompts until
+-- an export attaches them); clear the placeholder the old populate script stored
+ALTER TABLE reference_examples ALTER COLUMN generated_lyrics DROP NOT NULL;
+UPDATE reference_examples SET generated_lyrics = NULL WHERE generated_lyrics = 'Lyrics from training data';
+
+-- Example management: tags, a 1-5 quality rating (4+ counts as approved in
+-- retrieval, 1-3 not) and a switch to keep an example out of prompts
+ALTER TABLE reference_examples ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE reference_examples ADD COLUMN IF NOT EXISTS quality_rating SMALLINT CHECK (quality_rating BETWEEN 1 AND 5);
+ALTER TABLE reference_examples ADD COLUMN IF NOT EXISTS use_in_prompts BOOLEAN DEFAULT true;
+ALTER TABLE reference_examples ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Pattern lifecycle: evidence for/against each pattern, and retirement
+ALTER TABLE pattern_library ADD COLUMN IF NOT EXISTS failure_count INTEGER DEFAULT 0; -- Seen in needs_work lyrics
+ALTER TABLE pattern_library ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active'; -- 'active', 'retired'
+ALTER TABLE pattern_library ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE pattern_library ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Generation metrics: time and tokens spent on each lyric, backfilled from
+-- the LLM call log for lyrics generated before they were recorded
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS generation_time_ms INTEGER;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS input_tokens INTEGER;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS output_tokens INTEGER;
+UPDATE generated_lyrics gl
+SET generation_time_ms = c.latency_ms, input_tokens = c.input_tokens, output_tokens = c.output_tokens
+FROM (
+    SELECT lyrics_id, SUM(latency_ms) AS latency_ms, SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens
+    FROM llm_calls
+    WHERE purpose IN ('lyrics', 'repair', 'rewrite') AND status = 'ok' AND lyrics_id IS NOT NULL
+    GROUP BY lyrics_id
+) c
+WHERE c.lyrics_id = gl.id AND gl.input_tokens IS NULL;
+
+-- Daily rollup: one row per date, rewritten by the server every hour
+ALTER TABLE performance_metrics ADD COLUMN IF NOT EXISTS pending_count INTEGER DEFAULT 0;
+ALTER TABLE performance_metrics ADD COLUMN IF NOT EXISTS input_tokens BIGINT DEFAULT 0;
+ALTER TABLE performance_metrics ADD COLUMN IF NOT EXISTS output_tokens BIGINT DEFAULT 0;
+ALTER TABLE performance_metrics ADD COLUMN IF NOT EXISTS orders_approved INTEGER DEFAULT 0; -- Orders whose first approval fell on this date
+ALTER TABLE performance_metrics ADD COLUMN IF NOT EXISTS avg_revisions_to_approve DECIMAL(6,2);
+ALTER TABLE performance_metrics ADD COLUMN IF NOT EXISTS avg_time_to_approve INTEGER; -- seconds from first draft to approval
+ALTER TABLE performance_metrics ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+DELETE FROM performance_metrics a USING performance_metrics b WHERE a.date = b.date AND a.id < b.id;
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_lyrics_order ON generated_lyrics(order_number);
+CREATE INDEX IF NOT EXISTS idx_lyrics_status ON generated_lyrics(status);
+CREATE INDEX IF NOT EXISTS idx_lyrics_created ON generated_lyrics(created_at);
+CREATE INDEX IF NOT EXISTS idx_examples_occasion ON reference_examples(occasion);
+CREATE INDEX IF NOT EXISTS idx_examples_mood ON reference_examples(mood);
+CREATE INDEX IF NOT EXISTS idx_lyrics_order_id ON generated_lyrics(order_id);
+CREATE INDEX IF NOT EXISTS idx_patterns_status ON pattern_library(status, pattern_type);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lyrics_order_revision ON generated_lyrics(order_number, revision);
+CREATE INDEX IF NOT EXISTS idx_scores_lyrics ON lyric_scores(lyrics_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_created ON llm_calls(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_lyrics ON llm_calls(lyrics_id);
+CREATE INDEX IF NOT EXISTS idx_lyrics_candidate_set ON generated_lyrics(candidate_set_id);
+CREATE INDEX IF NOT EXISTS idx_lyrics_style_guide ON generated_lyrics(style_guide_id);
+CREATE INDEX IF NOT EXISTS idx_lyrics_checklist ON generated_lyrics(checklist_id);
+CREATE INDEX IF NOT EXISTS idx_style_guide_profile ON style_guide(profile_id);
+CREATE INDEX IF NOT EXISTS idx_checklist_profile ON quality_checklist(profile_id);
+CREATE INDEX IF NOT EXISTS idx_examples_profile ON reference_examples(profile_id);
+CREATE INDEX IF NOT EXISTS idx_examples_order_no ON reference_examples(LOWER(order_no));
+CREATE INDEX IF NOT EXISTS idx_examples_tags ON reference_examples USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_lyric_examples_example ON lyric_examples(example_id);
+CREATE INDEX IF NOT EXISTS idx_lyrics_assigned ON generated_lyrics(assigned_to, status);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_order ON audit_log(order_number, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON generation_jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_jobs_batch ON generation_jobs(batch_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_performance_metrics_date ON performance_metrics(date);
+CREATE INDEX IF NOT EXISTS idx_share_links_lyrics ON share_links(lyrics_id);
+CREATE INDEX IF NOT EXISTS idx_customer_feedback_unseen ON customer_feedback(created_at) WHERE seen_at IS NULL;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS customer_feedback;
+DROP TABLE IF EXISTS share_links;
+DROP TABLE IF EXISTS generation_jobs;
+DROP TABLE IF EXISTS generation_batches;
+DROP TABLE IF EXISTS lyric_examples;
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS lyric_scores;
+DROP TABLE IF EXISTS llm_calls;
+DROP TABLE IF EXISTS feedback_learning;
+DROP TABLE IF EXISTS reference_examples;
+DROP TABLE IF EXISTS generated_lyrics CASCADE; -- candidate_sets and generated_lyrics reference each other
+DROP TABLE IF EXISTS candidate_sets;
+DROP TABLE IF EXISTS style_guide;
+DROP TABLE IF EXISTS quality_checklist;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS style_profiles;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS generation_profiles;
+DROP TABLE IF EXISTS pattern_library;
+DROP TABLE IF EXISTS performance_metrics;
@@ -0,0 +1,38 @@
+-- Personal data retention and erasure: when an order's story, lyrics and
+-- examples were anonymized (see lib/privacy.js), and a way for retention
+-- and erasure to take the customer's words out of audit log details.
+
+-- migrate:up
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+ALTER TABLE generated_lyrics ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+ALTER TABLE reference_examples ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+
+-- Audit actions added: 'anonymized' (retention), 'erased' (erasure on request).
+-- The log stays append-only, except that a transaction which sets
+-- raaag.scrub_audit may rewrite an entry's details - never who did what when.
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND current_setting('raaag.scrub_audit', true) = 'on'
+       AND (NEW.id, NEW.order_number, NEW.lyrics_id, NEW.user_id, NEW.username, NEW.action,
+            NEW.from_status, NEW.to_status, NEW.created_at)
+           IS NOT DISTINCT FROM
+           (OLD.id, OLD.order_number, OLD.lyrics_id, OLD.user_id, OLD.username, OLD.action,
+            OLD.from_status, OLD.to_status, OLD.created_at) THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE reference_examples DROP COLUMN IF EXISTS anonymized_at;
+ALTER TABLE generated_lyrics DROP COLUMN IF EXISTS anonymized_at;
+ALTER TABLE orders DROP COLUMN IF EXISTS anonymized_at;
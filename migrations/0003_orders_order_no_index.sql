@@ -0,0 +1,10 @@
+-- Case-insensitive lookup of orders by order number, as reference
+-- examples link to their order (see findSimilarExamples in server.js).
+
+-- migrate:up
+
+CREATE INDEX IF NOT EXISTS idx_orders_order_no_lower ON orders(LOWER(order_no));
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_orders_order_no_lower;
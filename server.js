@@ -1,594 +1,4235 @@
-import express from 'express';
-import cors from 'cors';
-import Anthropic from '@anthropic-ai/sdk';
-import pg from 'pg';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const { Pool } = pg;
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
-
-// Initialize PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
-});
-
-// Test database connection
-pool.query('SELECT NOW()', (err, res) => {
-  if (err) {
-    console.error('❌ Database connection error:', err);
-  } else {
-    console.log('✅ Database connected:', res.rows[0].now);
-  }
-});
-
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.static('public'));
-
-// DEFAULT STYLE GUIDE (will be replaced from Settings)
-const DEFAULT_STYLE_GUIDE = `# RAAAG HINDI LYRICS WRITING STYLE GUIDE
-
-## CORE PHILOSOPHY
-- Write lyrics that capture EMOTIONAL TRUTH beyond surface-level storytelling
-- Go deeper than just recounting events - explore feelings, meanings, and emotional landscapes
-- Create authentic Hindi/Urdu poetry that feels natural, not translated
-- Balance traditional poetic devices with modern accessibility
-
-## LANGUAGE & AUTHENTICITY
-
-### Hindi/Urdu Integration
-- Use authentic Urdu/Hindi words naturally (dil, mohabbat, ishq, junoon, hasrat, etc.)
-- Avoid English words unless specifically requested or contextually perfect
-- Don't force Urdu words - use them where they naturally fit
-- Choose words for emotional resonance and authenticity
-
-### Grammar Excellence
-- CRITICAL: Proper gender agreement (masculine/feminine forms)
-  - Masculine: गया (gaya), हुआ (hua), था (tha), आया (aaya)
-  - Feminine: गई (gayi), हुई (hui), थी (thi), आई (aayi)
-- Match verb/adjective gender to subject
-- Example: "वो आया" (he came) vs "वो आई" (she came)
-
-### Natural Flow
-- Write how people actually speak/sing in Hindi
-- Use conversational rhythm and natural phrasing
-- Avoid awkward word order for rhyme's sake
-- Test singability - read aloud to check flow
-
-## WHAT TO AVOID
-
-### Banned Clichés
-NEVER use these overused phrases:
-- "dil ki baat" / "दिल की बात"
-- "pyar ki kahani" / "प्यार की कहानी"
-- "aankhon mein sapne" / "आँखों में सपने"
-- "zindagi ka safar" / "ज़िंदगी का सफ़र"
-- Generic "tu hai meri zindagi" statements`;
-
-// DEFAULT QUALITY CHECKLIST (will be replaced from Settings)
-const DEFAULT_QUALITY_CHECKLIST = `# RAAAG LYRICS QUALITY CHECKLIST - 28 CRITICAL GUIDELINES
-
-## 1. STORY & PERSONALIZATION (Guidelines 1-8)
-
-□ 1. Recipient's name included at least ONCE (preferably in chorus or meaningful moment)
-□ 2. ALL specific memories/details from customer request are incorporated
-□ 3. Relationship dynamic captured authentically
-□ 4. Occasion appropriately addressed
-□ 5. Emotional depth beyond surface storytelling
-□ 6. Specific imagery from their story (not generic)
-□ 7. Cultural context appropriate
-□ 8. Story arc has beginning, middle, emotional climax
-
-## 2. LANGUAGE EXCELLENCE (Guidelines 9-14)
-
-□ 9. PERFECT Hindi gender agreement throughout
-□ 10. Natural Hindi word order and phrasing
-□ 11. Authentic Hindi/Urdu vocabulary
-□ 12. No awkward constructions for rhyme
-□ 13. Spelling and diacritics correct
-□ 14. Language matches requested style
-
-## 3. POETIC CRAFT (Guidelines 15-20)
-
-□ 15. NO BANNED CLICHÉS anywhere in song
-□ 16. Imagery is SPECIFIC and VIVID
-□ 17. Cultural symbols used authentically
-□ 18. Appropriate rasa (emotional flavor) maintained
-□ 19. Rhythm and meter consistent
-□ 20. Rhyme scheme executed well
-
-## 4. STRUCTURE & FLOW (Guidelines 21-24)
-
-□ 21. Clear song structure present
-□ 22. Appropriate total length: 16-24 lines
-□ 23. Lines are SINGABLE (8-14 syllables typically)
-□ 24. Emotional arc builds to peak
-
-## 5. FINAL POLISH (Guidelines 25-28)
-
-□ 25. Every line serves a PURPOSE
-□ 26. Chorus is MEMORABLE and REPEATABLE
-□ 27. Overall tone matches customer request
-□ 28. FINAL TEST: Would the recipient treasure this?`;
-
-// ==================== HELPER FUNCTIONS ====================
-
-/**
- * Build comprehensive system prompt with all training data
- */
-async function buildSystemPrompt(clientRequest) {
-  try {
-    // 1. Get Style Guide (or use default)
-    let styleGuide = DEFAULT_STYLE_GUIDE;
-    try {
-      const styleGuideResult = await pool.query(
-        'SELECT content FROM style_guide ORDER BY id DESC LIMIT 1'
-      );
-      if (styleGuideResult.rows[0]?.content) {
-        styleGuide = styleGuideResult.rows[0].content;
-      }
-    } catch (err) {
-      console.log('Using default style guide');
-    }
-
-    // 2. Get Quality Checklist (or use default)
-    let qualityChecklist = DEFAULT_QUALITY_CHECKLIST;
-    try {
-      const checklistResult = await pool.query(
-        'SELECT content FROM quality_checklist ORDER BY id DESC LIMIT 1'
-      );
-      if (checklistResult.rows[0]?.content) {
-        qualityChecklist = checklistResult.rows[0].content;
-      }
-    } catch (err) {
-      console.log('Using default quality checklist');
-    }
-
-    // 3. Extract occasion, mood, language from client request
-    const occasion = extractField(clientRequest, 'Occasion');
-    const mood = extractField(clientRequest, 'Mood');
-    const language = extractField(clientRequest, 'Language');
-
-    // 4. Get similar reference examples (top 5 most relevant)
-    let similarExamples = [];
-    try {
-      const examplesResult = await pool.query(
-        `SELECT title, generated_lyrics, learning_notes, client_story
-         FROM reference_examples
-         WHERE occasion ILIKE $1 OR mood ILIKE $2 OR language ILIKE $3
-         ORDER BY created_at DESC
-         LIMIT 5`,
-        [`%${occasion}%`, `%${mood}%`, `%${language}%`]
-      );
-      similarExamples = examplesResult.rows;
-    } catch (err) {
-      console.log('No examples found, using fresh generation');
-    }
-
-    // 5. Get approved patterns (what works well)
-    let approvedPatterns = [];
-    try {
-      const approvedPatternsResult = await pool.query(
-        `SELECT what_worked, learning_pattern
-         FROM feedback_learning
-         WHERE feedback_type = 'approved'
-         ORDER BY created_at DESC
-         LIMIT 10`
-      );
-      approvedPatterns = approvedPatternsResult.rows;
-    } catch (err) {
-      console.log('No approved patterns yet');
-    }
-
-    // 6. Get mistakes to avoid (from needs_work feedback)
-    let commonMistakes = [];
-    try {
-      const mistakesResult = await pool.query(
-        `SELECT what_failed
-         FROM feedback_learning
-         WHERE feedback_type = 'needs_work' AND what_failed IS NOT NULL
-         ORDER BY created_at DESC
-         LIMIT 10`
-      );
-      commonMistakes = mistakesResult.rows;
-    } catch (err) {
-      console.log('No mistakes logged yet');
-    }
-
-    // 7. Build mega system prompt
-    let systemPrompt = `You are RAAAG's expert Hindi lyrics writer. Your goal is to create high-quality, personalized song lyrics that match the established style and quality standards.
-
-# YOUR WRITING STYLE
-${styleGuide}
-
-# QUALITY CHECKLIST - FOLLOW EVERY GUIDELINE
-${qualityChecklist}`;
-
-    // Add examples if available
-    if (similarExamples.length > 0) {
-      systemPrompt += `\n\n# REFERENCE EXAMPLES - LEARN FROM THESE\n`;
-      similarExamples.forEach((ex, i) => {
-        systemPrompt += `\n## Example ${i + 1}: ${ex.title}\n`;
-        if (ex.client_story) {
-          systemPrompt += `**Client Story:** ${ex.client_story.substring(0, 300)}...\n`;
-        }
-        systemPrompt += `**Generated Lyrics:**\n${ex.generated_lyrics}\n`;
-        if (ex.learning_notes) {
-          systemPrompt += `**Learning Notes:** ${ex.learning_notes}\n`;
-        }
-        systemPrompt += `\n---\n`;
-      });
-    }
-
-    // Add approved patterns if available
-    if (approvedPatterns.length > 0) {
-      systemPrompt += `\n\n# APPROVED PATTERNS (What works well - use these!)\n`;
-      approvedPatterns.forEach((p, i) => {
-        systemPrompt += `${i + 1}. ${p.what_worked || p.learning_pattern}\n`;
-      });
-    }
-
-    // Add common mistakes if available
-    if (commonMistakes.length > 0) {
-      systemPrompt += `\n\n# COMMON MISTAKES TO AVOID\n`;
-      commonMistakes.forEach((m, i) => {
-        systemPrompt += `${i + 1}. ❌ ${m.what_failed}\n`;
-      });
-    }
-
-    systemPrompt += `\n\n# YOUR TASK
-Generate lyrics for the following client request. Follow ALL guidelines, use the style from examples, and avoid common mistakes.
-
-**CRITICAL REMINDERS:**
-- Use proper Hindi grammar (especially gender agreement!)
-- Ensure meaningful rhymes (not filler words)
-- Include recipient's name at least once
-- Maintain natural conversational tone
-- Mix Hindi-English appropriately based on language preference
-- Every line must make complete sense
-- Read aloud mentally - does it flow?
-- NO banned clichés: "dil ki baat", "pyar ki kahani", "aankhon mein sapne", "zindagi ka safar"
-
-Now generate the lyrics:`;
-
-    return systemPrompt;
-
-  } catch (error) {
-    console.error('Error building system prompt:', error);
-    return `You are a Hindi lyrics writer. Follow the style guide and quality checklist to create personalized song lyrics.
-
-${DEFAULT_STYLE_GUIDE}
-
-${DEFAULT_QUALITY_CHECKLIST}`;
-  }
-}
-
-/**
- * Extract field from client request (e.g., Occasion, Mood, Language)
- */
-function extractField(text, fieldName) {
-  const regex = new RegExp(`${fieldName}[:\\s-]+([^\\n]+)`, 'i');
-  const match = text.match(regex);
-  return match ? match[1].trim() : '';
-}
-
-/**
- * Extract order number from client request
- */
-function extractOrderNumber(text) {
-  const match = text.match(/Order\s+no[:\s]+([A-Z0-9]+)/i);
-  return match ? match[1] : `ORD-${Date.now()}`;
-}
-
-// ==================== API ENDPOINTS ====================
-
-/**
- * Generate Lyrics - Main endpoint
- */
-app.post('/api/generate', async (req, res) => {
-  try {
-    const { prompt } = req.body;
-    
-    if (!process.env.ANTHROPIC_API_KEY) {
-      return res.status(500).json({ error: 'API key not configured' });
-    }
-
-    console.log('🎵 Generating lyrics with full learning system...');
-    const startTime = Date.now();
-
-    // Build comprehensive system prompt
-    const systemPrompt = await buildSystemPrompt(prompt);
-
-    // Generate lyrics with Claude
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      system: systemPrompt,
-      messages: [
-        { role: 'user', content: prompt }
-      ]
-    });
-
-    if (message.content && message.content[0] && message.content[0].text) {
-      const generatedLyrics = message.content[0].text;
-      const generationTime = Date.now() - startTime;
-      
-      // Save to database
-      const orderNumber = extractOrderNumber(prompt);
-      let lyricsId = null;
-      
-      try {
-        const saveResult = await pool.query(
-          `INSERT INTO generated_lyrics (order_number, client_request, generated_lyrics, status)
-           VALUES ($1, $2, $3, 'pending')
-           RETURNING id`,
-          [orderNumber, prompt, generatedLyrics]
-        );
-        lyricsId = saveResult.rows[0].id;
-      } catch (dbErr) {
-        console.error('Database save error:', dbErr.message);
-        // Continue even if DB save fails
-      }
-      
-      console.log(`✅ Lyrics generated successfully in ${generationTime}ms (ID: ${lyricsId || 'not saved'})`);
-      
-      res.json({ 
-        lyrics: generatedLyrics,
-        lyricsId: lyricsId,
-        orderNumber: orderNumber,
-        generationTime: generationTime
-      });
-    } else {
-      console.error('❌ No lyrics in response');
-      res.status(500).json({ error: 'Failed to generate lyrics' });
-    }
-  } catch (error) {
-    console.error('❌ Error:', error.message);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * Submit Feedback - Learning from approved/rejected lyrics
- */
-app.post('/api/feedback', async (req, res) => {
-  try {
-    const { lyricsId, status, feedbackNotes } = req.body;
-    
-    // Update lyrics status
-    await pool.query(
-      `UPDATE generated_lyrics 
-       SET status = $1, feedback_notes = $2, updated_at = NOW()
-       WHERE id = $3`,
-      [status, feedbackNotes, lyricsId]
-    );
-    
-    // Extract learning patterns
-    let whatWorked = null;
-    let whatFailed = null;
-    
-    if (status === 'approved') {
-      whatWorked = 'Lyrics approved - successful pattern';
-    } else if (status === 'needs_work' && feedbackNotes) {
-      whatFailed = feedbackNotes;
-    }
-    
-    // Save learning
-    await pool.query(
-      `INSERT INTO feedback_learning (lyrics_id, feedback_type, what_worked, what_failed)
-       VALUES ($1, $2, $3, $4)`,
-      [lyricsId, status, whatWorked, whatFailed]
-    );
-    
-    console.log(`✅ Feedback saved for lyrics ID: ${lyricsId} (Status: ${status})`);
-    res.json({ success: true });
-    
-  } catch (error) {
-    console.error('❌ Feedback error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * Get Dashboard Statistics
- */
-app.get('/api/dashboard/stats', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT 
-        COUNT(*) as total,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved,
-        SUM(CASE WHEN status = 'needs_work' THEN 1 ELSE 0 END) as needs_work
-      FROM generated_lyrics
-    `);
-    
-    res.json(result.rows[0]);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * Get All Lyrics (with filters)
- */
-app.get('/api/lyrics', async (req, res) => {
-  try {
-    const { status, search, limit = 100 } = req.query;
-    
-    let query = 'SELECT id, order_number, generated_lyrics, status, created_at FROM generated_lyrics';
-    let params = [];
-    let whereClauses = [];
-    
-    if (status) {
-      whereClauses.push(`status = $${params.length + 1}`);
-      params.push(status);
-    }
-    
-    if (search) {
-      whereClauses.push(`(order_number ILIKE $${params.length + 1} OR generated_lyrics ILIKE $${params.length + 1})`);
-      params.push(`%${search}%`);
-    }
-    
-    if (whereClauses.length > 0) {
-      query += ' WHERE ' + whereClauses.join(' AND ');
-    }
-    
-    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1}`;
-    params.push(limit);
-    
-    const result = await pool.query(query, params);
-    res.json(result.rows);
-    
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * Save/Update Style Guide
- */
-app.post('/api/settings/style-guide', async (req, res) => {
-  try {
-    const { content } = req.body;
-    await pool.query('INSERT INTO style_guide (content) VALUES ($1)', [content]);
-    res.json({ success: true });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * Get Style Guide
- */
-app.get('/api/settings/style-guide', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT content FROM style_guide ORDER BY id DESC LIMIT 1');
-    res.json({ content: result.rows[0]?.content || DEFAULT_STYLE_GUIDE });
-  } catch (error) {
-    res.json({ content: DEFAULT_STYLE_GUIDE });
-  }
-});
-
-/**
- * Save/Update Quality Checklist
- */
-app.post('/api/settings/quality-checklist', async (req, res) => {
-  try {
-    const { content } = req.body;
-    await pool.query('INSERT INTO quality_checklist (content) VALUES ($1)', [content]);
-    res.json({ success: true });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * Get Quality Checklist
- */
-app.get('/api/settings/quality-checklist', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT content FROM quality_checklist ORDER BY id DESC LIMIT 1');
-    res.json({ content: result.rows[0]?.content || DEFAULT_QUALITY_CHECKLIST });
-  } catch (error) {
-    res.json({ content: DEFAULT_QUALITY_CHECKLIST });
-  }
-});
-
-/**
- * Add Reference Example
- */
-app.post('/api/settings/examples', async (req, res) => {
-  try {
-    const { title, lyrics, notes } = req.body;
-    
-    const result = await pool.query(
-      `INSERT INTO reference_examples (title, generated_lyrics, learning_notes, source)
-       VALUES ($1, $2, $3, 'manual')
-       RETURNING id`,
-      [title, lyrics, notes]
-    );
-    
-    res.json({ success: true, id: result.rows[0].id });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * Get All Reference Examples
- */
-app.get('/api/settings/examples', async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT id, title, generated_lyrics, learning_notes, created_at FROM reference_examples ORDER BY id DESC'
-    );
-    res.json(result.rows);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * Get Date-wise Analytics
- */
-app.get('/api/analytics/datewise', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT 
-        DATE(created_at) as date,
-        COUNT(*) as total,
-        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved,
-        SUM(CASE WHEN status = 'needs_work' THEN 1 ELSE 0 END) as needs_work
-      FROM generated_lyrics
-      GROUP BY DATE(created_at)
-      ORDER BY date DESC
-      LIMIT 30
-    `);
-    res.json(result.rows);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
-  try {
-    await pool.query('SELECT 1');
-    res.json({ 
-      status: 'ok', 
-      apiKeyConfigured: !!process.env.ANTHROPIC_API_KEY,
-      databaseConnected: true,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      status: 'error',
-      databaseConnected: false,
-      error: error.message
-    });
-  }
-});
-
-// Serve index.html for all other routes
-app.get('*', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'index.html'));
-});
-
-app.listen(PORT, () => {
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`🔑 API Key configured: ${!!process.env.ANTHROPIC_API_KEY}`);
-  console.log(`🗄️  Database URL configured: ${!!process.env.DATABASE_URL}`);
-});
+import express from 'express';
+import cors from 'cors';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { ORDER_OPTIONS, validateOrder, formatOrderRequest } from './lib/orders.js';
+import { rankExamples, RETRIEVAL_WEIGHTS } from './lib/retrieval.js';
+import {
+  buildAnalysisPrompt,
+  parseAnalysis,
+  localAnalysis,
+  findMergeTarget,
+  computeConfidence,
+  shouldRetire
+} from './lib/learning.js';
+import {
+  parseChecklist,
+  parseBannedPhrases,
+  runDeterministicChecks,
+  buildRubricPrompt,
+  parseRubric,
+  buildReport,
+  DETERMINISTIC_GUIDELINES
+} from './lib/scoring.js';
+import { createPool } from './lib/db.js';
+import { assertSchemaCurrent } from './lib/migrations.js';
+import { DEFAULT_STYLE_GUIDE, DEFAULT_QUALITY_CHECKLIST } from './lib/defaults.js';
+import {
+  pseudonymizeExample,
+  maskBody,
+  describeError,
+  retentionSettings,
+  ordersDueForRetention,
+  anonymizeOrder,
+  anonymizeStaleExamples,
+  eraseOrder
+} from './lib/privacy.js';
+import { lintLyrics } from './lib/grammar.js';
+import { analyzeLyrics, buildRepairMessage } from './lib/meter.js';
+import {
+  getProvider,
+  defaultGenerationSettings,
+  validateGenerationSettings,
+  estimateTokens,
+  PROVIDERS
+} from './lib/llm.js';
+import { resolveVariants, variantLabel, splitStanzas, mergeStanzas } from './lib/candidates.js';
+import { diffLines, diffStats } from './lib/diff.js';
+import { validateStyleProfile, selectStyleProfile, describeRules } from './lib/profiles.js';
+import { INGEST_FORMATS, ingestExamples } from './lib/ingest.js';
+import { EXAMPLE_FACETS, validateExample, exampleSearchFilters, examplePage } from './lib/examples.js';
+import { EXPORT_FORMATS, EXPORT_SCRIPTS, exportLyrics } from './lib/export.js';
+import { SCRIPTS, transliterate, hasDevanagari, normalizeStory } from './lib/transliterate.js';
+import { JOB_STATUSES, createJobQueue, parseBatch } from './lib/queue.js';
+import {
+  ANALYTICS_DIMENSIONS,
+  CSV_COLUMNS,
+  parseDateRange,
+  toCsv,
+  rollupPerformanceMetrics,
+  dailyMetrics,
+  approvalBreakdown,
+  orderMetrics,
+  metricsSummary
+} from './lib/metrics.js';
+import {
+  DECISION_STATUSES,
+  SHAREABLE_STATUSES,
+  newShareToken,
+  shareTokenHash,
+  shareLinkState,
+  validateShareLink,
+  validateCustomerResponse,
+  formatCustomerFeedback
+} from './lib/share.js';
+import {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL_DAYS,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  newSessionToken,
+  sessionTokenHash,
+  parseCookies,
+  sessionCookie,
+  validateUser
+} from './lib/auth.js';
+import {
+  parseSections,
+  renderSections,
+  sectionLabel,
+  locateTarget,
+  targetLabel,
+  buildRewriteMessage,
+  parseRewrite,
+  applyRewrite,
+  replaceSection
+} from './lib/sections.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Initialize PostgreSQL connection pool
+const pool = createPool();
+
+// Middleware
+app.use(cors());
+app.use(express.json({ limit: '10mb' }));
+// A body that doesn't parse is answered here: Express's default handler
+// would log the parser's error, which quotes the body
+app.use((err, req, res, next) => {
+  if (!err.type) return next(err);
+  const messages = { 'entity.parse.failed': 'Request body is not valid JSON', 'entity.too.large': 'Request body is too large' };
+  res.status(err.status || 400).json({ error: messages[err.type] || 'Request body could not be read' });
+});
+app.use(express.static('public'));
+
+// API routes anyone can reach; everything else needs a session. Customer
+// review links (/share/<token>) carry their own credential.
+const PUBLIC_API_ROUTES = ['/health', '/auth/me', '/auth/login', '/auth/setup'];
+const PUBLIC_API_PREFIXES = ['/share/'];
+
+/**
+ * Load the signed-in user (req.user) from the session cookie, and turn
+ * away requests to non-public API routes without one
+ */
+async function authenticate(req, res, next) {
+  try {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      const result = await pool.query(
+        `UPDATE sessions s SET last_seen_at = NOW()
+         FROM users u
+         WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.id = s.user_id AND u.active
+         RETURNING s.id AS session_id, u.id, u.username, u.display_name, u.role`,
+        [sessionTokenHash(token)]
+      );
+      req.user = result.rows[0] || null;
+    }
+  } catch (error) {
+    console.error('Session lookup failed:', error.message);
+  }
+
+  const isPublic = PUBLIC_API_ROUTES.includes(req.path) || PUBLIC_API_PREFIXES.some(prefix => req.path.startsWith(prefix));
+  if (!req.user && !isPublic) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+app.use('/api', authenticate);
+
+/**
+ * Route guard: the signed-in user needs `role` (or one ranked above it)
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This needs the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Statuses used by the old localStorage-only frontend
+const LEGACY_STATUS_MAP = {
+  pending: 'pending',
+  good: 'approved',
+  bad: 'needs_work'
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Build the system prompt as labelled sections with all training data.
+ * Uses the structured order when given, else scrapes the free-text request.
+ */
+async function buildPromptSections(clientRequest, order = null) {
+  try {
+    // 0. Choose the style profile (order override, else matching rules)
+    const { profile, reason } = await resolveStyleProfile(retrievalTarget(clientRequest, order));
+
+    // 1. Get Style Guide (the profile's, else the global one, else default)
+    const styleGuide = await currentVersion('style_guide', DEFAULT_STYLE_GUIDE, profile?.id);
+
+    // 2. Get Quality Checklist (same fallbacks)
+    const qualityChecklist = await currentVersion('quality_checklist', DEFAULT_QUALITY_CHECKLIST, profile?.id);
+
+    // 3-4. Get the most relevant, mutually diverse reference examples (top 5)
+    // (other customers' stories, so with their names and places pseudonymized)
+    let similarExamples = [];
+    try {
+      const avoid = order ? [order.recipient_name, ...(order.nicknames || [])] : [];
+      similarExamples = (await findSimilarExamples(clientRequest, order, 5, profile))
+        .map(pick => pseudonymizeExample(pick.example, { avoid }));
+    } catch (err) {
+      console.log('No examples found, using fresh generation');
+    }
+
+    // 5. Get approved patterns (top active patterns from the pattern library)
+    let approvedPatterns = [];
+    try {
+      const approvedPatternsResult = await pool.query(
+        `SELECT pattern_type, pattern_description, example_text
+         FROM pattern_library
+         WHERE status = 'active' AND pattern_type <> 'failure'
+         ORDER BY confidence_score DESC, success_count DESC
+         LIMIT 10`
+      );
+      approvedPatterns = approvedPatternsResult.rows;
+    } catch (err) {
+      console.log('No approved patterns yet');
+    }
+
+    // 6. Get mistakes to avoid (recurring failure themes, else raw needs_work feedback)
+    let commonMistakes = [];
+    try {
+      const themesResult = await pool.query(
+        `SELECT pattern_description AS what_failed
+         FROM pattern_library
+         WHERE status = 'active' AND pattern_type = 'failure'
+         ORDER BY failure_count DESC, last_seen_at DESC
+         LIMIT 10`
+      );
+      commonMistakes = themesResult.rows;
+
+      if (commonMistakes.length === 0) {
+        const mistakesResult = await pool.query(
+          `SELECT what_failed
+           FROM feedback_learning
+           WHERE feedback_type = 'needs_work' AND what_failed IS NOT NULL
+           ORDER BY created_at DESC
+           LIMIT 10`
+        );
+        commonMistakes = mistakesResult.rows;
+      }
+    } catch (err) {
+      console.log('No mistakes logged yet');
+    }
+
+    // 7. Build mega system prompt
+    const sections = [
+      {
+        id: 'role',
+        label: 'Role',
+        content: `You are RAAAG's expert Hindi lyrics writer. Your goal is to create high-quality, personalized song lyrics that match the established style and quality standards.`
+      },
+      {
+        id: 'style_guide',
+        label: profile ? `Style Guide (${profile.name})` : 'Style Guide',
+        content: `# YOUR WRITING STYLE\n${styleGuide.content}`,
+        versionId: styleGuide.id,
+        profile: profile ? { id: profile.id, name: profile.name, reason } : null
+      },
+      {
+        id: 'quality_checklist',
+        label: 'Quality Checklist',
+        content: `# QUALITY CHECKLIST - FOLLOW EVERY GUIDELINE\n${qualityChecklist.content}`,
+        versionId: qualityChecklist.id
+      }
+    ];
+
+    if (profile?.banned_phrases?.length) {
+      sections.push({
+        id: 'banned_phrases',
+        label: 'Banned Phrases',
+        content: `# BANNED PHRASES - NEVER USE THESE\n${profile.banned_phrases.map(phrase => `- ${phrase}`).join('\n')}`
+      });
+    }
+
+    // Add examples if available
+    if (similarExamples.length > 0) {
+      let content = `# REFERENCE EXAMPLES - LEARN FROM THESE\n`;
+      similarExamples.forEach((ex, i) => {
+        content += `\n## Example ${i + 1}: ${ex.title}\n`;
+        if (ex.client_story) {
+          content += `**Client Story:** ${normalizeStory(ex.client_story).substring(0, 300)}...\n`;
+        }
+        content += `**Generated Lyrics:**\n${ex.generated_lyrics}\n`;
+        if (ex.learning_notes) {
+          content += `**Learning Notes:** ${ex.learning_notes}\n`;
+        }
+        content += `\n---\n`;
+      });
+      sections.push({
+        id: 'examples',
+        label: 'Reference Examples',
+        content,
+        exampleIds: similarExamples.map(ex => ex.id)
+      });
+    }
+
+    // Add approved patterns if available
+    if (approvedPatterns.length > 0) {
+      let content = `# APPROVED PATTERNS (What works well - use these!)\n`;
+      approvedPatterns.forEach((p, i) => {
+        content += `${i + 1}. [${p.pattern_type}] ${p.pattern_description}`;
+        content += p.example_text ? ` (e.g. "${p.example_text}")\n` : `\n`;
+      });
+      sections.push({ id: 'approved_patterns', label: 'Approved Patterns', content });
+    }
+
+    // Add common mistakes if available
+    if (commonMistakes.length > 0) {
+      let content = `# COMMON MISTAKES TO AVOID\n`;
+      commonMistakes.forEach((m, i) => {
+        content += `${i + 1}. ❌ ${m.what_failed}\n`;
+      });
+      sections.push({ id: 'common_mistakes', label: 'Common Mistakes', content });
+    }
+
+    sections.push({
+      id: 'task',
+      label: 'Task',
+      content: `# YOUR TASK
+Generate lyrics for the following client request. Follow ALL guidelines, use the style from examples, and avoid common mistakes.
+
+**CRITICAL REMINDERS:**
+- Use proper Hindi grammar (especially gender agreement!)
+- Ensure meaningful rhymes (not filler words)
+- Include recipient's name at least once
+- Maintain natural conversational tone
+- Mix Hindi-English appropriately based on language preference
+- Every line must make complete sense
+- Read aloud mentally - does it flow?
+- NO banned clichés: "dil ki baat", "pyar ki kahani", "aankhon mein sapne", "zindagi ka safar"${order?.rhyme_scheme ? `
+- RHYME SCHEME: follow ${order.rhyme_scheme} in every section - lines with the same letter must end in real rhymes (not filler words)` : ''}
+
+Now generate the lyrics:`
+    });
+
+    return sections;
+
+  } catch (error) {
+    console.error('Error building system prompt:', describeError(error));
+    return [
+      { id: 'role', label: 'Role', content: 'You are a Hindi lyrics writer. Follow the style guide and quality checklist to create personalized song lyrics.' },
+      { id: 'style_guide', label: 'Style Guide', content: DEFAULT_STYLE_GUIDE },
+      { id: 'quality_checklist', label: 'Quality Checklist', content: DEFAULT_QUALITY_CHECKLIST }
+    ];
+  }
+}
+
+/**
+ * Describe what to match examples against: the structured order, or
+ * fields scraped from a free-text request for lyrics without one
+ */
+function retrievalTarget(clientRequest, order) {
+  if (order) {
+    return order;
+  }
+  return {
+    occasion: extractField(clientRequest, 'Occasion'),
+    mood: extractField(clientRequest, 'Mood'),
+    language: extractField(clientRequest, 'Language'),
+    artist: extractField(clientRequest, 'Artist'),
+    story: clientRequest
+  };
+}
+
+/**
+ * Rank reference examples against an order (see lib/retrieval.js), from
+ * the style profile's example pool (plus the shared pool unless the
+ * profile opts out), or the shared pool without a profile. Examples
+ * without lyrics or switched off for prompts are never used; a quality
+ * rating, when set, decides whether an example counts as approved.
+ * Returns [{ example, scores }], best first.
+ */
+async function findSimilarExamples(clientRequest, order = null, limit = 5, profile = null) {
+  const candidates = await pool.query(
+    `SELECT re.id, re.title, re.order_no, re.mood, re.occasion, re.language, re.artist,
+            re.client_story, re.generated_lyrics, re.learning_notes, re.source,
+            COALESCE(re.quality_rating >= 4, re.source = 'manual' OR gl.status = 'approved', false) AS approved,
+            COALESCE(oi.recipient_name, ono.recipient_name) AS recipient_name,
+            COALESCE(oi.nicknames, ono.nicknames) AS nicknames,
+            COALESCE(oi.relationship, ono.relationship) AS relationship
+     FROM reference_examples re
+     LEFT JOIN generated_lyrics gl ON gl.id = re.lyrics_id
+     LEFT JOIN orders oi ON oi.id = gl.order_id
+     LEFT JOIN LATERAL (
+       SELECT recipient_name, nicknames, relationship FROM orders
+       WHERE LOWER(order_no) = LOWER(re.order_no)
+       LIMIT 1
+     ) ono ON oi.id IS NULL
+     WHERE (re.profile_id IS NOT DISTINCT FROM $1::integer OR (re.profile_id IS NULL AND $2::boolean))
+       AND re.use_in_prompts AND COALESCE(TRIM(re.generated_lyrics), '') <> ''
+     ORDER BY re.created_at DESC
+     LIMIT 1000`,
+    [profile?.id ?? null, profile ? profile.use_shared_examples : true]
+  );
+  return rankExamples(retrievalTarget(clientRequest, order), candidates.rows, { limit });
+}
+
+/**
+ * Build comprehensive system prompt with all training data.
+ * Returns { system, versions } where versions are the style profile and
+ * the style guide and checklist rows it was built from (null ids for the
+ * global profile and the built-in defaults), plus the reference examples
+ * it includes (exampleIds, best first).
+ */
+async function buildSystemPrompt(clientRequest, order = null) {
+  const sections = await buildPromptSections(clientRequest, order);
+  return {
+    system: sections.map(section => section.content).join('\n\n'),
+    versions: {
+      styleGuideId: sections.find(section => section.id === 'style_guide')?.versionId ?? null,
+      checklistId: sections.find(section => section.id === 'quality_checklist')?.versionId ?? null,
+      profileId: sections.find(section => section.id === 'style_guide')?.profile?.id ?? null,
+      exampleIds: sections.find(section => section.id === 'examples')?.exampleIds || []
+    }
+  };
+}
+
+/**
+ * Build the user message: the customer request, plus the previous
+ * version and its feedback when regenerating
+ */
+function buildUserMessage(requestText, previous = null, feedback = null) {
+  let message = `# CUSTOMER REQUEST\n${requestText}`;
+
+  if (previous) {
+    message += `\n\n# PREVIOUS VERSION (NEEDS IMPROVEMENT)\n${previous.generated_lyrics}`;
+    message += `\n\n# FEEDBACK ON WHAT TO IMPROVE\n${feedback || previous.feedback_notes || 'Please improve the quality and make it more personalized.'}`;
+    message += `\n\nThe lyrics above were not satisfactory. Create a NEW and IMPROVED version that addresses all the feedback.`;
+  }
+
+  message += `\n\nProvide ONLY the lyrics with clear structure (Verse 1, Chorus, Verse 2, etc.). Do not include any preamble or explanation.`;
+  return message;
+}
+
+/**
+ * Resolve what to generate from: a stored order, or a previous lyric
+ * (with its order, if it has one) when regenerating.
+ * Throws an error with a `status` for bad input.
+ */
+async function resolveGenerationInput({ orderNo, previousLyricsId }) {
+  let order = null;
+  let previous = null;
+
+  if (previousLyricsId) {
+    const previousResult = await pool.query('SELECT * FROM generated_lyrics WHERE id = $1', [previousLyricsId]);
+    previous = previousResult.rows[0];
+    if (!previous) {
+      throw Object.assign(new Error(`Lyrics ${previousLyricsId} not found`), { status: 404 });
+    }
+    if (previous.order_id) {
+      const orderResult = await pool.query('SELECT * FROM orders WHERE id = $1', [previous.order_id]);
+      order = orderResult.rows[0] || null;
+    }
+  } else if (orderNo) {
+    const orderResult = await pool.query('SELECT * FROM orders WHERE order_no = $1', [orderNo]);
+    order = orderResult.rows[0];
+    if (!order) {
+      throw Object.assign(new Error(`Order ${orderNo} not found`), { status: 404 });
+    }
+  } else {
+    throw Object.assign(new Error('An order number is required'), { status: 400 });
+  }
+
+  // Lyrics imported from the old app have no structured order, only their request text
+  const requestText = order ? formatOrderRequest(order) : previous.client_request;
+
+  return { order, previous, requestText };
+}
+
+/**
+ * Resolve the model settings for a request: defaults, then the named
+ * profile (or the default profile), then per-request overrides.
+ * Throws with `status` 400 (and `fields`) for bad input, 500 when the
+ * provider is not configured.
+ */
+async function resolveGenerationSettings({ profile = null, model, temperature, maxTokens, provider } = {}) {
+  const { settings: overrides, errors } = validateGenerationSettings({ provider, model, temperature, maxTokens });
+  if (Object.keys(errors).length > 0) {
+    throw Object.assign(new Error('Invalid generation settings'), { status: 400, fields: errors });
+  }
+
+  const profileResult = profile
+    ? await pool.query('SELECT * FROM generation_profiles WHERE name = $1', [profile])
+    : await pool.query('SELECT * FROM generation_profiles WHERE is_default = true LIMIT 1');
+  const profileRow = profileResult.rows[0];
+  if (profile && !profileRow) {
+    throw Object.assign(new Error(`Profile ${profile} not found`), { status: 404 });
+  }
+
+  const settings = { ...defaultGenerationSettings(), profile: profileRow?.name || null };
+  if (profileRow) {
+    settings.provider = profileRow.provider;
+    settings.model = profileRow.model;
+    settings.temperature = profileRow.temperature === null ? null : Number(profileRow.temperature);
+    settings.maxTokens = profileRow.max_tokens;
+  }
+  Object.assign(settings, overrides);
+
+  getProvider(settings.provider);
+  return settings;
+}
+
+/**
+ * Call the model through the configured provider and record the call
+ * (tokens, latency, outcome) in llm_calls.
+ * Returns { text, model, inputTokens, outputTokens, latencyMs, callId }.
+ */
+async function callModel({ purpose, settings, system, messages, onText = null, signal = null, orderNumber = null, lyricsId = null }) {
+  const provider = getProvider(settings.provider);
+  const startTime = Date.now();
+  let result = null;
+  let failure = null;
+
+  try {
+    result = await provider.complete({
+      purpose,
+      system,
+      messages,
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      onText,
+      signal
+    });
+  } catch (err) {
+    failure = err;
+  }
+  const latencyMs = Date.now() - startTime;
+
+  let callId = null;
+  try {
+    const status = failure ? (signal?.aborted ? 'cancelled' : 'error') : 'ok';
+    const logged = await pool.query(
+      `INSERT INTO llm_calls
+         (purpose, provider, model, profile, temperature, max_tokens, input_tokens, output_tokens, latency_ms, status, error,
+          order_number, lyrics_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id`,
+      [
+        purpose, provider.name, result?.model || settings.model, settings.profile || null, settings.temperature,
+        settings.maxTokens, result?.inputTokens ?? null, result?.outputTokens ?? null, latencyMs, status,
+        failure?.message || null, orderNumber, lyricsId
+      ]
+    );
+    callId = logged.rows[0].id;
+  } catch (dbErr) {
+    console.error('Could not record model call:', dbErr.message);
+  }
+
+  if (failure) throw failure;
+  return { ...result, latencyMs, callId };
+}
+
+/**
+ * Draft lyrics with the model, plus one automatic repair pass when the
+ * draft fails the singability check. Nothing is saved.
+ * With onText the model response is streamed and each text delta passed
+ * to it; signal aborts the upstream request.
+ * Returns { lyrics, analysis, repaired, model, calls, versions, generationTime }.
+ */
+async function draftLyrics({ order, previous, requestText, feedback = null, settings, rhymeScheme = null, onText = null, signal = null }) {
+  const startTime = Date.now();
+  const orderNumber = order?.order_no || previous.order_number;
+  const calls = [];
+
+  // Build comprehensive system prompt
+  const { system: systemPrompt, versions } = await buildSystemPrompt(requestText, order);
+
+  // Generate lyrics
+  const draft = await callModel({
+    purpose: 'lyrics',
+    settings,
+    system: systemPrompt,
+    messages: [
+      { role: 'user', content: buildUserMessage(requestText, previous, feedback) }
+    ],
+    onText,
+    signal,
+    orderNumber
+  });
+  calls.push(draft);
+
+  let lyrics = draft.text;
+  if (!lyrics) {
+    console.error('❌ No lyrics in response');
+    throw new Error('Failed to generate lyrics');
+  }
+
+  // One automatic repair pass when the draft fails the singability check
+  let analysis = analyzeLyrics(lyrics, { rhymeScheme: rhymeScheme || order?.rhyme_scheme });
+  let repaired = false;
+  if (analysis.needsRepair) {
+    const repair = await repairLyrics({ systemPrompt, lyrics, analysis, settings, signal, orderNumber });
+    if (repair?.call) calls.push(repair.call);
+    if (repair?.lyrics) {
+      lyrics = repair.lyrics;
+      analysis = repair.analysis;
+      repaired = true;
+    }
+  }
+  if (signal?.aborted) {
+    throw new Error('Generation cancelled');
+  }
+
+  return { lyrics, analysis, repaired, model: draft.model, calls, versions, generationTime: Date.now() - startTime };
+}
+
+/**
+ * Append an entry to the audit log. orderNumber and lyricsId are null for
+ * settings and account changes; user is the signed-in user (null for
+ * background work).
+ */
+async function recordAudit(db, {
+  user = null, action, orderNumber = null, lyricsId = null, fromStatus = null, toStatus = null, details = {}
+}) {
+  await db.query(
+    `INSERT INTO audit_log (order_number, lyrics_id, user_id, username, action, from_status, to_status, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [orderNumber, lyricsId, user?.id || null, user?.username || null, action, fromStatus, toStatus, JSON.stringify(details)]
+  );
+}
+
+// Audit action for each revision source
+const REVISION_ACTIONS = { generated: 'generated', rewrite: 'rewritten', human: 'edited', merge: 'merged' };
+
+/**
+ * Insert lyrics as the next revision of their order, with their parsed
+ * sections, and audit it. source is how the revision was made: 'generated',
+ * 'rewrite' (model rewrote one section), 'human' (hand edit) or 'merge'.
+ * versions are the style profile, style guide and checklist it was written
+ * under and the reference examples in its prompt; metrics the time and
+ * tokens the model spent on it (see draftMetrics); user is who made it.
+ * db is a client in a transaction, or the pool to run in a transaction of
+ * its own. Revisions of one order are numbered one at a time (advisory
+ * lock), so concurrent jobs for an order don't collide on a number.
+ * Returns the new row.
+ */
+async function insertRevision(db, fields) {
+  if (db === pool) {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const saved = await insertRevision(client, fields);
+      await client.query('COMMIT');
+      return saved;
+    } catch (error) {
+      await client?.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client?.release();
+    }
+  }
+
+  const {
+    orderNumber, orderId = null, clientRequest, lyrics, status = 'pending', feedbackNotes = null, parentId = null,
+    revisionFeedback = null, model = null, candidateSetId = null, variant = null, source = 'generated', versions = {},
+    metrics = {}, user = null
+  } = fields;
+  await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`generated_lyrics:${orderNumber}`]);
+  const result = await db.query(
+    `INSERT INTO generated_lyrics
+       (order_number, order_id, client_request, generated_lyrics, status, feedback_notes, revision, parent_id,
+        revision_feedback, model, candidate_set_id, variant, sections, revision_source, style_guide_id, checklist_id,
+        style_profile_id, created_by, generation_time_ms, input_tokens, output_tokens)
+     SELECT $1::varchar, $2::integer, $3::text, $4::text, $5::varchar, $6::text, COALESCE(MAX(revision), 0) + 1, $7::integer,
+            $8::text, $9::varchar, $10::integer, $11::jsonb, $12::jsonb, $13::varchar, $14::integer, $15::integer, $16::integer,
+            $17::integer, $18::integer, $19::integer, $20::integer
+     FROM generated_lyrics
+     WHERE order_number = $1::varchar
+     RETURNING *`,
+    [
+      orderNumber, orderId, clientRequest, lyrics, status, feedbackNotes, parentId, revisionFeedback, model,
+      candidateSetId, variant ? JSON.stringify(variant) : null, JSON.stringify(parseSections(lyrics)), source,
+      versions.styleGuideId ?? null, versions.checklistId ?? null, versions.profileId ?? null, user?.id || null,
+      metrics.generationTimeMs ?? null, metrics.inputTokens ?? null, metrics.outputTokens ?? null
+    ]
+  );
+  const saved = result.rows[0];
+  if (versions.exampleIds?.length) {
+    await db.query(
+      `INSERT INTO lyric_examples (lyrics_id, example_id, rank)
+       SELECT $1, picks.example_id, picks.rank
+       FROM UNNEST($2::int[]) WITH ORDINALITY AS picks(example_id, rank)
+       JOIN reference_examples re ON re.id = picks.example_id
+       ON CONFLICT DO NOTHING`,
+      [saved.id, versions.exampleIds]
+    );
+  }
+  await recordAudit(db, {
+    user,
+    action: REVISION_ACTIONS[source] || source,
+    orderNumber,
+    lyricsId: saved.id,
+    toStatus: status,
+    details: { revision: saved.revision, parentId, note: revisionFeedback }
+  });
+  return saved;
+}
+
+/**
+ * Save a draft as the order's next revision, link its model calls and
+ * start scoring it in the background.
+ * Returns { lyricsId, revision, sections, saveError }.
+ */
+async function saveRevision({
+  order, previous, requestText, feedback = null, draft, candidateSetId = null, variant = null, user = null
+}) {
+  const orderNumber = order?.order_no || previous.order_number;
+  const revisionFeedback = previous ? feedback || previous.feedback_notes || null : null;
+  let lyricsId = null;
+  let revision = null;
+  let sections = null;
+  let saveError = null;
+
+  try {
+    const saved = await insertRevision(pool, {
+      orderNumber,
+      orderId: order?.id || null,
+      clientRequest: requestText,
+      lyrics: draft.lyrics,
+      parentId: previous?.id || null,
+      revisionFeedback,
+      model: draft.model,
+      candidateSetId,
+      variant,
+      versions: draft.versions,
+      metrics: draftMetrics(draft),
+      user
+    });
+    lyricsId = saved.id;
+    revision = saved.revision;
+    sections = saved.sections;
+
+    const callIds = draft.calls.map(call => call.callId).filter(Boolean);
+    await pool.query('UPDATE llm_calls SET lyrics_id = $1 WHERE id = ANY($2::int[])', [lyricsId, callIds]);
+  } catch (dbErr) {
+    console.error('Database save error:', dbErr.message);
+    // Still return the lyrics, but tell the client they were not saved
+    saveError = dbErr.message;
+  }
+
+  console.log(`✅ Lyrics generated successfully in ${draft.generationTime}ms (ID: ${lyricsId || 'not saved'}, revision ${revision || '-'})`);
+
+  if (lyricsId) {
+    // Score in the background so generation isn't slowed by the rubric call
+    scoreLyrics(lyricsId).catch(err => {
+      console.error(`Scoring failed for lyrics ID ${lyricsId}:`, err.message);
+    });
+  }
+
+  return { lyricsId, revision, sections, saveError };
+}
+
+/**
+ * Time (ms) and tokens a draft's model calls took, as stored with the lyric
+ */
+function draftMetrics(draft) {
+  return {
+    generationTimeMs: draft.generationTime ?? draft.calls.reduce((sum, call) => sum + (call.latencyMs || 0), 0),
+    inputTokens: draft.calls.reduce((sum, call) => sum + (call.inputTokens || 0), 0),
+    outputTokens: draft.calls.reduce((sum, call) => sum + (call.outputTokens || 0), 0)
+  };
+}
+
+/**
+ * Token usage of a draft's model calls
+ */
+function draftUsage(draft, settings) {
+  const { inputTokens, outputTokens } = draftMetrics(draft);
+  return {
+    provider: settings.provider,
+    model: draft.model,
+    profile: settings.profile,
+    inputTokens,
+    outputTokens,
+    calls: draft.calls.length
+  };
+}
+
+/**
+ * Generate lyrics and save them as the order's next revision.
+ * A regeneration links to its parent and records the feedback behind it.
+ * onText and signal stream and cancel as in draftLyrics (nothing is saved
+ * when cancelled).
+ */
+async function generateRevision({
+  order, previous, requestText, feedback = null, settings, onText = null, signal = null, user = null
+}) {
+  console.log('🎵 Generating lyrics with full learning system...');
+  const orderNumber = order?.order_no || previous.order_number;
+
+  const draft = await draftLyrics({ order, previous, requestText, feedback, settings, onText, signal });
+  const { lyricsId, revision, sections, saveError } = await saveRevision({
+    order, previous, requestText, feedback, draft, user
+  });
+
+  return {
+    lyrics: draft.lyrics,
+    lyricsId,
+    orderNumber,
+    revision,
+    sections,
+    generationTime: draft.generationTime,
+    saveError,
+    analysis: draft.analysis,
+    repaired: draft.repaired,
+    usage: draftUsage(draft, settings)
+  };
+}
+
+/**
+ * Generate several candidate lyrics for one order at once, each with its
+ * own temperature and/or rhyme scheme, and save them as sibling revisions
+ * in one candidate set. Candidates are drafted in parallel and saved in
+ * order; a failed candidate is reported without failing the others.
+ */
+async function generateCandidates({ order, previous, requestText, feedback = null, settings, variants, user = null }) {
+  console.log(`🎵 Generating ${variants.length} candidates...`);
+  const orderNumber = order?.order_no || previous.order_number;
+
+  const setResult = await pool.query(
+    'INSERT INTO candidate_sets (order_number, parent_id) VALUES ($1, $2) RETURNING id',
+    [orderNumber, previous?.id || null]
+  );
+  const candidateSetId = setResult.rows[0].id;
+
+  const inputs = variants.map(variant => {
+    if (!variant.rhymeScheme) return { variant, order, requestText };
+    // The rhyme constraint goes into the request like an order field would
+    const variantOrder = order ? { ...order, rhyme_scheme: variant.rhymeScheme } : null;
+    const variantRequest = variantOrder
+      ? formatOrderRequest(variantOrder)
+      : `${requestText}\nRhyme scheme: ${variant.rhymeScheme}`;
+    return { variant, order: variantOrder, requestText: variantRequest };
+  });
+
+  const drafts = await Promise.allSettled(inputs.map(input => draftLyrics({
+    order: input.order,
+    previous,
+    requestText: input.requestText,
+    feedback,
+    settings: { ...settings, temperature: input.variant.temperature ?? settings.temperature },
+    rhymeScheme: input.variant.rhymeScheme
+  })));
+  if (drafts.every(draft => draft.status === 'rejected')) {
+    await pool.query('DELETE FROM candidate_sets WHERE id = $1', [candidateSetId]);
+    throw drafts[0].reason;
+  }
+
+  const candidates = [];
+  for (const [i, outcome] of drafts.entries()) {
+    const { variant } = inputs[i];
+    if (outcome.status === 'rejected') {
+      console.error(`Candidate ${i + 1} failed:`, outcome.reason.message);
+      candidates.push({ variant, label: variantLabel(variant), error: outcome.reason.message });
+      continue;
+    }
+    const draft = outcome.value;
+    const saved = await saveRevision({
+      order: inputs[i].order,
+      previous,
+      requestText: inputs[i].requestText,
+      feedback,
+      draft,
+      candidateSetId,
+      variant,
+      user
+    });
+    candidates.push({
+      variant,
+      label: variantLabel(variant),
+      lyrics: draft.lyrics,
+      ...saved,
+      generationTime: draft.generationTime,
+      analysis: draft.analysis,
+      repaired: draft.repaired,
+      usage: draftUsage(draft, settings)
+    });
+  }
+
+  return { candidateSetId, orderNumber, candidates };
+}
+
+/**
+ * Rewrite one section (or a line range in it) of a lyric from a short
+ * instruction, keeping everything else fixed, and save the result as a
+ * new 'rewrite' revision linked to the lyric it came from.
+ * Throws with `status` 400 (and `fields`) for a bad target.
+ */
+async function rewriteSection({ order, previous, requestText, section, lines, instruction, settings, user = null }) {
+  const orderNumber = order?.order_no || previous.order_number;
+  const sections = parseSections(previous.generated_lyrics);
+  const { target, errors } = locateTarget(sections, { section, lines });
+  if (!target) {
+    throw Object.assign(new Error('Invalid rewrite target'), { status: 400, fields: errors });
+  }
+  const label = targetLabel(sections, target);
+  console.log(`✏️ Rewriting ${label} of lyrics ID: ${previous.id}`);
+
+  const { system, versions } = await buildSystemPrompt(requestText, order);
+  const call = await callModel({
+    purpose: 'rewrite',
+    settings,
+    system,
+    messages: [
+      { role: 'user', content: buildRewriteMessage(sections, target, instruction, { rhymeScheme: order?.rhyme_scheme }) }
+    ],
+    orderNumber
+  });
+  const newLines = parseRewrite(call.text);
+  if (newLines.length === 0) {
+    throw new Error('The model returned no lines for the rewrite');
+  }
+
+  const lyrics = renderSections(applyRewrite(sections, target, newLines));
+  const saved = await insertRevision(pool, {
+    orderNumber,
+    orderId: order?.id || previous.order_id,
+    clientRequest: previous.client_request,
+    lyrics,
+    parentId: previous.id,
+    revisionFeedback: `Rewrote ${label}: ${instruction}`,
+    model: call.model,
+    versions,
+    source: 'rewrite',
+    metrics: draftMetrics({ calls: [call] }),
+    user
+  });
+  if (call.callId) {
+    await pool.query('UPDATE llm_calls SET lyrics_id = $1 WHERE id = $2', [saved.id, call.callId]);
+  }
+  scoreLyrics(saved.id).catch(err => {
+    console.error(`Scoring failed for lyrics ID ${saved.id}:`, err.message);
+  });
+
+  return {
+    lyrics,
+    lyricsId: saved.id,
+    orderNumber,
+    revision: saved.revision,
+    sections: saved.sections,
+    target: { ...target, label },
+    analysis: analyzeLyrics(lyrics, { rhymeScheme: order?.rhyme_scheme }),
+    usage: draftUsage({ model: call.model, calls: [call] }, settings)
+  };
+}
+
+/**
+ * Ask the model to fix the lines that failed the singability check.
+ * Returns { call } plus { lyrics, analysis } when the repair has fewer
+ * problem lines (else the original draft is kept), or null on failure.
+ */
+async function repairLyrics({ systemPrompt, lyrics, analysis, settings, signal = null, orderNumber = null }) {
+  const problemLines = (a) => a.lines.filter(l => l.issues.some(i => i.rule !== 'meter')).length;
+
+  try {
+    const call = await callModel({
+      purpose: 'repair',
+      settings,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: buildRepairMessage(lyrics, analysis) }],
+      signal,
+      orderNumber
+    });
+    if (!call.text) return { call };
+
+    const repairedAnalysis = analyzeLyrics(call.text, { rhymeScheme: analysis.rhymeScheme });
+    if (problemLines(repairedAnalysis) >= problemLines(analysis)) {
+      console.log('🔧 Repair pass did not improve the draft, keeping the original');
+      return { call };
+    }
+    console.log(`🔧 Repair pass fixed ${problemLines(analysis) - problemLines(repairedAnalysis)} lines`);
+    return { call, lyrics: call.text, analysis: repairedAnalysis };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.error('Repair pass failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Extract field from client request (e.g., Occasion, Mood, Language)
+ */
+function extractField(text, fieldName) {
+  const regex = new RegExp(`${fieldName}[:\\s-]+([^\\n]+)`, 'i');
+  const match = text.match(regex);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Record a feedback_learning row for a status change on generated lyrics
+ * ('approved', 'needs_work', or 'not_picked' for a candidate passed over).
+ * Returns the new row id; analyzeFeedback fills in learning_pattern later.
+ */
+async function saveFeedbackLearning(db, lyricsId, status, feedbackNotes) {
+  let whatWorked = null;
+  let whatFailed = null;
+
+  if (status === 'approved') {
+    whatWorked = feedbackNotes || null;
+  } else if (status === 'needs_work' && feedbackNotes) {
+    whatFailed = feedbackNotes;
+  }
+
+  const result = await db.query(
+    `INSERT INTO feedback_learning (lyrics_id, feedback_type, what_worked, what_failed)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [lyricsId, status, whatWorked, whatFailed]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Settings for background model calls (analysis, grading): the default
+ * profile, or null when no online provider is available
+ */
+async function backgroundSettings() {
+  try {
+    const settings = await resolveGenerationSettings();
+    return getProvider(settings.provider).offline ? null : settings;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Ask the model for the patterns and failure themes in a reviewed lyric.
+ * Falls back to the local heuristic analysis without a model
+ * (LEARNING_ANALYZER=local forces it, e.g. in tests).
+ */
+async function extractLearning(lyrics, status, feedbackNotes, lyricsId = null) {
+  const settings = process.env.LEARNING_ANALYZER === 'local' ? null : await backgroundSettings();
+  if (!settings) {
+    return localAnalysis(lyrics, status, feedbackNotes);
+  }
+
+  try {
+    const { system, user } = buildAnalysisPrompt(lyrics, status, feedbackNotes);
+    const call = await callModel({
+      purpose: 'analysis',
+      settings: { ...settings, maxTokens: 1000 },
+      system,
+      messages: [{ role: 'user', content: user }],
+      lyricsId
+    });
+    return parseAnalysis(call.text);
+  } catch (err) {
+    console.error('Learning analysis failed, using local analysis:', err.message);
+    return localAnalysis(lyrics, status, feedbackNotes);
+  }
+}
+
+/**
+ * Analysis step after feedback: extract patterns from the lyric, merge
+ * them into pattern_library (near-duplicates are merged, not re-added),
+ * and retire patterns that stopped getting results.
+ */
+async function analyzeFeedback(feedbackId, lyricsId, status, feedbackNotes) {
+  const lyricsResult = await pool.query('SELECT generated_lyrics FROM generated_lyrics WHERE id = $1', [lyricsId]);
+  const lyrics = lyricsResult.rows[0]?.generated_lyrics;
+  if (!lyrics) return;
+
+  const analysis = await extractLearning(lyrics, status, feedbackNotes, lyricsId);
+  const existing = (await pool.query(`SELECT * FROM pattern_library WHERE status = 'active'`)).rows;
+
+  const upsert = async (type, description, example, field) => {
+    const target = findMergeTarget(existing, type, description);
+    if (target) {
+      target[field]++;
+      target.confidence_score = computeConfidence(target);
+      target.last_seen_at = new Date();
+      await pool.query(
+        `UPDATE pattern_library
+         SET success_count = $2, failure_count = $3, confidence_score = $4,
+             example_text = COALESCE(example_text, $5), last_seen_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [target.id, target.success_count, target.failure_count, target.confidence_score, example]
+      );
+      return;
+    }
+
+    const row = { pattern_type: type, success_count: 0, failure_count: 0 };
+    row[field] = 1;
+    const inserted = await pool.query(
+      `INSERT INTO pattern_library
+         (pattern_type, pattern_description, example_text, success_count, failure_count, confidence_score, last_seen_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING *`,
+      [type, description, example, row.success_count, row.failure_count, computeConfidence(row)]
+    );
+    existing.push(inserted.rows[0]);
+  };
+
+  for (const pattern of analysis.patterns) {
+    if (status === 'approved') {
+      await upsert(pattern.type, pattern.description, pattern.example, 'success_count');
+    } else if (findMergeTarget(existing, pattern.type, pattern.description)) {
+      // A known pattern showing up in rejected lyrics counts against it
+      await upsert(pattern.type, pattern.description, pattern.example, 'failure_count');
+    }
+  }
+  if (status === 'needs_work') {
+    for (const failure of analysis.failures) {
+      await upsert('failure', failure, null, 'failure_count');
+    }
+  }
+
+  const retired = existing.filter(row => shouldRetire(row)).map(row => row.id);
+  if (retired.length > 0) {
+    await pool.query(
+      `UPDATE pattern_library SET status = 'retired', updated_at = NOW() WHERE id = ANY($1::int[])`,
+      [retired]
+    );
+  }
+
+  const summary = [
+    ...analysis.patterns.map(p => `[${p.type}] ${p.description}`),
+    ...analysis.failures.map(f => `[failure] ${f}`)
+  ].join('\n');
+  await pool.query('UPDATE feedback_learning SET learning_pattern = $2 WHERE id = $1', [feedbackId, summary || null]);
+
+  console.log(`🧠 Learning extracted for lyrics ID: ${lyricsId} (${analysis.patterns.length} patterns, ${analysis.failures.length} failures, ${retired.length} retired)`);
+}
+
+/**
+ * Latest version of a settings table (style_guide, quality_checklist) as
+ * { id, content, profile_id } for a style profile, falling back to the
+ * global version and then to { id: null, content: fallback }
+ */
+async function currentVersion(table, fallback, profileId = null) {
+  try {
+    const result = await pool.query(
+      `SELECT id, content, profile_id FROM ${table}
+       WHERE profile_id = $1 OR profile_id IS NULL
+       ORDER BY (profile_id IS NULL), id DESC
+       LIMIT 1`,
+      [profileId]
+    );
+    if (result.rows[0]?.content) return result.rows[0];
+  } catch (err) {
+    console.log(`Using default ${table.replace('_', ' ')}`);
+  }
+  return { id: null, content: fallback, profile_id: null };
+}
+
+/**
+ * All style profiles, oldest first
+ */
+async function loadStyleProfiles() {
+  const result = await pool.query('SELECT * FROM style_profiles ORDER BY id');
+  return result.rows;
+}
+
+/**
+ * Style profile for an order, or for fields scraped from a request.
+ * Returns { profile, reason } (see selectStyleProfile).
+ */
+async function resolveStyleProfile(target) {
+  try {
+    return selectStyleProfile(await loadStyleProfiles(), target);
+  } catch (err) {
+    console.log('Using the global style guide');
+    return { profile: null, reason: 'default' };
+  }
+}
+
+/**
+ * Checklist and banned phrases a saved lyric is held to: the style guide
+ * and checklist versions it was written under (else its profile's
+ * current ones), plus its profile's banned-phrase list
+ */
+async function lyricStyleRules({ style_guide_id: styleGuideId, checklist_id: checklistId, style_profile_id: profileId }) {
+  const version = async (table, id, fallback) => {
+    const result = id ? await pool.query(`SELECT content FROM ${table} WHERE id = $1`, [id]) : { rows: [] };
+    return result.rows[0]?.content || (await currentVersion(table, fallback, profileId)).content;
+  };
+  const profile = profileId
+    ? (await pool.query('SELECT banned_phrases FROM style_profiles WHERE id = $1', [profileId])).rows[0]
+    : null;
+
+  return {
+    checklist: await version('quality_checklist', checklistId, DEFAULT_QUALITY_CHECKLIST),
+    bannedPhrases: [
+      ...parseBannedPhrases(await version('style_guide', styleGuideId, DEFAULT_STYLE_GUIDE)),
+      ...(profile?.banned_phrases || [])
+    ]
+  };
+}
+
+/**
+ * Grade the subjective checklist items with the model. Without a
+ * configured provider (or with SCORING_GRADER=local) they are left ungraded.
+ */
+async function gradeWithModel(lyrics, requestText, items, lyricsId = null) {
+  if (items.length === 0 || process.env.SCORING_GRADER === 'local') {
+    return {};
+  }
+
+  let settings;
+  try {
+    settings = await resolveGenerationSettings();
+  } catch (err) {
+    return {};
+  }
+
+  try {
+    const { system, user } = buildRubricPrompt(lyrics, requestText, items);
+    const call = await callModel({
+      purpose: 'rubric',
+      settings,
+      system,
+      messages: [{ role: 'user', content: user }],
+      lyricsId
+    });
+    return parseRubric(call.text, items);
+  } catch (err) {
+    console.error('Rubric grading failed:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Score a lyric against the quality checklist it was written under and
+ * store the per-guideline report in lyric_scores. Returns the saved score row.
+ */
+async function scoreLyrics(lyricsId) {
+  const lyricsResult = await pool.query(
+    `SELECT gl.id, gl.generated_lyrics, gl.client_request, gl.style_guide_id, gl.checklist_id, gl.style_profile_id,
+            o.recipient_name, o.nicknames
+     FROM generated_lyrics gl
+     LEFT JOIN orders o ON o.id = gl.order_id
+     WHERE gl.id = $1`,
+    [lyricsId]
+  );
+  const row = lyricsResult.rows[0];
+  if (!row) return null;
+
+  const { checklist, bannedPhrases } = await lyricStyleRules(row);
+  let items = parseChecklist(checklist);
+  if (items.length === 0) items = parseChecklist(DEFAULT_QUALITY_CHECKLIST);
+
+  const order = row.recipient_name ? { recipient_name: row.recipient_name, nicknames: row.nicknames || [] } : null;
+  const deterministic = runDeterministicChecks(row.generated_lyrics, { order, bannedPhrases });
+  const subjective = items.filter(item => !DETERMINISTIC_GUIDELINES[item.id]);
+  const graded = await gradeWithModel(row.generated_lyrics, row.client_request, subjective, lyricsId);
+
+  const report = buildReport(items, deterministic, graded);
+  const saved = await pool.query(
+    `INSERT INTO lyric_scores (lyrics_id, score, flagged, passed_count, graded_count, report)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [lyricsId, report.score, report.flagged, report.passedCount, report.gradedCount, JSON.stringify(report.items)]
+  );
+
+  console.log(`📋 Scored lyrics ID: ${lyricsId} (${report.passedCount}/${report.gradedCount}${report.flagged ? ', flagged' : ''})`);
+  return saved.rows[0];
+}
+
+// ==================== API ENDPOINTS ====================
+
+/**
+ * Variants requested in a generation body. Throws (status 400, with
+ * fields) for a bad candidate count or variant.
+ */
+function requestedVariants(body) {
+  const { variants, errors } = resolveVariants(body || {});
+  if (Object.keys(errors).length > 0) {
+    throw Object.assign(new Error('Invalid candidate request'), { status: 400, fields: errors });
+  }
+  return Array.isArray(body?.variants) || variants.length > 1 ? variants : null;
+}
+
+/**
+ * Generate Lyrics - Main endpoint.
+ * Optional profile, model, temperature and maxTokens pick the model settings.
+ * With candidates (2-4, varied by `vary`: 'temperature' or 'rhyme_scheme')
+ * or explicit variants ([{ temperature, rhymeScheme }]) it drafts several
+ * candidates and returns { candidateSetId, orderNumber, candidates }.
+ */
+app.post('/api/generate', async (req, res) => {
+  try {
+    const { orderNo } = req.body;
+
+    const variants = requestedVariants(req.body);
+    const settings = await resolveGenerationSettings(req.body);
+    const input = await resolveGenerationInput({ orderNo });
+    res.json(variants
+      ? await generateCandidates({ ...input, settings, variants, user: req.user })
+      : await generateRevision({ ...input, settings, user: req.user }));
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    res.status(error.status || 500).json({ error: error.message, fields: error.fields });
+  }
+});
+
+/**
+ * Generate Lyrics (streaming) - server-sent events over a POST.
+ * Body: { orderNo } or { previousLyricsId, feedback } to regenerate, plus
+ * the optional model settings of /api/generate.
+ * Events: "token" { text } as the model writes, "done" with the same
+ * result as /api/generate, or "error" { error }. Closing the connection
+ * cancels the upstream request and nothing is saved.
+ */
+app.post('/api/generate/stream', async (req, res) => {
+  const { orderNo, previousLyricsId, feedback } = req.body || {};
+
+  let input;
+  let settings;
+  try {
+    settings = await resolveGenerationSettings(req.body || {});
+    input = await resolveGenerationInput({ orderNo, previousLyricsId });
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message, fields: error.fields });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log(`⏹️ Generation cancelled by client (order ${input.order?.order_no || input.previous?.order_number})`);
+      controller.abort();
+    }
+  });
+
+  try {
+    const result = await generateRevision({
+      ...input,
+      feedback,
+      settings,
+      onText: (text) => send('token', { text }),
+      signal: controller.signal,
+      user: req.user
+    });
+    send('done', result);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('❌ Stream error:', error.message);
+    send('error', { error: error.message });
+  }
+  res.end();
+});
+
+/**
+ * Regenerate Lyrics - new revision of the same order, linked to this one.
+ * Uses the feedback in the body, or the lyric's saved feedback notes.
+ * Accepts the candidate options of /api/generate.
+ */
+app.post('/api/lyrics/:id/regenerate', async (req, res) => {
+  try {
+    const { feedback } = req.body || {};
+
+    const variants = requestedVariants(req.body);
+    const settings = await resolveGenerationSettings(req.body || {});
+    const input = await resolveGenerationInput({ previousLyricsId: req.params.id });
+    res.json(variants
+      ? await generateCandidates({ ...input, feedback, settings, variants, user: req.user })
+      : await generateRevision({ ...input, feedback, settings, user: req.user }));
+  } catch (error) {
+    console.error('❌ Regenerate error:', error.message);
+    res.status(error.status || 500).json({ error: error.message, fields: error.fields });
+  }
+});
+
+/**
+ * Rewrite Section - rewrite one section ({ section: index }) or a line
+ * range ({ lines: { start, end } }) from an instruction; the rest of the
+ * lyric stays fixed. Saved as a new revision. Accepts the model settings
+ * of /api/generate.
+ */
+app.post('/api/lyrics/:id/rewrite', async (req, res) => {
+  try {
+    const { section, lines, instruction } = req.body || {};
+    if (!String(instruction || '').trim()) {
+      return res.status(400).json({ error: 'Invalid rewrite', fields: { instruction: 'Say what to change' } });
+    }
+
+    const settings = await resolveGenerationSettings(req.body || {});
+    const input = await resolveGenerationInput({ previousLyricsId: req.params.id });
+    res.json(await rewriteSection({
+      ...input, section, lines, instruction: String(instruction).trim(), settings, user: req.user
+    }));
+  } catch (error) {
+    console.error('❌ Rewrite error:', error.message);
+    res.status(error.status || 500).json({ error: error.message, fields: error.fields });
+  }
+});
+
+/**
+ * Edit Section - replace one section with hand-edited text ({ section,
+ * text }, header included). Saved as a new 'human' revision so hand edits
+ * stay separate from model output.
+ */
+app.post('/api/lyrics/:id/edit', async (req, res) => {
+  try {
+    const { section, text } = req.body || {};
+    const previousResult = await pool.query('SELECT * FROM generated_lyrics WHERE id = $1', [req.params.id]);
+    const previous = previousResult.rows[0];
+    if (!previous) {
+      return res.status(404).json({ error: `Lyrics ${req.params.id} not found` });
+    }
+
+    const sections = parseSections(previous.generated_lyrics);
+    const index = Number(section);
+    const fields = {};
+    if (!Number.isInteger(index) || !sections[index]) fields.section = 'Choose a section';
+    if (!String(text || '').trim()) fields.text = 'Section text is required';
+    if (Object.keys(fields).length > 0) {
+      return res.status(400).json({ error: 'Invalid edit', fields });
+    }
+
+    const lyrics = renderSections(replaceSection(sections, index, String(text)));
+    if (lyrics === renderSections(sections)) {
+      return res.status(400).json({ error: 'Invalid edit', fields: { text: 'No changes to save' } });
+    }
+
+    const saved = await insertRevision(pool, {
+      orderNumber: previous.order_number,
+      orderId: previous.order_id,
+      clientRequest: previous.client_request,
+      lyrics,
+      parentId: previous.id,
+      revisionFeedback: `Edited ${sectionLabel(sections[index])} by hand`,
+      versions: { styleGuideId: previous.style_guide_id, checklistId: previous.checklist_id, profileId: previous.style_profile_id },
+      source: 'human',
+      user: req.user
+    });
+    scoreLyrics(saved.id).catch(err => {
+      console.error(`Scoring failed for lyrics ID ${saved.id}:`, err.message);
+    });
+
+    console.log(`✍️ Hand edit of lyrics ID: ${previous.id} saved as revision ${saved.revision}`);
+    res.json({ lyrics, lyricsId: saved.id, orderNumber: saved.order_number, revision: saved.revision, sections: saved.sections });
+  } catch (error) {
+    console.error('❌ Edit error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Preview Prompt - the exact system prompt and user message the model
+ * would receive, split into labelled sections with rough token counts.
+ * Accepts a stored order (orderNo), a lyric to regenerate
+ * (previousLyricsId, with optional feedback), or an unsaved draft order (order).
+ */
+app.post('/api/prompt/preview', async (req, res) => {
+  try {
+    const { orderNo, previousLyricsId, feedback, order: draft } = req.body;
+    let input;
+
+    if (draft && !orderNo && !previousLyricsId) {
+      const { order, errors } = validateOrder(draft);
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ error: 'Invalid order', fields: errors });
+      }
+      input = { order, previous: null, requestText: formatOrderRequest(order) };
+    } else {
+      input = await resolveGenerationInput({ orderNo, previousLyricsId });
+    }
+
+    const sections = (await buildPromptSections(input.requestText, input.order))
+      .map(section => ({ ...section, tokens: estimateTokens(section.content) }));
+    const userMessage = buildUserMessage(input.requestText, input.previous, feedback);
+    const userTokens = estimateTokens(userMessage);
+
+    res.json({
+      system: sections,
+      styleProfile: sections.find(section => section.id === 'style_guide')?.profile ?? null,
+      user: { content: userMessage, tokens: userTokens },
+      totalTokens: sections.reduce((sum, section) => sum + section.tokens, 0) + userTokens
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Debug Example Retrieval - which reference examples an order would get
+ * and the score breakdown behind each choice. Same body as the preview.
+ */
+app.post('/api/retrieval/debug', async (req, res) => {
+  try {
+    const { orderNo, previousLyricsId, order: draft, limit = 5 } = req.body;
+    let input;
+
+    if (draft && !orderNo && !previousLyricsId) {
+      const { order, errors } = validateOrder(draft);
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ error: 'Invalid order', fields: errors });
+      }
+      input = { order, requestText: formatOrderRequest(order) };
+    } else {
+      input = await resolveGenerationInput({ orderNo, previousLyricsId });
+    }
+
+    const target = retrievalTarget(input.requestText, input.order);
+    const { profile, reason } = await resolveStyleProfile(target);
+    const picks = await findSimilarExamples(input.requestText, input.order, Math.min(Number(limit) || 5, 20), profile);
+
+    res.json({
+      target: {
+        occasion: target.occasion,
+        mood: target.mood,
+        language: target.language,
+        artist: target.artist
+      },
+      styleProfile: profile
+        ? { id: profile.id, name: profile.name, reason, useSharedExamples: profile.use_shared_examples }
+        : null,
+      weights: RETRIEVAL_WEIGHTS,
+      examples: picks.map(({ example, scores }, i) => ({
+        rank: i + 1,
+        id: example.id,
+        title: example.title,
+        occasion: example.occasion,
+        mood: example.mood,
+        language: example.language,
+        artist: example.artist,
+        approved: !!example.approved,
+        scores
+      }))
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Order Field Options (for the Generate form)
+ */
+app.get('/api/orders/options', (req, res) => {
+  res.json(ORDER_OPTIONS);
+});
+
+/**
+ * Validate an order payload, including that its style profile override
+ * exists. Returns { order, errors } as validateOrder.
+ */
+async function validateOrderInput(input) {
+  const { order, errors } = validateOrder(input);
+  if (order.style_profile_id && !errors.style_profile_id) {
+    const profile = await pool.query('SELECT id FROM style_profiles WHERE id = $1', [order.style_profile_id]);
+    if (profile.rows.length === 0) errors.style_profile_id = 'Style profile must be one of the saved profiles';
+  }
+  return { order, errors };
+}
+
+/**
+ * Insert a validated order, or update the one with its order number.
+ * Returns the saved row.
+ */
+async function saveOrder(db, order) {
+  const result = await db.query(
+    `INSERT INTO orders
+       (order_no, mood, occasion, length, artist, language, story, recipient_name, relationship, nicknames, rhyme_scheme,
+        style_profile_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT (order_no) DO UPDATE SET
+       mood = EXCLUDED.mood,
+       occasion = EXCLUDED.occasion,
+       length = EXCLUDED.length,
+       rhyme_scheme = EXCLUDED.rhyme_scheme,
+       artist = EXCLUDED.artist,
+       language = EXCLUDED.language,
+       story = EXCLUDED.story,
+       recipient_name = EXCLUDED.recipient_name,
+       relationship = EXCLUDED.relationship,
+       nicknames = EXCLUDED.nicknames,
+       style_profile_id = EXCLUDED.style_profile_id,
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      order.order_no, order.mood, order.occasion, order.length, order.artist,
+      order.language, order.story, order.recipient_name, order.relationship, order.nicknames,
+      order.rhyme_scheme, order.style_profile_id
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Create/Update Order - structured intake with validated fields
+ */
+app.post('/api/orders', async (req, res) => {
+  try {
+    const { order, errors } = await validateOrderInput(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid order', fields: errors });
+    }
+
+    const saved = await saveOrder(pool, order);
+    console.log(`✅ Order saved: ${order.order_no}`);
+    res.json({ order: saved, request: formatOrderRequest(saved) });
+  } catch (error) {
+    console.error('❌ Order error:', describeError(error));
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rough length of a drafted lyric, for the progress of a streaming job
+const EXPECTED_LYRICS_LENGTH = 1200;
+
+/**
+ * Run one queued generation job: the order's next revision with the batch's
+ * model settings, as the user who queued it. Progress follows the stream.
+ * Resolves to the new lyrics id; a lyric that could not be saved fails the
+ * attempt (status 503, so it is retried).
+ */
+async function runGenerationJob(job, { signal, progress }) {
+  const batchResult = await pool.query(
+    `SELECT b.settings, u.id AS user_id, u.username
+     FROM generation_batches b
+     LEFT JOIN users u ON u.id = b.created_by
+     WHERE b.id = $1`,
+    [job.batch_id]
+  );
+  const batch = batchResult.rows[0] || { settings: {} };
+  const user = batch.user_id ? { id: batch.user_id, username: batch.username } : null;
+
+  await progress(5, 'preparing');
+  const settings = await resolveGenerationSettings(batch.settings || {});
+  const input = await resolveGenerationInput({ orderNo: job.order_number });
+
+  let written = 0;
+  let reported = 0;
+  await progress(10, 'writing');
+  const result = await generateRevision({
+    ...input,
+    settings,
+    signal,
+    user,
+    onText: (text) => {
+      written += text.length;
+      const percent = 10 + Math.min(written / EXPECTED_LYRICS_LENGTH, 1) * 75;
+      if (percent - reported >= 5) {
+        reported = percent;
+        progress(percent, 'writing');
+      }
+    }
+  });
+  if (!result.lyricsId) {
+    throw Object.assign(new Error(`Lyrics were written but not saved: ${result.saveError}`), { status: 503 });
+  }
+  return result.lyricsId;
+}
+
+const jobQueue = createJobQueue({ pool, run: runGenerationJob });
+
+/**
+ * Queue a Batch - orders to generate in the background.
+ * Body: { orders: [...] } (order payloads, or order numbers already saved)
+ * or { content, format } for an uploaded JSON / CSV file, plus an optional
+ * name and the model settings of /api/generate ({ profile, model,
+ * temperature, maxTokens, provider }). Valid orders are saved and queued;
+ * the others are listed in `rejected` with their field errors.
+ */
+app.post('/api/jobs', async (req, res) => {
+  const { name = null, profile, model, temperature, maxTokens, provider } = req.body || {};
+  let client;
+  try {
+    const items = parseBatch(req.body || {});
+    const settings = Object.fromEntries(
+      Object.entries({ profile, model, temperature, maxTokens, provider }).filter(([, value]) => value !== undefined && value !== '')
+    );
+    await resolveGenerationSettings(settings);
+
+    let accepted = [];
+    const rejected = [];
+    const seen = new Set(); // Lowercased, like order lookups
+    for (const [i, item] of items.entries()) {
+      const orderNo = String(item.order_no || '').trim();
+      if (orderNo && seen.has(orderNo.toLowerCase())) {
+        rejected.push({ row: i + 1, order_no: orderNo, errors: { order_no: 'Order is already in this batch' } });
+        continue;
+      }
+      if (!item.story) {
+        // Just an order number: queue the saved order
+        const existing = orderNo ? await pool.query('SELECT 1 FROM orders WHERE order_no = $1', [orderNo]) : { rows: [] };
+        if (existing.rows.length === 0) {
+          rejected.push({ row: i + 1, order_no: orderNo || null, errors: { order_no: orderNo ? `Order ${orderNo} not found` : 'Order number is required' } });
+          continue;
+        }
+        accepted.push({ row: i + 1, orderNo, order: null });
+      } else {
+        const { order, errors } = await validateOrderInput(item);
+        if (Object.keys(errors).length > 0) {
+          rejected.push({ row: i + 1, order_no: orderNo || null, errors });
+          continue;
+        }
+        accepted.push({ row: i + 1, orderNo: order.order_no, order });
+      }
+      seen.add(orderNo.toLowerCase());
+    }
+
+    if (accepted.length === 0) {
+      return res.status(400).json({ error: 'No valid orders to queue', rejected });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // One upload at a time past this point, so two can't queue an order twice
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('generation_jobs'))`);
+    const activeResult = await client.query(
+      `SELECT DISTINCT LOWER(order_number) AS order_no FROM generation_jobs
+       WHERE status IN ('queued', 'running') AND LOWER(order_number) = ANY($1::varchar[])`,
+      [accepted.map(item => item.orderNo.toLowerCase())]
+    );
+    const active = new Set(activeResult.rows.map(row => row.order_no));
+    for (const item of accepted.filter(item => active.has(item.orderNo.toLowerCase()))) {
+      rejected.push({ row: item.row, order_no: item.orderNo, errors: { order_no: 'Order already has a queued or running job' } });
+    }
+    rejected.sort((a, b) => a.row - b.row);
+    accepted = accepted.filter(item => !active.has(item.orderNo.toLowerCase()));
+    if (accepted.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'No valid orders to queue', rejected });
+    }
+
+    for (const item of accepted) {
+      if (item.order) await saveOrder(client, item.order);
+    }
+    const batchResult = await client.query(
+      'INSERT INTO generation_batches (name, settings, created_by) VALUES ($1, $2, $3) RETURNING *',
+      [name ? String(name).slice(0, 255) : null, JSON.stringify(settings), req.user.id]
+    );
+    const batch = batchResult.rows[0];
+    const jobsResult = await client.query(
+      `INSERT INTO generation_jobs (batch_id, order_number, max_attempts, created_by)
+       SELECT $1, order_number, $3, $4 FROM UNNEST($2::varchar[]) WITH ORDINALITY AS o(order_number, position)
+       ORDER BY position
+       RETURNING *`,
+      [batch.id, accepted.map(item => item.orderNo), jobQueue.settings.maxAttempts, req.user.id]
+    );
+    await recordAudit(client, {
+      user: req.user,
+      action: 'batch_queued',
+      details: { batchId: batch.id, name: batch.name, orders: accepted.length, rejected: rejected.length, settings }
+    });
+    await client.query('COMMIT');
+
+    jobQueue.wake();
+    console.log(`📥 Batch ${batch.id}: ${accepted.length} order(s) queued, ${rejected.length} rejected`);
+    res.status(201).json({ batch, jobs: jobsResult.rows, rejected });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('❌ Batch error:', error.message);
+    res.status(error.status || 500).json({ error: error.message, fields: error.fields });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * List Jobs - newest first, filtered by ?status= and ?batch=, with the
+ * count per status and the recent batches
+ */
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { status, batch } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        fields: { status: `Status must be one of: ${JOB_STATUSES.join(', ')}` }
+      });
+    }
+
+    // Counts cover the batch filter only, the list both filters
+    const params = batch ? [parseInt(batch, 10) || 0] : [];
+    const where = batch ? 'WHERE j.batch_id = $1' : '';
+    const jobParams = status ? [...params, status] : params;
+    const jobWhere = status ? `${where ? `${where} AND` : 'WHERE'} j.status = $${jobParams.length}` : where;
+
+    const [jobs, counts, batches] = await Promise.all([
+      pool.query(
+        `SELECT j.*, b.name AS batch_name, gl.revision, u.display_name AS created_by_name
+         FROM generation_jobs j
+         LEFT JOIN generation_batches b ON b.id = j.batch_id
+         LEFT JOIN generated_lyrics gl ON gl.id = j.lyrics_id
+         LEFT JOIN users u ON u.id = j.created_by
+         ${jobWhere}
+         ORDER BY j.id DESC
+         LIMIT 200`,
+        jobParams
+      ),
+      pool.query(`SELECT j.status, COUNT(*)::int AS count FROM generation_jobs j ${where} GROUP BY j.status`, params),
+      pool.query(
+        `SELECT b.id, b.name, b.created_at, COUNT(j.id)::int AS jobs,
+                COUNT(j.id) FILTER (WHERE j.status IN ('succeeded', 'failed', 'cancelled'))::int AS finished
+         FROM generation_batches b
+         LEFT JOIN generation_jobs j ON j.batch_id = b.id
+         GROUP BY b.id
+         ORDER BY b.id DESC
+         LIMIT 20`
+      )
+    ]);
+
+    res.json({
+      jobs: jobs.rows,
+      counts: Object.fromEntries(JOB_STATUSES.map(s => [s, counts.rows.find(row => row.status === s)?.count || 0])),
+      batches: batches.rows,
+      concurrency: jobQueue.settings.concurrency
+    });
+  } catch (error) {
+    console.error('❌ Jobs error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel a Job - a queued job is not started, a running one is stopped
+ * (nothing is saved)
+ */
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) {
+      const exists = await pool.query('SELECT status FROM generation_jobs WHERE id = $1', [req.params.id]);
+      return exists.rows.length === 0
+        ? res.status(404).json({ error: 'Job not found' })
+        : res.status(409).json({ error: `A ${exists.rows[0].status} job can't be cancelled` });
+    }
+    console.log(`⏹️ Job ${job.id} (order ${job.order_number}) cancelled by ${req.user.username}`);
+    res.json(job);
+  } catch (error) {
+    console.error('❌ Cancel error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Whether another job for the same order (any case) is queued or running
+const ACTIVE_JOB_FOR_ORDER_SQL = `EXISTS (
+  SELECT 1 FROM generation_jobs other
+  WHERE LOWER(other.order_number) = LOWER(generation_jobs.order_number) AND other.id <> generation_jobs.id
+    AND other.status IN ('queued', 'running'))`;
+
+/**
+ * Retry a Job - queue a failed or cancelled job again with a fresh set of
+ * attempts, unless its order has another job queued or running
+ */
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE generation_jobs
+       SET status = 'queued', attempts = 0, progress = 0, stage = NULL, run_after = NOW(), finished_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND status IN ('failed', 'cancelled') AND NOT ${ACTIVE_JOB_FOR_ORDER_SQL}
+       RETURNING *`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      const exists = await pool.query(
+        `SELECT status, order_number, ${ACTIVE_JOB_FOR_ORDER_SQL} AS active FROM generation_jobs WHERE id = $1`,
+        [req.params.id]
+      );
+      const job = exists.rows[0];
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      return res.status(409).json({
+        error: job.active && ['failed', 'cancelled'].includes(job.status)
+          ? `Order ${job.order_number} already has a queued or running job`
+          : `A ${job.status} job can't be retried`
+      });
+    }
+    jobQueue.wake();
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('❌ Retry error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Order Versions - every lyric revision for an order, oldest first
+ */
+app.get('/api/orders/:orderNo/versions', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, order_number, revision, parent_id, revision_feedback, generated_lyrics,
+              status, feedback_notes, candidate_set_id, revision_source, style_guide_id, checklist_id, style_profile_id,
+              created_at, updated_at
+       FROM generated_lyrics
+       WHERE order_number = $1
+       ORDER BY revision ASC`,
+      [req.params.orderNo]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Order Audit Trail - every status change, edit and assignment on the
+ * order's lyrics, oldest first, with who made it
+ */
+app.get('/api/orders/:orderNo/audit', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT a.id, a.lyrics_id, a.action, a.from_status, a.to_status, a.details, a.created_at,
+              COALESCE(u.display_name, a.username) AS user_name, a.username
+       FROM audit_log a
+       LEFT JOIN users u ON u.id = a.user_id
+       WHERE a.order_number = $1
+       ORDER BY a.id ASC`,
+      [req.params.orderNo]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Order by order number
+ */
+app.get('/api/orders/:orderNo', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM orders WHERE order_no = $1', [req.params.orderNo]);
+
+    if (!result.rows[0]) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Erase Order - everything stored for an order number, in every table
+ * (see eraseOrder), for a customer who asks to be forgotten. The body
+ * repeats the order number ({ confirm }) so a slip can't erase the wrong
+ * one. The audit log records the erasure and its row counts.
+ */
+app.delete('/api/orders/:orderNo', requireRole('admin'), async (req, res) => {
+  const orderNumber = req.params.orderNo;
+  if (req.body?.confirm !== orderNumber) {
+    return res.status(400).json({ error: 'Confirm the erasure', fields: { confirm: `Must be the order number (${orderNumber})` } });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { deleted, scrubbed } = await eraseOrder(client, orderNumber);
+    if (Object.values(deleted).every(count => count === 0) && scrubbed.audit_log === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Nothing is stored for this order number' });
+    }
+    await recordAudit(client, { user: req.user, action: 'erased', orderNumber, details: { deleted, scrubbed } });
+    await client.query('COMMIT');
+    console.log(`🧹 Order ${orderNumber} erased by ${req.user.username}`);
+    res.json({ orderNumber, deleted, scrubbed });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('❌ Erase error:', describeError(error));
+    res.status(error.status || 500).json({ error: error.message });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * Candidate Set - the sibling candidates of one multi-candidate
+ * generation, with their variant, stanzas, singability checks and score
+ */
+app.get('/api/candidates/:id', async (req, res) => {
+  try {
+    const setResult = await pool.query('SELECT * FROM candidate_sets WHERE id = $1', [req.params.id]);
+    const set = setResult.rows[0];
+    if (!set) {
+      return res.status(404).json({ error: 'Candidate set not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT gl.id, gl.revision, gl.generated_lyrics, gl.status, gl.feedback_notes, gl.variant, gl.model, gl.created_at,
+              o.rhyme_scheme, ls.score, ls.flagged
+       FROM generated_lyrics gl
+       LEFT JOIN orders o ON o.id = gl.order_id
+       LEFT JOIN LATERAL (
+         SELECT score, flagged FROM lyric_scores
+         WHERE lyrics_id = gl.id
+         ORDER BY created_at DESC, id DESC LIMIT 1
+       ) ls ON true
+       WHERE gl.candidate_set_id = $1
+       ORDER BY gl.revision ASC`,
+      [set.id]
+    );
+
+    const candidates = result.rows.map(({ rhyme_scheme: orderScheme, ...row }) => {
+      const rhymeScheme = row.variant?.rhymeScheme || orderScheme;
+      return {
+        ...row,
+        label: row.variant?.mergedFrom ? 'merged' : variantLabel(row.variant),
+        stanzas: splitStanzas(row.generated_lyrics),
+        checks: analyzeLyrics(row.generated_lyrics, { rhymeScheme }).checks
+      };
+    });
+    res.json({ ...set, candidates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Pick the winner of a candidate set: { lyricsId } for one candidate, or
+ * { stanzas: [{ lyricsId, index }] } to merge stanzas from several into a
+ * new approved revision. The winner is approved; candidates that were not
+ * picked (and gave no stanza) are recorded as implicit negatives.
+ */
+app.post('/api/candidates/:id/pick', requireRole('reviewer'), async (req, res) => {
+  const { lyricsId, stanzas, feedbackNotes = null } = req.body || {};
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const setResult = await client.query('SELECT * FROM candidate_sets WHERE id = $1 FOR UPDATE', [req.params.id]);
+    const set = setResult.rows[0];
+    if (!set) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Candidate set not found' });
+    }
+    if (set.winner_id) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'A winner was already picked for this candidate set' });
+    }
+
+    const candidates = (await client.query(
+      'SELECT * FROM generated_lyrics WHERE candidate_set_id = $1 ORDER BY revision ASC',
+      [set.id]
+    )).rows;
+
+    let winner;
+    let sources = [];
+    if (Array.isArray(stanzas)) {
+      const merged = mergeStanzas(candidates, stanzas);
+      if (Object.keys(merged.errors).length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid merge', fields: merged.errors });
+      }
+      sources = merged.sources;
+      const base = candidates.find(c => c.id === sources[0]);
+      const mergedFrom = candidates.filter(c => sources.includes(c.id)).map(c => `v${c.revision}`).join(', ');
+      winner = await insertRevision(client, {
+        orderNumber: set.order_number,
+        orderId: base.order_id,
+        clientRequest: base.client_request,
+        lyrics: merged.lyrics,
+        status: 'approved',
+        feedbackNotes,
+        parentId: set.parent_id,
+        revisionFeedback: `Merged stanzas from ${mergedFrom}`,
+        candidateSetId: set.id,
+        variant: { mergedFrom: sources },
+        versions: { styleGuideId: base.style_guide_id, checklistId: base.checklist_id, profileId: base.style_profile_id },
+        source: 'merge',
+        user: req.user
+      });
+      await client.query(
+        'UPDATE generated_lyrics SET reviewed_by = $2, reviewed_at = NOW() WHERE id = $1',
+        [winner.id, req.user.id]
+      );
+    } else {
+      winner = candidates.find(c => c.id === Number(lyricsId));
+      if (!winner) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid pick', fields: { lyricsId: 'Pick a candidate from this set' } });
+      }
+      await client.query(
+        `UPDATE generated_lyrics SET status = 'approved', feedback_notes = $2, reviewed_by = $3, reviewed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [winner.id, feedbackNotes, req.user.id]
+      );
+      await recordAudit(client, {
+        user: req.user,
+        action: 'status_changed',
+        orderNumber: set.order_number,
+        lyricsId: winner.id,
+        fromStatus: winner.status,
+        toStatus: 'approved',
+        details: { revision: winner.revision, candidateSetId: set.id, note: feedbackNotes }
+      });
+    }
+
+    const losers = candidates.filter(c => c.id !== winner.id && !sources.includes(c.id));
+    const setStatus = async (rows, status, note) => {
+      if (rows.length === 0) return;
+      await client.query(
+        `UPDATE generated_lyrics SET status = $2, feedback_notes = $3, reviewed_by = $4, reviewed_at = NOW(), updated_at = NOW()
+         WHERE id = ANY($1::int[])`,
+        [rows.map(c => c.id), status, note, req.user.id]
+      );
+      for (const row of rows) {
+        await recordAudit(client, {
+          user: req.user,
+          action: 'status_changed',
+          orderNumber: set.order_number,
+          lyricsId: row.id,
+          fromStatus: row.status,
+          toStatus: status,
+          details: { revision: row.revision, candidateSetId: set.id, note }
+        });
+      }
+    };
+    await setStatus(candidates.filter(c => sources.includes(c.id)), 'merged', `Stanzas used in v${winner.revision}`);
+    await setStatus(losers, 'not_picked', `Not picked - v${winner.revision} was chosen`);
+    await client.query('UPDATE candidate_sets SET winner_id = $2, picked_at = NOW() WHERE id = $1', [set.id, winner.id]);
+
+    const learning = [{ lyricsId: winner.id, status: 'approved', notes: feedbackNotes }];
+    for (const loser of losers) learning.push({ lyricsId: loser.id, status: 'not_picked', notes: null });
+    for (const item of learning) {
+      item.feedbackId = await saveFeedbackLearning(client, item.lyricsId, item.status, item.notes);
+    }
+    await client.query('COMMIT');
+
+    // Analyse in the background: patterns from the winner, and known patterns
+    // in the passed-over candidates count against them
+    for (const item of learning) {
+      analyzeFeedback(item.feedbackId, item.lyricsId, item.status, item.notes).catch(err => {
+        console.error('❌ Learning analysis error:', err.message);
+      });
+    }
+    if (sources.length > 0) {
+      scoreLyrics(winner.id).catch(err => {
+        console.error(`Scoring failed for lyrics ID ${winner.id}:`, err.message);
+      });
+    }
+
+    console.log(`🏆 Candidate set ${set.id}: v${winner.revision} picked${sources.length > 0 ? ' (merged)' : ''}, ${losers.length} not picked`);
+    res.json({ winnerId: winner.id, revision: winner.revision, merged: sources.length > 0, notPicked: losers.map(c => c.id) });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('❌ Pick error:', error.message);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client?.release();
+  }
+});
+
+// Statuses a reviewer can give a lyric
+const REVIEW_STATUSES = ['approved', 'needs_work'];
+
+/**
+ * Submit Feedback - Learning from approved/rejected lyrics. Reviewers
+ * only; a lyric assigned to another reviewer can only be reviewed by them
+ * or an admin.
+ */
+app.post('/api/feedback', requireRole('reviewer'), async (req, res) => {
+  try {
+    const { lyricsId, status, feedbackNotes } = req.body;
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid feedback', fields: { status: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` } });
+    }
+
+    const lyricResult = await pool.query(
+      `SELECT gl.id, gl.order_number, gl.revision, gl.status, gl.assigned_to, u.display_name AS assignee
+       FROM generated_lyrics gl
+       LEFT JOIN users u ON u.id = gl.assigned_to
+       WHERE gl.id = $1`,
+      [lyricsId]
+    );
+    const lyric = lyricResult.rows[0];
+    if (!lyric) {
+      return res.status(404).json({ error: 'Lyrics not found' });
+    }
+    if (lyric.assigned_to && lyric.assigned_to !== req.user.id && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: `Assigned to ${lyric.assignee} for review` });
+    }
+    
+    // Update lyrics status
+    await pool.query(
+      `UPDATE generated_lyrics 
+       SET status = $1, feedback_notes = $2, reviewed_by = $4, reviewed_at = NOW(), updated_at = NOW()
+       WHERE id = $3`,
+      [status, feedbackNotes, lyricsId, req.user.id]
+    );
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'status_changed',
+      orderNumber: lyric.order_number,
+      lyricsId: lyric.id,
+      fromStatus: lyric.status,
+      toStatus: status,
+      details: { revision: lyric.revision, note: feedbackNotes || null }
+    });
+    
+    // Save learning, then analyse it in the background
+    const feedbackId = await saveFeedbackLearning(pool, lyricsId, status, feedbackNotes);
+    analyzeFeedback(feedbackId, lyricsId, status, feedbackNotes).catch(err => {
+      console.error('❌ Learning analysis error:', err.message);
+    });
+    
+    console.log(`✅ Feedback saved for lyrics ID: ${lyricsId} (Status: ${status})`);
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('❌ Feedback error:', describeError(error));
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Assign Lyrics for review - { userId } of an active reviewer or admin,
+ * or null to unassign. Only pending lyrics can be assigned.
+ */
+app.post('/api/lyrics/:id/assign', requireRole('reviewer'), async (req, res) => {
+  try {
+    const { userId = null } = req.body || {};
+    const lyricResult = await pool.query(
+      'SELECT id, order_number, revision, status, assigned_to FROM generated_lyrics WHERE id = $1',
+      [req.params.id]
+    );
+    const lyric = lyricResult.rows[0];
+    if (!lyric) {
+      return res.status(404).json({ error: 'Lyrics not found' });
+    }
+    if (lyric.status !== 'pending') {
+      return res.status(409).json({ error: 'Only pending lyrics can be assigned for review' });
+    }
+
+    let assignee = null;
+    if (userId !== null && userId !== '') {
+      const userResult = await pool.query(
+        'SELECT id, username, display_name, role FROM users WHERE id = $1 AND active',
+        [Number(userId) || 0]
+      );
+      assignee = userResult.rows[0];
+      if (!assignee || !hasRole(assignee, 'reviewer')) {
+        return res.status(400).json({ error: 'Invalid assignment', fields: { userId: 'Assign to an active reviewer or admin' } });
+      }
+    }
+
+    await pool.query(
+      'UPDATE generated_lyrics SET assigned_to = $2, assigned_at = $3, updated_at = NOW() WHERE id = $1',
+      [lyric.id, assignee?.id || null, assignee ? new Date() : null]
+    );
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'assigned',
+      orderNumber: lyric.order_number,
+      lyricsId: lyric.id,
+      details: { revision: lyric.revision, from: lyric.assigned_to, to: assignee?.id || null, assignee: assignee?.username || null }
+    });
+
+    console.log(`📋 Lyrics ID ${lyric.id} ${assignee ? `assigned to ${assignee.username}` : 'unassigned'}`);
+    res.json({ success: true, assignedTo: assignee ? { id: assignee.id, display_name: assignee.display_name } : null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Share link fields staff see (never the token, which is only shown once)
+const SHARE_LINK_SELECT = `
+  SELECT sl.id, sl.lyrics_id, sl.recipient, sl.expires_at, sl.revoked_at, sl.view_count, sl.last_viewed_at,
+         sl.responded_at, sl.created_at, creator.display_name AS created_by_name,
+         cf.id AS feedback_id, cf.decision, cf.comments, cf.message, cf.customer_name
+  FROM share_links sl
+  LEFT JOIN users creator ON creator.id = sl.created_by
+  LEFT JOIN customer_feedback cf ON cf.share_link_id = sl.id`;
+
+const toShareLink = (row) => ({ ...row, state: shareLinkState(row) });
+
+/**
+ * Share Lyrics with the customer - creates a review link to this revision
+ * ({ expiresInDays, recipient }). The URL holds the only copy of the
+ * token, so it is returned once.
+ */
+app.post('/api/lyrics/:id/share', requireRole('reviewer'), async (req, res) => {
+  try {
+    const { share, errors } = validateShareLink(req.body || {});
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid share link', fields: errors });
+    }
+    const lyricResult = await pool.query(
+      'SELECT id, order_number, revision, status FROM generated_lyrics WHERE id = $1',
+      [req.params.id]
+    );
+    const lyric = lyricResult.rows[0];
+    if (!lyric) {
+      return res.status(404).json({ error: 'Lyrics not found' });
+    }
+    if (!SHAREABLE_STATUSES.includes(lyric.status)) {
+      return res.status(409).json({ error: 'Only pending, approved or needs-work lyrics can be shared' });
+    }
+
+    const token = newShareToken();
+    const result = await pool.query(
+      `INSERT INTO share_links (lyrics_id, token_hash, recipient, expires_at, created_by)
+       VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5)
+       RETURNING id`,
+      [lyric.id, shareTokenHash(token), share.recipient, share.expiresInDays, req.user.id]
+    );
+    const linkId = result.rows[0].id;
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'share_created',
+      orderNumber: lyric.order_number,
+      lyricsId: lyric.id,
+      details: { revision: lyric.revision, shareLinkId: linkId, recipient: share.recipient, days: share.expiresInDays }
+    });
+
+    const link = (await pool.query(`${SHARE_LINK_SELECT} WHERE sl.id = $1`, [linkId])).rows[0];
+    console.log(`🔗 Review link ${linkId} created for lyrics ID ${lyric.id} (${share.expiresInDays} days)`);
+    res.status(201).json({ ...toShareLink(link), url: `${req.protocol}://${req.get('host')}/review/${token}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the review links of a lyric revision with any customer response
+ */
+app.get('/api/lyrics/:id/shares', async (req, res) => {
+  try {
+    const result = await pool.query(`${SHARE_LINK_SELECT} WHERE sl.lyrics_id = $1 ORDER BY sl.created_at DESC`, [req.params.id]);
+    res.json(result.rows.map(toShareLink));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke a review link - it stops working at once
+ */
+app.post('/api/shares/:id/revoke', requireRole('reviewer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE share_links sl SET revoked_at = NOW(), revoked_by = $2
+       FROM generated_lyrics gl
+       WHERE sl.id = $1 AND sl.revoked_at IS NULL AND gl.id = sl.lyrics_id
+       RETURNING sl.id, sl.lyrics_id, gl.order_number, gl.revision`,
+      [req.params.id, req.user.id]
+    );
+    const revoked = result.rows[0];
+    if (!revoked) {
+      const exists = await pool.query('SELECT id FROM share_links WHERE id = $1', [req.params.id]);
+      return exists.rows.length === 0
+        ? res.status(404).json({ error: 'Share link not found' })
+        : res.status(409).json({ error: 'Share link is already revoked' });
+    }
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'share_revoked',
+      orderNumber: revoked.order_number,
+      lyricsId: revoked.lyrics_id,
+      details: { revision: revoked.revision, shareLinkId: revoked.id }
+    });
+    const link = (await pool.query(`${SHARE_LINK_SELECT} WHERE sl.id = $1`, [revoked.id])).rows[0];
+    res.json(toShareLink(link));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Customer Feedback - responses through review links, newest first
+ * (?unseen=true: only those no one has dismissed yet)
+ */
+app.get('/api/customer-feedback', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT cf.id, cf.lyrics_id, cf.decision, cf.comments, cf.message, cf.customer_name, cf.seen_at, cf.created_at,
+              gl.order_number, gl.revision, sl.recipient
+       FROM customer_feedback cf
+       JOIN generated_lyrics gl ON gl.id = cf.lyrics_id
+       JOIN share_links sl ON sl.id = cf.share_link_id
+       ${req.query.unseen === 'true' ? 'WHERE cf.seen_at IS NULL' : ''}
+       ORDER BY cf.created_at DESC
+       LIMIT $1`,
+      [Math.min(Number(req.query.limit) || 50, 200)]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Dismiss a customer response notification
+ */
+app.post('/api/customer-feedback/:id/seen', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE customer_feedback SET seen_at = COALESCE(seen_at, NOW()), seen_by = COALESCE(seen_by, $2)
+       WHERE id = $1 RETURNING id, seen_at`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Customer feedback not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What a customer is told about a link that no longer works
+const CLOSED_LINK_MESSAGES = {
+  expired: 'This review link has expired. Please ask us for a new one.',
+  revoked: 'This review link is no longer active.'
+};
+
+/**
+ * Load the share link and lyric behind a review token. Unknown, expired
+ * and revoked links answer 404/410 here; returns null then.
+ */
+async function sharedLyric(db, req, res, { lock = false } = {}) {
+  const tokenHash = shareTokenHash(req.params.token);
+  const result = tokenHash && await db.query(
+    `SELECT sl.*, gl.generated_lyrics, gl.revision, gl.status, gl.order_number, o.occasion, o.recipient_name
+     FROM share_links sl
+     JOIN generated_lyrics gl ON gl.id = sl.lyrics_id
+     LEFT JOIN orders o ON o.id = gl.order_id
+     WHERE sl.token_hash = $1
+     ${lock ? 'FOR UPDATE OF sl' : ''}`,
+    [tokenHash]
+  );
+  const link = result?.rows[0];
+  if (!link) {
+    res.status(404).json({ error: 'Review link not found' });
+    return null;
+  }
+  const state = shareLinkState(link);
+  if (CLOSED_LINK_MESSAGES[state]) {
+    res.status(410).json({ error: CLOSED_LINK_MESSAGES[state], state });
+    return null;
+  }
+  return { link, state };
+}
+
+/**
+ * Customer Review Page data - the shared revision only, read-only. Public:
+ * the token is the credential, and nothing about other revisions or
+ * orders is sent.
+ */
+app.get('/api/share/:token', async (req, res) => {
+  try {
+    const shared = await sharedLyric(pool, req, res);
+    if (!shared) return;
+    const { link, state } = shared;
+    await pool.query(
+      'UPDATE share_links SET view_count = view_count + 1, last_viewed_at = NOW() WHERE id = $1',
+      [link.id]
+    );
+    const response = state === 'responded'
+      ? (await pool.query(
+        'SELECT decision, comments, message, customer_name, created_at FROM customer_feedback WHERE share_link_id = $1',
+        [link.id]
+      )).rows[0] || null
+      : null;
+    res.json({
+      title: link.recipient_name ? `Song for ${link.recipient_name}` : 'Your song',
+      occasion: link.occasion || null,
+      revision: link.revision,
+      lyrics: link.generated_lyrics,
+      sections: parseSections(link.generated_lyrics),
+      expiresAt: link.expires_at,
+      state,
+      response
+    });
+  } catch (error) {
+    console.error('❌ Review link error:', error.message);
+    res.status(500).json({ error: 'Could not load the lyrics' });
+  }
+});
+
+/**
+ * Customer Response - approve the shared revision, or ask for changes
+ * with line comments ({ decision, comments: [{ line, comment }], message,
+ * name }). Sets the lyric's review status, records feedback for learning
+ * and notifies staff in History. A link takes one response.
+ */
+app.post('/api/share/:token/respond', async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const shared = await sharedLyric(client, req, res, { lock: true });
+    if (!shared) {
+      await client.query('ROLLBACK');
+      return;
+    }
+    const { link, state } = shared;
+    if (state === 'responded') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'A response was already sent through this link', state });
+    }
+    if (!SHAREABLE_STATUSES.includes(link.status)) {
+      await client.query('ROLLBACK');
+      return res.status(410).json({ error: 'These lyrics are no longer up for review.', state: 'revoked' });
+    }
+    const { response, errors } = validateCustomerResponse(req.body || {}, link.generated_lyrics);
+    if (Object.keys(errors).length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid response', fields: errors });
+    }
+
+    const status = DECISION_STATUSES[response.decision];
+    const feedbackNotes = formatCustomerFeedback(response);
+    await client.query(
+      `INSERT INTO customer_feedback (share_link_id, lyrics_id, decision, comments, message, customer_name)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [link.id, link.lyrics_id, response.decision, JSON.stringify(response.comments), response.message, response.name]
+    );
+    await client.query('UPDATE share_links SET responded_at = NOW() WHERE id = $1', [link.id]);
+    await client.query(
+      `UPDATE generated_lyrics
+       SET status = $2, feedback_notes = $3, reviewed_by = NULL, reviewed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [link.lyrics_id, status, feedbackNotes]
+    );
+    await recordAudit(client, {
+      action: 'customer_responded',
+      orderNumber: link.order_number,
+      lyricsId: link.lyrics_id,
+      fromStatus: link.status,
+      toStatus: status,
+      details: {
+        revision: link.revision, shareLinkId: link.id, customer: response.name, comments: response.comments.length, note: feedbackNotes
+      }
+    });
+    const feedbackId = await saveFeedbackLearning(client, link.lyrics_id, status, feedbackNotes);
+    await client.query('COMMIT');
+
+    analyzeFeedback(feedbackId, link.lyrics_id, status, feedbackNotes).catch(err => {
+      console.error('❌ Learning analysis error:', err.message);
+    });
+    console.log(`💬 Customer ${response.decision === 'approved' ? 'approved' : 'asked for changes to'} lyrics ID ${link.lyrics_id} (link ${link.id})`);
+    res.json({ success: true, decision: response.decision });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('❌ Customer response error:', error.message);
+    res.status(500).json({ error: 'Could not save your response' });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * Get Dashboard Statistics
+ */
+app.get('/api/dashboard/stats', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        COUNT(*) as total,
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved,
+        SUM(CASE WHEN status = 'needs_work' THEN 1 ELSE 0 END) as needs_work
+      FROM generated_lyrics
+    `);
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get All Lyrics (with filters; assignedTo is a user id or 'me')
+ */
+app.get('/api/lyrics', async (req, res) => {
+  try {
+    const { status, search, assignedTo, limit = 100 } = req.query;
+    
+    let query = `SELECT gl.id, gl.order_number, gl.revision, gl.parent_id, gl.client_request, gl.generated_lyrics,
+                        gl.status, gl.feedback_notes, gl.candidate_set_id, gl.revision_source, gl.sections, gl.created_at, gl.updated_at,
+                        gl.assigned_to, assignee.display_name AS assignee_name, author.display_name AS author_name,
+                        reviewer.display_name AS reviewer_name, ls.score, ls.flagged,
+                        cf.id AS customer_feedback_id, cf.decision AS customer_decision, cf.comments AS customer_comments,
+                        cf.customer_name, cf.created_at AS customer_responded_at, cf.seen_at AS customer_seen_at
+                 FROM generated_lyrics gl
+                 LEFT JOIN users assignee ON assignee.id = gl.assigned_to
+                 LEFT JOIN users author ON author.id = gl.created_by
+                 LEFT JOIN users reviewer ON reviewer.id = gl.reviewed_by
+                 LEFT JOIN LATERAL (
+                   SELECT score, flagged FROM lyric_scores
+                   WHERE lyrics_id = gl.id
+                   ORDER BY created_at DESC, id DESC LIMIT 1
+                 ) ls ON true
+                 LEFT JOIN LATERAL (
+                   SELECT id, decision, comments, customer_name, created_at, seen_at FROM customer_feedback
+                   WHERE lyrics_id = gl.id
+                   ORDER BY created_at DESC, id DESC LIMIT 1
+                 ) cf ON true`;
+    let params = [];
+    let whereClauses = [];
+    
+    if (status) {
+      whereClauses.push(`gl.status = $${params.length + 1}`);
+      params.push(status);
+    }
+    
+    if (assignedTo) {
+      whereClauses.push(`gl.assigned_to = $${params.length + 1}`);
+      params.push(assignedTo === 'me' ? req.user.id : Number(assignedTo) || 0);
+    }
+    
+    if (search) {
+      whereClauses.push(`(gl.order_number ILIKE $${params.length + 1} OR gl.generated_lyrics ILIKE $${params.length + 1} OR gl.client_request ILIKE $${params.length + 1})`);
+      params.push(`%${search}%`);
+    }
+    
+    if (whereClauses.length > 0) {
+      query += ' WHERE ' + whereClauses.join(' AND ');
+    }
+    
+    query += ` ORDER BY gl.created_at DESC LIMIT $${params.length + 1}`;
+    params.push(limit);
+    
+    const result = await pool.query(query, params);
+    // Lyrics saved before sections were stored are parsed on the fly
+    res.json(result.rows.map(row => ({ ...row, sections: row.sections || parseSections(row.generated_lyrics) })));
+    
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Lint lyrics for Hindi grammar - gender agreement, mixed scripts,
+ * spelling consistency and banned phrases. Lints a saved lyric (lyricsId)
+ * or posted text (lyrics, with orderNo or artist/relationship for genders).
+ */
+app.post('/api/lint', async (req, res) => {
+  try {
+    const { lyricsId, orderNo } = req.body || {};
+    let { lyrics, artist = null, relationship = null } = req.body || {};
+
+    let order = null;
+    if (lyricsId) {
+      const result = await pool.query(
+        `SELECT gl.generated_lyrics, gl.style_guide_id, gl.checklist_id, gl.style_profile_id, o.artist, o.relationship
+         FROM generated_lyrics gl
+         LEFT JOIN orders o ON o.id = gl.order_id
+         WHERE gl.id = $1`,
+        [lyricsId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Lyrics not found' });
+      }
+      lyrics = lyrics ?? result.rows[0].generated_lyrics;
+      order = result.rows[0];
+    } else if (orderNo) {
+      const result = await pool.query('SELECT * FROM orders WHERE order_no = $1', [orderNo]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: `Order ${orderNo} not found` });
+      }
+      const { profile } = await resolveStyleProfile(result.rows[0]);
+      order = { ...result.rows[0], style_profile_id: profile?.id ?? null };
+    }
+
+    if (typeof lyrics !== 'string' || !lyrics.trim()) {
+      return res.status(400).json({ error: 'Lyrics are required' });
+    }
+
+    const { bannedPhrases } = await lyricStyleRules(order || {});
+    res.json(lintLyrics(lyrics, {
+      artist: order?.artist || artist,
+      relationship: order?.relationship || relationship,
+      bannedPhrases
+    }));
+  } catch (error) {
+    console.error('❌ Lint error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Transliterate lyrics between Devanagari and romanized Hindi (to: one of
+ * SCRIPTS; by default the script the text is not in). Transliterates a
+ * saved lyric (lyricsId, keeping its order's names) or posted text
+ * (text, optional names).
+ */
+app.post('/api/transliterate', async (req, res) => {
+  try {
+    const { lyricsId, to } = req.body || {};
+    let { text, names = [] } = req.body || {};
+
+    if (to !== undefined && !SCRIPTS.includes(to)) {
+      return res.status(400).json({
+        error: 'Invalid script',
+        fields: { to: `Script must be one of: ${SCRIPTS.join(', ')}` }
+      });
+    }
+    if (!Array.isArray(names)) names = [names];
+
+    if (lyricsId) {
+      const result = await pool.query(
+        `SELECT gl.generated_lyrics, o.recipient_name, o.nicknames
+         FROM generated_lyrics gl
+         LEFT JOIN orders o ON o.id = gl.order_id
+         WHERE gl.id = $1`,
+        [lyricsId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Lyrics not found' });
+      }
+      const lyric = result.rows[0];
+      text = text ?? lyric.generated_lyrics;
+      names = [...names, lyric.recipient_name, ...(lyric.nicknames || [])];
+    }
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    const from = hasDevanagari(text) ? 'devanagari' : 'roman';
+    const target = to || (from === 'devanagari' ? 'roman' : 'devanagari');
+    res.json({ from, to: target, text: transliterate(text, { to: target, names: names.filter(Boolean).map(String) }) });
+  } catch (error) {
+    console.error('❌ Transliteration error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Analyze lyrics for singability - syllables, matras, meter and rhyme
+ * scheme per line. Analyzes a saved lyric (lyricsId, checked against its
+ * order's rhyme scheme) or posted text (lyrics, optional rhymeScheme).
+ */
+app.post('/api/analyze', async (req, res) => {
+  try {
+    const { lyricsId } = req.body || {};
+    let { lyrics, rhymeScheme = null } = req.body || {};
+
+    if (lyricsId) {
+      const result = await pool.query(
+        `SELECT gl.generated_lyrics, o.rhyme_scheme
+         FROM generated_lyrics gl
+         LEFT JOIN orders o ON o.id = gl.order_id
+         WHERE gl.id = $1`,
+        [lyricsId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Lyrics not found' });
+      }
+      lyrics = lyrics ?? result.rows[0].generated_lyrics;
+      rhymeScheme = rhymeScheme || result.rows[0].rhyme_scheme;
+    }
+
+    if (typeof lyrics !== 'string' || !lyrics.trim()) {
+      return res.status(400).json({ error: 'Lyrics are required' });
+    }
+    res.json(analyzeLyrics(lyrics, { rhymeScheme }));
+  } catch (error) {
+    console.error('❌ Analyze error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the latest checklist scorecard for a lyric
+ */
+app.get('/api/lyrics/:id/score', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM lyric_scores WHERE lyrics_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Lyrics have not been scored yet' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Re-score a lyric, e.g. after the checklist changed
+ */
+app.post('/api/lyrics/:id/score', async (req, res) => {
+  try {
+    const score = await scoreLyrics(req.params.id);
+    if (!score) {
+      return res.status(404).json({ error: 'Lyrics not found' });
+    }
+    res.json(score);
+  } catch (error) {
+    console.error('❌ Scoring error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Export a lyric (?format= one of EXPORT_FORMATS: pdf, docx, txt,
+ * romanized, devanagari, lrc, json) as a download. Hindi lyrics show both
+ * scripts unless ?scripts=original.
+ */
+app.get('/api/lyrics/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    const scripts = req.query.scripts || 'both';
+    const fields = {};
+    if (!EXPORT_FORMATS[format]) {
+      fields.format = `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+    }
+    if (!EXPORT_SCRIPTS.includes(scripts)) {
+      fields.scripts = `Scripts must be one of: ${EXPORT_SCRIPTS.join(', ')}`;
+    }
+    if (Object.keys(fields).length > 0) {
+      return res.status(400).json({ error: 'Invalid export options', fields });
+    }
+
+    const result = await pool.query(
+      `SELECT gl.*, author.display_name AS author_name, reviewer.display_name AS reviewer_name,
+              sp.name AS style_profile_name
+       FROM generated_lyrics gl
+       LEFT JOIN users author ON author.id = gl.created_by
+       LEFT JOIN users reviewer ON reviewer.id = gl.reviewed_by
+       LEFT JOIN style_profiles sp ON sp.id = gl.style_profile_id
+       WHERE gl.id = $1`,
+      [req.params.id]
+    );
+    const lyric = result.rows[0];
+    if (!lyric) {
+      return res.status(404).json({ error: 'Lyrics not found' });
+    }
+    const [orderResult, scoreResult] = await Promise.all([
+      lyric.order_id ? pool.query('SELECT * FROM orders WHERE id = $1', [lyric.order_id]) : { rows: [] },
+      pool.query(
+        'SELECT score, flagged FROM lyric_scores WHERE lyrics_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+        [lyric.id]
+      )
+    ]);
+
+    const file = await exportLyrics(format, {
+      lyric,
+      order: orderResult.rows[0] || null,
+      score: scoreResult.rows[0] || null,
+      styleProfile: lyric.style_profile_name,
+      scripts
+    });
+    res.attachment(file.filename);
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    console.error('❌ Export error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete Lyrics (and their feedback history). The audit log keeps a record.
+ */
+app.delete('/api/lyrics/:id', requireRole('admin'), async (req, res) => {
+  try {
+    await pool.query('DELETE FROM feedback_learning WHERE lyrics_id = $1', [req.params.id]);
+    const result = await pool.query(
+      'DELETE FROM generated_lyrics WHERE id = $1 RETURNING id, order_number, revision, status',
+      [req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Lyrics not found' });
+    }
+    const deleted = result.rows[0];
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'deleted',
+      orderNumber: deleted.order_number,
+      lyricsId: deleted.id,
+      fromStatus: deleted.status,
+      details: { revision: deleted.revision }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Generation Profiles (named model settings) and the providers available
+ */
+app.get('/api/settings/profiles', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM generation_profiles ORDER BY is_default DESC, name');
+    res.json({ profiles: result.rows, providers: PROVIDERS, defaults: defaultGenerationSettings() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Save a Generation Profile (by name). Making it the default clears the
+ * flag on the others.
+ */
+app.post('/api/settings/profiles', requireRole('admin'), async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const name = String(req.body?.name || '').trim();
+    const { settings, errors } = validateGenerationSettings(req.body || {});
+    if (!name) errors.name = 'Name is required';
+    else if (name.length > 50) errors.name = 'Name must be at most 50 characters';
+    if (!settings.provider) errors.provider = errors.provider || 'Provider is required';
+    if (!settings.model) errors.model = errors.model || 'Model is required';
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid profile', fields: errors });
+    }
+
+    const isDefault = Boolean(req.body.isDefault);
+    await client.query('BEGIN');
+    if (isDefault) {
+      await client.query('UPDATE generation_profiles SET is_default = false WHERE is_default = true');
+    }
+    const result = await client.query(
+      `INSERT INTO generation_profiles (name, provider, model, temperature, max_tokens, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (name) DO UPDATE SET
+         provider = EXCLUDED.provider,
+         model = EXCLUDED.model,
+         temperature = EXCLUDED.temperature,
+         max_tokens = EXCLUDED.max_tokens,
+         is_default = EXCLUDED.is_default,
+         updated_at = NOW()
+       RETURNING *`,
+      [name, settings.provider, settings.model, settings.temperature ?? null, settings.maxTokens || 2000, isDefault]
+    );
+    await recordAudit(client, {
+      user: req.user,
+      action: 'settings_changed',
+      details: { setting: 'generation_profiles', change: 'saved', id: result.rows[0].id, name }
+    });
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    res.status(500).json({ error: error.message });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * Delete a Generation Profile
+ */
+app.delete('/api/settings/profiles/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM generation_profiles WHERE id = $1 RETURNING name', [req.params.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'settings_changed',
+      details: { setting: 'generation_profiles', change: 'deleted', id: Number(req.params.id), name: result.rows[0].name }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Model Usage - calls, tokens and latency per provider, model and purpose
+ * over the last `days` days (default 30)
+ */
+app.get('/api/llm/usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const result = await pool.query(
+      `SELECT provider, model, purpose,
+              COUNT(*)::int AS calls,
+              COUNT(*) FILTER (WHERE status <> 'ok')::int AS failed,
+              COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+              COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+              ROUND(AVG(latency_ms))::int AS avg_latency_ms
+       FROM llm_calls
+       WHERE created_at >= NOW() - make_interval(days => $1)
+       GROUP BY provider, model, purpose
+       ORDER BY calls DESC`,
+      [days]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Style Profiles with a readable summary of each one's rules and the
+ * orders and lyrics that use it
+ */
+app.get('/api/settings/style-profiles', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT sp.*,
+              (SELECT COUNT(*)::int FROM generated_lyrics gl WHERE gl.style_profile_id = sp.id) AS lyrics_count,
+              (SELECT COUNT(*)::int FROM reference_examples re WHERE re.profile_id = sp.id) AS examples_count,
+              EXISTS (SELECT 1 FROM style_guide sg WHERE sg.profile_id = sp.id) AS has_style_guide,
+              EXISTS (SELECT 1 FROM quality_checklist qc WHERE qc.profile_id = sp.id) AS has_checklist
+       FROM style_profiles sp
+       ORDER BY sp.priority DESC, sp.name`
+    );
+    res.json(result.rows.map(profile => ({ ...profile, summary: describeRules(profile.rules) })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Save a Style Profile - creates one, or updates it when the body has an id
+ */
+async function saveStyleProfile(id, req, res) {
+  try {
+    const { profile, errors } = validateStyleProfile(req.body || {});
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid style profile', fields: errors });
+    }
+
+    const values = [
+      profile.name, profile.description, JSON.stringify(profile.rules), profile.priority,
+      profile.banned_phrases, profile.use_shared_examples
+    ];
+    const result = id
+      ? await pool.query(
+        `UPDATE style_profiles SET
+           name = $1, description = $2, rules = $3, priority = $4, banned_phrases = $5, use_shared_examples = $6,
+           updated_at = NOW()
+         WHERE id = $7
+         RETURNING *`,
+        [...values, id]
+      )
+      : await pool.query(
+        `INSERT INTO style_profiles (name, description, rules, priority, banned_phrases, use_shared_examples)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        values
+      );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Style profile not found' });
+    }
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'settings_changed',
+      details: { setting: 'style_profiles', change: id ? 'updated' : 'created', id: result.rows[0].id, name: profile.name }
+    });
+    res.json({ ...result.rows[0], summary: describeRules(result.rows[0].rules) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Invalid style profile', fields: { name: 'A style profile with this name already exists' } });
+    }
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Create Style Profile
+ */
+app.post('/api/settings/style-profiles', requireRole('admin'), (req, res) => saveStyleProfile(null, req, res));
+
+/**
+ * Update Style Profile
+ */
+app.put('/api/settings/style-profiles/:id', requireRole('admin'), (req, res) => saveStyleProfile(req.params.id, req, res));
+
+/**
+ * Delete Style Profile - its style guide and checklist versions go with
+ * it; its examples return to the shared pool and its orders to rule matching
+ */
+app.delete('/api/settings/style-profiles/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM style_profiles WHERE id = $1 RETURNING name', [req.params.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Style profile not found' });
+    }
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'settings_changed',
+      details: { setting: 'style_profiles', change: 'deleted', id: Number(req.params.id), name: result.rows[0].name }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Settings kept as append-only versions; generated_lyrics records the
+// version each lyric was written under in `column`
+const VERSIONED_SETTINGS = {
+  'style-guide': { table: 'style_guide', column: 'style_guide_id', label: 'Style guide', fallback: DEFAULT_STYLE_GUIDE },
+  'quality-checklist': {
+    table: 'quality_checklist',
+    column: 'checklist_id',
+    label: 'Quality checklist',
+    fallback: DEFAULT_QUALITY_CHECKLIST
+  }
+};
+
+/**
+ * Versioned setting named by the :kind route param, or null (after
+ * sending a 404) when there is none
+ */
+function versionedSetting(req, res) {
+  const setting = VERSIONED_SETTINGS[req.params.kind];
+  if (!setting) {
+    res.status(404).json({ error: `Unknown setting: ${req.params.kind}` });
+    return null;
+  }
+  return setting;
+}
+
+/**
+ * Style profile a settings request is scoped to (?profile= or body
+ * profileId): { profileId } with null for the global settings, or null
+ * (after sending a 400/404) when it is not a saved profile
+ */
+async function settingProfile(req, res) {
+  const raw = req.body?.profileId ?? req.query.profile;
+  if (raw === undefined || raw === null || raw === '') return { profileId: null };
+  const profileId = Number(raw);
+  if (!Number.isInteger(profileId) || profileId < 1) {
+    res.status(400).json({ error: 'Invalid style profile', fields: { profileId: 'Style profile must be one of the saved profiles' } });
+    return null;
+  }
+  const result = await pool.query('SELECT id FROM style_profiles WHERE id = $1', [profileId]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Style profile not found' });
+    return null;
+  }
+  return { profileId };
+}
+
+/**
+ * Validate the note of a settings change; the author is the signed-in user.
+ * Returns { author, note, errors }.
+ */
+function validateVersionMeta(body = {}, user = null) {
+  const errors = {};
+  const note = String(body.note || '').trim() || null;
+  if (note && note.length > 500) errors.note = 'Note must be at most 500 characters';
+  return { author: user?.display_name || null, note, errors };
+}
+
+// Versions are numbered from 1 within each style profile (and the global settings)
+const numberedVersions = table =>
+  `SELECT *, ROW_NUMBER() OVER (PARTITION BY profile_id ORDER BY id)::int AS version FROM ${table}`;
+
+/**
+ * Versions of a setting for a style profile (null: global), newest first,
+ * numbered from 1, with the lyrics written under each and their approval
+ * rate (approved / reviewed)
+ */
+async function listVersions({ table, column }, profileId = null) {
+  const result = await pool.query(
+    `SELECT v.id, v.version, v.author, v.note, v.restored_from, v.updated_at, LENGTH(v.content) AS length,
+            COUNT(gl.id)::int AS lyrics_count,
+            COUNT(gl.id) FILTER (WHERE gl.status = 'approved')::int AS approved,
+            COUNT(gl.id) FILTER (WHERE gl.status = 'needs_work')::int AS needs_work
+     FROM (${numberedVersions(table)}) v
+     LEFT JOIN generated_lyrics gl ON gl.${column} = v.id
+     WHERE v.profile_id IS NOT DISTINCT FROM $1::integer
+     GROUP BY v.id, v.version, v.author, v.note, v.restored_from, v.updated_at, v.content
+     ORDER BY v.id DESC`,
+    [profileId]
+  );
+  const versionOf = Object.fromEntries(result.rows.map(row => [row.id, row.version]));
+  return result.rows.map(row => ({
+    ...row,
+    restored_from_version: row.restored_from ? versionOf[row.restored_from] || null : null,
+    approval_rate: row.approved + row.needs_work > 0
+      ? Math.round((row.approved / (row.approved + row.needs_work)) * 1000) / 10
+      : null
+  }));
+}
+
+/**
+ * One version of a setting with its number, or null
+ */
+async function getVersion({ table }, id) {
+  const result = await pool.query(`SELECT * FROM (${numberedVersions(table)}) v WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Save a new version of a setting from a request body
+ * { content, author, note, profileId }
+ */
+async function saveVersion({ table, label }, req, res) {
+  try {
+    const scope = await settingProfile(req, res);
+    if (!scope) return;
+    const { content } = req.body || {};
+    const { author, note, errors } = validateVersionMeta(req.body, req.user);
+    if (!String(content || '').trim()) errors.content = `${label} cannot be empty`;
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: `Invalid ${label.toLowerCase()}`, fields: errors });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO ${table} (content, author, note, profile_id) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [content, author, note, scope.profileId]
+    );
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'settings_changed',
+      details: { setting: table, change: 'saved', versionId: result.rows[0].id, profileId: scope.profileId, note }
+    });
+    res.json({ success: true, id: result.rows[0].id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Save/Update Style Guide (a new version, with optional author and note)
+ */
+app.post('/api/settings/style-guide', requireRole('admin'), (req, res) => saveVersion(VERSIONED_SETTINGS['style-guide'], req, res));
+
+/**
+ * Save/Update Quality Checklist (a new version, with optional author and note)
+ */
+app.post('/api/settings/quality-checklist', requireRole('admin'), (req, res) => saveVersion(VERSIONED_SETTINGS['quality-checklist'], req, res));
+
+/**
+ * Get Style Guide (?profile= for a style profile's; profile_id null on the
+ * result means it inherits the global guide)
+ */
+app.get('/api/settings/style-guide', async (req, res) => {
+  try {
+    const scope = await settingProfile(req, res);
+    if (!scope) return;
+    res.json(await currentVersion('style_guide', DEFAULT_STYLE_GUIDE, scope.profileId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Quality Checklist (?profile= as for the style guide)
+ */
+app.get('/api/settings/quality-checklist', async (req, res) => {
+  try {
+    const scope = await settingProfile(req, res);
+    if (!scope) return;
+    res.json(await currentVersion('quality_checklist', DEFAULT_QUALITY_CHECKLIST, scope.profileId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Setting Versions - history of the style guide or quality checklist
+ * (:kind) of a style profile (?profile=) or the global one, newest first,
+ * with author, note and per-version approval rate
+ */
+app.get('/api/settings/:kind/versions', async (req, res) => {
+  const setting = versionedSetting(req, res);
+  if (!setting) return;
+  try {
+    const scope = await settingProfile(req, res);
+    if (!scope) return;
+    res.json(await listVersions(setting, scope.profileId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Setting Version - full content of one version
+ */
+app.get('/api/settings/:kind/versions/:id', async (req, res) => {
+  const setting = versionedSetting(req, res);
+  if (!setting) return;
+  try {
+    const version = await getVersion(setting, req.params.id);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(version);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Setting Diff - line diff between two versions (?from=id&to=id).
+ * `to` defaults to the latest version of the style profile (?profile=) or
+ * the global setting, `from` to the one before `to` in the same profile.
+ */
+app.get('/api/settings/:kind/diff', async (req, res) => {
+  const setting = versionedSetting(req, res);
+  if (!setting) return;
+  try {
+    const scope = await settingProfile(req, res);
+    if (!scope) return;
+    const toId = req.query.to || (await pool.query(
+      `SELECT id FROM ${setting.table} WHERE profile_id IS NOT DISTINCT FROM $1::integer ORDER BY id DESC LIMIT 1`,
+      [scope.profileId]
+    )).rows[0]?.id;
+    const to = toId ? await getVersion(setting, toId) : null;
+    if (!to) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    const fromId = req.query.from || (await pool.query(
+      `SELECT id FROM ${setting.table} WHERE id < $1 AND profile_id IS NOT DISTINCT FROM $2::integer ORDER BY id DESC LIMIT 1`,
+      [to.id, to.profile_id]
+    )).rows[0]?.id;
+    const from = fromId ? await getVersion(setting, fromId) : null;
+    if (req.query.from && !from) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const diff = diffLines(from?.content || '', to.content);
+    const meta = (v) => v && { id: v.id, version: v.version, author: v.author, note: v.note, updated_at: v.updated_at };
+    res.json({ from: meta(from), to: meta(to), diff, ...diffStats(diff) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Restore Setting Version - saves an old version's content as the newest
+ * version of the same style profile (history is never rewritten)
+ */
+app.post('/api/settings/:kind/versions/:id/restore', requireRole('admin'), async (req, res) => {
+  const setting = versionedSetting(req, res);
+  if (!setting) return;
+  try {
+    const { author, note, errors } = validateVersionMeta(req.body, req.user);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid restore', fields: errors });
+    }
+    const version = await getVersion(setting, req.params.id);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO ${setting.table} (content, author, note, restored_from, profile_id)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [version.content, author, note || `Restored v${version.version}`, version.id, version.profile_id]
+    );
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'settings_changed',
+      details: {
+        setting: setting.table,
+        change: 'restored',
+        versionId: result.rows[0].id,
+        restoredFrom: version.id,
+        profileId: version.profile_id
+      }
+    });
+    console.log(`⏪ ${setting.label} v${version.version} restored`);
+    res.json({ success: true, id: result.rows[0].id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// An example with how often it went into a prompt and how the lyrics
+// generated with it were reviewed
+const EXAMPLE_SELECT = `
+  SELECT re.id, re.title, re.order_no, re.mood, re.occasion, re.language, re.artist, re.client_story,
+         re.generated_lyrics, re.learning_notes, re.source, re.profile_id, re.lyrics_id, re.tags,
+         re.quality_rating, re.use_in_prompts, re.created_at, re.updated_at,
+         COALESCE(stats.injected_count, 0) AS injected_count,
+         COALESCE(stats.approved_count, 0) AS approved_count,
+         COALESCE(stats.reviewed_count, 0) AS reviewed_count,
+         stats.approved_count::float8 / NULLIF(stats.reviewed_count, 0) AS approval_rate,
+         stats.last_injected_at
+  FROM reference_examples re
+  LEFT JOIN (
+    SELECT le.example_id, COUNT(*)::int AS injected_count,
+           COUNT(*) FILTER (WHERE gl.status = 'approved')::int AS approved_count,
+           COUNT(*) FILTER (WHERE gl.status IN ('approved', 'needs_work'))::int AS reviewed_count,
+           MAX(gl.created_at) AS last_injected_at
+    FROM lyric_examples le
+    JOIN generated_lyrics gl ON gl.id = le.lyrics_id
+    GROUP BY le.example_id
+  ) stats ON stats.example_id = re.id`;
+
+// Example search orderings (?sort=)
+const EXAMPLE_SORTS = {
+  recent: 're.id DESC',
+  rating: 're.quality_rating DESC NULLS LAST, re.id DESC',
+  used: 'injected_count DESC, re.id DESC',
+  approval: 'approval_rate DESC NULLS LAST, injected_count DESC, re.id DESC'
+};
+
+/**
+ * Add Reference Example - to a style profile's pool (profileId), or the
+ * shared pool
+ */
+app.post('/api/settings/examples', requireRole('reviewer'), async (req, res) => {
+  try {
+    const { lyricsId } = req.body;
+    const { example, errors } = validateExample(req.body);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    const scope = await settingProfile(req, res);
+    if (!scope) return;
+    
+    // Examples promoted from a generated lyric inherit its order's fields
+    // and, unless a pool is chosen, the style profile it was written under
+    let order = {};
+    if (lyricsId) {
+      const orderResult = await pool.query(
+        `SELECT o.*, gl.style_profile_id AS lyric_profile_id
+         FROM generated_lyrics gl JOIN orders o ON o.id = gl.order_id WHERE gl.id = $1`,
+        [lyricsId]
+      );
+      order = orderResult.rows[0] || {};
+    }
+    const profileId = req.body.profileId === undefined ? order.lyric_profile_id ?? null : scope.profileId;
+
+    const result = await pool.query(
+      `INSERT INTO reference_examples
+         (title, order_no, mood, occasion, language, artist, client_story, generated_lyrics, learning_notes, source, lyrics_id,
+          profile_id, tags, quality_rating, use_in_prompts)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'manual', $10, $11, $12, $13, $14)
+       RETURNING id`,
+      [
+        example.title, example.order_no || order.order_no || null, example.mood || order.mood || null,
+        example.occasion || order.occasion || null, example.language || order.language || null,
+        example.artist || order.artist || null, example.story || order.story || null, example.lyrics, example.notes,
+        lyricsId || null, profileId, example.tags, example.quality_rating, example.use_in_prompts
+      ]
+    );
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'settings_changed',
+      orderNumber: example.order_no || order.order_no || null,
+      lyricsId: lyricsId || null,
+      details: { setting: 'reference_examples', change: 'created', id: result.rows[0].id, title: example.title, profileId }
+    });
+    
+    res.json({ success: true, id: result.rows[0].id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Search Reference Examples - text (?q=), facets (?mood=, ?occasion=,
+ * ?language=, ?artist=, ?source=; 'none' for unset), ?tag=, pool
+ * (?profile=<id> or ?profile=shared), ?inPrompts=true|false and
+ * ?minRating=, sorted by ?sort= and paged by ?page= / ?pageSize=.
+ * Each facet's counts ignore its own filter.
+ */
+app.get('/api/settings/examples', async (req, res) => {
+  try {
+    const { where, params } = exampleSearchFilters(req.query);
+    const { page, pageSize, offset } = examplePage(req.query);
+    const sort = EXAMPLE_SORTS[req.query.sort] || EXAMPLE_SORTS.recent;
+
+    const facetQuery = (field) => {
+      const filters = exampleSearchFilters(req.query, { except: field });
+      const sql = field === 'tags'
+        ? `SELECT tag AS value, COUNT(*)::int AS count
+           FROM reference_examples re CROSS JOIN LATERAL UNNEST(re.tags) AS tag${filters.where}
+           GROUP BY tag ORDER BY count DESC, tag LIMIT 50`
+        : `SELECT re.${field} AS value, COUNT(*)::int AS count
+           FROM reference_examples re${filters.where}
+           GROUP BY re.${field} ORDER BY count DESC, value`;
+      return pool.query(sql, filters.params);
+    };
+
+    const [rows, total, ...facetResults] = await Promise.all([
+      pool.query(
+        `SELECT * FROM (${EXAMPLE_SELECT}${where}) re ORDER BY ${sort}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, pageSize, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM reference_examples re${where}`, params),
+      ...[...EXAMPLE_FACETS, 'tags'].map(facetQuery)
+    ]);
+
+    const facets = Object.fromEntries(
+      [...EXAMPLE_FACETS, 'tags'].map((field, i) => [field, facetResults[i].rows])
+    );
+    res.json({ examples: rows.rows, total: total.rows[0].total, page, pageSize, facets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Reference Example - with its usage statistics and the latest
+ * lyrics generated with it
+ */
+app.get('/api/settings/examples/:id', async (req, res) => {
+  try {
+    const result = await pool.query(`${EXAMPLE_SELECT} WHERE re.id = $1`, [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Example not found' });
+    }
+    const usage = await pool.query(
+      `SELECT gl.id, gl.order_number, gl.revision, gl.status, gl.created_at, le.rank
+       FROM lyric_examples le
+       JOIN generated_lyrics gl ON gl.id = le.lyrics_id
+       WHERE le.example_id = $1
+       ORDER BY gl.created_at DESC
+       LIMIT 20`,
+      [req.params.id]
+    );
+    res.json({ ...result.rows[0], usage: usage.rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Reference Example - text, metadata, tags, rating and whether it
+ * is used in prompts. profileId, when given, moves it to another pool.
+ */
+app.put('/api/settings/examples/:id', requireRole('reviewer'), async (req, res) => {
+  try {
+    const { example, errors } = validateExample(req.body, { requireLyrics: false });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    const movePool = req.body.profileId !== undefined;
+    const scope = movePool ? await settingProfile(req, res) : { profileId: null };
+    if (!scope) return;
+
+    const result = await pool.query(
+      `UPDATE reference_examples
+       SET title = $2, order_no = $3, mood = $4, occasion = $5, language = $6, artist = $7, client_story = $8,
+           generated_lyrics = $9, learning_notes = $10, tags = $11, quality_rating = $12, use_in_prompts = $13,
+           profile_id = CASE WHEN $14::boolean THEN $15::integer ELSE profile_id END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [
+        req.params.id, example.title, example.order_no, example.mood, example.occasion, example.language,
+        example.artist, example.story, example.lyrics, example.notes, example.tags, example.quality_rating,
+        example.use_in_prompts, movePool, scope.profileId
+      ]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Example not found' });
+    }
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'settings_changed',
+      orderNumber: example.order_no,
+      details: {
+        setting: 'reference_examples',
+        change: 'updated',
+        id: Number(req.params.id),
+        title: example.title,
+        qualityRating: example.quality_rating,
+        useInPrompts: example.use_in_prompts
+      }
+    });
+
+    const saved = await pool.query(`${EXAMPLE_SELECT} WHERE re.id = $1`, [req.params.id]);
+    res.json({ success: true, example: saved.rows[0] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Import Reference Examples - a JSON, CSV or Markdown order export
+ * (see lib/ingest.js) into a style profile's pool (profileId) or the
+ * shared pool. dryRun returns the report without saving.
+ */
+app.post('/api/settings/examples/import', requireRole('admin'), async (req, res) => {
+  try {
+    const { content, filename, format, dryRun } = req.body || {};
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'Validation failed', fields: { content: 'Choose a file to import' } });
+    }
+    if (format && !INGEST_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        fields: { format: `Format must be one of: ${INGEST_FORMATS.join(', ')}` }
+      });
+    }
+    const scope = await settingProfile(req, res);
+    if (!scope) return;
+
+    const report = await ingestExamples(pool, content, {
+      format, filename, dryRun: Boolean(dryRun), profileId: scope.profileId
+    });
+    if (!report.dryRun) {
+      await recordAudit(pool, {
+        user: req.user,
+        action: 'settings_changed',
+        details: {
+          setting: 'reference_examples',
+          change: 'imported',
+          filename: filename || null,
+          profileId: scope.profileId,
+          imported: report.imported,
+          updated: report.updated,
+          duplicates: report.duplicates.length,
+          rejected: report.rejected.length
+        }
+      });
+      console.log(`📥 Examples imported from ${filename || report.format}: ${report.imported} new, ${report.updated} updated, ${report.rejected.length} rejected`);
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete Reference Example
+ */
+app.delete('/api/settings/examples/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM reference_examples WHERE id = $1 RETURNING title', [req.params.id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Example not found' });
+    }
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'settings_changed',
+      details: { setting: 'reference_examples', change: 'deleted', id: Number(req.params.id), title: result.rows[0].title }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Import Local Data - one-time upload of the old browser-only `raaagData` blob.
+ * Lyrics are keyed by order number and examples by title + lyrics, so
+ * re-running the import never creates duplicates.
+ */
+app.post('/api/import/local-data', requireRole('admin'), async (req, res) => {
+  const { exampleLyrics = [], lyricsHistory = [] } = req.body || {};
+  const report = {
+    lyrics: { imported: 0, skipped: 0 },
+    examples: { imported: 0, skipped: 0 },
+    feedback: { imported: 0 }
+  };
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    for (const item of lyricsHistory) {
+      if (!item?.orderNumber || !item?.lyrics) {
+        report.lyrics.skipped++;
+        continue;
+      }
+
+      const status = LEGACY_STATUS_MAP[item.status] || 'pending';
+      const createdAt = item.date && !isNaN(Date.parse(item.date)) ? item.date : new Date().toISOString();
+
+      const inserted = await client.query(
+        `INSERT INTO generated_lyrics (order_number, client_request, generated_lyrics, status, feedback_notes, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $6)
+         ON CONFLICT (order_number, revision) DO NOTHING
+         RETURNING id`,
+        [String(item.orderNumber), item.request || '', item.lyrics, status, item.feedback || null, createdAt]
+      );
+
+      if (!inserted.rows[0]) {
+        report.lyrics.skipped++;
+        continue;
+      }
+      report.lyrics.imported++;
+
+      if (status !== 'pending') {
+        await saveFeedbackLearning(client, inserted.rows[0].id, status, item.feedback);
+        report.feedback.imported++;
+      }
+    }
+
+    for (const example of exampleLyrics) {
+      if (!example?.title || !example?.lyrics) {
+        report.examples.skipped++;
+        continue;
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO reference_examples (title, generated_lyrics, learning_notes, source)
+         SELECT $1::varchar, $2::text, $3::text, 'manual'
+         WHERE NOT EXISTS (
+           SELECT 1 FROM reference_examples WHERE title = $1::varchar AND generated_lyrics = $2::text
+         )
+         RETURNING id`,
+        [example.title, example.lyrics, example.notes || null]
+      );
+
+      if (inserted.rows[0]) {
+        report.examples.imported++;
+      } else {
+        report.examples.skipped++;
+      }
+    }
+
+    await recordAudit(client, {
+      user: req.user,
+      action: 'settings_changed',
+      details: { setting: 'local_data', change: 'imported', report }
+    });
+    await client.query('COMMIT');
+    console.log(`✅ Local data imported: ${report.lyrics.imported} lyrics, ${report.examples.imported} examples`);
+    res.json({ success: true, report });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('❌ Import error:', describeError(error));
+    res.status(500).json({ error: error.message });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * Get Pattern Library (active patterns first, best first)
+ */
+app.get('/api/patterns', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const result = await pool.query(
+      `SELECT id, pattern_type, pattern_description, example_text, success_count, failure_count,
+              confidence_score, status, last_seen_at, created_at
+       FROM pattern_library
+       ${status ? 'WHERE status = $1' : ''}
+       ORDER BY status ASC, confidence_score DESC, success_count + failure_count DESC`,
+      status ? [status] : []
+    );
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Date-wise Analytics
+ */
+app.get('/api/analytics/datewise', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        DATE(created_at) as date,
+        COUNT(*) as total,
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved,
+        SUM(CASE WHEN status = 'needs_work' THEN 1 ELSE 0 END) as needs_work
+      FROM generated_lyrics
+      GROUP BY DATE(created_at)
+      ORDER BY date DESC
+      LIMIT 30
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Days the hourly rollup recomputes: reviews land on the day a lyric was
+// generated, so older days keep changing for a while
+const ROLLUP_DAYS = 90;
+const ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Roll the last ROLLUP_DAYS days up into performance_metrics
+ */
+async function rollupRecentMetrics() {
+  const to = new Date();
+  const from = new Date(to.getTime() - (ROLLUP_DAYS - 1) * 24 * 60 * 60 * 1000);
+  return rollupPerformanceMetrics(pool, { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) });
+}
+
+// How often stories past the retention period are looked for
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Anonymize the orders (and stray examples) whose stories are past the
+ * retention period, one transaction per order so a failure costs one.
+ * Returns { days, orders, examples }; days is null when retention is off.
+ */
+async function applyRetention() {
+  const { days } = retentionSettings();
+  if (!days) return { days: null, orders: [], examples: 0 };
+
+  const anonymized = [];
+  for (const orderNumber of await ordersDueForRetention(pool, { days })) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await anonymizeOrder(client, orderNumber);
+      await recordAudit(client, {
+        action: 'anonymized',
+        orderNumber,
+        details: { retentionDays: days, lyrics: result.lyrics, examples: result.examples, responses: result.responses }
+      });
+      await client.query('COMMIT');
+      anonymized.push(orderNumber);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error(`Anonymizing order ${orderNumber} failed:`, describeError(error));
+    } finally {
+      client.release();
+    }
+  }
+  const examples = await anonymizeStaleExamples(pool, { days });
+  if (anonymized.length > 0 || examples > 0) {
+    console.log(`🧹 Retention (${days} days): ${anonymized.length} order(s), ${examples} example(s) anonymized`);
+  }
+  return { days, orders: anonymized, examples };
+}
+
+/**
+ * Retention Policy - the retention period and how many orders are due
+ */
+app.get('/api/privacy/retention', requireRole('admin'), async (req, res) => {
+  try {
+    const { days } = retentionSettings();
+    const due = days ? await ordersDueForRetention(pool, { days, limit: 10000 }) : [];
+    res.json({ days, due: due.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Apply Retention now rather than at the next scheduled run
+ */
+app.post('/api/privacy/retention', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await applyRetention());
+  } catch (error) {
+    console.error('❌ Retention error:', describeError(error));
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Date range of an analytics request, or null after answering 400
+ */
+function analyticsRange(req, res) {
+  const { range, errors } = parseDateRange(req.query);
+  if (Object.keys(errors).length > 0) {
+    res.status(400).json({ error: 'Invalid date range', fields: errors });
+    return null;
+  }
+  return range;
+}
+
+/**
+ * Send an analytics report as JSON, or as a CSV download with ?format=csv
+ */
+function sendReport(req, res, { name, range, columns, rows, extra = {} }) {
+  if (req.query.format === 'csv') {
+    res.attachment(`${name}-${range.from}-to-${range.to}.csv`);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    return res.send(toCsv(rows, columns));
+  }
+  res.json({ ...range, ...extra, rows });
+}
+
+/**
+ * Analytics Summary - totals over a date range (?from=&to=, YYYY-MM-DD)
+ */
+app.get('/api/analytics/summary', async (req, res) => {
+  try {
+    const range = analyticsRange(req, res);
+    if (!range) return;
+    res.json({ ...range, ...(await metricsSummary(pool, range)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Daily Analytics - the performance_metrics rollup over a date range
+ * (refreshed hourly and by the admin rollup; today is computed live)
+ */
+app.get('/api/analytics/daily', async (req, res) => {
+  try {
+    const range = analyticsRange(req, res);
+    if (!range) return;
+    const rows = await dailyMetrics(pool, range);
+    sendReport(req, res, { name: 'daily-metrics', range, columns: CSV_COLUMNS.daily, rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Approval Analytics - approval rate of lyrics generated in a date range
+ * by one dimension (?by=occasion|mood|language|artist|style_guide|style_profile|model)
+ */
+app.get('/api/analytics/approval', async (req, res) => {
+  try {
+    const range = analyticsRange(req, res);
+    if (!range) return;
+    const by = req.query.by || 'occasion';
+    if (!ANALYTICS_DIMENSIONS[by]) {
+      return res.status(400).json({
+        error: 'Invalid dimension',
+        fields: { by: `Must be one of: ${Object.keys(ANALYTICS_DIMENSIONS).join(', ')}` }
+      });
+    }
+    const rows = await approvalBreakdown(pool, by, range);
+    sendReport(req, res, {
+      name: `approval-by-${by.replace(/_/g, '-')}`,
+      range,
+      columns: { ...CSV_COLUMNS.approval, value: ANALYTICS_DIMENSIONS[by].label },
+      rows,
+      extra: { by, dimensions: Object.fromEntries(Object.entries(ANALYTICS_DIMENSIONS).map(([key, d]) => [key, d.label])) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Order Analytics - revisions, time to approval and generation cost of
+ * each order first generated in a date range
+ */
+app.get('/api/analytics/orders', async (req, res) => {
+  try {
+    const range = analyticsRange(req, res);
+    if (!range) return;
+    const rows = await orderMetrics(pool, range);
+    sendReport(req, res, { name: 'order-metrics', range, columns: CSV_COLUMNS.orders, rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Recompute the daily rollup for a date range now (admin; the server also
+ * does it hourly for recent days)
+ */
+app.post('/api/analytics/rollup', requireRole('admin'), async (req, res) => {
+  try {
+    const { range, errors } = parseDateRange(req.body || {});
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid date range', fields: errors });
+    }
+    const days = await rollupPerformanceMetrics(pool, range);
+    console.log(`📊 Rolled up metrics for ${days} day(s), ${range.from} to ${range.to}`);
+    res.json({ ...range, days });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Start a session for a user: stores the token's hash and sets the cookie
+ */
+async function startSession(req, res, user) {
+  const token = newSessionToken();
+  await pool.query('DELETE FROM sessions WHERE expires_at < NOW()');
+  await pool.query(
+    `INSERT INTO sessions (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [user.id, sessionTokenHash(token), SESSION_TTL_DAYS]
+  );
+  await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  res.setHeader('Set-Cookie', sessionCookie(token, { secure }));
+}
+
+// User fields safe to send to the browser
+const publicUser = ({ id, username, display_name, role, active, last_login_at }) =>
+  ({ id, username, display_name, role, active, last_login_at });
+
+/**
+ * Current User - the signed-in user, or null with setupRequired when no
+ * account exists yet
+ */
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const count = await pool.query('SELECT COUNT(*)::int AS users FROM users');
+    res.json({
+      user: req.user ? publicUser(req.user) : null,
+      roles: ROLES,
+      setupRequired: count.rows[0].users === 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * First-run Setup - creates the first admin account and signs it in.
+ * Only works while there are no users.
+ */
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    const { user, errors } = validateUser({ ...req.body, role: 'admin' });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid account', fields: errors });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO users (username, display_name, role, password_hash)
+       SELECT $1, $2, 'admin', $3
+       WHERE NOT EXISTS (SELECT 1 FROM users)
+       RETURNING *`,
+      [user.username, user.display_name, await hashPassword(user.password)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Setup is already done - sign in instead' });
+    }
+
+    const admin = result.rows[0];
+    await recordAudit(pool, {
+      user: admin,
+      action: 'user_changed',
+      details: { change: 'created', id: admin.id, username: admin.username, role: admin.role }
+    });
+    await startSession(req, res, admin);
+    console.log(`👤 First admin created: ${admin.username}`);
+    res.json({ user: publicUser(admin) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Sign In - { username, password }; sets the session cookie
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const result = await pool.query(
+      'SELECT * FROM users WHERE username = $1 AND active',
+      [String(username || '').trim().toLowerCase()]
+    );
+    const user = result.rows[0];
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await startSession(req, res, user);
+    res.json({ user: publicUser(user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Sign Out - ends this session
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await pool.query('DELETE FROM sessions WHERE id = $1', [req.user.session_id]);
+    res.setHeader('Set-Cookie', sessionCookie(''));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List Users - everyone signed in can see who can review; admins also
+ * see inactive accounts
+ */
+app.get('/api/users', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM users WHERE active OR $1 ORDER BY active DESC, display_name`,
+      [hasRole(req.user, 'admin')]
+    );
+    res.json(result.rows.map(publicUser));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Save a User - creates one, or updates it (id) where a blank password
+ * keeps the current one. Admins cannot demote or deactivate themselves.
+ * Deactivating a user or changing their password ends their sessions.
+ */
+async function saveUser(id, req, res) {
+  try {
+    const { user, errors } = validateUser(req.body || {}, { requirePassword: !id });
+    if (id && Number(id) === req.user.id && (user.role !== 'admin' || !user.active)) {
+      errors.role = 'You cannot remove your own admin access';
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Invalid user', fields: errors });
+    }
+
+    const passwordHash = user.password ? await hashPassword(user.password) : null;
+    const result = id
+      ? await pool.query(
+        `UPDATE users SET
+           username = $1, display_name = $2, role = $3, active = $4,
+           password_hash = COALESCE($5, password_hash), updated_at = NOW()
+         WHERE id = $6
+         RETURNING *`,
+        [user.username, user.display_name, user.role, user.active, passwordHash, id]
+      )
+      : await pool.query(
+        `INSERT INTO users (username, display_name, role, active, password_hash)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [user.username, user.display_name, user.role, user.active, passwordHash]
+      );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const saved = result.rows[0];
+    if (id && (!saved.active || passwordHash)) {
+      await pool.query('DELETE FROM sessions WHERE user_id = $1 AND id <> $2', [saved.id, req.user.session_id]);
+    }
+    await recordAudit(pool, {
+      user: req.user,
+      action: 'user_changed',
+      details: {
+        change: id ? 'updated' : 'created',
+        id: saved.id,
+        username: saved.username,
+        role: saved.role,
+        active: saved.active,
+        passwordChanged: Boolean(id && passwordHash)
+      }
+    });
+    res.json(publicUser(saved));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Invalid user', fields: { username: 'This username is taken' } });
+    }
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Create User
+ */
+app.post('/api/users', requireRole('admin'), (req, res) => saveUser(null, req, res));
+
+/**
+ * Update User
+ */
+app.put('/api/users/:id', requireRole('admin'), (req, res) => saveUser(req.params.id, req, res));
+
+/**
+ * Audit Log - settings and account changes (?scope=settings, the default)
+ * or every entry (?scope=all), newest first
+ */
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const result = await pool.query(
+      `SELECT a.*, COALESCE(u.display_name, a.username) AS user_name
+       FROM audit_log a
+       LEFT JOIN users u ON u.id = a.user_id
+       WHERE $1 OR a.action IN ('settings_changed', 'user_changed')
+       ORDER BY a.id DESC
+       LIMIT $2`,
+      [req.query.scope === 'all', limit]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Health check endpoint
+app.get('/api/health', async (req, res) => {
+  try {
+    await pool.query('SELECT 1');
+    res.json({ 
+      status: 'ok', 
+      apiKeyConfigured: !!process.env.ANTHROPIC_API_KEY,
+      llmProvider: defaultGenerationSettings().provider,
+      databaseConnected: true,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      status: 'error',
+      databaseConnected: false,
+      error: error.message
+    });
+  }
+});
+
+// Customer review page (the token is read by the page itself)
+app.get('/review/:token', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'review.html'));
+});
+
+// Serve index.html for all other routes
+app.get('*', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'index.html'));
+});
+
+// Errors no route caught: logged with the request body masked, since it
+// may hold a customer's story
+app.use((err, req, res, next) => {
+  console.error(`❌ ${req.method} ${req.path}:`, describeError(err), JSON.stringify(maskBody(req.body ?? null)));
+  if (res.headersSent) return next(err);
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+// Check the database schema is current before serving: a server running
+// against a database with pending migrations would fail in odd places
+async function checkDatabase() {
+  const schema = await assertSchemaCurrent(pool);
+  for (const row of schema.applied.filter(r => r.changed || r.missing)) {
+    console.warn(`⚠️  Migration ${row.version} (${row.name}) ${row.missing ? 'has no file' : 'was edited after it was applied'}`);
+  }
+  console.log(`✅ Database connected (schema version ${schema.current})`);
+}
+
+checkDatabase().then(() => app.listen(PORT, () => {
+  console.log(`✅ Server running on port ${PORT}`);
+  console.log(`🔑 API Key configured: ${!!process.env.ANTHROPIC_API_KEY}`);
+  console.log(`🤖 LLM provider: ${defaultGenerationSettings().provider}`);
+  console.log(`🗄️  Database URL configured: ${!!process.env.DATABASE_URL}`);
+  jobQueue.start();
+  console.log(`📋 Generation queue running (${jobQueue.settings.concurrency} at a time)`);
+  const rollup = () => rollupRecentMetrics().catch(error => console.error('Metrics rollup failed:', error.message));
+  rollup();
+  setInterval(rollup, ROLLUP_INTERVAL_MS).unref();
+  const retention = () => applyRetention().catch(error => console.error('Retention run failed:', describeError(error)));
+  retention();
+  setInterval(retention, RETENTION_INTERVAL_MS).unref();
+  const { days } = retentionSettings();
+  console.log(`🧹 Story retention: ${days ? `${days} days` : 'off (PII_RETENTION_DAYS=0)'}`);
+})).catch(error => {
+  console.error('❌ Not starting:', error.message);
+  process.exit(1);
+});
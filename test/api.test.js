@@ -0,0 +1,189 @@
+// API flows against a real database and the offline stub model.
+// Skipped without TEST_DATABASE_URL; `npm run test:db` provides one.
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPool } from '../lib/db.js';
+import { startServer, createClient, signIn, testOrder, needsDatabase } from './support/server.js';
+
+describe('API', { skip: needsDatabase }, () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer();
+    api = createClient(server);
+    await signIn(api);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('reports a healthy database and the stub provider', async () => {
+    const { status, body } = await api.request('GET', '/api/health');
+    assert.equal(status, 200);
+    assert.equal(body.databaseConnected, true);
+    assert.equal(body.llmProvider, 'stub');
+  });
+
+  test('refuses API calls without a session', async () => {
+    const { status } = await createClient(server).request('GET', '/api/lyrics');
+    assert.equal(status, 401);
+  });
+
+  test('validates order intake field by field', async () => {
+    const { status, body } = await api.request('POST', '/api/orders', testOrder({ mood: 'Grumpy', story: 'Too short' }));
+    assert.equal(status, 400);
+    assert.deepEqual(Object.keys(body.fields).sort(), ['mood', 'story']);
+  });
+
+  test('generates lyrics offline with the stub and records the model call', async () => {
+    const order = testOrder();
+    assert.equal((await api.request('POST', '/api/orders', order)).status, 200);
+
+    const generated = await api.request('POST', '/api/generate', { orderNo: order.order_no });
+    assert.equal(generated.status, 200, JSON.stringify(generated.body));
+    assert.ok(generated.body.lyricsId);
+    assert.equal(generated.body.revision, 1);
+
+    const versions = (await api.request('GET', `/api/orders/${order.order_no}/versions`)).body;
+    assert.deepEqual(versions.map(v => [v.id, v.status]), [[generated.body.lyricsId, 'pending']]);
+    assert.match(versions[0].generated_lyrics, /Mansi/);
+
+    const usage = await api.request('GET', '/api/llm/usage');
+    assert.ok(usage.body.some(row => row.provider === 'stub' && row.purpose === 'lyrics' && row.calls > 0));
+  });
+
+  test('learns patterns from reviewer feedback with the local analyzer', async () => {
+    const order = testOrder();
+    await api.request('POST', '/api/orders', order);
+    const { lyricsId } = (await api.request('POST', '/api/generate', { orderNo: order.order_no })).body;
+
+    const feedback = await api.request('POST', '/api/feedback', { lyricsId, status: 'approved', feedbackNotes: 'Lovely couplets' });
+    assert.equal(feedback.status, 200, JSON.stringify(feedback.body));
+
+    // Analysed in the background
+    let patterns = [];
+    for (let i = 0; i < 50 && !patterns.some(p => p.pattern_type === 'rhyme'); i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      patterns = (await api.request('GET', '/api/patterns')).body;
+    }
+    const rhyme = patterns.find(p => p.pattern_type === 'rhyme');
+    assert.ok(rhyme, 'no rhyme pattern learned');
+    assert.ok(rhyme.success_count >= 1);
+    assert.ok(patterns.some(p => p.pattern_type === 'structure'));
+  });
+
+  test('erases everything stored for an order once', async () => {
+    const order = testOrder();
+    await api.request('POST', '/api/orders', order);
+    await api.request('POST', '/api/generate', { orderNo: order.order_no });
+
+    const unconfirmed = await api.request('DELETE', `/api/orders/${order.order_no}`, { confirm: 'yes' });
+    assert.equal(unconfirmed.status, 400);
+
+    const erased = await api.request('DELETE', `/api/orders/${order.order_no}`, { confirm: order.order_no });
+    assert.equal(erased.status, 200, JSON.stringify(erased.body));
+    assert.equal(erased.body.deleted.orders, 1);
+    assert.equal(erased.body.deleted.generated_lyrics, 1);
+    assert.equal((await api.request('GET', `/api/orders/${order.order_no}`)).status, 404);
+    assert.equal((await api.request('DELETE', `/api/orders/${order.order_no}`, { confirm: order.order_no })).status, 404);
+  });
+
+  test('retention pseudonymizes old imported examples without rewriting Hinglish words', async () => {
+    const lyrics = 'Baby girl Riya, tu hi meri duniya\nBhai tera saath, meri jaan\nPune ki baarish mein';
+    const db = createPool({ DATABASE_URL: process.env.TEST_DATABASE_URL });
+    let id;
+    try {
+      id = (await db.query(
+        `INSERT INTO reference_examples (title, client_story, generated_lyrics, source, created_at, updated_at)
+         VALUES ('Riya birthday', 'My daughter Riya loves the rain in Pune', $1, 'imported', NOW() - INTERVAL '400 days', NOW() - INTERVAL '400 days')
+         RETURNING id`,
+        [lyrics]
+      )).rows[0].id;
+
+      const run = await api.request('POST', '/api/privacy/retention');
+      assert.equal(run.status, 200, JSON.stringify(run.body));
+      assert.ok(run.body.examples >= 1);
+
+      const example = (await db.query('SELECT * FROM reference_examples WHERE id = $1', [id])).rows[0];
+      assert.ok(example.anonymized_at);
+      assert.doesNotMatch(`${example.title} ${example.client_story} ${example.generated_lyrics}`, /Riya|Pune/);
+      assert.equal(
+        example.generated_lyrics.replace(/^Baby girl \w+/, 'Baby girl Riya').replace(/\n\w+ ki baarish/, '\nPune ki baarish'),
+        lyrics
+      );
+    } finally {
+      if (id) await db.query('DELETE FROM reference_examples WHERE id = $1', [id]);
+      await db.end();
+    }
+  });
+
+  test('saves generation profiles and rejects invalid ones', async () => {
+    const name = `Offline ${Date.now()}`;
+    const saved = await api.request('POST', '/api/settings/profiles', { name, provider: 'stub', model: 'stub', temperature: 0.3 });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.equal(saved.body.provider, 'stub');
+
+    const invalid = await api.request('POST', '/api/settings/profiles', { name, provider: 'openai', model: 'x' });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.fields.provider);
+
+    const profiles = await api.request('GET', '/api/settings/profiles');
+    assert.ok(profiles.body.profiles.some(profile => profile.name === name));
+  });
+
+  test('daily analytics counts today live without writing the rollup', async () => {
+    const order = testOrder();
+    await api.request('POST', '/api/orders', order);
+    await api.request('POST', '/api/generate', { orderNo: order.order_no });
+
+    const db = createPool({ DATABASE_URL: process.env.TEST_DATABASE_URL });
+    const stored = () => db.query('SELECT date::text, total_generated, updated_at::text FROM performance_metrics ORDER BY date');
+    try {
+      const before = (await stored()).rows;
+      const daily = await api.request('GET', '/api/analytics/daily');
+      assert.equal(daily.status, 200, JSON.stringify(daily.body));
+      assert.deepEqual((await stored()).rows, before);
+
+      const { today, generated } = (await db.query(
+        `SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') AS today,
+                COUNT(*) FILTER (WHERE revision_source = 'generated')::int AS generated
+         FROM generated_lyrics WHERE DATE(created_at) = CURRENT_DATE`
+      )).rows[0];
+      const rows = daily.body.rows;
+      assert.equal(rows.at(-1).date, today);
+      assert.equal(rows.at(-1).total_generated, generated);
+      assert.equal(rows.length, 30);
+    } finally {
+      await db.end();
+    }
+  });
+
+  test('does not queue an order twice', async () => {
+    const queued = testOrder();
+    const fresh = testOrder();
+    await api.request('POST', '/api/orders', queued);
+    const db = createPool({ DATABASE_URL: process.env.TEST_DATABASE_URL });
+    try {
+      // Held back so it stays queued
+      await db.query(
+        `INSERT INTO generation_jobs (order_number, run_after) VALUES ($1, NOW() + INTERVAL '1 hour')`,
+        [queued.order_no]
+      );
+      const batch = await api.request('POST', '/api/jobs', {
+        orders: [{ ...queued, order_no: queued.order_no.toUpperCase() }, fresh, fresh.order_no.toLowerCase()]
+      });
+      assert.equal(batch.status, 201, JSON.stringify(batch.body));
+      assert.deepEqual(batch.body.jobs.map(job => job.order_number), [fresh.order_no]);
+      assert.deepEqual(batch.body.rejected.map(({ row, errors }) => [row, errors.order_no]), [
+        [1, 'Order already has a queued or running job'],
+        [3, 'Order is already in this batch']
+      ]);
+    } finally {
+      await db.query('DELETE FROM generation_jobs WHERE LOWER(order_number) = LOWER($1)', [queued.order_no]);
+      await db.end();
+    }
+  });
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  hashPassword, verifyPassword, hasRole, parseCookies, sessionCookie, newSessionToken, sessionTokenHash, validateUser
+} from '../lib/auth.js';
+
+test('passwords hash with a fresh salt and verify only themselves', async () => {
+  const stored = await hashPassword('monsoon-in-pune');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(await hashPassword('monsoon-in-pune'), stored);
+
+  assert.equal(await verifyPassword('monsoon-in-pune', stored), true);
+  assert.equal(await verifyPassword('Monsoon-in-pune', stored), false);
+  assert.equal(await verifyPassword('', stored), false);
+  assert.equal(await verifyPassword(undefined, stored), false);
+});
+
+test('malformed stored hashes match no password', async () => {
+  const [, salt, hex] = (await hashPassword('monsoon-in-pune')).split('$');
+  for (const stored of [null, '', 'monsoon-in-pune', `bcrypt$${salt}$${hex}`, `scrypt$$${hex}`, `scrypt$${salt}$`, `scrypt$${salt}$zz`, `scrypt$${salt}$${hex.slice(0, 64)}`]) {
+    assert.equal(await verifyPassword('monsoon-in-pune', stored), false, String(stored));
+    assert.equal(await verifyPassword('', stored), false, String(stored));
+  }
+});
+
+test('roles are ranked writer < reviewer < admin', () => {
+  const table = ['writer', 'reviewer', 'admin'].map(role => ['writer', 'reviewer', 'admin'].map(needed => hasRole({ role }, needed)));
+  assert.deepEqual(table, [
+    [true, false, false],
+    [true, true, false],
+    [true, true, true]
+  ]);
+  assert.equal(hasRole(null, 'writer'), false);
+  assert.equal(hasRole({ role: 'owner' }, 'writer'), false);
+});
+
+test('parseCookies reads a Cookie header leniently', () => {
+  assert.deepEqual(parseCookies('raaag_session=abc123; theme=dark%20mode;  empty=; =nameless; broken=%E0%A4; flag'), {
+    raaag_session: 'abc123', theme: 'dark mode', empty: '', broken: '%E0%A4'
+  });
+  assert.deepEqual(parseCookies('a=b=c'), { a: 'b=c' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('session cookies are HttpOnly and cleared with an empty token', () => {
+  const token = newSessionToken();
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.equal(sessionTokenHash(token).length, 64);
+  assert.notEqual(sessionTokenHash(token), token);
+  assert.equal(sessionCookie(token), `raaag_session=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=1209600`);
+  assert.equal(sessionCookie(null, { secure: true }), 'raaag_session=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0; Secure');
+  assert.deepEqual(parseCookies(sessionCookie(token).split(';')[0]), { raaag_session: token });
+});
+
+test('validateUser normalizes names and defaults to an active writer', () => {
+  assert.deepEqual(validateUser({ username: ' Priya.S ', password: 'long-enough' }), {
+    user: { username: 'priya.s', display_name: 'priya.s', role: 'writer', password: 'long-enough', active: true },
+    errors: {}
+  });
+  assert.deepEqual(validateUser({ username: 'priya', display_name: 'Priya', role: 'reviewer', active: false }, { requirePassword: false }), {
+    user: { username: 'priya', display_name: 'Priya', role: 'reviewer', active: false },
+    errors: {}
+  });
+});
+
+test('validateUser reports each bad field', () => {
+  assert.deepEqual(validateUser({}).errors, {
+    username: 'Username is required',
+    password: 'Password must be at least 8 characters'
+  });
+  assert.deepEqual(validateUser({ username: 'pr iya', display_name: 'x'.repeat(101), role: 'owner', password: 'short' }).errors, {
+    username: 'Username must be 3-50 letters, digits, dots, dashes or underscores',
+    display_name: 'Display name must be at most 100 characters',
+    role: 'Role must be one of: writer, reviewer, admin',
+    password: 'Password must be at least 8 characters'
+  });
+  // On update a blank password keeps the current one, a short one is still refused
+  assert.deepEqual(validateUser({ username: 'priya', password: '' }, { requirePassword: false }).errors, {});
+  assert.deepEqual(Object.keys(validateUser({ username: 'priya', password: 'short' }, { requirePassword: false }).errors), ['password']);
+});
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { exportContent, exportLyrics, buildLrc, buildBundle } from '../lib/export.js';
+
+const LYRIC = {
+  id: 41,
+  order_number: 'RA-1001',
+  revision: 2,
+  status: 'approved',
+  revision_source: 'rewrite',
+  model: 'claude-sonnet-4',
+  author_name: 'Priya',
+  reviewer_name: 'Rohan',
+  created_at: '2026-06-01T10:00:00.000Z',
+  reviewed_at: '2026-06-01T12:00:00.000Z',
+  style_guide_id: 3,
+  checklist_id: 4,
+  generated_lyrics: `[Verse 1]
+तेरी हँसी से रोशन है मेरा जहान
+तेरे साथ हर पल लगता है आसमान
+
+[Chorus]
+तू ही मेरी धड़कन, तू ही मेरी जान`
+};
+
+const ORDER = {
+  order_no: 'RA-1001',
+  recipient_name: 'Mansi',
+  relationship: 'Wife',
+  nicknames: ['Mishti'],
+  occasion: 'Anniversary',
+  mood: 'Romantic',
+  language: 'Hindi',
+  artist: 'Female',
+  length: '3 min',
+  rhyme_scheme: 'AABB',
+  story: 'We met at a mehendi in Pune.'
+};
+
+test('the PDF embeds Noto Sans Devanagari for Devanagari lines', async () => {
+  const { body, contentType, filename } = await exportLyrics('pdf', { lyric: LYRIC, order: ORDER });
+  assert.equal(contentType, 'application/pdf');
+  assert.equal(filename, 'order-RA-1001-r2.pdf');
+
+  const pdf = body.toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-'));
+  assert.match(pdf, /\/BaseFont \/[A-Z]{6}\+NotoSansDevanagari-Regular/);
+  assert.match(pdf, /\/FontFile2? \d+ 0 R/);
+});
+
+test('the LRC skeleton has a cue line for each section', () => {
+  const lrc = buildLrc(exportContent(LYRIC, ORDER), { artist: 'Female voice' });
+  assert.equal(lrc, `[ti:A song for Mansi]
+[ar:Female voice]
+[re:Order RA-1001 · Revision 2]
+
+[00:00.00](Verse 1)
+[00:00.00]तेरी हँसी से रोशन है मेरा जहान
+[00:00.00]तेरे साथ हर पल लगता है आसमान
+
+[00:00.00](Chorus)
+[00:00.00]तू ही मेरी धड़कन, तू ही मेरी जान
+`);
+
+  // Stanzas without headers are numbered
+  const stanzas = buildLrc(exportContent({ ...LYRIC, generated_lyrics: 'tu hi meri jaan\n\ntu hi armaan' }));
+  assert.deepEqual(stanzas.split('\n').filter(line => line.startsWith('[00:00.00](')), ['[00:00.00](Stanza 1)', '[00:00.00](Stanza 2)']);
+});
+
+test('the JSON bundle carries the order metadata and review trail', async () => {
+  const { body, filename } = await exportLyrics('json', {
+    lyric: LYRIC, order: ORDER, score: { score: '0.85', flagged: false }, styleProfile: 'romantic-hindi'
+  });
+  assert.equal(filename, 'order-RA-1001-r2.json');
+  const bundle = JSON.parse(body);
+
+  assert.deepEqual(bundle.order, {
+    orderNo: 'RA-1001',
+    recipientName: 'Mansi',
+    relationship: 'Wife',
+    nicknames: ['Mishti'],
+    occasion: 'Anniversary',
+    mood: 'Romantic',
+    language: 'Hindi',
+    artist: 'Female',
+    length: '3 min',
+    rhymeScheme: 'AABB',
+    story: 'We met at a mehendi in Pune.'
+  });
+  assert.deepEqual(
+    [bundle.lyric.orderNumber, bundle.lyric.revision, bundle.lyric.author, bundle.lyric.reviewer, bundle.lyric.styleProfile],
+    ['RA-1001', 2, 'Priya', 'Rohan', 'romantic-hindi']
+  );
+  assert.deepEqual(bundle.score, { score: 0.85, flagged: false });
+  assert.equal(bundle.script, 'devanagari');
+  assert.ok(bundle.romanizedText.startsWith('[Verse 1]\n'));
+  assert.equal(bundle.devanagariText, null);
+  assert.equal(bundle.lrc, buildLrc(exportContent(LYRIC, ORDER)));
+});
+
+test('a bundle without an order has no order metadata', () => {
+  const bundle = buildBundle(exportContent(LYRIC), { lyric: LYRIC });
+  assert.equal(bundle.order, null);
+  assert.equal(bundle.score, null);
+  assert.equal(bundle.title, 'Order RA-1001');
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lintLyrics, recipientGender, singerGender, tokenize } from '../lib/grammar.js';
+
+// Line, column and rule of each annotation, with its suggestion
+const positions = (annotations) => annotations.map(a => [a.line, a.column, a.rule, a.suggestion ?? null]);
+
+test('verbs that disagree with the singer or recipient are flagged where they stand', () => {
+  const lyrics = `[Verse 1]
+मैं तेरे पीछे गया, मैं रोता था
+तू मेरे घर आई थी
+main kal raat so gayi`;
+  const { annotations, genders } = lintLyrics(lyrics, { artist: 'Female', relationship: 'Husband' });
+  assert.deepEqual(genders, { singer: 'female', recipient: 'male' });
+  assert.deepEqual(positions(annotations), [
+    [2, 15, 'gender-agreement', 'गई'],
+    [2, 24, 'gender-agreement', 'रोती'],
+    [2, 29, 'gender-agreement', 'थी'],
+    [3, 15, 'gender-agreement', 'था']
+  ]);
+  assert.equal(annotations[0].length, 3);
+  assert.equal(annotations[0].severity, 'error');
+  assert.equal(annotations[3].message, '"थी" is feminine, but "तू" refers to the recipient (male)');
+});
+
+test('agreeing verbs, nouns and unmarked subjects are left alone', () => {
+  const lyrics = 'मैं तेरे पीछे गया, मैं रोता था\nतू मेरे घर आई थी\nज़िंदगी हसीन है, दुनिया मेरी है\nवो आई थी';
+  assert.deepEqual(lintLyrics(lyrics, { artist: 'Male', relationship: 'Wife' }).annotations, []);
+  // Without the order's genders there is nothing to agree with
+  assert.deepEqual(lintLyrics('मैं चला गया, तू आई थी').annotations, []);
+});
+
+test('a new clause starts without a subject', () => {
+  const { annotations } = lintLyrics('मैं हँसी, गया वो', { artist: 'Female' });
+  assert.deepEqual(annotations, []);
+});
+
+test('minority-script words of a mixed line are flagged', () => {
+  const { annotations } = lintLyrics('तू meri जान है\ntu hai to dil mein roshni hai\nतू है तो dil mein roshni hai');
+  assert.deepEqual(positions(annotations), [
+    [1, 4, 'mixed-script', null],
+    [3, 1, 'mixed-script', null],
+    [3, 4, 'mixed-script', null],
+    [3, 7, 'mixed-script', null]
+  ]);
+  assert.equal(annotations[0].message, '"meri" breaks a Devanagari line - write the whole line in one script');
+  assert.equal(annotations[1].message, '"तू" breaks a Roman line - write the whole line in one script');
+});
+
+test('ज़िंदगी and जिंदगी in one lyric flag the less common spelling', () => {
+  const { annotations } = lintLyrics('ज़िंदगी तेरे नाम\nजिंदगी मेरी\nज़िंदगी हसीन है');
+  assert.deepEqual(positions(annotations), [[2, 1, 'spelling', 'ज़िंदगी']]);
+  assert.equal(annotations[0].message, '"जिंदगी" is also spelled "ज़िंदगी" in this lyric - pick one spelling');
+
+  // A tie goes to the nukta spelling
+  assert.deepEqual(positions(lintLyrics('जिंदगी तेरे नाम\nज़िंदगी मेरी').annotations), [[1, 1, 'spelling', 'ज़िंदगी']]);
+  assert.deepEqual(positions(lintLyrics('tera pyaar\nmera pyar\npyar hi pyar').annotations), [[1, 6, 'spelling', 'pyar']]);
+});
+
+test('banned phrases from the style guide are errors', () => {
+  const { annotations } = lintLyrics('Sun meri dil ki baat\nप्यार की कहानी है ये', { bannedPhrases: ['dil ki baat', 'प्यार की कहानी'] });
+  assert.deepEqual(positions(annotations), [[1, 10, 'banned-phrase', null], [2, 1, 'banned-phrase', null]]);
+  assert.equal(annotations[0].message, 'Banned cliché "dil ki baat"');
+  assert.deepEqual(lintLyrics('Sun meri dil ki baat', { bannedPhrases: [] }).annotations, []);
+});
+
+test('genders come from the order, partners taking the opposite of the singer', () => {
+  assert.equal(recipientGender('My wife'), 'female');
+  assert.equal(recipientGender('Bhaiya'), 'male');
+  assert.equal(recipientGender('Partner', 'male'), 'female');
+  assert.equal(recipientGender('Partner'), null);
+  assert.equal(recipientGender('Best friend', 'female'), null);
+  assert.deepEqual([singerGender('Female'), singerGender('male'), singerGender('Duet')], ['female', 'male', null]);
+});
+
+test('tokenize gives columns, scripts and clause numbers', () => {
+  assert.deepEqual(
+    tokenize('तू, my जान!').map(({ text, column, script, clause }) => [text, column, script, clause]),
+    [['तू', 1, 'devanagari', 0], ['my', 5, 'roman', 1], ['जान', 8, 'devanagari', 1]]
+  );
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPool } from '../lib/db.js';
+import { parseCsv, parseExamplesFile, normalizeExample, detectFormat, ingestExamples } from '../lib/ingest.js';
+import { needsDatabase } from './support/server.js';
+
+const STORY = 'We met at a wedding in Jaipur, and she laughed at my dancing. Five years on, she still does.';
+
+test('parseCsv keeps commas, doubled quotes and line breaks inside quoted fields', () => {
+  const csv = 'order_no,story,lyrics\n' +
+    `A-101,"We met in Pune, in the rain","Tu hi meri ""jaan""\nTu hi mera armaan"\n` +
+    'A-102,plain story,\n';
+  assert.deepEqual(parseCsv(csv), [
+    { order_no: 'A-101', story: 'We met in Pune, in the rain', lyrics: 'Tu hi meri "jaan"\nTu hi mera armaan' },
+    { order_no: 'A-102', story: 'plain story', lyrics: '' }
+  ]);
+});
+
+test('parseCsv reads CRLF line ends, skips blank lines and fills short rows', () => {
+  assert.deepEqual(parseCsv('a,b,c\r\n1,"x\r\ny",3\r\n\r\n  ,  \r\n4\r\n5,6,7'), [
+    { a: '1', b: 'x\r\ny', c: '3' },
+    { a: '4', b: '', c: '' },
+    { a: '5', b: '6', c: '7' }
+  ]);
+});
+
+test('parseExamplesFile maps header and key aliases onto example fields', () => {
+  const csv = '﻿Order No.,Client Story,Final-Lyrics,Singer,Unused\r\nA-101,story,lyrics,Female,x\r\n';
+  assert.deepEqual(parseExamplesFile(csv, 'csv'), [{ order_no: 'A-101', story: 'story', lyrics: 'lyrics', artist: 'Female' }]);
+
+  const json = JSON.stringify({ examples: [{ orderNo: 'A-102', customer_story: 'story', generated_lyrics: null, gender: 'Male', order: 'ignored' }] });
+  assert.deepEqual(parseExamplesFile(json, 'json'), [{ order_no: 'A-102', story: 'story', artist: 'Male' }]);
+
+  const markdown = '# Export\n\n## A-103 - Birthday song\n- **Mood:** Happy\n- Voice: Female\n\n### Story\nShe loves mangoes.\n\n### Lyrics\nLine one\nLine two\n';
+  assert.deepEqual(parseExamplesFile(markdown, 'markdown'), [{
+    order_no: 'A-103', title: 'Birthday song', mood: 'Happy', artist: 'Female',
+    story: 'She loves mangoes.\n\n', lyrics: 'Line one\nLine two\n\n'
+  }]);
+});
+
+test('parseExamplesFile rejects unreadable content with status 400', () => {
+  const rejects = (content, format, message) => assert.throws(
+    () => parseExamplesFile(content, format), error => error.status === 400 && message.test(error.message)
+  );
+  rejects('[{"order_no": ', 'json', /Not valid JSON/);
+  rejects('{"rows": []}', 'json', /must be a list/);
+  rejects('order_no\nA-1', 'xlsx', /Format must be one of/);
+});
+
+test('detectFormat goes by the extension, then the first character', () => {
+  assert.deepEqual(
+    [['a.JSON', ''], ['a.md', ''], ['export', '  [{}]'], ['export', '# Orders'], [null, 'order_no,story']].map(args => detectFormat(...args)),
+    ['json', 'markdown', 'json', 'markdown', 'csv']
+  );
+});
+
+test('normalizeExample maps choices and reports what it guessed', () => {
+  const { example, errors, warnings } = normalizeExample({
+    order_no: 'A-101', story: STORY, mood: 'romantic', artist: 'Alto', occasion: "Mom's b'day party", language: 'hinglish'
+  });
+  assert.deepEqual(errors, {});
+  assert.deepEqual(example, {
+    order_no: 'A-101', language: 'Hindi-English', story: STORY, lyrics: null, mood: 'Romantic', artist: null,
+    occasion: 'Birthday', title: 'Order A-101 - Birthday', notes: null
+  });
+  assert.deepEqual(warnings, ['Unrecognised artist "Alto" dropped', `Occasion "Mom's b'day party" read as Birthday`]);
+});
+
+test('normalizeExample drops placeholder lyrics and rejects rows with nothing to learn from', () => {
+  assert.equal(normalizeExample({ order_no: 'A-101', story: STORY, lyrics: 'Lyrics from training data' }).example.lyrics, null);
+  assert.deepEqual(normalizeExample({ order_no: 'A-102', lyrics: 'Lyrics from training data' }).errors, {
+    story: 'Row has neither a story nor lyrics'
+  });
+  assert.deepEqual(normalizeExample({ order_no: '#1', story: STORY }).errors, {
+    order_no: 'Order number must be 3-50 letters, digits or dashes'
+  });
+  assert.deepEqual(normalizeExample({ story: STORY }).errors, { order_no: 'Order number is required' });
+});
+
+test('normalizeExample recovers stories and lyrics exported into the wrong column', () => {
+  const spilled = normalizeExample({ order_no: 'A-101', language: `Hindi-English ${STORY}` });
+  assert.equal(spilled.example.language, 'Hindi-English');
+  assert.equal(spilled.example.story, STORY);
+
+  const flattened = normalizeExample({ order_no: 'A-102', story: 'A-102 Verse 1: Tu hi meri jaan Chorus: Tu hi armaan' });
+  assert.equal(flattened.example.story, null);
+  assert.equal(flattened.example.lyrics, '[Verse 1]\nTu hi meri jaan\n\n[Chorus]\nTu hi armaan');
+
+  const instructed = normalizeExample({ order_no: 'A-103', story: `${STORY} Please ensure ✅ every couplet rhymes` });
+  assert.equal(instructed.example.story, STORY);
+  assert.deepEqual(instructed.warnings, ['Writer instructions in the story dropped']);
+});
+
+test('a dry run reports duplicates and rejected rows without writing', { skip: needsDatabase }, async () => {
+  const pool = createPool({ DATABASE_URL: process.env.TEST_DATABASE_URL });
+  const prefix = `ING${Date.now().toString(36)}`;
+  const csv = [
+    'order_no,story,lyrics,mood',
+    `${prefix}-1,"${STORY}",,Happy`,
+    `${prefix.toLowerCase()}-1,,"Tu hi meri jaan, tu hi armaan",`,
+    `${prefix}-1,"${STORY}",,`,
+    `${prefix}-2,,,Sad`,
+    `bad no,"${STORY}",,`,
+    `${prefix}-3,"${STORY}",Lyrics from training data,`
+  ].join('\r\n');
+  try {
+    const report = await ingestExamples(pool, csv, { filename: 'export.csv', dryRun: true });
+    assert.deepEqual(report, {
+      format: 'csv',
+      dryRun: true,
+      total: 6,
+      imported: 2,
+      updated: 0,
+      withoutLyrics: 1,
+      duplicates: [
+        { row: 2, order_no: `${prefix.toLowerCase()}-1`, reason: 'Merged into row 1 (lyrics)' },
+        { row: 3, order_no: `${prefix}-1`, reason: 'Repeated in this file' }
+      ],
+      rejected: [
+        { row: 4, order_no: `${prefix}-2`, errors: { story: 'Row has neither a story nor lyrics' } },
+        { row: 5, order_no: 'bad no', errors: { order_no: 'Order number must be 3-50 letters, digits or dashes' } }
+      ],
+      warnings: []
+    });
+    const stored = await pool.query('SELECT 1 FROM reference_examples WHERE order_no LIKE $1', [`${prefix}%`]);
+    assert.equal(stored.rows.length, 0);
+  } finally {
+    await pool.end();
+  }
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAnalysis, localAnalysis, findMergeTarget, computeConfidence, shouldRetire } from '../lib/learning.js';
+
+const LYRICS = `[Verse 1]
+Mansi teri hansi se roshan jahaan
+tere saath har pal lagta hai aasmaan
+mehendi ki khushboo mein doobi ye raat
+yaad hai mujhe woh pehli mulaqaat
+
+[Chorus]
+tu hi meri dhadkan, tu hi meri jaan
+tujhse hi roshan hai mera armaan`;
+
+test('the local analyzer finds structure, rhyme and cultural patterns', () => {
+  const { patterns, failures } = localAnalysis(LYRICS, 'approved', 'Lovely');
+  assert.deepEqual(patterns.map(p => p.type), ['structure', 'rhyme', 'cultural']);
+  assert.match(patterns[0].description, /Verse → Chorus/);
+  assert.match(patterns[2].description, /mehendi/);
+  assert.deepEqual(failures, []);
+});
+
+test('the local analyzer maps reviewer notes to failure themes', () => {
+  const { failures } = localAnalysis(LYRICS, 'needs_work', 'Gender agreement is off and the name is missing in the chorus');
+  assert.deepEqual(failures, ['Hindi gender agreement or grammar errors', "Recipient's name missing or used awkwardly"]);
+  assert.deepEqual(localAnalysis(LYRICS, 'needs_work', 'Make it sadder').failures, ['Make it sadder']);
+});
+
+test('parseAnalysis keeps valid patterns and failures from a model answer', () => {
+  const analysis = parseAnalysis(`Here you go:
+{"patterns": [
+  {"type": "rhyme", "description": " Couplets end on -aan ", "example": "jahaan / aasmaan"},
+  {"type": "vibe", "description": "Nice"},
+  {"type": "emotion", "description": ""}
+], "failures": ["Filler rhyme in verse 2", 3]}`);
+  assert.deepEqual(analysis, {
+    patterns: [{ type: 'rhyme', description: 'Couplets end on -aan', example: 'jahaan / aasmaan' }],
+    failures: ['Filler rhyme in verse 2']
+  });
+  assert.throws(() => parseAnalysis('No idea'), /no JSON/);
+});
+
+test('findMergeTarget merges near-identical descriptions of the same type only', () => {
+  const existing = [
+    { id: 1, pattern_type: 'rhyme', pattern_description: 'Consecutive lines rhyme in couplets (AABB)' },
+    { id: 2, pattern_type: 'structure', pattern_description: 'Consecutive lines rhyme in couplets (AABB)' }
+  ];
+  assert.equal(findMergeTarget(existing, 'rhyme', 'Consecutive lines rhyme in couplets AABB')?.id, 1);
+  assert.equal(findMergeTarget(existing, 'cultural', 'Consecutive lines rhyme in couplets (AABB)'), null);
+  assert.equal(findMergeTarget(existing, 'rhyme', 'Uses the recipient name in the hook'), null);
+});
+
+test('confidence grows with evidence and retirement follows it', () => {
+  assert.equal(computeConfidence({ pattern_type: 'rhyme', success_count: 1 }), 0.13);
+  assert.equal(computeConfidence({ pattern_type: 'rhyme', success_count: 9, failure_count: 1 }), 0.83);
+  assert.equal(computeConfidence({ pattern_type: 'failure', failure_count: 2 }), 0.4);
+
+  const now = new Date('2026-06-01');
+  assert.equal(shouldRetire({ pattern_type: 'rhyme', last_seen_at: '2026-05-20', success_count: 1, failure_count: 5, confidence_score: 0.25 }, now), true);
+  assert.equal(shouldRetire({ pattern_type: 'rhyme', last_seen_at: '2026-05-20', success_count: 5, failure_count: 0, confidence_score: 0.86 }, now), false);
+  assert.equal(shouldRetire({ pattern_type: 'failure', last_seen_at: '2026-03-01', failure_count: 9 }, now), true);
+});
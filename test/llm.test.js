@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getProvider, validateGenerationSettings, estimateTokens } from '../lib/llm.js';
+
+const request = (content) => ({
+  purpose: 'lyrics',
+  system: 'You write Hindi song lyrics.',
+  messages: [{ role: 'user', content }],
+  model: 'stub',
+  temperature: 0.7,
+  maxTokens: 2000
+});
+const ORDER = '# CUSTOMER REQUEST\nRecipient: Mansi\nNicknames: Mishti, Mansu\nOccasion: Anniversary';
+
+test('the stub drafts the same lyrics for the same request and temperature', async () => {
+  const stub = getProvider('stub');
+  const first = await stub.complete(request(ORDER));
+  const again = await stub.complete(request(ORDER));
+  assert.equal(first.text, again.text);
+  assert.equal(first.model, 'stub');
+  assert.match(first.text, /^\[Verse 1\]\nMansi /);
+  assert.match(first.text, /Mishti, tu hai khushiyon ka sawera/);
+  assert.match(first.text, /anniversary ka ye din/);
+  assert.ok(first.inputTokens > 0 && first.outputTokens > 0);
+});
+
+test('the stub streams its text and stops when aborted', async () => {
+  const stub = getProvider('stub');
+  const chunks = [];
+  const { text } = await stub.complete({ ...request(ORDER), onText: chunk => chunks.push(chunk) });
+  assert.equal(chunks.join(''), text);
+
+  const controller = new AbortController();
+  await assert.rejects(
+    stub.complete({ ...request(ORDER), signal: controller.signal, onText: () => controller.abort() }),
+    /aborted/
+  );
+});
+
+test('the stub passes every rubric item and returns rewrite targets unchanged', async () => {
+  const stub = getProvider('stub');
+  const rubric = await stub.complete({ ...request('Grade these lyrics'), purpose: 'rubric', system: '1. Uses the name\n2. Rhymes' });
+  assert.deepEqual(JSON.parse(rubric.text).results.map(r => [r.id, r.pass]), [[1, true], [2, true]]);
+
+  const rewrite = await stub.complete({ ...request('Rewrite:\n>>>\nline one\nline two\n<<<'), purpose: 'rewrite' });
+  assert.equal(rewrite.text, 'line one\nline two');
+});
+
+test('getProvider rejects unknown providers', () => {
+  assert.throws(() => getProvider('openai'), error => error.status === 500);
+});
+
+test('validateGenerationSettings keeps only valid fields that were given', () => {
+  assert.deepEqual(validateGenerationSettings({ provider: 'stub', temperature: '0.4', maxTokens: 1500, model: '' }), {
+    settings: { provider: 'stub', temperature: 0.4, maxTokens: 1500 },
+    errors: {}
+  });
+  const { errors } = validateGenerationSettings({ provider: 'openai', temperature: 2, maxTokens: 50.5 });
+  assert.deepEqual(Object.keys(errors).sort(), ['maxTokens', 'provider', 'temperature']);
+});
+
+test('estimateTokens counts Devanagari as more tokens than Latin text', () => {
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.ok(estimateTokens('तेरी हँसी') > estimateTokens('teri hansi'));
+});
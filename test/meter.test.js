@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeLyrics, rhymeKey, buildRepairMessage } from '../lib/meter.js';
+import { countWordSyllables, countSyllables, countMatras, isSectionHeader, sectionName } from '../lib/syllables.js';
+
+const AABB = `[Verse 1]
+तेरी हँसी से रोशन है मेरा जहान
+तेरे साथ हर पल लगता है आसमान
+मेहंदी की खुशबू में डूबी ये रात
+याद है मुझे वो पहली मुलाकात`;
+
+const ABAB = `[Chorus]
+tu hi meri dhadkan, tu hi meri jaan
+har pal tera saath, mera har sapna
+tujhse hi roshan hai mera armaan
+tere bina adhoora hai har apna`;
+
+// Line, syllables, matras, rhyme letter and issue rules of each line
+const summary = (analysis) => analysis.lines.map(l => [l.line, l.syllables, l.matras, l.rhymeLetter, l.issues.map(i => i.rule)]);
+
+test('syllables drop the final inherent vowel and count vowel groups', () => {
+  assert.deepEqual(['दिल', 'मोहब्बत', 'आसमान', 'hamesha', 'pyaar', 'dy'].map(countWordSyllables), [1, 3, 3, 3, 1, 1]);
+  assert.equal(countSyllables('तेरी हँसी से रोशन है मेरा जहान'), 12);
+  assert.equal(countSyllables('tu hi meri dhadkan, tu hi meri jaan'), 11);
+});
+
+test('matras weigh long vowels, nasals and syllables before a conjunct as two', () => {
+  assert.deepEqual(['dil', 'jaan', 'mohabbat', 'hain'].map(countMatras), [2, 3, 6, 2]);
+  assert.deepEqual(['दिल', 'मोहब्बत', 'जान'].map(countMatras), [2, 6, 3]);
+});
+
+test('rhyme keys match words that rhyme in either script', () => {
+  assert.equal(rhymeKey('जान'), rhymeKey('आसमान'));
+  assert.equal(rhymeKey('तेरा'), rhymeKey('मेरा'));
+  assert.equal(rhymeKey('मन'), rhymeKey('बदन'));
+  assert.equal(rhymeKey('jaan'), rhymeKey('armaan'));
+  assert.equal(rhymeKey('sapna'), rhymeKey('apna'));
+  assert.notEqual(rhymeKey('jaan'), rhymeKey('sapna'));
+});
+
+test('an AABB stanza is read as AABB and passes', () => {
+  const analysis = analyzeLyrics(AABB, { rhymeScheme: 'AABB' });
+  assert.deepEqual(analysis.sections, [
+    { name: 'Verse', startLine: 1, lineCount: 4, scheme: 'AABB', medianMatras: 23, matchesRequested: true }
+  ]);
+  assert.deepEqual(summary(analysis), [[2, 12, 23, 'A', []], [3, 12, 23, 'A', []], [4, 12, 23, 'B', []], [5, 11, 20, 'B', []]]);
+  assert.deepEqual(analysis.checks, { syllables: true, meter: true, rhyme: true });
+  assert.equal(analysis.needsRepair, false);
+});
+
+test('an ABAB stanza passes ABAB and breaks a requested AABB', () => {
+  const abab = analyzeLyrics(ABAB, { rhymeScheme: 'ABAB' });
+  assert.equal(abab.sections[0].scheme, 'ABAB');
+  assert.equal(abab.sections[0].matchesRequested, true);
+  assert.equal(abab.needsRepair, false);
+
+  const aabb = analyzeLyrics(ABAB, { rhymeScheme: 'AABB' });
+  assert.equal(aabb.sections[0].matchesRequested, false);
+  assert.ok(aabb.lines.every(l => l.issues.some(i => i.message === 'Breaks the requested AABB rhyme scheme')));
+  assert.equal(aabb.checks.rhyme, false);
+  assert.equal(aabb.needsRepair, true);
+
+  // Without a requested scheme the rhyme is only described
+  const free = analyzeLyrics(ABAB);
+  assert.equal(free.rhymeScheme, null);
+  assert.equal(free.sections[0].matchesRequested, null);
+  assert.equal(free.needsRepair, false);
+});
+
+test('lines outside the syllable range and off the meter are flagged', () => {
+  const analysis = analyzeLyrics(`tu
+mere dil ki har dhadkan mein sirf tu hi tu rehta hai sada ke liye yaar
+pyaar ki raahon mein hum saath chale
+yaadon ki baarish mein hum bheeg gaye`);
+  assert.deepEqual(summary(analysis).slice(0, 2), [
+    [1, 1, 2, 'A', ['syllables', 'meter']],
+    [2, 21, 41, 'B', ['syllables', 'meter']]
+  ]);
+  assert.equal(analysis.lines[0].issues[0].message, '1 syllables (target 8-14)');
+  assert.match(analysis.lines[1].issues[1].message, /^41 matras, section runs at about \d+$/);
+  assert.deepEqual(analysis.checks, { syllables: false, meter: false, rhyme: true });
+  assert.equal(analysis.needsRepair, true);
+});
+
+test('rhyming a word with itself or only on a filler is flagged', () => {
+  const repeated = analyzeLyrics(`tujhse hi roshni hai mere sanam
+tujhse hi zindagi hai mere sanam`);
+  assert.deepEqual(repeated.lines.map(l => l.issues.map(i => i.message)), [
+    ['Rhymes "sanam" with itself'], ['Rhymes "sanam" with itself']
+  ]);
+
+  const filler = analyzeLyrics(`meri har saans mein bas tu hai
+mera ye dil bas tera hi hai`);
+  assert.deepEqual(filler.lines.map(l => [l.rhymeWord, l.filler, l.issues.map(i => i.message)]), [
+    ['tu', 'hai', ['Rhymes only on the filler "hai"']],
+    ['hi', 'hai', ['Rhymes only on the filler "hai"']]
+  ]);
+  assert.equal(filler.checks.rhyme, false);
+
+  // A repeated refrain line is not a self-rhyme
+  assert.deepEqual(analyzeLyrics('tu hi meri jaan\ntu hi meri jaan').lines.flatMap(l => l.issues.map(i => i.rule)), ['syllables', 'syllables']);
+});
+
+test('sections follow headers, blank lines inside a section are skipped', () => {
+  const analysis = analyzeLyrics(`${AABB}\n\n**Chorus:**\n\n${ABAB.split('\n').slice(1).join('\n')}`);
+  assert.deepEqual(analysis.sections.map(s => [s.name, s.startLine, s.lineCount, s.scheme]), [
+    ['Verse', 1, 4, 'AABB'],
+    ['Chorus', 7, 4, 'ABAB']
+  ]);
+  assert.ok(isSectionHeader('## Verse 2'));
+  assert.ok(isSectionHeader('(Pre-Chorus)'));
+  assert.equal(isSectionHeader('Verse ki tarah tu'), false);
+  assert.equal(sectionName('[ANTARA 2]'), 'Antara');
+});
+
+test('the repair message lists only the lines to fix', () => {
+  const analysis = analyzeLyrics(ABAB, { rhymeScheme: 'AABB' });
+  const message = buildRepairMessage(ABAB, analysis);
+  assert.match(message, /Every section must follow the AABB rhyme scheme/);
+  assert.match(message, /- Line 2 "tu hi meri dhadkan, tu hi meri jaan": Breaks the requested AABB rhyme scheme/);
+  assert.match(message, /Every line should be 8-14 syllables/);
+  assert.ok(message.endsWith('Return the complete corrected lyrics only.'));
+});
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, parseDateRange } from '../lib/metrics.js';
+
+const COLUMNS = { order_number: 'Order', revisions: 'Revisions', note: 'Note' };
+
+test('toCsv quotes cells with commas, quotes and line breaks', () => {
+  const csv = toCsv([{ order_number: 'A-1', revisions: 2, note: 'Said "wow",\nthen cried' }], COLUMNS);
+  assert.equal(csv, 'Order,Revisions,Note\r\nA-1,2,"Said ""wow"",\nthen cried"\r\n');
+  assert.equal(toCsv([{ order_number: null, revisions: 0, note: new Date('2026-01-02T03:04:05Z') }], COLUMNS).split('\r\n')[1], ',0,2026-01-02T03:04:05.000Z');
+});
+
+test('toCsv keeps spreadsheet formulas from customer fields as text', () => {
+  const rows = [
+    { order_number: '=HYPERLINK("http://evil.example","Open")', revisions: 1, note: '+1 555 0100' },
+    { order_number: '@SUM(A1:A9)', revisions: -3, note: '-0.5' },
+    { order_number: '-cmd', revisions: 1, note: '\tTab' }
+  ];
+  assert.deepEqual(toCsv(rows, COLUMNS).split('\r\n').slice(1, 4), [
+    `"'=HYPERLINK(""http://evil.example"",""Open"")",1,'+1 555 0100`,
+    "'@SUM(A1:A9),-3,-0.5",
+    "'-cmd,1,'\tTab"
+  ]);
+});
+
+test('parseDateRange defaults to the last 30 days and checks the dates', () => {
+  assert.deepEqual(parseDateRange({}, new Date('2026-03-31T12:00:00Z')), { range: { from: '2026-03-02', to: '2026-03-31' }, errors: {} });
+  assert.deepEqual(Object.keys(parseDateRange({ from: '2026-02-30', to: '2026-03-01' }).errors), ['from']);
+  assert.deepEqual(Object.keys(parseDateRange({ from: '2026-03-02', to: '2026-03-01' }).errors), ['to']);
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { createPool } from '../lib/db.js';
+import {
+  parseMigration, loadMigrations, migrationStatus, migrateUp, migrateDown, assertSchemaCurrent, newMigrationFile
+} from '../lib/migrations.js';
+import { seedDatabase } from '../lib/seed.js';
+import { needsDatabase } from './support/server.js';
+
+const silent = { log: () => {} };
+
+test('parseMigration splits the up and down parts', () => {
+  const migration = parseMigration('0007_add_things.sql', '-- Things\n\n-- migrate:up\nCREATE TABLE t ();\n\n-- migrate:down\nDROP TABLE t;\n');
+  assert.equal(migration.version, 7);
+  assert.equal(migration.name, 'add_things');
+  assert.equal(migration.up, 'CREATE TABLE t ();');
+  assert.equal(migration.down, 'DROP TABLE t;');
+  assert.match(migration.checksum, /^[0-9a-f]{64}$/);
+});
+
+test('parseMigration rejects bad names and missing or misplaced markers', () => {
+  assert.throws(() => parseMigration('7_things.sql', '-- migrate:up\nSELECT 1;'), /named like/);
+  assert.throws(() => parseMigration('0007_things.sql', 'SELECT 1;'), /no "-- migrate:up" line/);
+  assert.throws(() => parseMigration('0007_things.sql', '-- migrate:down\nSELECT 2;\n-- migrate:up\nSELECT 1;'), /must come after/);
+});
+
+test('the repo migrations are numbered in order and can all be reverted', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  migrations.forEach((migration, i) => {
+    assert.equal(migration.version, i + 1, migration.filename);
+    assert.ok(migration.down, `${migration.filename} has no down part`);
+  });
+});
+
+test('newMigrationFile numbers after the latest migration', () => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'raaag-migrations-'));
+  try {
+    fs.writeFileSync(join(dir, '0001_first.sql'), '-- migrate:up\nSELECT 1;\n');
+    const file = newMigrationFile('Add Share Links!', dir);
+    assert.equal(file.path, join(dir, '0002_add_share_links.sql'));
+    assert.match(file.content, /-- migrate:up[\s\S]*-- migrate:down/);
+    assert.throws(() => newMigrationFile('  ', dir), /needs a name/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('migrations go up, all the way down and up again, and the seed runs twice', { skip: needsDatabase }, async () => {
+  // In a database of its own, so the other tests keep their schema
+  const admin = createPool({ DATABASE_URL: process.env.TEST_DATABASE_URL });
+  const name = `raaag_migrations_${process.pid}`;
+  await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+  await admin.query(`CREATE DATABASE ${name}`);
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  const pool = createPool({ DATABASE_URL: url.toString() });
+  try {
+    const migrations = loadMigrations();
+    await assert.rejects(assertSchemaCurrent(pool), error => error.status === 503);
+
+    assert.equal((await migrateUp(pool, { log: silent })).length, migrations.length);
+    assert.equal((await migrateUp(pool, { log: silent })).length, 0);
+    assert.equal((await assertSchemaCurrent(pool)).current, migrations.length);
+
+    assert.equal((await migrateDown(pool, { to: 0, log: silent })).length, migrations.length);
+    const tables = await pool.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`);
+    assert.deepEqual(tables.rows, []);
+    assert.equal((await migrationStatus(pool)).pending.length, migrations.length);
+
+    await migrateUp(pool, { log: silent });
+    assert.equal((await seedDatabase(pool)).length, 2);
+    assert.deepEqual(await seedDatabase(pool), []);
+  } finally {
+    await pool.end();
+    await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+    await admin.end();
+  }
+});
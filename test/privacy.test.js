@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  personalTerms, createPseudonymizer, pseudonymizeExample, maskBody, describeError, retentionSettings
+} from '../lib/privacy.js';
+
+// A Hinglish story and lyrics as customers and writers send them
+const STORY = `My jaan meri duniya hai, tu hi meri khushi. Bhai tera saath hamesha yaad rahega.
+Baby girl Riya is our daughter, papa ki pari. My wife Mansi and I met in Pune in 2015.
+Maa Tujhe Salaam - we called her Gudiya since childhood. Hum dono ki love story college se shuru hui.`;
+const LYRICS = `[Verse 1]
+Mansi teri hansi se roshan jahaan
+Pune ki galiyon mein mili thi meri jaan
+Baby girl Riya, tu hi meri duniya
+Bhai tera saath, tera pyaar hi sab kuch`;
+
+test('Hinglish words after relation words and endearments are not taken for names', () => {
+  const terms = personalTerms([STORY, LYRICS]);
+  assert.deepEqual(Object.fromEntries(terms), { riya: 'female', mansi: 'female', gudiya: 'female', pune: 'place' });
+});
+
+test('a pseudonymized Hinglish story keeps every word but the names and places', () => {
+  const pseudonymize = createPseudonymizer([STORY]);
+  const story = pseudonymize(STORY);
+  for (const real of ['Riya', 'Mansi', 'Gudiya', 'Pune']) assert.doesNotMatch(story, new RegExp(real));
+  for (const kept of ['My jaan meri duniya hai, tu hi meri khushi', 'Bhai tera saath hamesha', 'papa ki pari', 'Maa Tujhe Salaam', 'love story']) {
+    assert.ok(story.includes(kept), `"${kept}" was rewritten: ${story}`);
+  }
+  assert.equal(story.split(/\s+/).length, STORY.split(/\s+/).length);
+});
+
+test('names only count after a cue when capitalized', () => {
+  assert.deepEqual([...personalTerms(['my brother rohan said bhai mera yaar']).keys()], []);
+  assert.deepEqual(Object.fromEntries(personalTerms(['My brother Rohan, named Kabir by nani'])), { rohan: 'male', kabir: 'person' });
+  assert.deepEqual([...personalTerms(['Didi Tera Pyaar, Papa Ki Pari, my sister Confusion']).keys()], []);
+});
+
+test('known names are pseudonymized even when they are also words', () => {
+  const pseudonymize = createPseudonymizer(['Khushi ki khushi'], { names: ['Khushi Sharma'], relationship: 'Daughter' });
+  const text = pseudonymize('Khushi Sharma, meri khushi');
+  assert.doesNotMatch(text, /khushi|sharma/i);
+  assert.match(text, /^(Anaya|Meera|Diya|Isha|Tara|Naina|Kavya|Pari|Riya|Sanya) \w+, meri \w+$/);
+});
+
+test('pseudonyms are stable, keep case and gender and follow Devanagari spellings', () => {
+  const options = { names: ['Mansi'], relationship: 'Wife' };
+  const pseudonymize = createPseudonymizer(['My wife Mansi'], options);
+  const first = pseudonymize('Mansi, MANSI, mansi, मानसी');
+  assert.equal(first, createPseudonymizer(['My wife Mansi'], options)('Mansi, MANSI, mansi, मानसी'));
+  const [name, upper, lower, devanagari] = first.split(', ');
+  assert.ok(['Anaya', 'Meera', 'Diya', 'Isha', 'Tara', 'Naina', 'Kavya', 'Pari', 'Riya', 'Sanya'].includes(name));
+  assert.equal(upper, name.toUpperCase());
+  assert.equal(lower, name.toLowerCase());
+  assert.doesNotMatch(devanagari, /मानसी/);
+});
+
+test('pseudonymizeExample avoids the current order names and drops the joined order fields', () => {
+  const example = pseudonymizeExample({
+    id: 3,
+    title: 'Anniversary song for Mansi',
+    client_story: 'My wife Mansi loves Pune rains',
+    generated_lyrics: 'Mansi teri hansi, bhai tera saath',
+    learning_notes: null,
+    recipient_name: 'Mansi',
+    nicknames: ['Mishti'],
+    relationship: 'Wife'
+  }, { avoid: ['Anaya', 'Meera', 'Diya', 'Isha', 'Tara', 'Naina', 'Kavya', 'Pari', 'Riya'] });
+  assert.equal(example.title, 'Anniversary song for Sanya');
+  assert.equal(example.generated_lyrics, 'Sanya teri hansi, bhai tera saath');
+  assert.doesNotMatch(example.client_story, /Pune/);
+  assert.equal('recipient_name' in example, false);
+});
+
+test('maskBody logs personal fields and long strings by size only', () => {
+  assert.deepEqual(
+    maskBody({ order_no: 'A-1', story: 'We met in Pune', nicknames: ['Mishti'], nested: { message: 'hi' }, mood: 'Happy', note: 'x'.repeat(100) }),
+    { order_no: 'A-1', story: '[14 chars]', nicknames: '[1 items]', nested: { message: '[2 chars]' }, mood: 'Happy', note: '[100 chars]' }
+  );
+});
+
+test('describeError leaves out the row values Postgres quotes', () => {
+  const error = Object.assign(new Error('invalid input syntax for type integer: "Mansi"'), { code: '22P02', detail: 'Failing row contains (Mansi)' });
+  assert.equal(describeError(error), 'invalid input syntax for type integer [22P02]');
+});
+
+test('retentionSettings defaults to 365 days and 0 turns it off', () => {
+  assert.deepEqual(retentionSettings({}), { days: 365 });
+  assert.deepEqual(retentionSettings({ PII_RETENTION_DAYS: '30' }), { days: 30 });
+  assert.deepEqual(retentionSettings({ PII_RETENTION_DAYS: '0' }), { days: null });
+  assert.deepEqual(retentionSettings({ PII_RETENTION_DAYS: 'soon' }), { days: 365 });
+});
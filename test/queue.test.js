@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPool } from '../lib/db.js';
+import { migrateUp } from '../lib/migrations.js';
+import {
+  retryDelay, isTransientError, parseBatch, createJobQueue, queueSettings, MAX_BATCH_SIZE
+} from '../lib/queue.js';
+import { needsDatabase } from './support/server.js';
+
+const silent = { log: () => {}, error: () => {} };
+
+// Errors as the Anthropic SDK throws them
+class APIError extends Error {
+  constructor(status, name, headers = {}) {
+    super(`${status} ${name}`);
+    this.name = name;
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+test('retryDelay doubles from the base up to the cap with +-20% jitter', (t) => {
+  const settings = { retryBaseMs: 1000, retryMaxMs: 10000 };
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepEqual([1, 2, 3, 4, 5, 10].map(attempt => retryDelay(attempt, settings)), [800, 1600, 3200, 6400, 8000, 8000]);
+  t.mock.method(Math, 'random', () => 0.9999);
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => retryDelay(attempt, settings)), [1200, 2400, 4800, 9600, 10000]);
+
+  t.mock.restoreAll();
+  for (let i = 0; i < 100; i++) {
+    const delay = retryDelay(3, settings);
+    assert.ok(delay >= 3200 && delay <= 4800, String(delay));
+  }
+});
+
+test('retryDelay honours a longer Retry-After, up to the cap', (t) => {
+  t.mock.method(Math, 'random', () => 0.5);
+  const settings = { retryBaseMs: 1000, retryMaxMs: 60000 };
+  assert.equal(retryDelay(1, settings, new APIError(429, 'RateLimitError', { 'retry-after': '30' })), 30000);
+  assert.equal(retryDelay(1, settings, new APIError(429, 'RateLimitError', new Headers({ 'retry-after': '45' }))), 45000);
+  assert.equal(retryDelay(3, settings, new APIError(429, 'RateLimitError', { 'retry-after': '1' })), 4000);
+  assert.equal(retryDelay(1, settings, new APIError(429, 'RateLimitError', { 'retry-after': '3600' })), 60000);
+  assert.equal(retryDelay(1, settings, new APIError(429, 'RateLimitError', { 'retry-after': 'soon' })), 1000);
+});
+
+test('upstream 5xx, rate limits and dropped connections are transient', () => {
+  for (const error of [
+    new APIError(500, 'InternalServerError'),
+    new APIError(529, 'OverloadedError'),
+    new APIError(429, 'RateLimitError'),
+    Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }),
+    Object.assign(new Error('fetch failed'), { cause: { code: 'ETIMEDOUT' } }),
+    Object.assign(new Error('Connection error.'), { name: 'APIConnectionError' }),
+    // A job whose lyrics could not be saved is retried on purpose
+    Object.assign(new Error('Lyrics were written but not saved'), { status: 503 })
+  ]) {
+    assert.equal(isTransientError(error), true, error.message);
+  }
+});
+
+test('our own errors with a status are not transient', () => {
+  for (const error of [
+    Object.assign(new Error('Order A-1 not found'), { status: 404 }),
+    Object.assign(new Error('Invalid generation settings'), { status: 400 }),
+    Object.assign(new Error('Prompt could not be built'), { status: 500 }),
+    new APIError(401, 'AuthenticationError'),
+    new Error('The model returned no lyrics'),
+    null
+  ]) {
+    assert.equal(isTransientError(error), false, error?.message);
+  }
+});
+
+test('parseBatch reads JSON lists, { orders } objects and bare order numbers', () => {
+  assert.deepEqual(parseBatch({ orders: ['A-1', { order_no: 'A-2', story: 'We met in Pune' }, null] }), [
+    { order_no: 'A-1' }, { order_no: 'A-2', story: 'We met in Pune' }, {}
+  ]);
+  assert.deepEqual(parseBatch({ content: '﻿  {"orders": ["A-1"]}' }), [{ order_no: 'A-1' }]);
+  assert.deepEqual(parseBatch({ content: '[{"order_no": "A-1"}]', format: 'json' }), [{ order_no: 'A-1' }]);
+});
+
+test('parseBatch reads CSV with a header row of order fields', () => {
+  const csv = 'Order No,Recipient Name,story\r\nA-1, Mansi ,"We met in Pune, in the rain"\r\nA-2,,\r\n';
+  assert.deepEqual(parseBatch({ content: csv }), [
+    { order_no: 'A-1', recipient_name: 'Mansi', story: 'We met in Pune, in the rain' },
+    { order_no: 'A-2', recipient_name: '', story: '' }
+  ]);
+});
+
+test('parseBatch rejects empty, unreadable and oversized batches with status 400', () => {
+  const rejects = (input, message) => assert.throws(() => parseBatch(input), error => error.status === 400 && message.test(error.message));
+  rejects({ content: '  ' }, /required/);
+  rejects({ content: '[{"order_no": ' }, /Not valid JSON/);
+  rejects({ content: 'order_no\nA-1', format: 'xlsx' }, /Format must be one of/);
+  rejects({ content: '{"orders": {}}' }, /non-empty list/);
+  rejects({ orders: [] }, /non-empty list/);
+
+  const numbers = Array.from({ length: MAX_BATCH_SIZE + 1 }, (_, i) => `A-${i}`);
+  assert.equal(parseBatch({ orders: numbers.slice(0, MAX_BATCH_SIZE) }).length, MAX_BATCH_SIZE);
+  rejects({ orders: numbers }, /at most 500/);
+  rejects({ content: `order_no\n${numbers.join('\n')}` }, /at most 500/);
+});
+
+test('the queue retries transient failures and fails the rest', { skip: needsDatabase }, async () => {
+  // In a database of its own, so the API server's queue leaves these jobs alone
+  const admin = createPool({ DATABASE_URL: process.env.TEST_DATABASE_URL });
+  const name = `raaag_queue_${process.pid}`;
+  await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+  await admin.query(`CREATE DATABASE ${name}`);
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  const pool = createPool({ DATABASE_URL: url.toString() });
+  const queue = createJobQueue({
+    pool,
+    settings: { ...queueSettings({}), concurrency: 1, maxAttempts: 3, retryBaseMs: 0, pollMs: 20 },
+    log: silent,
+    run: async (job, { progress }) => {
+      await progress(50, 'writing');
+      if (job.order_number === 'FLAKY' && job.attempts < 2) throw new APIError(529, 'OverloadedError');
+      if (job.order_number === 'BROKEN') throw Object.assign(new Error('Order BROKEN not found'), { status: 404 });
+      if (job.order_number === 'DOWN') throw new APIError(503, 'InternalServerError');
+      return null;
+    }
+  });
+  try {
+    await migrateUp(pool, { log: silent });
+    await pool.query(`INSERT INTO generation_jobs (order_number, max_attempts) VALUES ('FLAKY', 3), ('BROKEN', 3), ('DOWN', 3)`);
+
+    queue.start();
+    const jobs = async () => (await pool.query('SELECT order_number, status, attempts, progress, last_error FROM generation_jobs ORDER BY id')).rows;
+    for (let i = 0; i < 200 && (await jobs()).some(job => ['queued', 'running'].includes(job.status)); i++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    assert.deepEqual((await jobs()).map(({ order_number, status, attempts, progress }) => [order_number, status, attempts, progress]), [
+      ['FLAKY', 'succeeded', 2, 100],
+      ['BROKEN', 'failed', 1, 50],
+      ['DOWN', 'failed', 3, 50]
+    ]);
+    assert.equal((await jobs())[0].last_error, null);
+  } finally {
+    queue.stop();
+    await pool.end();
+    await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+    await admin.end();
+  }
+});
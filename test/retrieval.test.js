@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rankExamples, textSimilarity, RETRIEVAL_WEIGHTS } from '../lib/retrieval.js';
+
+const ORDER = {
+  occasion: 'Anniversary',
+  mood: 'Romantic',
+  language: 'Hindi',
+  artist: 'Female',
+  story: 'We met at a friend\'s mehendi in Pune and danced in the monsoon rain.'
+};
+
+let nextId = 1;
+const example = (fields) => ({
+  id: nextId++,
+  occasion: 'Anniversary',
+  mood: 'Romantic',
+  language: 'Hindi',
+  artist: 'Female',
+  client_story: 'Ten years of chai on the balcony every Sunday morning.',
+  generated_lyrics: 'tu hi meri jaan\ntujhse hi armaan',
+  approved: true,
+  ...fields
+});
+
+// Candidates arrive newest first, as findSimilarExamples queries them
+const ids = (picks) => picks.map(p => p.example.id);
+
+test('the weights add up to 1', () => {
+  assert.equal(Math.round(Object.values(RETRIEVAL_WEIGHTS).reduce((sum, w) => sum + w, 0) * 1000), 1000);
+});
+
+test('each field scores its weight on an exact match and half on a partial one', () => {
+  const [pick] = rankExamples(ORDER, [example({ language: 'Hindi-English', artist: 'Male', client_story: '' })]);
+  assert.deepEqual(pick.scores, {
+    occasion: 1, mood: 1, language: 0.5, artist: 0, story: 0, approved: 1,
+    relevance: 0.575, redundancy: 0, final: 0.403
+  });
+
+  const [blank] = rankExamples({}, [example({ approved: false })]);
+  assert.equal(blank.scores.relevance, 0);
+});
+
+test('exact occasion and mood matches outrank newer loose matches', () => {
+  const looseOccasion = example({ occasion: 'Birthday' });
+  const looseMood = example({ mood: 'Romantic-Playful' });
+  const exact = example({});
+  const picks = rankExamples(ORDER, [looseOccasion, looseMood, exact], { limit: 3 });
+  assert.deepEqual(ids(picks), [exact.id, looseMood.id, looseOccasion.id]);
+  assert.ok(picks[0].scores.relevance > picks[1].scores.relevance);
+});
+
+test('approved examples come first when everything else is equal', () => {
+  const newer = example({ approved: false });
+  const older = example({ approved: true });
+  const picks = rankExamples(ORDER, [newer, older], { limit: 2 });
+  assert.deepEqual(ids(picks), [older.id, newer.id]);
+  assert.deepEqual(picks.map(p => p.scores.approved), [1, 0]);
+
+  // A closer story still beats approval alone
+  const onStory = example({ approved: false, client_story: 'We met at a mehendi in Pune and danced in the monsoon rain.' });
+  assert.equal(rankExamples(ORDER, [older, onStory], { limit: 1 })[0].example.id, onStory.id);
+});
+
+test('near-duplicate stories are not all returned', () => {
+  const story = 'We met at a friend\'s mehendi in Pune and danced in the monsoon rain.';
+  const lyrics = 'baarish mein bheege hum, mehendi ki raat\nPune ki galiyon mein pehli mulaqaat';
+  const duplicates = [0, 1, 2].map(i => example({ client_story: `${story}${' Again.'.repeat(i)}`, generated_lyrics: lyrics }));
+  const different = example({
+    client_story: 'Our first trip together was to the hills of Shimla in winter.',
+    generated_lyrics: 'pahadon mein barf giri, haath mein tera haath'
+  });
+
+  const picks = rankExamples(ORDER, [...duplicates, different], { limit: 2 });
+  assert.equal(picks[0].example.id, duplicates[0].id);
+  assert.equal(picks[1].example.id, different.id);
+  assert.equal(picks[0].scores.redundancy, 0);
+  assert.ok(picks[1].scores.relevance < rankExamples(ORDER, duplicates, { limit: 3 })[1].scores.relevance);
+
+  // With room for everything, all are returned, duplicates after the different one
+  assert.deepEqual(ids(rankExamples(ORDER, [...duplicates, different], { limit: 10 })).slice(0, 2), [duplicates[0].id, different.id]);
+  assert.deepEqual(rankExamples(ORDER, []), []);
+});
+
+test('textSimilarity overlaps spelling variants in either script', () => {
+  assert.equal(Math.round(textSimilarity('zindagi', 'zindagi') * 1000), 1000);
+  assert.ok(textSimilarity('zindagi', 'zindgi') > 0.4);
+  assert.ok(textSimilarity('ज़िंदगी', 'जिंदगी') > 0.4);
+  assert.equal(textSimilarity('zindagi', 'मोहब्बत'), 0);
+  assert.equal(textSimilarity('', 'zindagi'), 0);
+});
@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseChecklist, parseBannedPhrases, findBannedPhrases, containsName, runDeterministicChecks, parseRubric, buildReport,
+  DEFAULT_BANNED_PHRASES
+} from '../lib/scoring.js';
+
+const STANZA = `Mansi teri hansi se roshan jahaan
+tere saath har pal lagta hai aasmaan
+mehendi ki khushboo mein doobi ye raat
+yaad hai mujhe woh pehli mulaqaat`;
+const LYRICS = `[Verse 1]\n${STANZA}\n\n[Chorus]\n${STANZA}\n\n[Verse 2]\n${STANZA}\n\n[Chorus]\n${STANZA}`;
+const ORDER = { recipient_name: 'Mansi', nicknames: ['Mishti'] };
+
+const CHECKLIST = `# Quality checklist
+□ 1. Recipient's name included
+□ 2. Story details woven in
+[ ] 15. No banned clichés
+- 21. Clear song structure
+22. Total length 16-24 lines
+Not an item: 5 lines`;
+
+test('parseChecklist reads the numbered items whatever their bullet', () => {
+  assert.deepEqual(parseChecklist(CHECKLIST), [
+    { id: 1, text: "Recipient's name included" },
+    { id: 2, text: 'Story details woven in' },
+    { id: 15, text: 'No banned clichés' },
+    { id: 21, text: 'Clear song structure' },
+    { id: 22, text: 'Total length 16-24 lines' }
+  ]);
+  assert.deepEqual(parseChecklist(null), []);
+});
+
+test('parseBannedPhrases reads quoted phrases under a banned heading', () => {
+  const guide = `## Tone
+- "warm" and "personal"
+## Banned phrases
+- "dil ki baat" / "दिल की बात"
+- Generic "you are special" statements
+- "tum ho toh"
+## Rhyme
+- "jaan"`;
+  assert.deepEqual(parseBannedPhrases(guide), ['dil ki baat', 'दिल की बात', 'tum ho toh']);
+  assert.deepEqual(parseBannedPhrases('## Tone\n- "warm"'), DEFAULT_BANNED_PHRASES);
+});
+
+test('banned phrases match across nukta, doubled vowels and punctuation', () => {
+  assert.deepEqual(findBannedPhrases('Yeh hai PYAAR ki kahani!\nजिंदगी का सफर, ज़िंदगी', DEFAULT_BANNED_PHRASES), [
+    { phrase: 'pyar ki kahani', line: 1, column: 9, length: 15 },
+    { phrase: 'ज़िंदगी का सफ़र', line: 2, column: 1, length: 13 }
+  ]);
+  assert.deepEqual(findBannedPhrases('dilki baat', DEFAULT_BANNED_PHRASES), []);
+});
+
+test('containsName finds a name in Roman or Devanagari', () => {
+  assert.equal(containsName('o mansi, sun zara', 'Mansi'), true);
+  assert.equal(containsName('मानसी तेरी हँसी', 'Mansi'), true);
+  assert.equal(containsName('मान सी तेरी हँसी', 'Mansi'), true);
+  assert.equal(containsName('Romansingh', 'Mansi'), false);
+  assert.equal(containsName('anything', ' '), false);
+});
+
+test('the deterministic checks pass a complete lyric', () => {
+  const results = runDeterministicChecks(LYRICS, { order: ORDER });
+  assert.deepEqual(Object.fromEntries(Object.entries(results).map(([id, r]) => [id, r.passed])), {
+    1: true, 15: true, 21: true, 22: true, 23: true
+  });
+  assert.equal(results[1].detail, 'Found: Mansi');
+  assert.equal(results[21].detail, 'Sections: Verse, Chorus, Verse, Chorus');
+  assert.equal(results[22].detail, '16 lines (target 16-24)');
+});
+
+test('the deterministic checks report what failed', () => {
+  const lyrics = 'Teri yaad mein dil ki baat kahoon\nbas\n' + STANZA.replace('Mansi', 'Meri') +
+    '\nmere dil ki har dhadkan mein sirf tu hi tu rehta hai sada ke liye yaar';
+  const results = runDeterministicChecks(lyrics, { order: ORDER });
+  assert.deepEqual(results[1], { passed: false, detail: 'None of Mansi, Mishti appear in the lyrics' });
+  assert.deepEqual(results[15], { passed: false, detail: '"dil ki baat" on line 1' });
+  assert.deepEqual(results[21], { passed: false, detail: 'No section headers' });
+  assert.deepEqual(results[22], { passed: false, detail: '7 lines (target 16-24)' });
+  assert.deepEqual(results[23], { passed: false, detail: '2 of 7 lines out of range: line 2 (1), line 7 (21)' });
+
+  // Without a structured order the name can't be checked
+  assert.deepEqual(runDeterministicChecks(LYRICS)[1], { passed: null, detail: 'No structured order - recipient name unknown' });
+});
+
+test('parseRubric keeps answers to the asked guidelines only', () => {
+  const items = parseChecklist(CHECKLIST);
+  const text = `Sure:\n{"results": [
+    {"id": 2, "pass": true, "note": "Mehendi and the first meeting"},
+    {"id": "15", "pass": false},
+    {"id": 9, "pass": false, "note": "not asked"},
+    {"id": 21, "pass": "yes"}
+  ]}`;
+  assert.deepEqual(parseRubric(text, items), {
+    2: { passed: true, detail: 'Mehendi and the first meeting' },
+    15: { passed: false, detail: '' }
+  });
+  assert.throws(() => parseRubric('I cannot grade this', items), /no JSON/);
+});
+
+test('buildReport prefers the code checks and flags low scores and critical failures', () => {
+  const items = parseChecklist(CHECKLIST);
+  const deterministic = runDeterministicChecks(LYRICS, { order: ORDER });
+
+  const good = buildReport(items, deterministic, { 2: { passed: true, detail: 'ok' }, 15: { passed: false, detail: 'model' } });
+  assert.deepEqual(good.items.map(i => [i.id, i.method, i.passed]), [
+    [1, 'auto', true], [2, 'model', true], [15, 'auto', true], [21, 'auto', true], [22, 'auto', true]
+  ]);
+  assert.deepEqual([good.score, good.passedCount, good.gradedCount, good.flagged], [1, 5, 5, false]);
+
+  // 3 of 5 is below the 0.7 threshold
+  const low = buildReport(items, { ...deterministic, 21: { passed: false }, 22: { passed: false } }, { 2: { passed: true } });
+  assert.deepEqual([low.score, low.flagged], [0.6, true]);
+
+  const fair = buildReport(items, { ...deterministic, 22: { passed: false } }, { 2: { passed: true } });
+  assert.deepEqual([fair.score, fair.flagged], [0.8, false]);
+
+  // 4 of 5 again, but the name is critical
+  const critical = buildReport(items, { ...deterministic, 1: { passed: false, detail: 'missing' } }, { 2: { passed: true } });
+  assert.deepEqual([critical.score, critical.flagged], [0.8, true]);
+
+  const ungraded = buildReport([{ id: 2, text: 'Story details woven in' }], {}, {});
+  assert.deepEqual([ungraded.score, ungraded.flagged, ungraded.items[0].detail], [null, false, 'Not graded']);
+});
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSections, renderSections, sectionLabel, locateTarget, targetLabel, buildRewriteMessage, parseRewrite, applyRewrite,
+  replaceSection
+} from '../lib/sections.js';
+
+const LYRICS = `[Verse 1]
+Mansi teri hansi se roshan jahaan
+tere saath har pal lagta hai aasmaan
+
+[Chorus]
+tu hi meri dhadkan, tu hi meri jaan
+tujhse hi roshan hai mera armaan
+
+[Verse 2]
+mehendi ki khushboo mein doobi ye raat
+yaad hai mujhe woh pehli mulaqaat`;
+
+const STANZAS = `Mansi teri hansi se roshan jahaan
+tere saath har pal lagta hai aasmaan
+
+
+tu hi meri dhadkan, tu hi meri jaan
+tujhse hi roshan hai mera armaan`;
+
+test('parseSections splits on headers and keeps lyric line numbers', () => {
+  const sections = parseSections(LYRICS);
+  assert.deepEqual(sections.map(s => [s.index, s.name, s.header, s.lines.map(l => l.line)]), [
+    [0, 'Verse', '[Verse 1]', [2, 3]],
+    [1, 'Chorus', '[Chorus]', [6, 7]],
+    [2, 'Verse', '[Verse 2]', [10, 11]]
+  ]);
+  assert.equal(renderSections(sections), LYRICS);
+  assert.deepEqual(sections.map(sectionLabel), ['Verse 1', 'Chorus', 'Verse 2']);
+});
+
+test('without headers, blank lines separate stanzas', () => {
+  const sections = parseSections(`\n${STANZAS}\n`);
+  assert.deepEqual(sections.map(s => [s.name, s.header, s.lines.map(l => l.line)]), [
+    [null, null, [2, 3]],
+    [null, null, [6, 7]]
+  ]);
+  assert.deepEqual(sections.map(sectionLabel), ['Stanza 1', 'Stanza 2']);
+  assert.equal(renderSections(sections), STANZAS.replace('\n\n\n', '\n\n'));
+
+  // A blank line right after a header does not start a new stanza
+  assert.deepEqual(parseSections('**Chorus:**\n\ntu hi meri jaan').map(s => [s.name, s.lines.length]), [['Chorus', 1]]);
+});
+
+test('locateTarget finds a whole section or a line range inside one', () => {
+  const sections = parseSections(LYRICS);
+  assert.deepEqual(locateTarget(sections, { section: 1 }), { target: { section: 1, from: 0, to: 1 }, errors: {} });
+  assert.deepEqual(locateTarget(sections, { section: '2' }), { target: { section: 2, from: 0, to: 1 }, errors: {} });
+  assert.deepEqual(locateTarget(sections, { lines: { start: 7 } }), { target: { section: 1, from: 1, to: 1 }, errors: {} });
+  assert.deepEqual(locateTarget(sections, { lines: { start: 10, end: 11 }, section: 2 }), {
+    target: { section: 2, from: 0, to: 1 }, errors: {}
+  });
+
+  const { target } = locateTarget(sections, { lines: { start: 6, end: 7 } });
+  assert.equal(targetLabel(sections, target), 'Chorus');
+  assert.equal(targetLabel(sections, { section: 2, from: 1, to: 1 }), 'Verse 2 line 11');
+  assert.equal(targetLabel(sections, { section: 0, from: 0, to: 0 }), 'Verse 1 line 2');
+});
+
+test('locateTarget rejects ranges outside the lyric lines or across sections', () => {
+  const sections = parseSections(LYRICS);
+  const error = (selection) => locateTarget(sections, selection).errors;
+  assert.deepEqual(error({ lines: { start: 3, end: 2 } }), { lines: 'Lines must be a range of line numbers (start <= end)' });
+  assert.deepEqual(error({ lines: { start: 0 } }), { lines: 'Lines must be a range of line numbers (start <= end)' });
+  assert.deepEqual(error({ lines: { start: 'two' } }), { lines: 'Lines must be a range of line numbers (start <= end)' });
+  assert.deepEqual(error({ lines: { start: 12, end: 14 } }), { lines: 'Line range must cover lyric lines within one section' });
+  assert.deepEqual(error({ lines: { start: 1, end: 2 } }), { lines: 'Line range must cover lyric lines within one section' });
+  assert.deepEqual(error({ lines: { start: 3, end: 6 } }), { lines: 'Line range must cover lyric lines within one section' });
+  assert.deepEqual(error({ lines: { start: 6 }, section: 0 }), { lines: 'Line range is not in the chosen section' });
+  assert.deepEqual(error({ section: 3 }), { section: 'Choose a section or a line range' });
+  assert.deepEqual(error({}), { section: 'Choose a section or a line range' });
+});
+
+test('a rewrite changes only its target and leaves the other sections byte-identical', () => {
+  const sections = parseSections(LYRICS);
+  const { target } = locateTarget(sections, { lines: { start: 7 } });
+  const rewritten = renderSections(applyRewrite(sections, target, ['tujhse hi roshan mera har armaan']));
+  assert.equal(rewritten, LYRICS.replace('tujhse hi roshan hai mera armaan', 'tujhse hi roshan mera har armaan'));
+
+  const [before, after] = [LYRICS, rewritten].map(text => text.split('\n\n'));
+  assert.equal(after[0], before[0]);
+  assert.equal(after[2], before[2]);
+
+  // More or fewer lines than the target is fine
+  const longer = renderSections(applyRewrite(sections, { section: 0, from: 0, to: 1 }, ['ek', 'do', 'teen']));
+  assert.equal(longer, `[Verse 1]\nek\ndo\nteen\n\n${LYRICS.split('\n\n').slice(1).join('\n\n')}`);
+});
+
+test('replaceSection swaps in a hand edit, header and all', () => {
+  const sections = parseSections(LYRICS);
+  const edited = renderSections(replaceSection(sections, 1, '[Hook]\ntu hi meri jaan\n\n[Bridge]\nbas tu hi tu'));
+  assert.equal(edited, LYRICS.replace('[Chorus]\ntu hi meri dhadkan, tu hi meri jaan\ntujhse hi roshan hai mera armaan',
+    '[Hook]\ntu hi meri jaan\n\n[Bridge]\nbas tu hi tu'));
+});
+
+test('the rewrite prompt marks the target and asks for that many lines', () => {
+  const sections = parseSections(LYRICS);
+  const message = buildRewriteMessage(sections, { section: 1, from: 0, to: 1 }, 'Make it playful', { rhymeScheme: 'AABB' });
+  assert.match(message, /^Rewrite ONLY the 2 lines of "Chorus" marked between >>> and <<</);
+  assert.match(message, /\[Chorus\]\n>>>\ntu hi meri dhadkan, tu hi meri jaan\ntujhse hi roshan hai mera armaan\n<<<\n\n\[Verse 2\]/);
+  assert.match(message, /Follow the AABB rhyme scheme/);
+  assert.match(message, /Return ONLY the 2 new lines/);
+});
+
+test('parseRewrite drops markers, headers, fences and numbering', () => {
+  assert.deepEqual(parseRewrite('```\n[Chorus]\n>>>\n1. tu hi meri jaan\n- tu hi armaan\n\n<<<\n```'), ['tu hi meri jaan', 'tu hi armaan']);
+  assert.deepEqual(parseRewrite(null), []);
+});
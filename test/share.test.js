@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import {
+  newShareToken, shareTokenHash, shareLinkState, validateShareLink, validateCustomerResponse, formatCustomerFeedback
+} from '../lib/share.js';
+
+const LYRICS = `[Verse 1]
+Mansi teri hansi se roshan jahaan
+tere saath har pal lagta hai aasmaan
+
+[Chorus]
+tu hi meri dhadkan, tu hi meri jaan`;
+
+test('link tokens are random and only their SHA-256 is stored', () => {
+  const token = newShareToken();
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(newShareToken(), token);
+  assert.equal(shareTokenHash(token), createHash('sha256').update(token).digest('hex'));
+  assert.equal(shareTokenHash(token), shareTokenHash(token));
+  assert.notEqual(shareTokenHash(newShareToken()), shareTokenHash(token));
+});
+
+test('anything that is not a token has no hash', () => {
+  for (const token of [undefined, null, '', 'short', `${newShareToken()}x`, `${newShareToken().slice(1)}/`, "' OR 1=1 --"]) {
+    assert.equal(shareTokenHash(token), null, String(token));
+  }
+});
+
+test('shareLinkState ranks revoked over expired over responded', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const past = '2026-05-31T12:00:00Z';
+  const future = '2026-06-08T12:00:00Z';
+  const state = (link) => shareLinkState({ revoked_at: null, responded_at: null, ...link }, now);
+
+  assert.equal(state({ expires_at: future }), 'active');
+  assert.equal(state({ expires_at: future, responded_at: past }), 'responded');
+  assert.equal(state({ expires_at: past, responded_at: past }), 'expired');
+  assert.equal(state({ expires_at: past, responded_at: past, revoked_at: past }), 'revoked');
+  assert.equal(state({ expires_at: future, revoked_at: past }), 'revoked');
+  // A link expires at its expiry time, not after it
+  assert.equal(state({ expires_at: now.toISOString() }), 'expired');
+});
+
+test('validateShareLink defaults to 7 days and bounds the expiry', () => {
+  assert.deepEqual(validateShareLink(), { share: { expiresInDays: 7, recipient: null }, errors: {} });
+  assert.deepEqual(validateShareLink({ expiresInDays: '90', recipient: ' Mansi ' }), { share: { expiresInDays: 90, recipient: 'Mansi' }, errors: {} });
+  for (const expiresInDays of [0, 91, 1.5, 'soon']) {
+    assert.deepEqual(Object.keys(validateShareLink({ expiresInDays }).errors), ['expiresInDays'], String(expiresInDays));
+  }
+  assert.deepEqual(Object.keys(validateShareLink({ recipient: 'x'.repeat(101) }).errors), ['recipient']);
+});
+
+test('comments must be on lyric lines and keep their section and text', () => {
+  const { response, errors } = validateCustomerResponse({
+    decision: 'changes_requested',
+    comments: [{ line: 3, comment: ' Say monsoon instead ' }, { line: '6', comment: 'Love this' }, { line: 2, comment: '  ' }],
+    name: 'Rohan'
+  }, LYRICS);
+  assert.deepEqual(errors, {});
+  assert.deepEqual(response.comments, [
+    { line: 3, section: 'Verse 1', text: 'tere saath har pal lagta hai aasmaan', comment: 'Say monsoon instead' },
+    { line: 6, section: 'Chorus', text: 'tu hi meri dhadkan, tu hi meri jaan', comment: 'Love this' }
+  ]);
+
+  // Headers, blank lines and lines past the end are not lyric lines
+  for (const line of [0, 1, 4, 5, 7, 'two']) {
+    assert.deepEqual(
+      validateCustomerResponse({ decision: 'approved', comments: [{ line, comment: 'Hmm' }] }, LYRICS).errors,
+      { comments: 'Comments must be on lines of the lyrics' },
+      String(line)
+    );
+  }
+});
+
+test('a customer response needs a decision, and changes need a comment or message', () => {
+  assert.deepEqual(validateCustomerResponse({}, LYRICS).errors, { decision: 'Approve the lyrics or ask for changes' });
+  assert.deepEqual(validateCustomerResponse({ decision: 'approved' }, LYRICS).errors, {});
+  assert.deepEqual(validateCustomerResponse({ decision: 'changes_requested' }, LYRICS).errors, {
+    comments: 'Highlight a line and say what to change, or leave a message'
+  });
+  assert.deepEqual(validateCustomerResponse({ decision: 'changes_requested', message: 'Slower please' }, LYRICS).errors, {});
+
+  const tooMany = Array.from({ length: 51 }, () => ({ line: 2, comment: 'x' }));
+  assert.deepEqual(validateCustomerResponse({ decision: 'approved', comments: tooMany }, LYRICS).errors, { comments: 'At most 50 comments' });
+  assert.deepEqual(
+    validateCustomerResponse({ decision: 'approved', comments: [{ line: 2, comment: 'x'.repeat(1001) }] }, LYRICS).errors,
+    { comments: 'A comment can be at most 1000 characters' }
+  );
+  assert.deepEqual(Object.keys(validateCustomerResponse({ decision: 'approved', message: 'x'.repeat(4001), name: 'y'.repeat(101) }, LYRICS).errors), [
+    'message', 'name'
+  ]);
+});
+
+test('customer feedback reads like reviewer notes', () => {
+  const { response } = validateCustomerResponse({
+    decision: 'changes_requested', comments: [{ line: 3, comment: 'Say monsoon' }], message: 'Otherwise lovely', name: 'Rohan'
+  }, LYRICS);
+  assert.equal(formatCustomerFeedback(response), `Customer (Rohan) asked for changes.
+- Verse 1, line 3 "tere saath har pal lagta hai aasmaan": Say monsoon
+Otherwise lovely`);
+  assert.equal(formatCustomerFeedback({ decision: 'approved', comments: [], message: null, name: null }), 'Customer approved the lyrics.');
+});
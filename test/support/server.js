@@ -0,0 +1,138 @@
+// API test support: server.js on a free port against TEST_DATABASE_URL,
+// offline (stub model, local learning and grading), and a client that
+// keeps the session cookie.
+//
+// TEST_DATABASE_URL is separate from DATABASE_URL so the API tests never
+// write to a database by accident; `npm run test:db` sets it to a
+// throwaway one.
+
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const SERVER = fileURLToPath(new URL('../../server.js', import.meta.url));
+const START_TIMEOUT_MS = 20000;
+
+export const ADMIN = { username: 'test-admin', display_name: 'Test Admin', password: 'test-password-1' };
+
+// For test()'s skip option
+export const needsDatabase = process.env.TEST_DATABASE_URL ? false : 'set TEST_DATABASE_URL or run npm run test:db';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server; resolves to { url, output, stop } once it listens.
+ * `output` collects everything it logged.
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      DATABASE_URL: process.env.TEST_DATABASE_URL,
+      PORT: String(port),
+      LLM_PROVIDER: 'stub',
+      LEARNING_ANALYZER: 'local',
+      SCORING_GRADER: 'local',
+      ANTHROPIC_API_KEY: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const server = { url: `http://127.0.0.1:${port}`, output: '' };
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${server.output}`)), START_TIMEOUT_MS);
+    const collect = (chunk) => {
+      server.output += chunk;
+      if (server.output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    exited.then(code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited (${code}):\n${server.output}`));
+    });
+  });
+
+  server.stop = async () => {
+    if (child.exitCode === null) child.kill('SIGTERM');
+    await exited;
+  };
+  return server;
+}
+
+/**
+ * A client for a started server: request(method, path, body) resolves to
+ * { status, body } (parsed JSON, else text), sending the session cookie
+ * from the last sign-in
+ */
+export function createClient(server) {
+  let cookie = null;
+  return {
+    async request(method, path, body) {
+      const response = await fetch(`${server.url}${path}`, {
+        method,
+        headers: {
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+          ...(cookie ? { Cookie: cookie } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const session = response.headers.get('set-cookie')?.match(/raaag_session=[^;]*/)?.[0];
+      if (session) cookie = session;
+      const text = await response.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        // Not JSON (an export or a page)
+      }
+      return { status: response.status, body: parsed };
+    }
+  };
+}
+
+/**
+ * Sign in as the test admin, creating it on a fresh database
+ */
+export async function signIn(client) {
+  const setup = await client.request('POST', '/api/auth/setup', ADMIN);
+  if (setup.status === 200) return setup.body.user;
+  const login = await client.request('POST', '/api/auth/login', { username: ADMIN.username, password: ADMIN.password });
+  if (login.status !== 200) {
+    throw new Error(`Could not sign in as ${ADMIN.username}: ${JSON.stringify(login.body)}`);
+  }
+  return login.body.user;
+}
+
+/**
+ * An order payload with a unique order number
+ */
+export function testOrder(overrides = {}) {
+  return {
+    order_no: `T-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    mood: 'Romantic',
+    occasion: 'Anniversary',
+    language: 'Hindi',
+    artist: 'Male',
+    recipient_name: 'Mansi',
+    relationship: 'Wife',
+    nicknames: 'Mishti',
+    story: 'We met in college in Pune and have been married for five years. She loves the monsoon.',
+    ...overrides
+  };
+}
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { romanize, toDevanagari, transliterate, normalizeStory, nameKey } from '../lib/transliterate.js';
+
+// Devanagari and the romanized spelling singers read, both ways
+const ROUND_TRIP = {
+  'दर्द': 'dard', 'मस्त': 'mast', 'दोस्त': 'dost', 'शब्द': 'shabd', 'इश्क़': 'ishq', 'स्वर्ग': 'svarg',
+  'हमसफ़र': 'hamsafar', 'समझना': 'samajhna', 'लगता': 'lagta', 'उलझन': 'uljhan', 'मतलब': 'matlab',
+  'बरसात': 'barsaat', 'समंदर': 'samandar', 'जगमग': 'jagmag', 'मेहनत': 'mehnat', 'हलचल': 'halchal',
+  'तेरी': 'teri', 'ज़िंदगी': 'zindagi', 'मोहब्बत': 'mohabbat', 'दिल': 'dil', 'सपना': 'sapna'
+};
+
+test('common lyric words romanize as sung and come back unchanged', () => {
+  for (const [devanagari, roman] of Object.entries(ROUND_TRIP)) {
+    assert.equal(romanize(devanagari), roman, devanagari);
+    assert.equal(toDevanagari(roman), devanagari, roman);
+  }
+});
+
+test('a final cluster keeps its inherent vowel only when it ends in r, y or v', () => {
+  assert.equal(romanize('मित्र'), 'mitra');
+  assert.equal(romanize('सत्य'), 'satya');
+  assert.equal(romanize('मंत्र'), 'mantra');
+  assert.equal(romanize('पत्थर'), 'patthar');
+});
+
+test('medial schwas drop between syllables, and compounds split before their last word', () => {
+  assert.equal(romanize('धड़कन'), 'dhadkan');
+  assert.equal(romanize('हमवतन'), 'hamvatan');
+  assert.equal(romanize('बदनज़र'), 'badnazar');
+  assert.equal(romanize('कमलनयन'), 'kamalnayan');
+  assert.equal(romanize('नटखट'), 'natkhat');
+});
+
+test('whole lines keep punctuation, line breaks and names', () => {
+  assert.equal(romanize('तू ही मेरी धड़कन,\nतू ही मेरी जान', { names: ['Mansi'] }), 'tu hi meri dhadkan,\ntu hi meri jaan');
+  assert.equal(romanize('मानसी तेरा दर्द', { names: ['Mansi'] }), 'Mansi tera dard');
+  assert.equal(toDevanagari('Mansi tera dard mast hai', { names: ['Mansi'] }), 'Mansi तेरा दर्द मस्त है');
+  assert.equal(transliterate('दोस्त', { to: 'roman' }), 'dost');
+});
+
+test('normalizeStory puts a mixed story in one script and splits glued numbers', () => {
+  assert.equal(normalizeStory('We met  in 2019, वो मेरा दोस्त है।just2 min'), 'We met in 2019, vo mera dost hai. just 2 min');
+  assert.equal(normalizeStory('वो मेरा दोस्त है'), 'वो मेरा दोस्त है');
+});
+
+test('nameKey ignores vowel length, doubling and a trailing a', () => {
+  assert.equal(nameKey('Meenu'), nameKey('Minu'));
+  assert.equal(nameKey('Mansia'), nameKey('mansi'));
+});